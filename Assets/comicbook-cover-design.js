@@ -0,0 +1,421 @@
+/**
+ * <summary>Comic Book Generator - Cover Design</summary>
+ * Front and back covers are pages with a cover design: full-bleed art under any panels, and
+ * cover elements over them (title logo, issue and price boxes, publisher logo, barcode area
+ * and, usually on the back, a blurb). The design is stored on the page:
+ *
+ *   page.cover = { side: 'front' | 'back', art, title, issue, price, logo, barcode, blurb }
+ *
+ * Element positions follow fixed slots inside the safe area, so covers adapt to any trim size.
+ * layout() computes the slots once; the export renderer (draw*) and the reader and layout
+ * canvas (renderHtml) both use it, so every view places elements the same way.
+ */
+
+class CoverDesign {
+    static SIDES = {
+        front: { label: 'Front cover', short: 'Cover' },
+        back: { label: 'Back cover', short: 'Back' }
+    };
+
+    static TITLE_EFFECTS = {
+        none: 'None',
+        outline: 'Outline',
+        shadow: 'Drop shadow',
+        extrude: '3D extrude'
+    };
+
+    static TITLE_POSITIONS = { top: 'Top', middle: 'Middle', bottom: 'Bottom' };
+
+    static TITLE_FONT = "Impact, 'Arial Black', Helvetica, sans-serif";
+    static BLURB_FONT_SIZE = 18;
+    static BLURB_PADDING = 16;
+
+    /**
+     * <summary>Create a cover design, prefilled from the publication metadata</summary>
+     * @param {string} side - 'front' or 'back'
+     * @param {Object} meta - Publication metadata
+     * @returns {Object} Cover design
+     */
+    static create(side, meta = {}) {
+        const front = side === 'front';
+        return CoverDesign.normalize({
+            side,
+            art: null,
+            title: {
+                text: front ? meta.title || '' : '',
+                subtitle: front ? meta.subtitle || '' : '',
+                position: 'top',
+                size: 72,
+                color: '#ffd700',
+                outlineColor: '#000000',
+                effect: 'extrude'
+            },
+            issue: { show: front, text: `#${meta.issueNumber || 1}` },
+            price: { show: front, text: '$3.99' },
+            logo: { show: front, image: null, text: meta.publisher || '' },
+            barcode: { show: !front },
+            blurb: { show: !front, text: '' }
+        });
+    }
+
+    /**
+     * <summary>Fill in any missing parts of a cover design, in place</summary>
+     */
+    static normalize(design) {
+        const defaults = {
+            title: { text: '', subtitle: '', position: 'top', size: 72, color: '#ffd700', outlineColor: '#000000', effect: 'extrude' },
+            issue: { show: false, text: '#1' },
+            price: { show: false, text: '' },
+            logo: { show: false, image: null, text: '' },
+            barcode: { show: false },
+            blurb: { show: false, text: '' }
+        };
+        design.side = CoverDesign.SIDES[design.side] ? design.side : 'front';
+        design.art = design.art || null;
+        Object.entries(defaults).forEach(([key, value]) => {
+            design[key] = { ...value, ...(design[key] || {}) };
+        });
+        return design;
+    }
+
+    static isCover(page) {
+        return !!page?.cover;
+    }
+
+    /**
+     * <summary>Short label for thumbnails: 'Cover', 'Back', or null for other pages</summary>
+     */
+    static getLabel(page, long = false) {
+        if (!page?.cover) return null;
+        const side = CoverDesign.SIDES[page.cover.side] || CoverDesign.SIDES.front;
+        return long ? side.label : side.short;
+    }
+
+    static getImageUrls(page) {
+        if (!page?.cover) return [];
+        return [page.cover.art, page.cover.logo.show ? page.cover.logo.image : null].filter(Boolean);
+    }
+
+    /**
+     * <summary>Group pages into reading spreads</summary>
+     * Covers stand alone; the pages between them pair up, starting after the front cover.
+     * @param {Array} pages - Pages in order
+     * @returns {Array} Spreads, each a list of page indexes in reading order
+     */
+    static getSpreads(pages) {
+        const spreads = [];
+        let open = null;
+        pages.forEach((page, index) => {
+            if (page.cover) {
+                spreads.push([index]);
+                open = null;
+            } else if (open) {
+                open.push(index);
+                open = null;
+            } else {
+                open = [index];
+                spreads.push(open);
+            }
+        });
+        return spreads;
+    }
+
+    /**
+     * <summary>Work out where each cover element goes</summary>
+     * @param {Object} page - Cover page
+     * @returns {Array} [{ kind, box, ... }] in layout pixels, in drawing order; the art comes first
+     */
+    static layout(page) {
+        const design = CoverDesign.normalize(page.cover);
+        const { safe } = PageFormat.getGuides(page);
+        const ctx = document.createElement('canvas').getContext('2d');
+        const elements = [{ kind: 'art', box: { x: 0, y: 0, width: page.width, height: page.height }, image: design.art }];
+        const bottom = safe.y + safe.height;
+        const textBox = (kind, box, text, share) => ({
+            kind,
+            box,
+            text,
+            fontSize: CoverDesign.fitFontSize(ctx, text, box.width * 0.85, box.height * share, true)
+        });
+
+        const corner = safe.width * 0.16;
+        const issueBox = { x: safe.x, y: safe.y, width: corner, height: corner * 0.62 };
+        if (design.issue.show && design.issue.text) {
+            elements.push(textBox('issue', issueBox, design.issue.text, 0.6));
+        }
+        if (design.price.show && design.price.text) {
+            const y = design.issue.show ? issueBox.y + issueBox.height + 6 : safe.y;
+            elements.push(textBox('price', { x: safe.x, y, width: corner, height: corner * 0.36 }, design.price.text, 0.6));
+        }
+        if (design.logo.show && (design.logo.image || design.logo.text)) {
+            const box = { x: safe.x + safe.width - corner, y: safe.y, width: corner, height: corner };
+            elements.push({ ...textBox('logo', box, design.logo.text, 0.3), image: design.logo.image });
+        }
+
+        const barcode = { width: safe.width * 0.3, height: safe.width * 0.18 };
+        if (design.barcode.show) {
+            // US comics print the barcode bottom left on the front and bottom right on the back
+            const x = design.side === 'front' ? safe.x : safe.x + safe.width - barcode.width;
+            elements.push({ kind: 'barcode', box: { x, y: bottom - barcode.height, ...barcode } });
+        }
+
+        const title = CoverDesign.layoutTitle(ctx, design, safe, corner, barcode.height);
+        if (title) elements.push(title);
+
+        if (design.blurb.show && design.blurb.text.trim()) {
+            const fontSize = CoverDesign.BLURB_FONT_SIZE;
+            const padding = CoverDesign.BLURB_PADDING;
+            const width = safe.width * 0.76;
+            ctx.font = PageRenderer.getFont(fontSize, false);
+            const lines = PageRenderer.wrapText(ctx, design.blurb.text, width - padding * 2);
+            const lineHeight = fontSize * PageRenderer.LINE_HEIGHT;
+            const height = lines.length * lineHeight + padding * 2;
+            const y = title && title.box.y < safe.y + safe.height / 2 ? title.box.y + title.box.height + 24 : safe.y + safe.height * 0.2;
+            elements.push({ kind: 'blurb', box: { x: safe.x + (safe.width - width) / 2, y, width, height }, lines, fontSize, lineHeight });
+        }
+
+        return elements;
+    }
+
+    /**
+     * <summary>Place the title logo and subtitle in the top, middle or bottom of the safe area</summary>
+     * The corner boxes and the barcode area are kept clear; long lines are set smaller to fit.
+     */
+    static layoutTitle(ctx, design, safe, corner, barcodeHeight) {
+        const { title } = design;
+        const lines = title.text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        if (!lines.length && !title.subtitle) return null;
+
+        const size = Math.max(8, Number(title.size) || 72);
+        const subtitleSize = Math.max(8, Math.round(size * 0.35));
+        const lineHeight = size * 1.05;
+        const height = lines.length * lineHeight + (title.subtitle ? subtitleSize * 1.4 : 0);
+
+        let y;
+        if (title.position === 'middle') {
+            y = safe.y + (safe.height - height) / 2;
+        } else if (title.position === 'bottom') {
+            y = safe.y + safe.height - height - (design.barcode.show ? barcodeHeight + 12 : 0);
+        } else {
+            y = safe.y + (design.issue.show || design.logo.show ? corner * 0.2 : 0);
+        }
+
+        // Leave the corner boxes free when the title is at the top
+        const inset = title.position === 'top' && (design.issue.show || design.price.show || design.logo.show) ? corner + 8 : 0;
+        const width = safe.width - inset * 2;
+        return {
+            kind: 'title',
+            box: { x: safe.x + inset, y, width, height },
+            lines: lines.map(text => ({ text, size: CoverDesign.fitFontSize(ctx, text, width, size, true, CoverDesign.TITLE_FONT) })),
+            subtitle: title.subtitle,
+            size,
+            subtitleSize,
+            lineHeight,
+            color: title.color,
+            outlineColor: title.outlineColor,
+            effect: CoverDesign.TITLE_EFFECTS[title.effect] ? title.effect : 'none'
+        };
+    }
+
+    /**
+     * <summary>Draw the full-bleed art (under the panels)</summary>
+     * @param {CanvasRenderingContext2D} ctx - Context working in layout pixels
+     * @param {Object} page - Cover page
+     * @param {Map} images - Loaded images by URL (see PageRenderer.loadImages)
+     */
+    static drawArt(ctx, page, images) {
+        const art = CoverDesign.layout(page)[0];
+        const image = art.image ? images.get(art.image) : null;
+        if (image) PageRenderer.drawCover(ctx, image, art.box.x, art.box.y, art.box.width, art.box.height);
+    }
+
+    /**
+     * <summary>Draw the cover elements (over the panels and lettering)</summary>
+     */
+    static drawElements(ctx, page, images) {
+        CoverDesign.layout(page).slice(1).forEach(element => {
+            const { x, y, width, height } = element.box;
+            ctx.save();
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+
+            switch (element.kind) {
+                case 'issue':
+                    ctx.fillStyle = '#000000';
+                    ctx.fillRect(x, y, width, height);
+                    ctx.fillStyle = '#ffffff';
+                    ctx.font = PageRenderer.getFont(element.fontSize, true);
+                    ctx.fillText(element.text, x + width / 2, y + height / 2);
+                    break;
+                case 'price':
+                    ctx.fillStyle = '#ffffff';
+                    ctx.fillRect(x, y, width, height);
+                    ctx.strokeStyle = '#000000';
+                    ctx.lineWidth = 2;
+                    ctx.strokeRect(x, y, width, height);
+                    ctx.fillStyle = '#000000';
+                    ctx.font = PageRenderer.getFont(element.fontSize, true);
+                    ctx.fillText(element.text, x + width / 2, y + height / 2);
+                    break;
+                case 'logo': {
+                    const image = element.image ? images.get(element.image) : null;
+                    if (image) {
+                        const scale = Math.min(width / image.naturalWidth, height / image.naturalHeight);
+                        const w = image.naturalWidth * scale;
+                        const h = image.naturalHeight * scale;
+                        ctx.drawImage(image, x + (width - w) / 2, y + (height - h) / 2, w, h);
+                    } else {
+                        ctx.fillStyle = '#ffffff';
+                        ctx.fillRect(x, y, width, height);
+                        ctx.fillStyle = '#000000';
+                        ctx.font = PageRenderer.getFont(element.fontSize, true);
+                        ctx.fillText(element.text, x + width / 2, y + height / 2);
+                    }
+                    break;
+                }
+                case 'barcode':
+                    // Left white for the printer's barcode
+                    ctx.fillStyle = '#ffffff';
+                    ctx.fillRect(x, y, width, height);
+                    ctx.strokeStyle = '#cccccc';
+                    ctx.lineWidth = 1;
+                    ctx.strokeRect(x, y, width, height);
+                    ctx.fillStyle = '#999999';
+                    ctx.font = PageRenderer.getFont(10, false);
+                    ctx.fillText('BARCODE', x + width / 2, y + height / 2);
+                    break;
+                case 'blurb':
+                    ctx.fillStyle = 'rgba(255,255,255,0.88)';
+                    ctx.fillRect(x, y, width, height);
+                    ctx.fillStyle = '#000000';
+                    ctx.textAlign = 'left';
+                    ctx.textBaseline = 'alphabetic';
+                    ctx.font = PageRenderer.getFont(element.fontSize, false);
+                    element.lines.forEach((line, index) => {
+                        const top = y + CoverDesign.BLURB_PADDING + index * element.lineHeight;
+                        ctx.fillText(line, x + CoverDesign.BLURB_PADDING, top + PageRenderer.getBaselineOffset(element.fontSize, element.lineHeight));
+                    });
+                    break;
+                case 'title':
+                    CoverDesign.drawTitle(ctx, element);
+                    break;
+            }
+            ctx.restore();
+        });
+    }
+
+    /**
+     * <summary>Draw the title logo with its effect, then the subtitle</summary>
+     */
+    static drawTitle(ctx, title) {
+        const centerX = title.box.x + title.box.width / 2;
+        const stroke = Math.max(2, title.size * 0.06);
+        const depth = Math.max(2, Math.round(title.size * 0.06));
+
+        title.lines.forEach(({ text: line, size }, index) => {
+            const y = title.box.y + index * title.lineHeight + title.lineHeight / 2;
+            ctx.font = `bold ${size}px ${CoverDesign.TITLE_FONT}`;
+            ctx.lineJoin = 'round';
+
+            if (title.effect === 'extrude') {
+                ctx.fillStyle = title.outlineColor;
+                for (let step = depth; step > 0; step--) ctx.fillText(line, centerX + step, y + step);
+            }
+            if (title.effect === 'shadow') {
+                ctx.shadowColor = 'rgba(0,0,0,0.6)';
+                ctx.shadowOffsetX = size * 0.06;
+                ctx.shadowOffsetY = size * 0.06;
+                ctx.shadowBlur = size * 0.08;
+            }
+            if (title.effect === 'outline' || title.effect === 'extrude') {
+                ctx.lineWidth = stroke;
+                ctx.strokeStyle = title.outlineColor;
+                ctx.strokeText(line, centerX, y);
+            }
+            ctx.fillStyle = title.color;
+            ctx.fillText(line, centerX, y);
+            ctx.shadowColor = 'transparent';
+        });
+
+        if (title.subtitle) {
+            const y = title.box.y + title.lines.length * title.lineHeight + title.subtitleSize * 0.7;
+            ctx.font = PageRenderer.getFont(title.subtitleSize, true);
+            ctx.lineWidth = Math.max(1, title.subtitleSize * 0.12);
+            ctx.strokeStyle = title.outlineColor;
+            ctx.strokeText(title.subtitle, centerX, y);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(title.subtitle, centerX, y);
+        }
+    }
+
+    /**
+     * <summary>Largest font size up to maxSize at which text fits a width</summary>
+     */
+    static fitFontSize(ctx, text, maxWidth, maxSize, bold, family = PageRenderer.FONT_FAMILY) {
+        ctx.font = `${bold ? 'bold ' : ''}${maxSize}px ${family}`;
+        const width = ctx.measureText(text).width;
+        return width > maxWidth ? Math.max(6, Math.floor(maxSize * maxWidth / width)) : maxSize;
+    }
+
+    /**
+     * <summary>Render the art or the elements of a cover as HTML</summary>
+     * The result is positioned in layout pixels, for a container the size of the whole page.
+     * @param {Object} page - Cover page
+     * @param {string} layer - 'art' or 'elements'
+     * @returns {string} HTML
+     */
+    static renderHtml(page, layer) {
+        if (!page.cover) return '';
+        const elements = CoverDesign.layout(page);
+        const position = (box) => `left: ${box.x}px; top: ${box.y}px; width: ${box.width}px; height: ${box.height}px;`;
+
+        if (layer === 'art') {
+            const art = elements[0];
+            return art.image
+                ? `<div class="cover-art" style="${position(art.box)} background-image: url(${art.image});"></div>`
+                : `<div class="cover-art cover-art-empty" style="${position(art.box)}"><span>Cover art</span></div>`;
+        }
+
+        return `<div class="cover-layer">${elements.slice(1).map(element => {
+            const style = position(element.box);
+            switch (element.kind) {
+                case 'issue':
+                case 'price':
+                    return `<div class="cover-box cover-${element.kind}" style="${style} font-size: ${element.fontSize}px;">${escapeHtml(element.text)}</div>`;
+                case 'logo':
+                    return element.image
+                        ? `<div class="cover-logo" style="${style} background-image: url(${element.image});"></div>`
+                        : `<div class="cover-box cover-logo-text" style="${style} font-size: ${element.fontSize}px;">${escapeHtml(element.text)}</div>`;
+                case 'barcode':
+                    return `<div class="cover-box cover-barcode" style="${style}">BARCODE</div>`;
+                case 'blurb':
+                    return `<div class="cover-blurb" style="${style} padding: ${CoverDesign.BLURB_PADDING}px; font-size: ${element.fontSize}px; line-height: ${element.lineHeight}px;">${element.lines.map(line => escapeHtml(line)).join('<br>')}</div>`;
+                case 'title':
+                    return CoverDesign.renderTitleHtml(element, style);
+                default:
+                    return '';
+            }
+        }).join('')}</div>`;
+    }
+
+    static renderTitleHtml(title, style) {
+        const depth = Math.max(2, Math.round(title.size * 0.06));
+        const stroke = Math.max(2, title.size * 0.06);
+        const effects = {
+            none: '',
+            outline: `-webkit-text-stroke: ${stroke}px ${title.outlineColor}; paint-order: stroke fill;`,
+            shadow: `text-shadow: ${title.size * 0.06}px ${title.size * 0.06}px ${title.size * 0.08}px rgba(0,0,0,0.6);`,
+            extrude: `-webkit-text-stroke: ${stroke}px ${title.outlineColor}; paint-order: stroke fill; text-shadow: ${
+                Array.from({ length: depth }, (_, i) => `${i + 1}px ${i + 1}px 0 ${title.outlineColor}`).join(', ')};`
+        };
+
+        return `
+            <div class="cover-title" style="${style}">
+                ${title.lines.map(line => `<div class="cover-title-line" style="font-size: ${line.size}px; line-height: ${title.lineHeight}px; color: ${title.color}; ${effects[title.effect]}">${escapeHtml(line.text)}</div>`).join('')}
+                ${title.subtitle ? `<div class="cover-subtitle" style="font-size: ${title.subtitleSize}px; -webkit-text-stroke: ${Math.max(1, title.subtitleSize * 0.12)}px ${title.outlineColor}; paint-order: stroke fill;">${escapeHtml(title.subtitle)}</div>` : ''}
+            </div>
+        `;
+    }
+}
+
+window.CoverDesign = CoverDesign;
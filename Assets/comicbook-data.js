@@ -1,15 +1,36 @@
 /**
  * Comic Book Generator - Data Management Module (Refactored)
+ * Project lifecycle: create, save, load, import and export. Saving and loading go through
+ * ProjectStore, which keeps a copy in the browser and syncs it to the server.
  */
 
-// TODO: This needs to be refactored or replaced in favor of C# backend services.
-
 class DataManager extends BaseManager {
+    /** localStorage key of the project that was open last, reopened on the next visit */
+    static OPEN_PROJECT_KEY = 'cbg-open-project';
+
+    /** Project ids the server accepts as file names (see SaveComicProject) */
+    static PROJECT_ID_PATTERN = /^[a-zA-Z0-9_-]{1,100}$/;
+
+    /** Thumbnails longer than this (inline data URLs) are left out of project summaries */
+    static MAX_THUMBNAIL_LENGTH = 2048;
+
+    /** Starting points for new projects; see LayoutManager.setUpProjectPages */
+    static PROJECT_TEMPLATES = [
+        { id: 'blank', name: 'Blank', description: 'One empty US comic page', presetId: 'us_comic', pages: 1 },
+        { id: 'issue', name: 'Single issue', description: 'Front and back cover around 22 US comic pages', presetId: 'us_comic', pages: 22, covers: true },
+        { id: 'short', name: 'Short story', description: 'Eight A4 pages', presetId: 'a4', pages: 8 },
+        { id: 'manga', name: 'Manga chapter', description: '18 B6 pages read right to left', presetId: 'manga_b6', pages: 18, direction: 'rtl' },
+        { id: 'webtoon', name: 'Webtoon episode', description: 'Three strips of four stacked panels', presetId: 'webtoon', pages: 3, webtoon: true }
+    ];
+
     constructor(main) {
         super(main, 'Data');
-        this.projectSchema = '1.0';
         this.autoSaveEnabled = true;
         this.lastSaveTime = null;
+        this.showArchived = false;
+        this.pendingImport = null; // { projectData, report } while the import report is shown
+        // Saved in the browser first, then on the server (see comicbook-storage.js)
+        this.store = new ProjectStore(new IndexedDbStorage(), new ServerStorage());
     }
 
     async initialize() {
@@ -21,6 +42,284 @@ class DataManager extends BaseManager {
                 this.main.saveProject(true);
             }
         }, 30000); // Auto-save every 30 seconds
+
+        // Projects saved while offline go to the server as soon as it can be reached
+        window.addEventListener('online', () => this.store.sync());
+
+        // The page may be gone before an asynchronous save finishes, so keep a synchronous copy
+        window.addEventListener('pagehide', () => this.saveRecoveryCopy());
+    }
+
+    /**
+     * <summary>Gather every manager's data and write the recovery copy</summary>
+     */
+    saveRecoveryCopy() {
+        if (!this.main.projectData) return;
+        // saveData copies each manager's state into projectData before its first await
+        Object.values(this.main.managers).forEach(manager => manager.saveData?.());
+        this.store.saveRecovery(this.main.projectData);
+    }
+
+    // Project browser
+
+    /**
+     * <summary>Show the project browser</summary>
+     * The open project is saved first so its entry is current.
+     */
+    async showProjectBrowser() {
+        const templateOptions = DataManager.PROJECT_TEMPLATES.map(template =>
+            `<option value="${template.id}">${escapeHtml(template.name)} – ${escapeHtml(template.description)}</option>`
+        ).join('');
+
+        const modalHtml = `
+            <div class="modal fade" id="projectBrowserModal" tabindex="-1">
+                <div class="modal-dialog modal-xl">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title">Projects</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                        </div>
+                        <div class="modal-body">
+                            <div class="project-new row g-2 align-items-end mb-3">
+                                <div class="col-md-4">
+                                    <label class="form-label small mb-0" for="cbg-new-project-title">New project</label>
+                                    <input type="text" class="form-control form-control-sm" id="cbg-new-project-title" placeholder="New Comic Project">
+                                </div>
+                                <div class="col-md-6">
+                                    <label class="form-label small mb-0" for="cbg-new-project-template">Start from</label>
+                                    <select class="form-select form-select-sm" id="cbg-new-project-template">${templateOptions}</select>
+                                </div>
+                                <div class="col-md-2">
+                                    <button type="button" class="btn btn-sm btn-primary w-100" data-project-action="new">Create</button>
+                                </div>
+                            </div>
+                            <div id="projectImportReport"></div>
+                            <div class="form-check form-switch mb-2">
+                                <input class="form-check-input" type="checkbox" id="cbg-show-archived" ${this.showArchived ? 'checked' : ''}>
+                                <label class="form-check-label small" for="cbg-show-archived">Show archived projects</label>
+                            </div>
+                            <div id="projectBrowserList" class="project-browser-grid">
+                                <div class="text-muted small"><span class="cbg-spinner"></span>Loading projects...</div>
+                            </div>
+                        </div>
+                        <div class="modal-footer justify-content-between">
+                            <div class="d-flex gap-2">
+                                <button type="button" class="btn btn-outline-secondary" data-project-action="import">Import JSON</button>
+                                <button type="button" class="btn btn-outline-secondary" data-project-action="export">Export Open Project</button>
+                                <input type="file" id="cbg-project-import-file" accept=".json,application/json" class="d-none">
+                            </div>
+                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.getElementById('projectBrowserModal')?.remove();
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('projectBrowserModal');
+        const bsModal = new bootstrap.Modal(modal);
+
+        modal.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-project-action]');
+            if (!button) return;
+            this.runWithButton(button, '<span class="cbg-spinner"></span>', () =>
+                this.handleProjectAction(button.dataset.projectAction, button.dataset.projectId, bsModal));
+        });
+
+        modal.querySelector('#cbg-project-import-file').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            try {
+                this.pendingImport = await this.importProject(file);
+            } catch (error) {
+                return; // Already reported by importProject
+            }
+            document.getElementById('projectImportReport').innerHTML =
+                this.renderImportReport(this.pendingImport.projectData, this.pendingImport.report);
+        });
+
+        modal.querySelector('#cbg-show-archived').addEventListener('change', (e) => {
+            this.showArchived = e.target.checked;
+            this.refreshProjectBrowser();
+        });
+
+        modal.addEventListener('hidden.bs.modal', () => {
+            this.pendingImport = null;
+            modal.remove();
+        });
+        bsModal.show();
+
+        await this.main.saveProject(true);
+        await this.refreshProjectBrowser();
+    }
+
+    /**
+     * <summary>Reload the project list of the open project browser</summary>
+     */
+    async refreshProjectBrowser() {
+        const list = document.getElementById('projectBrowserList');
+        if (!list) return;
+
+        try {
+            const projects = await this.listProjects(this.showArchived);
+            // The open project is listed even when neither storage could take it
+            const open = this.main.projectData;
+            if (open && !projects.some(project => project.id === open.projectInfo.id) && (this.showArchived || !open.projectInfo.archived)) {
+                projects.unshift(StorageAdapter.summarize(open));
+            }
+            list.innerHTML = this.renderProjectCards(projects);
+        } catch (error) {
+            list.innerHTML = '<div class="text-danger small">Projects could not be listed</div>';
+            this.handleError('Failed to list projects', error);
+        }
+    }
+
+    /**
+     * <summary>Render a card per project</summary>
+     * @param {Array} projects - Project summaries (see StorageAdapter.summarize)
+     */
+    renderProjectCards(projects) {
+        if (!projects.length) {
+            return '<div class="text-muted small">No projects yet</div>';
+        }
+
+        const openId = this.main.projectData?.projectInfo?.id;
+        return projects.map(project => {
+            const id = escapeHtml(project.id);
+            const title = escapeHtml(project.title || 'Untitled project');
+            const isOpen = project.id === openId;
+            const thumbnail = project.thumbnail
+                ? `<img src="${escapeHtml(project.thumbnail)}" alt="" loading="lazy">`
+                : '<span class="project-thumb-placeholder" aria-hidden="true">📖</span>';
+
+            return `
+                <div class="project-card card ${isOpen ? 'active' : ''}">
+                    <button class="project-thumb-button" data-project-action="open" data-project-id="${id}" title="Open ${title}">
+                        ${thumbnail}
+                    </button>
+                    <div class="card-body p-2">
+                        <h6 class="card-title small mb-1">${title}</h6>
+                        <p class="card-text small text-muted mb-1">
+                            ${project.pageCount} page${project.pageCount === 1 ? '' : 's'} · ${escapeHtml(new Date(project.lastModified).toLocaleString())}
+                        </p>
+                        <div class="mb-2">
+                            ${isOpen ? '<span class="badge bg-primary">Open</span>' : ''}
+                            ${project.archived ? '<span class="badge bg-secondary">Archived</span>' : ''}
+                        </div>
+                        <div class="btn-group btn-group-sm flex-wrap" role="group" aria-label="Actions for ${title}">
+                            <button class="btn btn-outline-primary" data-project-action="open" data-project-id="${id}" ${isOpen ? 'disabled' : ''}>Open</button>
+                            <button class="btn btn-outline-secondary" data-project-action="rename" data-project-id="${id}">Rename</button>
+                            <button class="btn btn-outline-secondary" data-project-action="duplicate" data-project-id="${id}">Duplicate</button>
+                            <button class="btn btn-outline-secondary" data-project-action="archive" data-project-id="${id}">${project.archived ? 'Restore' : 'Archive'}</button>
+                            <button class="btn btn-outline-danger" data-project-action="delete" data-project-id="${id}"
+                                    ${isOpen ? 'disabled title="Open another project before deleting this one"' : ''}>Delete</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * <summary>Run a project browser action</summary>
+     * @param {string} action - 'new', 'open', 'rename', 'duplicate', 'archive', 'delete', 'export',
+     *   'import' (pick a file), 'import-confirm' or 'import-cancel'
+     * @param {string} projectId - Project the action is for
+     * @param {Object} bsModal - The browser's Bootstrap modal, hidden when a project is opened
+     */
+    async handleProjectAction(action, projectId, bsModal) {
+        const main = this.main;
+        const isOpen = projectId && projectId === main.projectData?.projectInfo?.id;
+        // The open project is changed in place and saved; others are changed in storage
+        const current = async () => {
+            if (!isOpen) return this.readProject(projectId);
+            await main.saveProject();
+            return main.projectData;
+        };
+
+        switch (action) {
+            case 'new': {
+                const template = DataManager.PROJECT_TEMPLATES.find(candidate => candidate.id === document.getElementById('cbg-new-project-template').value);
+                const projectData = this.createNewProject();
+                projectData.projectInfo.title = document.getElementById('cbg-new-project-title').value.trim() || projectData.projectInfo.title;
+
+                const switched = await main.switchProject(projectData, () => {
+                    main.getManager('layout').setUpProjectPages(template);
+                    if (template.direction) main.getManager('publication').readingDirection = template.direction;
+                });
+                if (!switched) return;
+                bsModal.hide();
+                await main.saveProject();
+                return;
+            }
+            case 'open': {
+                if (isOpen) {
+                    bsModal.hide();
+                    return;
+                }
+                const projectData = await this.readProject(projectId);
+                if (await main.switchProject(projectData)) bsModal.hide();
+                return;
+            }
+            case 'rename': {
+                const projectData = await current();
+                const title = prompt('Project name:', projectData.projectInfo.title || '');
+                if (title === null || !title.trim()) return;
+                if (isOpen) {
+                    projectData.projectInfo.title = title.trim();
+                    main.updateProjectTitle();
+                    await main.saveProject();
+                } else {
+                    await this.updateProject(projectId, project => project.projectInfo.title = title.trim());
+                }
+                break;
+            }
+            case 'duplicate': {
+                const projectData = await current();
+                await this.duplicateProject(projectData, `Copy of ${projectData.projectInfo.title || 'Untitled project'}`);
+                break;
+            }
+            case 'archive':
+                if (isOpen) {
+                    main.projectData.projectInfo.archived = !main.projectData.projectInfo.archived;
+                    await main.saveProject();
+                } else {
+                    await this.updateProject(projectId, project => project.projectInfo.archived = !project.projectInfo.archived);
+                }
+                break;
+            case 'delete': {
+                const title = document.querySelector(`#projectBrowserModal [data-project-id="${CSS.escape(projectId)}"]`)
+                    ?.closest('.project-card')?.querySelector('.card-title')?.textContent || 'this project';
+                if (!confirm(`Delete "${title}"? This cannot be undone.`)) return;
+                await this.deleteProject(projectId);
+                break;
+            }
+            case 'export':
+                await main.saveProject();
+                await this.exportProject(main.projectData);
+                return;
+            case 'import':
+                document.getElementById('cbg-project-import-file').click();
+                return;
+            case 'import-confirm': {
+                const pending = this.pendingImport;
+                if (!pending || pending.report.errors.length) return;
+                if (await this.openImportedProject(pending.projectData)) {
+                    this.pendingImport = null;
+                    bsModal.hide();
+                }
+                return;
+            }
+            case 'import-cancel':
+                this.pendingImport = null;
+                document.getElementById('projectImportReport').innerHTML = '';
+                return;
+        }
+
+        await this.refreshProjectBrowser();
     }
 
     createNewProject() {
@@ -29,10 +328,10 @@ class DataManager extends BaseManager {
                 title: 'New Comic Project',
                 author: '',
                 description: '',
-                version: this.projectSchema,
+                schemaVersion: ProjectSchema.CURRENT_VERSION,
                 created: Date.now(),
                 lastModified: Date.now(),
-                id: `project_${Date.now()}`
+                id: DataManager.createProjectId()
             },
             data: {},
             characters: [],
@@ -43,43 +342,51 @@ class DataManager extends BaseManager {
         };
     }
 
+    /**
+     * <summary>Save a project in the browser and, when reachable, on the server</summary>
+     * @returns {Promise<Object>} { success, local, remote, unchanged }
+     */
     async saveProject(projectData, isAutoSave = false) {
-        try {
-            // TODO (C# backend): Implement 'SaveComicProject' endpoint and wire DataHelper.save to call genericRequest.
-            // Example direct usage if bypassing DataHelper:
-            // const response = await genericRequest('SaveComicProject', {
-            //     projectData,
-            //     isAutoSave,
-            //     projectId: projectData.projectInfo.id
-            // });
-
-            await DataHelper.save('SaveComicProject', {
-                projectData,
-                isAutoSave,
-                projectId: projectData.projectInfo.id
-            });
+        this.describeProject(projectData);
+        const result = await this.store.save(projectData, { isAutoSave });
 
+        if (!result.unchanged) {
             this.lastSaveTime = Date.now();
-            this.log(`Project saved ${isAutoSave ? '(auto)' : ''}`);
+            this.log(`Project saved ${isAutoSave ? '(auto) ' : ''}${result.remote ? '' : 'in the browser only'}`);
+        }
 
-            return { success: true };
+        return { success: true, ...result };
+    }
 
-        } catch (error) {
-            this.handleError('Save failed', error);
-            throw error;
-        }
+    /**
+     * <summary>Keep the page count and thumbnail the project browser shows in projectInfo</summary>
+     * The thumbnail is the front cover art, or else the first panel art.
+     */
+    describeProject(projectData) {
+        const pages = projectData.layout?.pages || [];
+        const front = pages.find(page => page.cover?.side === 'front' && page.cover.art);
+        const panel = pages.flatMap(page => page.panels || []).find(candidate => PanelModel.getArtUrl(candidate));
+        const thumbnail = front?.cover.art || (panel ? PanelModel.getArtUrl(panel) : null);
+
+        projectData.projectInfo.pageCount = pages.length;
+        projectData.projectInfo.thumbnail = thumbnail && thumbnail.length <= DataManager.MAX_THUMBNAIL_LENGTH ? thumbnail : null;
     }
 
+    /**
+     * <summary>Load a project, or the one that was open last</summary>
+     * Without an id the project open in the last session is reopened; when it is gone, the
+     * most recently modified project is loaded instead.
+     * @param {string} projectId - Project id; null for the last project
+     * @returns {Promise<Object|null>} Project data, or null when there is none
+     */
     async loadProject(projectId = null) {
         try {
-            // TODO (C# backend): Implement 'LoadComicProject' endpoint and wire DataHelper.load to call genericRequest.
-            // Example direct usage if bypassing DataHelper:
-            // const data = await genericRequest('LoadComicProject', { projectId });
-
-            const data = await DataHelper.load('LoadComicProject', { projectId });
+            const openId = projectId || DataManager.readOpenProjectId();
+            const data = (openId && await this.store.load(openId)) || (!projectId && await this.store.loadLast()) || null;
 
             if (data) {
                 this.log('Project loaded');
+                DataManager.writeOpenProjectId(data.projectInfo?.id);
                 return this.validateProject(data);
             }
 
@@ -91,14 +398,119 @@ class DataManager extends BaseManager {
         }
     }
 
+    /**
+     * <summary>Summaries of every project, newest first</summary>
+     * @param {boolean} includeArchived - Also list archived projects
+     */
+    async listProjects(includeArchived = false) {
+        const projects = await this.store.list();
+        return includeArchived ? projects : projects.filter(project => !project.archived);
+    }
+
+    /**
+     * <summary>Read a project without opening it</summary>
+     */
+    async readProject(projectId) {
+        const found = await this.store.fetch(projectId);
+        if (!found) throw new Error('The project could not be found');
+        return this.validateProject(found.project);
+    }
+
+    /**
+     * <summary>Change a project that is not open, e.g. to rename or archive it from the project browser</summary>
+     * @param {string} projectId - Project id
+     * @param {Function} change - (projectData) => void
+     */
+    async updateProject(projectId, change) {
+        const projectData = await this.readProject(projectId);
+        change(projectData);
+        projectData.projectInfo.lastModified = Date.now();
+        await this.store.write(projectData);
+        return projectData;
+    }
+
+    /**
+     * <summary>Store a copy of a project under a new id</summary>
+     * @returns {Promise<Object>} The copy
+     */
+    async duplicateProject(projectData, title) {
+        const copy = Serializer.clone(projectData);
+        copy.projectInfo = {
+            ...copy.projectInfo,
+            id: DataManager.createProjectId(),
+            title,
+            archived: false,
+            created: Date.now(),
+            lastModified: Date.now()
+        };
+        await this.store.write(copy);
+        this.log(`Duplicated project as ${title}`);
+        return copy;
+    }
+
+    async deleteProject(projectId) {
+        await this.store.delete(projectId);
+        this.log(`Deleted project ${projectId}`);
+    }
+
+    /**
+     * <summary>Make a project the open one: later saves compare against it and it is reopened next visit</summary>
+     */
+    openProject(projectData, synced = false) {
+        this.store.remember(projectData, synced);
+        DataManager.writeOpenProjectId(projectData.projectInfo.id);
+    }
+
+    /**
+     * <summary>Create a project id; the random part keeps ids made in the same millisecond or in two tabs apart</summary>
+     */
+    static createProjectId() {
+        return PanelModel.createId('project');
+    }
+
+    static readOpenProjectId() {
+        try {
+            return localStorage.getItem(DataManager.OPEN_PROJECT_KEY);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static writeOpenProjectId(projectId) {
+        try {
+            if (projectId) localStorage.setItem(DataManager.OPEN_PROJECT_KEY, projectId);
+        } catch (error) {
+            // Storage may be unavailable (private browsing)
+        }
+    }
+
+    /**
+     * <summary>Migrate a project to the current schema, in place, and check its structure</summary>
+     * @returns {Object} { fromVersion, toVersion, migrations, errors, warnings, notes } (see ProjectSchema)
+     */
+    checkProject(projectData) {
+        const migration = ProjectSchema.migrate(projectData);
+        return { ...migration, ...ProjectSchema.validate(projectData) };
+    }
+
+    /**
+     * <summary>Bring a loaded project up to the current schema</summary>
+     * A project with structural errors is refused rather than opened half-broken.
+     */
     validateProject(projectData) {
-        // Basic validation
-        if (!projectData.projectInfo) {
-            projectData.projectInfo = {};
+        const report = this.checkProject(projectData);
+        if (report.migrations.length) {
+            this.log(`Project migrated from schema ${report.fromVersion} to ${report.toVersion}`, report.migrations);
+        }
+        if (report.errors.length) {
+            throw new Error(`The project cannot be opened\n${ProjectSchema.formatReport({ errors: report.errors })}`);
+        }
+        if (report.warnings.length) {
+            console.warn(`[CBG:Data] Project has problems that were repaired with defaults:\n${ProjectSchema.formatReport({ warnings: report.warnings })}`);
         }
 
-        projectData.projectInfo.lastModified = Date.now();
-        projectData.projectInfo.version = this.projectSchema;
+        // Storage compares modification times, so keep the saved one
+        if (!Number.isFinite(projectData.projectInfo.lastModified)) projectData.projectInfo.lastModified = Date.now();
 
         return projectData;
     }
@@ -111,13 +523,18 @@ class DataManager extends BaseManager {
 
         // Fallback: local JSON download for dev
         const filename = `${projectData.projectInfo.title || 'Comic'}.${format}`;
-        const content = JSON.stringify(projectData, null, 2);
+        const content = Serializer.stringify(projectData, 2);
         if (typeof downloadPlainText === 'function') {
             downloadPlainText(filename, content);
         }
         this.log(`Exported as ${filename}`);
     }
 
+    /**
+     * <summary>Read a project file and migrate it to the current schema</summary>
+     * Nothing is stored yet; the report is shown first (see openImportedProject).
+     * @returns {Promise<Object>} { projectData, report } - report as from checkProject
+     */
     async importProject(file) {
         // Prefer delegating validation and normalization to backend
         try {
@@ -133,15 +550,69 @@ class DataManager extends BaseManager {
             // TODO (C# backend): Implement 'ImportComicProject' endpoint and wire DataHelper.save/load to genericRequest.
             // Example direct usage if bypassing DataHelper:
             // const result = await genericRequest('ImportComicProject', { fileName: file.name, content: text });
-            // return this.validateProject(result.projectData);
+            // return this.checkProject(result.projectData);
 
             // Fallback: local parse
-            const data = JSON.parse(text);
-            return this.validateProject(data);
+            let data;
+            try {
+                data = Serializer.parse(text);
+            } catch (error) {
+                throw new Error(`${file.name} is not a project file (invalid JSON)`);
+            }
+            const report = this.checkProject(data);
+            this.log(`Checked ${file.name}`, report);
+            return { projectData: data, report };
 
         } catch (error) {
             this.handleError('Import failed', error);
             throw error;
         }
     }
+
+    /**
+     * <summary>Store an imported project and open it</summary>
+     * An import never replaces a stored project: a project whose id is taken, or is not a valid
+     * file name on the server, gets a new one.
+     * @returns {Promise<boolean>} Whether the project was opened
+     */
+    async openImportedProject(projectData) {
+        const info = projectData.projectInfo;
+        if (!DataManager.PROJECT_ID_PATTERN.test(info.id) || await this.store.fetch(info.id)) {
+            info.id = DataManager.createProjectId();
+        }
+        info.title = typeof info.title === 'string' && info.title.trim() ? info.title : 'Imported project';
+        info.lastModified = Date.now();
+
+        if (!await this.main.switchProject(projectData)) return false;
+        await this.main.saveProject();
+        this.log(`Imported project ${info.title}`);
+        return true;
+    }
+
+    /**
+     * <summary>Render the check of a project file before it is imported</summary>
+     */
+    renderImportReport(projectData, report) {
+        const icons = { errors: '⛔', warnings: '⚠️', notes: 'ℹ️' };
+        const findings = ['errors', 'warnings', 'notes'].flatMap(list => report[list].map(item => `
+            <li class="project-import-${list}">${icons[list]} ${escapeHtml(item.message)}${item.path ? ` <code>${escapeHtml(item.path)}</code>` : ''}</li>
+        `)).join('');
+        const migrations = report.migrations.map(description => `<li>🔄 ${escapeHtml(description)}</li>`).join('');
+        const version = report.fromVersion === report.toVersion
+            ? `Schema version ${report.toVersion}, no migration needed`
+            : `Migrated from schema version ${report.fromVersion} to ${report.toVersion}`;
+
+        return `
+            <div class="project-import-report card card-body mb-3">
+                <h6 class="mb-1">Import "${escapeHtml(projectData.projectInfo?.title || 'Untitled project')}"</h6>
+                <p class="small text-muted mb-2">${version}</p>
+                ${migrations || findings ? `<ul class="list-unstyled small mb-2">${migrations}${findings}</ul>` : ''}
+                ${report.errors.length ? '<p class="small text-danger mb-2">Fix the errors in the file before importing it.</p>' : ''}
+                <div class="d-flex gap-2">
+                    <button type="button" class="btn btn-sm btn-primary" data-project-action="import-confirm" ${report.errors.length ? 'disabled' : ''}>Import and open</button>
+                    <button type="button" class="btn btn-sm btn-outline-secondary" data-project-action="import-cancel">Cancel</button>
+                </div>
+            </div>
+        `;
+    }
 }
@@ -0,0 +1,202 @@
+/**
+ * <summary>Comic Book Generator - EPUB Export</summary>
+ * Builds an EPUB 3 fixed-layout package: one XHTML document per comic page with the art as
+ * an image and the lettering laid over it as real text, so it stays searchable, selectable
+ * and readable by assistive technology.
+ */
+
+class EpubExport {
+    static CSS = `
+        html, body { margin: 0; padding: 0; }
+        body { position: relative; overflow: hidden; }
+        img.page-art { position: absolute; left: 0; top: 0; }
+        .lettering { position: absolute; margin: 0; font-family: Helvetica, Arial, sans-serif; white-space: nowrap; }
+        .lettering.bold { font-weight: bold; }
+        .sfx { -webkit-text-stroke: 1px #000000; transform-origin: center center; }
+    `;
+
+    /**
+     * <summary>Build the EPUB archive</summary>
+     * @param {Object} book - { identifier, title, creators: [{ name, role }], publisher, rights, language,
+     *   subjects, readingDirection, pages: [{ image: { blob, width, height, extension }, lettering: [...], cover }] }
+     *   cover is 'front' or 'back' on cover pages; without a front cover the first page is used
+     *   Lettering items are positioned in image pixels: { kind, lines, x, y, fontSize, lineHeight,
+     *   bold, color, rotation }
+     * @returns {Promise<Blob>} application/epub+zip
+     */
+    static async build(book) {
+        const zip = new ZipWriter();
+        const digits = Math.max(3, String(book.pages.length).length);
+        const names = book.pages.map((page, index) => {
+            const number = String(index + 1).padStart(digits, '0');
+            return { id: `page-${number}`, image: `images/page-${number}.${page.image.extension}`, xhtml: `pages/page-${number}.xhtml` };
+        });
+
+        // The mimetype entry must come first and be stored uncompressed
+        zip.addFile('mimetype', 'application/epub+zip');
+        zip.addFile('META-INF/container.xml', EpubExport.buildContainer());
+        zip.addFile('OEBPS/css/comic.css', EpubExport.CSS);
+
+        for (const [index, page] of book.pages.entries()) {
+            await zip.addBlob(`OEBPS/${names[index].image}`, page.image.blob);
+            zip.addFile(`OEBPS/${names[index].xhtml}`, EpubExport.buildPage(book, page, names[index], index));
+        }
+
+        zip.addFile('OEBPS/nav.xhtml', EpubExport.buildNav(book, names));
+        zip.addFile('OEBPS/content.opf', EpubExport.buildOpf(book, names));
+
+        return zip.toBlob('application/epub+zip');
+    }
+
+    static buildContainer() {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+    <rootfiles>
+        <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+    </rootfiles>
+</container>
+`;
+    }
+
+    /**
+     * <summary>Build the package document: metadata, manifest and spine</summary>
+     */
+    static buildOpf(book, names) {
+        const escape = PublicationManager.escapeXml;
+        const coverIndex = EpubExport.getCoverIndex(book);
+        const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+        const imageType = (extension) => extension === 'png' ? 'image/png' : 'image/jpeg';
+
+        const creators = book.creators.map((creator, index) => `
+        <dc:creator id="creator-${index + 1}">${escape(creator.name)}</dc:creator>
+        <meta refines="#creator-${index + 1}" property="role" scheme="marc:relators">${escape(creator.role)}</meta>`).join('');
+
+        const manifest = names.map((name, index) => `
+        <item id="${name.id}" href="${name.xhtml}" media-type="application/xhtml+xml"/>
+        <item id="${name.id}-image" href="${name.image}" media-type="${imageType(book.pages[index].image.extension)}"${index === coverIndex ? ' properties="cover-image"' : ''}/>`).join('');
+
+        const optional = [
+            book.publisher && `<dc:publisher>${escape(book.publisher)}</dc:publisher>`,
+            book.rights && `<dc:rights>${escape(book.rights)}</dc:rights>`,
+            ...(book.subjects || []).map(subject => `<dc:subject>${escape(subject)}</dc:subject>`)
+        ].filter(Boolean).map(element => `
+        ${element}`).join('');
+
+        // Covers are shown alone; the pages between them alternate sides, starting on the reading-direction side
+        const rtl = book.readingDirection === 'rtl';
+        let position = 0;
+        const spine = names.map((name, index) => {
+            const alone = book.pages[index].cover || index === coverIndex;
+            if (alone) position = 0;
+            const side = (position++ % 2 === 0) !== rtl ? 'page-spread-right' : 'page-spread-left';
+            return `
+        <itemref idref="${name.id}" properties="${alone ? 'page-spread-center' : side}"/>`;
+        }).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escape(book.language)}"
+         prefix="rendition: http://www.idpf.org/vocab/rendition/#">
+    <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+        <dc:identifier id="book-id">${escape(book.identifier)}</dc:identifier>
+        <dc:title>${escape(book.title)}</dc:title>
+        <dc:language>${escape(book.language)}</dc:language>${creators}${optional}
+        <meta property="dcterms:modified">${modified}</meta>
+        <meta property="rendition:layout">pre-paginated</meta>
+        <meta property="rendition:orientation">auto</meta>
+        <meta property="rendition:spread">landscape</meta>
+        <meta name="cover" content="${names[coverIndex].id}-image"/>
+    </metadata>
+    <manifest>
+        <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+        <item id="css" href="css/comic.css" media-type="text/css"/>${manifest}
+    </manifest>
+    <spine page-progression-direction="${rtl ? 'rtl' : 'ltr'}">${spine}
+    </spine>
+</package>
+`;
+    }
+
+    /**
+     * <summary>Build the navigation document listing every page</summary>
+     */
+    static buildNav(book, names) {
+        const escape = PublicationManager.escapeXml;
+        const items = names.map((name, index) =>
+            `<li><a href="${name.xhtml}">${EpubExport.getPageLabel(book, index)}</a></li>`).join('\n                ');
+        const pageList = names.map((name, index) =>
+            `<li><a href="${name.xhtml}">${index + 1}</a></li>`).join('\n                ');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escape(book.language)}" lang="${escape(book.language)}">
+<head>
+    <meta charset="UTF-8"/>
+    <title>${escape(book.title)}</title>
+</head>
+<body>
+    <nav epub:type="toc" id="toc">
+        <h1>${escape(book.title)}</h1>
+        <ol>
+                ${items}
+        </ol>
+    </nav>
+    <nav epub:type="page-list" hidden="hidden">
+        <ol>
+                ${pageList}
+        </ol>
+    </nav>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * <summary>Index of the front cover: the page marked as such, or the first page</summary>
+     */
+    static getCoverIndex(book) {
+        return Math.max(0, book.pages.findIndex(page => page.cover === 'front'));
+    }
+
+    static getPageLabel(book, index) {
+        if (book.pages[index].cover === 'back') return 'Back Cover';
+        return index === EpubExport.getCoverIndex(book) ? 'Cover' : `Page ${index + 1}`;
+    }
+
+    /**
+     * <summary>Build the XHTML document for one page</summary>
+     */
+    static buildPage(book, page, name, index) {
+        const escape = PublicationManager.escapeXml;
+        const { width, height } = page.image;
+        const lettering = page.lettering.map(item => {
+            const style = [
+                `left: ${item.x}px`,
+                `top: ${item.y}px`,
+                `font-size: ${item.fontSize}px`,
+                `line-height: ${item.lineHeight}px`,
+                `color: ${item.color}`,
+                item.rotation ? `transform: rotate(${item.rotation}deg)` : ''
+            ].filter(Boolean).join('; ');
+            const classes = ['lettering', item.bold ? 'bold' : '', item.kind === 'sfx' ? 'sfx' : ''].filter(Boolean).join(' ');
+            return `<p class="${classes}" style="${style}">${item.lines.map(line => escape(line)).join('<br/>')}</p>`;
+        }).join('\n    ');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escape(book.language)}" lang="${escape(book.language)}">
+<head>
+    <meta charset="UTF-8"/>
+    <meta name="viewport" content="width=${width}, height=${height}"/>
+    <title>${escape(book.title)} - ${EpubExport.getPageLabel(book, index)}</title>
+    <link rel="stylesheet" type="text/css" href="../css/comic.css"/>
+</head>
+<body style="width: ${width}px; height: ${height}px;"${index === EpubExport.getCoverIndex(book) ? ' epub:type="cover"' : ''}>
+    <img class="page-art" src="../${name.image}" width="${width}" height="${height}" alt="${escape(page.alt || '')}"/>
+    ${lettering}
+</body>
+</html>
+`;
+    }
+}
+
+window.EpubExport = EpubExport;
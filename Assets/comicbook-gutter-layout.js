@@ -0,0 +1,387 @@
+/**
+ * <summary>Comic Book Generator - Gutter Layout Engine</summary>
+ * Lays out a page as a split tree: the area inside the page margins is divided into
+ * rows or columns separated by gutters, and each cell is either a panel or another split.
+ * Panels keep their x/y/width/height, which the engine rewrites from the tree, so renderers
+ * and exporters work the same for gutter and free-form pages.
+ *
+ * Tree nodes are stored on the page as page.layoutTree:
+ *   leaf:  { panelId }
+ *   split: { split: 'rows' | 'columns', sizes: [fractions summing to 1], children: [nodes] }
+ */
+
+class GutterLayout {
+    static DEFAULT_GUTTER = 12;
+    static DEFAULT_MARGINS = { top: 30, right: 30, bottom: 30, left: 30 };
+    static MIN_PANEL_SIZE = 40;
+
+    /**
+     * <summary>Whether a page is laid out by the gutter engine</summary>
+     */
+    static isGutterPage(page) {
+        return page?.layoutMode === 'gutter' && !!page.layoutTree;
+    }
+
+    /**
+     * <summary>Get gutter size and margins of a page, filling in defaults</summary>
+     */
+    static getSettings(page) {
+        return {
+            gutterSize: Number.isFinite(Number(page.gutterSize)) ? Number(page.gutterSize) : GutterLayout.DEFAULT_GUTTER,
+            margins: { ...GutterLayout.DEFAULT_MARGINS, ...(page.margins || {}) }
+        };
+    }
+
+    /**
+     * <summary>Get the area inside the page margins</summary>
+     */
+    static getContentRect(page) {
+        const { margins } = GutterLayout.getSettings(page);
+        return {
+            x: margins.left,
+            y: margins.top,
+            width: Math.max(GutterLayout.MIN_PANEL_SIZE, page.width - margins.left - margins.right),
+            height: Math.max(GutterLayout.MIN_PANEL_SIZE, page.height - margins.top - margins.bottom)
+        };
+    }
+
+    /**
+     * <summary>Build a split tree from the page's current panels</summary>
+     * Panels that can be separated by straight cuts keep their arrangement; irregular or
+     * overlapping groups are stacked as rows in top-to-bottom order.
+     * @param {Object} page - Page data
+     * @returns {Object|null} Tree root, or null for a page without panels
+     */
+    static buildTree(page) {
+        if (!page.panels.length) return null;
+        return GutterLayout.buildNode(page.panels);
+    }
+
+    static buildNode(panels) {
+        if (panels.length === 1) return { panelId: panels[0].id };
+
+        for (const split of ['rows', 'columns']) {
+            const groups = GutterLayout.partition(panels, split);
+            if (groups.length > 1) {
+                const key = split === 'rows' ? 'height' : 'width';
+                const start = split === 'rows' ? 'y' : 'x';
+                const lengths = groups.map(group =>
+                    Math.max(...group.map(p => p[start] + p[key])) - Math.min(...group.map(p => p[start])));
+                return {
+                    split,
+                    sizes: GutterLayout.normalizeSizes(lengths),
+                    children: groups.map(group => GutterLayout.buildNode(group))
+                };
+            }
+        }
+
+        const sorted = [...panels].sort((a, b) => a.y - b.y || a.x - b.x);
+        return {
+            split: 'rows',
+            sizes: sorted.map(() => 1 / sorted.length),
+            children: sorted.map(panel => ({ panelId: panel.id }))
+        };
+    }
+
+    /**
+     * <summary>Group panels into bands that a straight cut can separate</summary>
+     */
+    static partition(panels, split) {
+        const start = split === 'rows' ? 'y' : 'x';
+        const length = split === 'rows' ? 'height' : 'width';
+        const tolerance = 10; // Panels drawn by hand rarely line up exactly
+
+        const sorted = [...panels].sort((a, b) => a[start] - b[start]);
+        const groups = [];
+        let current = [];
+        let end = -Infinity;
+
+        sorted.forEach(panel => {
+            if (current.length && panel[start] >= end - tolerance) {
+                groups.push(current);
+                current = [];
+            }
+            current.push(panel);
+            end = Math.max(end, panel[start] + panel[length]);
+        });
+        groups.push(current);
+
+        return groups;
+    }
+
+    /**
+     * <summary>Write panel geometry from the page's tree</summary>
+     * Leaves whose panel no longer exists are pruned first.
+     * @param {Object} page - Page data
+     */
+    static applyLayout(page) {
+        if (!page.layoutTree) return;
+
+        const panelIds = new Set(page.panels.map(panel => panel.id));
+        page.layoutTree = GutterLayout.prune(page.layoutTree, panelIds);
+        if (!page.layoutTree) return;
+
+        const rects = new Map();
+        const { gutterSize } = GutterLayout.getSettings(page);
+        GutterLayout.computeRects(page.layoutTree, GutterLayout.getContentRect(page), gutterSize, rects);
+
+        page.panels.forEach(panel => {
+            const rect = rects.get(panel.id);
+            if (!rect) return;
+            panel.x = Math.round(rect.x);
+            panel.y = Math.round(rect.y);
+            panel.width = Math.round(rect.width);
+            panel.height = Math.round(rect.height);
+        });
+    }
+
+    static computeRects(node, rect, gutterSize, out) {
+        if (!node.children) {
+            out.set(node.panelId, rect);
+            return;
+        }
+
+        const horizontal = node.split === 'columns';
+        const total = horizontal ? rect.width : rect.height;
+        const available = Math.max(0, total - gutterSize * (node.children.length - 1));
+        let offset = horizontal ? rect.x : rect.y;
+
+        node.children.forEach((child, index) => {
+            const length = available * node.sizes[index];
+            const childRect = horizontal
+                ? { x: offset, y: rect.y, width: length, height: rect.height }
+                : { x: rect.x, y: offset, width: rect.width, height: length };
+            GutterLayout.computeRects(child, childRect, gutterSize, out);
+            offset += length + gutterSize;
+        });
+    }
+
+    /**
+     * <summary>List the draggable gutters of a page</summary>
+     * @returns {Array} { path, index, split, x, y, width, height, available } per gutter,
+     * where index is the child before the gutter and available is the container length without gutters
+     */
+    static getGutters(page) {
+        if (!GutterLayout.isGutterPage(page)) return [];
+
+        const gutters = [];
+        const { gutterSize } = GutterLayout.getSettings(page);
+
+        const walk = (node, rect, path) => {
+            if (!node.children) return;
+
+            const horizontal = node.split === 'columns';
+            const total = horizontal ? rect.width : rect.height;
+            const available = Math.max(0, total - gutterSize * (node.children.length - 1));
+            let offset = horizontal ? rect.x : rect.y;
+
+            node.children.forEach((child, index) => {
+                const length = available * node.sizes[index];
+                const childRect = horizontal
+                    ? { x: offset, y: rect.y, width: length, height: rect.height }
+                    : { x: rect.x, y: offset, width: rect.width, height: length };
+                walk(child, childRect, [...path, index]);
+                offset += length;
+
+                if (index < node.children.length - 1) {
+                    gutters.push(horizontal
+                        ? { path, index, split: node.split, x: offset, y: rect.y, width: gutterSize, height: rect.height, available }
+                        : { path, index, split: node.split, x: rect.x, y: offset, width: rect.width, height: gutterSize, available });
+                }
+                offset += gutterSize;
+            });
+        };
+
+        walk(page.layoutTree, GutterLayout.getContentRect(page), []);
+        return gutters;
+    }
+
+    /**
+     * <summary>Move a gutter, resizing the cells on both sides of it</summary>
+     * @param {Object} page - Page data
+     * @param {Object} gutter - Gutter from getGutters
+     * @param {Array} startSizes - Container sizes when the drag started
+     * @param {number} delta - Distance moved in page pixels since the drag started
+     */
+    static moveGutter(page, gutter, startSizes, delta) {
+        const node = GutterLayout.getNode(page.layoutTree, gutter.path);
+        if (!node?.children || !gutter.available) return;
+
+        const pair = startSizes[gutter.index] + startSizes[gutter.index + 1];
+        const min = Math.min(pair / 2, GutterLayout.MIN_PANEL_SIZE / gutter.available);
+        const before = Math.max(min, Math.min(pair - min, startSizes[gutter.index] + delta / gutter.available));
+
+        node.sizes = [...startSizes];
+        node.sizes[gutter.index] = before;
+        node.sizes[gutter.index + 1] = pair - before;
+        GutterLayout.applyLayout(page);
+    }
+
+    /**
+     * <summary>Split a panel's cell in two</summary>
+     * @param {Object} page - Page data
+     * @param {string} panelId - Panel to split
+     * @param {string} split - 'rows' (horizontal gutter) or 'columns' (vertical gutter)
+     * @param {number} ratio - Share of the cell kept by the existing panel, 0-1
+     * @param {string} newPanelId - Panel placed in the new cell
+     * @returns {boolean} Whether the panel was found
+     */
+    static splitPanel(page, panelId, split, ratio, newPanelId) {
+        const found = GutterLayout.findLeaf(page.layoutTree, panelId);
+        if (!found) return false;
+
+        const share = Math.max(0.1, Math.min(0.9, ratio));
+        const newLeaf = { panelId: newPanelId };
+        const { parent, index } = found;
+
+        if (parent && parent.split === split) {
+            // Same direction as the container: add a sibling instead of nesting
+            const size = parent.sizes[index];
+            parent.children.splice(index + 1, 0, newLeaf);
+            parent.sizes.splice(index, 1, size * share, size * (1 - share));
+        } else {
+            const container = { split, sizes: [share, 1 - share], children: [found.node, newLeaf] };
+            if (parent) {
+                parent.children[index] = container;
+            } else {
+                page.layoutTree = container;
+            }
+        }
+
+        GutterLayout.applyLayout(page);
+        return true;
+    }
+
+    /**
+     * <summary>Get the panels a panel can merge with</summary>
+     * Only neighbours sharing a full edge (adjacent leaves of the same split) can merge,
+     * since anything else would not leave a rectangle.
+     * @returns {Array} { panelId, side } where side is 'left', 'right', 'above' or 'below'
+     */
+    static getMergeNeighbours(page, panelId) {
+        const found = GutterLayout.findLeaf(page.layoutTree, panelId);
+        if (!found?.parent) return [];
+
+        const { parent, index } = found;
+        const sides = parent.split === 'columns' ? ['left', 'right'] : ['above', 'below'];
+        const neighbours = [];
+
+        [[index - 1, sides[0]], [index + 1, sides[1]]].forEach(([i, side]) => {
+            const sibling = parent.children[i];
+            if (sibling && !sibling.children) {
+                neighbours.push({ panelId: sibling.panelId, side });
+            }
+        });
+
+        return neighbours;
+    }
+
+    /**
+     * <summary>Merge a neighbouring panel's cell into a panel's cell</summary>
+     * @returns {boolean} Whether the cells were merged; the caller removes the neighbour panel
+     */
+    static mergePanels(page, panelId, neighbourId) {
+        if (!GutterLayout.getMergeNeighbours(page, panelId).some(n => n.panelId === neighbourId)) {
+            return false;
+        }
+
+        const { parent, index } = GutterLayout.findLeaf(page.layoutTree, panelId);
+        const neighbourIndex = parent.children.findIndex(child => child.panelId === neighbourId);
+
+        parent.sizes[index] += parent.sizes[neighbourIndex];
+        parent.children.splice(neighbourIndex, 1);
+        parent.sizes.splice(neighbourIndex, 1);
+
+        page.layoutTree = GutterLayout.collapse(page.layoutTree);
+        return true;
+    }
+
+    /**
+     * <summary>Remove a panel's cell; its neighbours share the freed space</summary>
+     */
+    static removePanel(page, panelId) {
+        const remaining = new Set(page.panels.map(panel => panel.id));
+        remaining.delete(panelId);
+        page.layoutTree = GutterLayout.prune(page.layoutTree, remaining);
+    }
+
+    /**
+     * <summary>Replace panel ids in a tree, e.g. after duplicating a page</summary>
+     */
+    static remapIds(node, idMap) {
+        if (!node) return node;
+        if (!node.children) return { panelId: idMap.get(node.panelId) || node.panelId };
+        return { ...node, sizes: [...node.sizes], children: node.children.map(child => GutterLayout.remapIds(child, idMap)) };
+    }
+
+    static findLeaf(node, panelId, parent = null, index = 0, path = []) {
+        if (!node) return null;
+        if (!node.children) {
+            return node.panelId === panelId ? { node, parent, index, path } : null;
+        }
+        for (let i = 0; i < node.children.length; i++) {
+            const found = GutterLayout.findLeaf(node.children[i], panelId, node, i, [...path, i]);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    static getNode(node, path) {
+        return path.reduce((current, index) => current?.children?.[index], node);
+    }
+
+    /**
+     * <summary>Drop leaves for panels that no longer exist and collapse the tree</summary>
+     */
+    static prune(node, panelIds) {
+        if (!node) return null;
+        if (!node.children) return panelIds.has(node.panelId) ? node : null;
+
+        const kept = [];
+        const sizes = [];
+        node.children.forEach((child, index) => {
+            const pruned = GutterLayout.prune(child, panelIds);
+            if (pruned) {
+                kept.push(pruned);
+                sizes.push(node.sizes[index]);
+            }
+        });
+
+        if (!kept.length) return null;
+        return GutterLayout.collapse({ ...node, children: kept, sizes: GutterLayout.normalizeSizes(sizes) });
+    }
+
+    /**
+     * <summary>Flatten single-child splits and nested splits in the same direction</summary>
+     */
+    static collapse(node) {
+        if (!node?.children) return node;
+
+        node.sizes = GutterLayout.normalizeSizes(node.sizes);
+        const children = [];
+        const sizes = [];
+
+        node.children.forEach((child, index) => {
+            const collapsed = GutterLayout.collapse(child);
+            if (collapsed.children && collapsed.split === node.split) {
+                collapsed.children.forEach((grandchild, i) => {
+                    children.push(grandchild);
+                    sizes.push(node.sizes[index] * collapsed.sizes[i]);
+                });
+            } else {
+                children.push(collapsed);
+                sizes.push(node.sizes[index]);
+            }
+        });
+
+        if (children.length === 1) return children[0];
+        return { ...node, children, sizes };
+    }
+
+    static normalizeSizes(sizes) {
+        const total = sizes.reduce((sum, size) => sum + size, 0);
+        return total > 0 ? sizes.map(size => size / total) : sizes.map(() => 1 / sizes.length);
+    }
+}
+
+window.GutterLayout = GutterLayout;
@@ -0,0 +1,110 @@
+/**
+ * <summary>Comic Book Generator - Image Export</summary>
+ * Helpers for exporting pages or single panels as image files: file name patterns, page
+ * ranges and the area a panel crop covers. Rendering itself is done by PageRenderer.
+ *
+ * File name patterns use {token} or {token:03} (zero-padded to 3 digits), for example
+ * "{series}_{issue}_p{page:03}". Tokens are listed in ImageExport.TOKENS.
+ */
+
+class ImageExport {
+    static TOKENS = {
+        series: 'Series title (or the comic title)',
+        issue: 'Issue number',
+        title: 'Comic title',
+        page: 'Page position in the export, counting covers and the credits page',
+        panel: 'Panel number in reading order',
+        n: 'Running number of the file'
+    };
+
+    static DEFAULT_PATTERN = '{series}_{issue}_p{page:03}';
+
+    /** Appended to patterns without {panel} when exporting panels, so every crop gets its own name */
+    static PANEL_SUFFIX = '_panel{panel:02}';
+
+    static TOKEN_PATTERN = /\{(\w+)(?::(\d+))?\}/g;
+
+    /**
+     * <summary>Check a file name pattern for unknown tokens</summary>
+     * @returns {string|null} Error message, or null when valid
+     */
+    static validatePattern(pattern) {
+        if (!String(pattern || '').trim()) return 'File name pattern is empty';
+        const unknown = [...String(pattern).matchAll(ImageExport.TOKEN_PATTERN)]
+            .map(match => match[1])
+            .filter(token => !ImageExport.TOKENS[token]);
+        return unknown.length ? `Unknown file name token(s): ${unknown.map(token => `{${token}}`).join(', ')}` : null;
+    }
+
+    /**
+     * <summary>Fill in a file name pattern</summary>
+     * Characters file systems reject are removed and spaces become underscores.
+     * @param {string} pattern - Pattern such as "{series}_{issue}_p{page:03}"
+     * @param {Object} values - Token values
+     * @returns {string} File name without extension
+     */
+    static formatName(pattern, values) {
+        const name = String(pattern).replace(ImageExport.TOKEN_PATTERN, (match, token, width) => {
+            const value = String(values[token] ?? '');
+            return width ? value.padStart(parseInt(width), '0') : value;
+        });
+        return name.replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, '_').replace(/^[_.]+|_+$/g, '') || 'image';
+    }
+
+    /**
+     * <summary>Make a file name unique within an export by numbering repeats</summary>
+     * @param {string} name - File name without extension
+     * @param {Set} used - Names already taken; the returned name is added
+     */
+    static uniqueName(name, used) {
+        let unique = name;
+        for (let i = 2; used.has(unique); i++) unique = `${name}-${i}`;
+        used.add(unique);
+        return unique;
+    }
+
+    /**
+     * <summary>Parse a page range such as "1-4, 7, 10-"</summary>
+     * Page numbers are positions in the export, starting at 1. An empty range means every page.
+     * @param {string} text - Range text
+     * @param {number} count - Number of pages
+     * @returns {Array} Sorted 0-based page indexes
+     */
+    static parsePageRange(text, count) {
+        const range = String(text || '').trim();
+        if (!range) return Array.from({ length: count }, (_, index) => index);
+
+        const indexes = new Set();
+        range.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+            const match = /^(\d*)\s*(-?)\s*(\d*)$/.exec(part);
+            if (!match || (!match[1] && !match[3])) {
+                throw new Error(`Page range "${part}" is not valid; use numbers such as 1-4, 7, 10-`);
+            }
+            const from = match[1] ? parseInt(match[1]) : 1;
+            const to = match[2] ? (match[3] ? parseInt(match[3]) : count) : from;
+            for (let page = Math.max(1, from); page <= Math.min(count, to); page++) {
+                indexes.add(page - 1);
+            }
+        });
+
+        return Array.from(indexes).sort((a, b) => a - b);
+    }
+
+    /**
+     * <summary>Area a panel crop covers: the panel plus any of its lettering that pokes out</summary>
+     * @param {Object} page - Page data
+     * @param {Object} panel - Panel
+     * @param {Array} lettering - PageRenderer.layoutLettering items for the panel
+     * @returns {Object} { x, y, width, height } in layout pixels, inside the page
+     */
+    static getPanelRegion(page, panel, lettering) {
+        const boxes = [panel, ...lettering.map(item => item.box)];
+        const left = Math.max(0, Math.min(...boxes.map(box => box.x)));
+        const top = Math.max(0, Math.min(...boxes.map(box => box.y)));
+        const right = Math.min(page.width, Math.max(...boxes.map(box => box.x + box.width)));
+        const bottom = Math.min(page.height, Math.max(...boxes.map(box => box.y + box.height)));
+        return { x: left, y: top, width: Math.max(1, right - left), height: Math.max(1, bottom - top) };
+    }
+}
+
+window.ImageExport = ImageExport;
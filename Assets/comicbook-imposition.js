@@ -0,0 +1,64 @@
+/**
+ * <summary>Comic Book Generator - Imposition</summary>
+ * Page order for printing saddle-stitched issues. Sheets are printed 2-up on both sides,
+ * nested, folded and stapled through the fold, so every sheet carries four pages: the outer
+ * sheet holds the covers, the innermost sheet the centre spread.
+ *
+ * Page counts must be a multiple of 4; missing pages are printed blank.
+ */
+
+class Imposition {
+    /** Pages per folded sheet */
+    static PAGES_PER_SHEET = 4;
+
+    /**
+     * <summary>Number of blank pages needed to fill the last sheet</summary>
+     */
+    static blanksNeeded(pageCount) {
+        const per = Imposition.PAGES_PER_SHEET;
+        return (per - (pageCount % per)) % per;
+    }
+
+    /**
+     * <summary>Pad a page list to whole sheets</summary>
+     * Filler goes before a trailing back cover so the cover stays on the outside.
+     * @param {Array} pages - Pages in reading order
+     * @param {*} filler - Value to insert for each missing page
+     * @returns {Array} New page list
+     */
+    static pad(pages, filler = null) {
+        const fill = Array(Imposition.blanksNeeded(pages.length)).fill(filler);
+        const at = pages.length && pages[pages.length - 1]?.cover?.side === 'back' ? pages.length - 1 : pages.length;
+        return [...pages.slice(0, at), ...fill, ...pages.slice(at)];
+    }
+
+    /**
+     * <summary>Booklet order for a saddle-stitched issue</summary>
+     * For n pages (1-based), sheet i (0-based, outermost first) carries n - 2i and 1 + 2i on its
+     * front and 2 + 2i and n - 1 - 2i on its back. Right-to-left books bind on the right, so
+     * each side is mirrored.
+     * @param {number} pageCount - Pages in reading order; rounded up to whole sheets
+     * @param {string} direction - 'ltr' or 'rtl'
+     * @returns {Array} Sheets: [{ front: { left, right }, back: { left, right } }] with 0-based
+     *   page indexes, or null where the sheet is blank
+     */
+    static getSignatureOrder(pageCount, direction = 'ltr') {
+        const total = pageCount + Imposition.blanksNeeded(pageCount);
+        const index = (number) => number <= pageCount ? number - 1 : null;
+        const side = (left, right) => direction === 'rtl'
+            ? { left: index(right), right: index(left) }
+            : { left: index(left), right: index(right) };
+        const sheets = [];
+
+        for (let i = 0; i < total / Imposition.PAGES_PER_SHEET; i++) {
+            sheets.push({
+                front: side(total - 2 * i, 1 + 2 * i),
+                back: side(2 + 2 * i, total - 1 - 2 * i)
+            });
+        }
+
+        return sheets;
+    }
+}
+
+window.Imposition = Imposition;
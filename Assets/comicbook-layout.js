@@ -11,21 +11,32 @@ class LayoutManager extends BaseManager {
         this.pages = [];
         this.currentPage = 0;
         this.selectedPanel = null;
+        this.activeInspectorTab = 'scene';
         this.canvasZoom = 100;
         this.canvasOffset = { x: 0, y: 0 };
         this.isDragging = false;
         this.dragStart = { x: 0, y: 0 };
         this.isResizing = false;
         this.resizeHandle = null;
+        this.gutterDrag = null;
+        this.vertexDrag = null;
         this.panelTemplates = new Map();
         this.layoutTemplates = new Map();
+        this.templateBaseSize = { width: 800, height: 600 }; // Page size layout template coordinates are authored for
+        this.templateLibrary = new TemplateLibrary();
         this.generationQueue = [];
         this.isGenerating = false;
         this.snapToGrid = true;
         this.gridSize = 10;
         this.showGrid = true;
-        this.undoStack = [];
-        this.redoStack = [];
+        this.showGuides = true;
+        this.safeAreaIssues = [];
+        this.readingFlowEdit = null; // { pageId, sequence: [panel ids] } while panels are being clicked in order
+        this.history = new CommandHistory({
+            limit: 100,
+            onChange: () => this.updateHistoryControls()
+        });
+        this.pageSnapshots = new Map();
         this.isInitialized = false;
 
         this.log('LayoutManager constructor called');
@@ -50,8 +61,11 @@ class LayoutManager extends BaseManager {
 
             this.initializePanelTemplates();
             this.initializeLayoutTemplates();
+            this.templateLibrary.loadLibrary();
             this.createDefaultPage();
+            this.resetHistory();
             this.setupEventHandlers();
+            this.setupInspectorDelegates();
             this.setupCanvasInteraction();
             this.isInitialized = true;
 
@@ -169,6 +183,19 @@ class LayoutManager extends BaseManager {
                     { x: 50, y: 280, width: 200, height: 240, templateId: 'tall_panel' }
                 ]
             },
+            {
+                id: 'webtoon_strip',
+                name: 'Webtoon Strip Layout',
+                description: 'Full-width panels stacked for vertical scrolling',
+                baseWidth: 800,
+                baseHeight: 3200,
+                panels: [
+                    { x: 0, y: 60, width: 800, height: 680, templateId: 'standard_rect' },
+                    { x: 0, y: 860, width: 800, height: 680, templateId: 'standard_rect' },
+                    { x: 0, y: 1660, width: 800, height: 680, templateId: 'standard_rect' },
+                    { x: 0, y: 2460, width: 800, height: 680, templateId: 'standard_rect' }
+                ]
+            },
             {
                 id: 'splash_focus',
                 name: 'Splash Focus Layout',
@@ -201,14 +228,24 @@ class LayoutManager extends BaseManager {
      * <summary>Create new page data structure</summary>
      */
     createPageData() {
+        // New pages share the current page's format so a comic keeps one trim size
+        const current = this.getCurrentPage();
+        const format = current ? { ...PageFormat.getFormat(current) } : PageFormat.fromPreset(PageFormat.DEFAULT_PRESET);
+        const size = PageFormat.getMediaSize(format);
+
         return {
             id: `page_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
             number: this.pages.length + 1,
             title: `Page ${this.pages.length + 1}`,
-            width: 800,
-            height: 600,
+            width: size.width,
+            height: size.height,
+            format,
             backgroundColor: '#ffffff',
             backgroundImage: null,
+            layoutMode: 'free', // 'free' or 'gutter' (see GutterLayout)
+            layoutTree: null,
+            gutterSize: GutterLayout.DEFAULT_GUTTER,
+            margins: { ...GutterLayout.DEFAULT_MARGINS },
             panels: [],
             readingFlow: [],
             notes: '',
@@ -217,1137 +254,3667 @@ class LayoutManager extends BaseManager {
         };
     }
 
+    // Page management
+
     /**
-     * <summary>Setup event handlers</summary>
+     * <summary>Switch the canvas to another page</summary>
+     * @param {number} pageIndex - Zero-based page index
      */
-    setupEventHandlers() {
-        this.log('Setting up layout event handlers...');
+    switchToPage(pageIndex) {
+        if (!this.pages.length) return;
 
-        // Page navigation
-        this.main.eventManager.on('cbg-current-page', 'change', (e) => {
-            const val = parseInt(e.target.value);
-            if (!isNaN(val)) this.switchToPage(val - 1);
-        });
-        
-        // Layout templates
-        this.main.eventManager.on('cbg-layout-templates', 'change', (e) => {
-            if (e.target.value) {
-                this.applyLayoutTemplate(e.target.value);
-            }
-        });
+        const index = Math.max(0, Math.min(this.pages.length - 1, pageIndex));
+        if (index === this.currentPage) {
+            this.updatePageNavigation();
+            return;
+        }
 
-        // Add panel button
-        this.main.eventManager.on('cbg-add-panel', 'click', () => this.addPanel());
+        this.currentPage = index;
+        this.selectedPanel = null;
+        this.readingFlowEdit = null;
+        this.render();
+        this.log(`Switched to page ${index + 1}`);
+    }
 
-        // Save page button
-        this.main.eventManager.on('cbg-save-page', 'click', () => this.savePage());
+    /**
+     * <summary>Append a new blank page and switch to it</summary>
+     */
+    addPage() {
+        this.insertPage(this.pages.length, 'Add page');
+    }
 
-        // Keyboard shortcuts (document-level)
-        document.addEventListener('keydown', (e) => {
-            if (e.ctrlKey || e.metaKey) {
-                switch (e.key) {
-                    case 'z':
-                        e.preventDefault();
-                        if (e.shiftKey) {
-                            this.redo();
-                        } else {
-                            this.undo();
-                        }
-                        break;
-                    case 's':
-                        e.preventDefault();
-                        this.savePage();
-                        break;
-                    case 'd':
-                        e.preventDefault();
-                        if (this.selectedPanel) {
-                            this.duplicatePanel(this.selectedPanel.id);
-                        }
-                        break;
-                    case 'Delete':
-                    case 'Backspace':
-                        if (this.selectedPanel) {
-                            e.preventDefault();
-                            this.deletePanel(this.selectedPanel.id);
-                        }
-                        break;
-                }
-            }
-        });
-}
+    /**
+     * <summary>Insert a new blank page before or after the current page</summary>
+     * @param {string} position - 'before' or 'after'
+     */
+    insertPageRelative(position) {
+        const index = position === 'before' ? this.currentPage : this.currentPage + 1;
+        this.insertPage(index, position === 'before' ? 'Insert page before' : 'Insert page after');
+    }
 
-/**
- * <summary>Render the layout management interface</summary>
- */
-async render() {
-    try {
-        this.log('Rendering layout interface...');
+    /**
+     * <summary>Insert a page at an index and switch to it</summary>
+     * @param {number} index - Position of the new page
+     * @param {string} label - History label
+     * @param {Object} page - Page to insert; a blank page when omitted
+     */
+    insertPage(index, label = 'Add page', page = null) {
+        const before = this.pages.slice();
+        const beforeIndex = this.currentPage;
 
-        await this.renderCanvas();
-        await this.renderPanelInspector();
-        this.updatePageNavigation();
+        const newPage = page || this.createPageData();
+        const position = Math.max(0, Math.min(this.pages.length, index));
+        this.pages.splice(position, 0, newPage);
+        this.renumberPages();
 
-    } catch (error) {
-        this.handleError('Failed to render layout interface', error);
+        this.currentPage = position;
+        this.selectedPanel = null;
+        this.commitPageStructure(label, before, beforeIndex);
     }
-}
 
-/**
- * <summary>Render the main canvas</summary>
- */
-async renderCanvas() {
-    const canvas = getRequiredElementById('cbg-layout-canvas');
+    /**
+     * <summary>Duplicate a page with all of its panels and insert the copy after it</summary>
+     * @param {number} pageIndex - Zero-based page index; defaults to the current page
+     */
+    duplicatePage(pageIndex = this.currentPage) {
+        const source = this.pages[pageIndex];
+        if (!source) return;
+
+        const copy = JSON.parse(JSON.stringify(source));
+        copy.id = this.createPageData().id;
+        copy.panels = source.panels.map(panel => PanelModel.clonePanel(panel));
+
+        // Keep the reading flow pointing at the copied panels
+        const idMap = new Map(source.panels.map((panel, i) => [panel.id, copy.panels[i].id]));
+        copy.readingFlow = (source.readingFlow || []).map(id => idMap.get(id)).filter(Boolean);
+        copy.layoutTree = GutterLayout.remapIds(source.layoutTree, idMap);
+        copy.createdDate = Date.now();
+        copy.lastModified = Date.now();
+
+        this.insertPage(pageIndex + 1, 'Duplicate page', copy);
+    }
 
-    const currentPageData = this.getCurrentPage();
-    if (!currentPageData) {
-        canvas.innerHTML = '<div class="empty-canvas">No page selected</div>';
-        return;
+    /**
+     * <summary>Move a page to a new position</summary>
+     * @param {number} fromIndex - Current page index
+     * @param {number} toIndex - Target page index
+     */
+    movePage(fromIndex, toIndex) {
+        if (fromIndex === toIndex || !this.pages[fromIndex]) return;
+
+        const before = this.pages.slice();
+        const beforeIndex = this.currentPage;
+        const currentId = this.getCurrentPage()?.id;
+
+        const [page] = this.pages.splice(fromIndex, 1);
+        const target = Math.max(0, Math.min(this.pages.length, toIndex));
+        this.pages.splice(target, 0, page);
+        this.renumberPages();
+
+        this.currentPage = Math.max(0, this.pages.findIndex(p => p.id === currentId));
+        this.commitPageStructure('Reorder pages', before, beforeIndex);
     }
 
-    this.log(`Rendering canvas for page ${currentPageData.number}`);
+    /**
+     * <summary>Delete a page after confirmation</summary>
+     * @param {number} pageIndex - Zero-based page index; defaults to the current page
+     */
+    deletePage(pageIndex = this.currentPage) {
+        const page = this.pages[pageIndex];
+        if (!page) return;
 
-    // Clear canvas
-    canvas.innerHTML = '';
+        if (this.pages.length === 1) {
+            showError('A comic needs at least one page.');
+            return;
+        }
 
-    // Apply canvas styles
-    canvas.style.position = 'relative';
-    canvas.style.width = `${currentPageData.width}px`;
-    canvas.style.height = `${currentPageData.height}px`;
-    canvas.style.backgroundColor = currentPageData.backgroundColor;
-    canvas.style.transform = `scale(${this.canvasZoom / 100})`;
-    canvas.style.transformOrigin = 'top left';
-    canvas.style.border = '2px solid #ccc';
-    canvas.style.borderRadius = '8px';
-    canvas.style.overflow = 'hidden';
+        const panelNote = page.panels.length ? ` and its ${page.panels.length} panel(s)` : '';
+        if (!confirm(`Are you sure you want to delete page ${page.number}${panelNote}?`)) return;
 
-    // Add background image if set
-    if (currentPageData.backgroundImage) {
-        canvas.style.backgroundImage = `url(${currentPageData.backgroundImage})`;
-        canvas.style.backgroundSize = 'cover';
-        canvas.style.backgroundPosition = 'center';
+        const before = this.pages.slice();
+        const beforeIndex = this.currentPage;
+
+        this.pages.splice(pageIndex, 1);
+        this.renumberPages();
+
+        if (this.currentPage >= pageIndex && this.currentPage > 0) {
+            this.currentPage--;
+        }
+        this.selectedPanel = null;
+        this.commitPageStructure('Delete page', before, beforeIndex);
     }
 
-    // Render grid if enabled
-    if (this.showGrid) {
-        this.renderGrid(canvas, currentPageData);
+    /**
+     * <summary>Bring page numbers (and default titles) in line with page order</summary>
+     */
+    renumberPages() {
+        this.pages.forEach((page, index) => {
+            const number = index + 1;
+            if (page.number === number) return;
+
+            if (!page.title || /^Page \d+$/.test(page.title)) {
+                page.title = `Page ${number}`;
+            }
+            page.number = number;
+
+            // Numbering follows position, so it is not an undoable edit of the page itself
+            if (this.pageSnapshots.has(page.id)) {
+                this.pageSnapshots.set(page.id, JSON.stringify(page));
+            }
+        });
     }
 
-    // Render panels
-    currentPageData.panels.forEach(panel => {
-        this.renderPanel(canvas, panel);
-    });
+    /**
+     * <summary>Record a change to the page list as one undoable step and refresh</summary>
+     * Pages are restored by reference; their content is kept in step by the per-page history.
+     * @param {string} label - History label
+     * @param {Array} beforePages - Page list before the change
+     * @param {number} beforeIndex - Current page index before the change
+     */
+    commitPageStructure(label, beforePages, beforeIndex) {
+        const afterPages = this.pages.slice();
+        const afterIndex = this.currentPage;
 
-    // Render reading flow if panels exist
-    if (currentPageData.panels.length > 1) {
-        this.renderReadingFlow(canvas, currentPageData);
+        this.pages.forEach(page => {
+            if (!this.pageSnapshots.has(page.id)) {
+                this.pageSnapshots.set(page.id, JSON.stringify(page));
+            }
+        });
+
+        this.history.push({
+            label,
+            size: (beforePages.length + afterPages.length) * 64,
+            undo: () => this.restorePageList(beforePages, beforeIndex),
+            redo: () => this.restorePageList(afterPages, afterIndex)
+        });
+
+        this.render();
+        this.persistLayoutOptional();
     }
-}
 
     /**
-     * <summary>Render scene tab for panel inspector</summary>
+     * <summary>Restore the page list from history</summary>
      */
-    async renderSceneTab(panel) {
-        const storyManager = this.main.getManager('story');
-        const characterManager = this.main.getManager('characters');
-        const characters = characterManager ? characterManager.getAllCharacters() : [];
+    restorePageList(pages, pageIndex) {
+        this.pages = pages.slice();
+        this.renumberPages();
+        this.currentPage = Math.max(0, Math.min(this.pages.length - 1, pageIndex));
+        this.selectedPanel = null;
+        this.render();
+        this.persistLayoutOptional();
+    }
 
-        return `
-            <!-- Scene Context -->
-            <div class="scene-context mb-4">
-                <h6>Scene Context</h6>
-                
-                ${makeTextInput(null, 'cbg-panel-scene-summary', 'panel_scene_summary', 'What\'s Happening',
-            'Brief description of this scene', panel.sceneSummary || '', 'big',
-            'Hero confronts villain on rooftop, tension builds...')}
+    /**
+     * <summary>Sync the page selector and page strip with the page list</summary>
+     */
+    updatePageNavigation() {
+        const select = document.getElementById('cbg-current-page');
+        if (select) {
+            select.innerHTML = this.pages.map((page, index) =>
+                `<option value="${index + 1}">${CoverDesign.getLabel(page, true) || `Page ${index + 1}`}</option>`
+            ).join('');
+            select.value = String(this.currentPage + 1);
+        }
 
-                <div class="row">
-                    <div class="col-6">
-                        ${makeDropdownInput(null, 'cbg-panel-shot-type', 'panel_shot_type', 'Shot Type',
-                'Camera angle/framing',
-                ['Wide Shot', 'Medium Shot', 'Close-up', 'Extreme Close-up', 'Bird\'s Eye', 'Low Angle', 'High Angle'],
-                panel.shotType || 'Medium Shot')}
-                    </div>
-                    <div class="col-6">
-                        ${makeDropdownInput(null, 'cbg-panel-time-of-day', 'panel_time_of_day', 'Time/Lighting',
-                    'Scene lighting and atmosphere',
-                    ['Dawn', 'Morning', 'Midday', 'Afternoon', 'Sunset', 'Night', 'Indoor', 'Artificial Light'],
-                    panel.timeOfDay || 'Midday')}
-                    </div>
-                </div>
+        this.renderPageStrip();
+    }
 
-                ${makeTextInput(null, 'cbg-panel-mood', 'panel_mood', 'Mood & Atmosphere',
-                        'Emotional tone of the scene', panel.mood || '', 'normal',
-                        'Tense, peaceful, chaotic, mysterious...')}
-            </div>
+    /**
+     * <summary>Render the page strip with mini previews of every page</summary>
+     */
+    renderPageStrip() {
+        const list = document.getElementById('cbg-page-strip-list');
+        if (!list) return;
 
-            <!-- Narrative Flow -->
-            <div class="narrative-flow mb-4">
-                <h6>Narrative Flow</h6>
-                
-                <div class="flow-context">
-                    <div class="row">
-                        <div class="col-12 mb-2">
-                            <label class="form-label small">Previous Panel Context:</label>
-                            <textarea class="form-control form-control-sm" id="cbg-previous-context" rows="2" 
-                                      placeholder="What happened in the previous panel...">${panel.previousContext || ''}</textarea>
+        list.innerHTML = this.pages.map((page, index) => {
+            const active = index === this.currentPage;
+            const panels = page.panels.map(panel => `
+                <span class="page-strip-panel" style="left: ${(panel.x / page.width) * 100}%; top: ${(panel.y / page.height) * 100}%;
+                      width: ${(panel.width / page.width) * 100}%; height: ${(panel.height / page.height) * 100}%;"></span>
+            `).join('');
+
+            return `
+                <li class="page-strip-item ${active ? 'active' : ''} ${page.cover ? 'cover' : ''}" draggable="true" data-page-index="${index}">
+                    <button class="page-strip-thumb" data-page-index="${index}"
+                            style="aspect-ratio: ${page.width} / ${page.height};"
+                            aria-label="${CoverDesign.getLabel(page, true) || `Page ${index + 1}`}, ${page.panels.length} panel(s)"
+                            ${active ? 'aria-current="page"' : ''}>
+                        ${panels}
+                    </button>
+                    <span class="page-strip-number">${CoverDesign.getLabel(page) || index + 1}</span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    // Layout templates
+
+    /**
+     * <summary>Fill the layout template dropdown from the registered templates</summary>
+     */
+    updateTemplateOptions() {
+        const select = document.getElementById('cbg-layout-templates');
+        if (!select) return;
+
+        const templates = Array.from(this.layoutTemplates.values());
+        const options = (list) => list.map(template =>
+            `<option value="${escapeHtml(template.id)}" title="${escapeHtml(template.description || '')}">${escapeHtml(template.name)}</option>`
+        ).join('');
+
+        const builtIn = templates.filter(t => t.source !== 'user');
+        const user = templates.filter(t => t.source === 'user');
+
+        select.innerHTML = '<option value="">Custom Layout</option>' +
+            `<optgroup label="Built-in">${options(builtIn)}</optgroup>` +
+            (user.length ? `<optgroup label="My Templates">${options(user)}</optgroup>` : '');
+        select.value = '';
+    }
+
+    /**
+     * <summary>Apply a layout template to the current page</summary>
+     * Asks whether to replace the page's panels or append to them when the page is not empty.
+     * @param {string} templateId - Layout template ID
+     */
+    applyLayoutTemplate(templateId) {
+        const template = this.layoutTemplates.get(templateId);
+        const page = this.getCurrentPage();
+        const select = document.getElementById('cbg-layout-templates');
+        if (select) select.value = '';
+
+        if (!template || !page) {
+            this.handleError('Failed to apply layout template', new Error(`Unknown template: ${templateId}`));
+            return;
+        }
+
+        if (page.panels.length === 0) {
+            this.placeLayoutTemplate(template, 'replace');
+            return;
+        }
+
+        this.showTemplateApplyModal(template, page);
+    }
+
+    /**
+     * <summary>Ask whether a template replaces or is appended to the current page</summary>
+     */
+    showTemplateApplyModal(template, page) {
+        const slots = template.panels.length;
+        const leftover = Math.max(0, page.panels.length - slots);
+        const leftoverNote = leftover
+            ? `<p class="small text-muted mb-0">${leftover} panel(s) don't fit the template and will stay where they are.</p>`
+            : '';
+
+        const modalHtml = `
+            <div class="modal fade" id="templateApplyModal" tabindex="-1">
+                <div class="modal-dialog">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title">Apply ${escapeHtml(template.name)}</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
                         </div>
-                        <div class="col-12">
-                            <label class="form-label small">Next Panel Setup:</label>
-                            <textarea class="form-control form-control-sm" id="cbg-next-context" rows="2" 
-                                      placeholder="How this sets up the next panel...">${panel.nextContext || ''}</textarea>
+                        <div class="modal-body">
+                            <p>This page already has ${page.panels.length} panel(s).</p>
+                            <p><strong>Replace</strong> moves existing panels into the template's ${slots} slots in reading order, keeping their content.
+                               <strong>Append</strong> adds ${slots} empty panels on top of the current layout.</p>
+                            ${leftoverNote}
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                            <button type="button" class="btn btn-outline-primary" data-template-mode="append">Append</button>
+                            <button type="button" class="btn btn-primary" data-template-mode="replace">Replace</button>
                         </div>
                     </div>
                 </div>
             </div>
+        `;
 
-            <!-- Character Selection -->
-            <div class="character-selection mb-4">
-                <div class="d-flex justify-content-between align-items-center mb-2">
-                    <h6>Characters in Scene</h6>
-                    <button class="btn btn-sm btn-outline-primary" id="cbg-add-character-to-scene">
-                        <i class="fas fa-plus"></i> Add Character
-                    </button>
-                </div>
-                
-                <div id="cbg-scene-characters">
-                    ${this.renderSceneCharacters(panel, characters)}
-                </div>
-            </div>
+        document.getElementById('templateApplyModal')?.remove();
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
 
-            <!-- Scene Generation -->
-            <div class="scene-generation mb-4">
-                <h6>AI Scene Generation</h6>
-                
-                <div class="generation-controls">
-                    <div class="row mb-2">
-                        <div class="col-6">
-                            <select class="form-select form-select-sm" id="cbg-art-style">
-                                <option value="comic">Comic Book Style</option>
-                                <option value="manga">Manga Style</option>
-                                <option value="realistic">Realistic</option>
-                                <option value="cartoon">Cartoon</option>
-                                <option value="noir">Film Noir</option>
-                            </select>
-                        </div>
-                        <div class="col-6">
-                            <select class="form-select form-select-sm" id="cbg-generation-quality">
-                                <option value="draft">Draft Quality</option>
-                                <option value="standard">Standard Quality</option>
-                                <option value="high">High Quality</option>
-                            </select>
-                        </div>
-                    </div>
-                    
-                    <div class="generation-buttons d-flex gap-1 flex-wrap">
-                        <button class="btn btn-sm btn-success" id="cbg-generate-scene">
-                            <i class="fas fa-magic"></i> Generate Scene
-                        </button>
-                        <button class="btn btn-sm btn-info" id="cbg-generate-background">
-                            <i class="fas fa-image"></i> Background Only
-                        </button>
-                        <button class="btn btn-sm btn-warning" id="cbg-generate-variations">
-                            <i class="fas fa-dice"></i> Variations
-                        </button>
-                        <button class="btn btn-sm btn-secondary" id="cbg-refine-scene">
-                            <i class="fas fa-sync-alt"></i> Refine
-                        </button>
-                    </div>
-                </div>
+        const modal = document.getElementById('templateApplyModal');
+        const bsModal = new bootstrap.Modal(modal);
 
-                <!-- Generation Progress -->
-                <div id="cbg-generation-progress" class="generation-progress mt-2" style="display: none;">
-                    <div class="progress">
-                        <div class="progress-bar progress-bar-striped progress-bar-animated" role="progressbar" style="width: 0%"></div>
-                    </div>
-                    <small class="text-muted mt-1 d-block" id="cbg-generation-status">Initializing...</small>
-                </div>
+        modal.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-template-mode]');
+            if (!button) return;
+            this.placeLayoutTemplate(template, button.dataset.templateMode);
+            bsModal.hide();
+        });
+        modal.addEventListener('hidden.bs.modal', () => modal.remove());
 
-                <!-- Generated Images -->
-                <div id="cbg-generated-images" class="generated-images mt-3">
-                    ${panel.generatedImages ? this.renderGeneratedImages(panel.generatedImages) : ''}
-                </div>
-            </div>
+        bsModal.show();
+    }
 
-            <!-- Manual Image Upload -->
-            <div class="manual-upload">
-                <h6>Manual Scene Image</h6>
-                <div class="upload-area">
-                    <input type="file" id="cbg-scene-image-upload" accept="image/*" class="d-none">
-                    <button class="btn btn-outline-secondary btn-sm" onclick="document.getElementById('cbg-scene-image-upload').click()">
-                        <i class="fas fa-upload"></i> Upload Image
-                    </button>
-                    ${panel.sceneImage ? '<button class="btn btn-outline-danger btn-sm ms-2" id="cbg-remove-scene-image"><i class="fas fa-trash"></i> Remove</button>' : ''}
-                </div>
-            </div>
-        `;
+    /**
+     * <summary>Place a template's panels on the current page</summary>
+     * @param {Object} template - Layout template
+     * @param {string} mode - 'replace' maps existing panels into the slots; 'append' adds empty panels
+     */
+    placeLayoutTemplate(template, mode) {
+        const page = this.getCurrentPage();
+        if (!page) return;
+
+        const scaleX = page.width / (template.baseWidth || this.templateBaseSize.width);
+        const scaleY = page.height / (template.baseHeight || this.templateBaseSize.height);
+
+        const slots = template.panels.map(slot => {
+            // User templates carry their own panel style; built-ins reference a panel template
+            const style = TemplateLibrary.extractPanelStyle(
+                slot.style || this.panelTemplates.get(slot.templateId) || this.panelTemplates.get('standard_rect'));
+            return {
+                ...style,
+                x: Math.round(slot.x * scaleX),
+                y: Math.round(slot.y * scaleY),
+                width: Math.round(slot.width * scaleX),
+                height: Math.round(slot.height * scaleY)
+            };
+        });
+
+        if (mode === 'append') {
+            slots.forEach(slot => page.panels.push(PanelModel.createPanel(slot)));
+        } else {
+            const existing = this.getPanelsInReadingOrder(page);
+            const placed = slots.map((slot, index) => {
+                const panel = existing[index];
+                if (!panel) return PanelModel.createPanel(slot);
+                Object.assign(panel, slot, { lastModified: Date.now() });
+                return panel;
+            });
+            const leftover = existing.slice(slots.length);
+
+            page.panels = [...placed, ...leftover];
+            if (page.readingFlow.length) {
+                page.readingFlow = page.panels.map(panel => panel.id);
+            }
+        }
+
+        if (page.layoutMode === 'gutter') {
+            page.layoutTree = GutterLayout.buildTree(page);
+            GutterLayout.applyLayout(page);
+        }
+
+        page.lastModified = Date.now();
+        this.selectedPanel = page.panels.includes(this.selectedPanel) ? this.selectedPanel : null;
+        this.keepTemplateWithProject('layout', template);
+        this.saveState(`Apply ${template.name}`);
+        this.render();
+        this.persistLayoutOptional();
+
+        this.log(`Applied layout template ${template.id} (${mode})`);
     }
 
     /**
-     * <summary>Render scene characters</summary>
+     * <summary>Re-register user templates from the project and the per-user library</summary>
      */
-    renderSceneCharacters(panel, characters) {
-        const sceneCharacters = panel.characters || [];
+    refreshUserTemplates() {
+        [this.layoutTemplates, this.panelTemplates].forEach(templates => {
+            for (const [id, template] of templates) {
+                if (template.source === 'user') templates.delete(id);
+            }
+        });
 
-        if (sceneCharacters.length === 0) {
-            return `
-                <div class="empty-characters text-center p-3 text-muted">
-                    <i class="fas fa-users fa-2x mb-2"></i>
-                    <p class="small mb-0">No characters in this scene</p>
-                </div>
-            `;
+        this.templateLibrary.list('layout').forEach(template => {
+            this.layoutTemplates.set(template.id, { ...template, source: 'user' });
+        });
+        this.templateLibrary.list('panel').forEach(template => {
+            this.panelTemplates.set(template.id, { ...template, source: 'user' });
+        });
+
+        this.updateTemplateOptions();
+    }
+
+    /**
+     * <summary>Copy a library template into the project once it is used, so the project stays self-contained</summary>
+     */
+    keepTemplateWithProject(kind, template) {
+        if (template.source !== 'user' || template.scopes?.includes('project')) return;
+        this.templateLibrary.add(kind, template, ['project']);
+        this.refreshUserTemplates();
+    }
+
+    /**
+     * <summary>Save the current page's panel arrangement as a user layout template</summary>
+     */
+    saveLayoutTemplate() {
+        const page = this.getCurrentPage();
+        if (!page || page.panels.length === 0) {
+            showError('Add some panels to the page before saving it as a template.');
+            return null;
         }
 
-        return sceneCharacters.map((sceneChar, index) => {
-            const character = characters.find(c => c.id === sceneChar.characterId);
-            if (!character) return '';
+        const name = prompt('Template name:', `${page.title || 'Page'} Layout`);
+        if (!name?.trim()) return null;
 
-            return `
-                <div class="scene-character-card mb-2" data-scene-char-index="${index}">
-                    <div class="card card-body p-2">
-                        <div class="d-flex align-items-center justify-content-between">
-                            <div class="d-flex align-items-center">
-                                <div class="character-avatar me-2" style="width: 32px; height: 32px; border-radius: 50%; background: ${this.getRoleColor(character.role)}20; display: flex; align-items: center; justify-content: center; font-weight: bold; color: ${this.getRoleColor(character.role)};">
-                                    ${character.name ? character.name.charAt(0).toUpperCase() : '?'}
-                                </div>
-                                <div>
-                                    <div class="fw-bold small">${character.name || 'Unnamed Character'}</div>
-                                    <div class="text-muted" style="font-size: 11px;">${character.role || 'Unknown Role'}</div>
-                                </div>
-                            </div>
-                            <button class="btn btn-sm btn-outline-danger remove-scene-character" data-character-id="${character.id}">
-                                <i class="fas fa-times"></i>
-                            </button>
+        const template = TemplateLibrary.createLayoutTemplate(page, name.trim());
+        this.templateLibrary.add('layout', template);
+        this.refreshUserTemplates();
+        this.persistLayoutOptional();
+
+        this.log(`Saved layout template ${template.name}`);
+        return template;
+    }
+
+    /**
+     * <summary>Save the selected panel's style as a user panel template</summary>
+     */
+    savePanelTemplate() {
+        const panel = this.selectedPanel;
+        if (!panel) return null;
+
+        const name = prompt('Panel style name:', 'My Panel Style');
+        if (!name?.trim()) return null;
+
+        const template = TemplateLibrary.createPanelTemplate(panel, name.trim());
+        this.templateLibrary.add('panel', template);
+        this.refreshUserTemplates();
+        this.persistLayoutOptional();
+        this.renderPanelInspector();
+
+        this.log(`Saved panel template ${template.name}`);
+        return template;
+    }
+
+    /**
+     * <summary>Apply a panel template's style to the selected panel</summary>
+     * @param {string} templateId - Panel template ID
+     */
+    applyPanelTemplate(templateId) {
+        const template = this.panelTemplates.get(templateId);
+        const panel = this.selectedPanel;
+        if (!template || !panel) return;
+
+        Object.assign(panel, TemplateLibrary.extractPanelStyle(template));
+        if (template.aspectRatio) {
+            panel.height = Math.round(panel.width / template.aspectRatio);
+        }
+
+        this.keepTemplateWithProject('panel', template);
+        this.updatePanel();
+        this.saveState(`Apply ${template.name}`);
+        this.renderPanelInspector();
+    }
+
+    /**
+     * <summary>Delete a user template from the project and the library</summary>
+     */
+    deleteUserTemplate(kind, templateId) {
+        const templates = kind === 'layout' ? this.layoutTemplates : this.panelTemplates;
+        const template = templates.get(templateId);
+        if (!template || template.source !== 'user') return;
+
+        if (!confirm(`Delete template "${template.name}" from this project and your library?`)) return;
+
+        this.templateLibrary.remove(kind, templateId);
+        this.refreshUserTemplates();
+        this.persistLayoutOptional();
+    }
+
+    /**
+     * <summary>Download all user templates as a JSON file</summary>
+     */
+    exportTemplates() {
+        const templates = {
+            layout: this.templateLibrary.list('layout'),
+            panel: this.templateLibrary.list('panel')
+        };
+
+        if (templates.layout.length + templates.panel.length === 0) {
+            showError('There are no user templates to export yet.');
+            return;
+        }
+
+        downloadPlainText('comic-templates.json', TemplateLibrary.serialize(templates));
+        this.log(`Exported ${templates.layout.length} layout and ${templates.panel.length} panel templates`);
+    }
+
+    /**
+     * <summary>Import templates from a JSON file into the project and the library</summary>
+     * @param {File} file - Template file
+     * @returns {Promise<number>} Number of imported templates
+     */
+    async importTemplates(file) {
+        try {
+            const text = await new Promise((resolve, reject) => {
+                try {
+                    readFileText(file, (t) => resolve(t));
+                } catch (e) {
+                    reject(e);
+                }
+            });
+
+            const templates = TemplateLibrary.parse(text);
+            templates.layout.forEach(template => this.templateLibrary.add('layout', template));
+            templates.panel.forEach(template => this.templateLibrary.add('panel', template));
+            this.refreshUserTemplates();
+            this.persistLayoutOptional();
+
+            const count = templates.layout.length + templates.panel.length;
+            this.log(`Imported ${count} templates from ${file.name}`);
+            return count;
+
+        } catch (error) {
+            this.handleError('Failed to import templates', error);
+            return 0;
+        }
+    }
+
+    /**
+     * <summary>Show the template gallery with thumbnails of every layout and panel template</summary>
+     */
+    showTemplateGallery() {
+        const modalHtml = `
+            <div class="modal fade" id="templateGalleryModal" tabindex="-1">
+                <div class="modal-dialog modal-xl">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title">Templates</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
                         </div>
-                        
-                        <div class="character-scene-details mt-2">
-                            <div class="row">
-                                <div class="col-6">
-                                    <label class="form-label" style="font-size: 11px;">Position:</label>
-                                    <select class="form-select form-select-sm character-position" data-character-id="${character.id}">
-                                        <option value="foreground" ${sceneChar.position === 'foreground' ? 'selected' : ''}>Foreground</option>
-                                        <option value="midground" ${sceneChar.position === 'midground' ? 'selected' : ''}>Midground</option>
-                                        <option value="background" ${sceneChar.position === 'background' ? 'selected' : ''}>Background</option>
-                                    </select>
-                                </div>
-                                <div class="col-6">
-                                    <label class="form-label" style="font-size: 11px;">Expression:</label>
-                                    <select class="form-select form-select-sm character-expression" data-character-id="${character.id}">
-                                        <option value="neutral" ${sceneChar.expression === 'neutral' ? 'selected' : ''}>Neutral</option>
-                                        <option value="happy" ${sceneChar.expression === 'happy' ? 'selected' : ''}>Happy</option>
-                                        <option value="sad" ${sceneChar.expression === 'sad' ? 'selected' : ''}>Sad</option>
-                                        <option value="angry" ${sceneChar.expression === 'angry' ? 'selected' : ''}>Angry</option>
-                                        <option value="surprised" ${sceneChar.expression === 'surprised' ? 'selected' : ''}>Surprised</option>
-                                        <option value="worried" ${sceneChar.expression === 'worried' ? 'selected' : ''}>Worried</option>
-                                        <option value="determined" ${sceneChar.expression === 'determined' ? 'selected' : ''}>Determined</option>
-                                    </select>
-                                </div>
-                            </div>
-                            
-                            <div class="mt-2">
-                                <label class="form-label" style="font-size: 11px;">Action/Pose:</label>
-                                <input type="text" class="form-control form-control-sm character-action" 
-                                       data-character-id="${character.id}"
-                                       placeholder="What is the character doing?"
-                                       value="${sceneChar.action || ''}">
+                        <div class="modal-body" id="templateGalleryBody">
+                            ${this.renderTemplateGalleryBody()}
+                        </div>
+                        <div class="modal-footer justify-content-between">
+                            <div class="d-flex gap-2">
+                                <button type="button" class="btn btn-outline-secondary" data-gallery-action="import">Import JSON</button>
+                                <button type="button" class="btn btn-outline-secondary" data-gallery-action="export">Export JSON</button>
+                                <input type="file" id="templateImportFile" accept=".json,application/json" class="d-none">
                             </div>
-                            
-                            <div class="character-quick-ref mt-2 p-1 bg-light rounded">
-                                <small class="text-muted">
-                                    <strong>Appearance:</strong> ${character.appearance ? character.appearance.substring(0, 80) + '...' : 'Not defined'}<br>
-                                    <strong>Personality:</strong> ${character.personality ? character.personality.substring(0, 80) + '...' : 'Not defined'}
-                                </small>
+                            <div class="d-flex gap-2">
+                                <button type="button" class="btn btn-outline-primary" data-gallery-action="save-page">Save Current Page as Template</button>
+                                <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
                             </div>
                         </div>
                     </div>
                 </div>
-            `;
-        }).join('');
+            </div>
+        `;
+
+        document.getElementById('templateGalleryModal')?.remove();
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('templateGalleryModal');
+        const bsModal = new bootstrap.Modal(modal);
+        const refresh = () => {
+            document.getElementById('templateGalleryBody').innerHTML = this.renderTemplateGalleryBody();
+        };
+
+        modal.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-gallery-action]');
+            if (!action) return;
+
+            const { galleryAction, templateId, templateKind } = action.dataset;
+            switch (galleryAction) {
+                case 'apply':
+                    bsModal.hide();
+                    this.applyLayoutTemplate(templateId);
+                    break;
+                case 'delete':
+                    this.deleteUserTemplate(templateKind, templateId);
+                    refresh();
+                    break;
+                case 'save-page':
+                    if (this.saveLayoutTemplate()) refresh();
+                    break;
+                case 'export':
+                    this.exportTemplates();
+                    break;
+                case 'import':
+                    document.getElementById('templateImportFile').click();
+                    break;
+            }
+        });
+
+        document.getElementById('templateImportFile').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            await this.importTemplates(file);
+            e.target.value = '';
+            refresh();
+        });
+
+        modal.addEventListener('hidden.bs.modal', () => modal.remove());
+        bsModal.show();
     }
 
     /**
-     * <summary>Render dialogue tab</summary>
+     * <summary>Render the layout and panel template grids for the gallery</summary>
      */
-    renderDialogueTab(panel) {
-        const dialogues = panel.dialogues || [];
-
-        return `
-            <div class="dialogue-management">
-                <!-- Dialogue List -->
-                <div class="d-flex justify-content-between align-items-center mb-3">
-                    <h6>Speech Bubbles & Dialogue</h6>
-                    <button class="btn btn-sm btn-outline-primary" id="cbg-add-dialogue">
-                        <i class="fas fa-plus"></i> Add Dialogue
-                    </button>
-                </div>
-
-                <div id="cbg-dialogue-list">
-                    ${dialogues.length === 0 ? `
-                        <div class="empty-dialogues text-center p-3 text-muted">
-                            <i class="fas fa-comment fa-2x mb-2"></i>
-                            <p class="small mb-0">No dialogue in this panel</p>
-                        </div>
-                    ` : dialogues.map((dialogue, index) => this.renderDialogueCard(dialogue, index)).join('')}
+    renderTemplateGalleryBody() {
+        const scopeBadges = (template) => (template.scopes || []).map(scope =>
+            `<span class="badge bg-secondary">${scope === 'project' ? 'Project' : 'Library'}</span>`
+        ).join(' ');
+
+        const deleteButton = (kind, template) => template.source === 'user'
+            ? `<button class="btn btn-sm btn-outline-danger" data-gallery-action="delete" data-template-kind="${kind}"
+                       data-template-id="${escapeHtml(template.id)}" aria-label="Delete ${escapeHtml(template.name)}">🗑️</button>`
+            : '';
+
+        const layoutCards = Array.from(this.layoutTemplates.values()).map(template => `
+            <div class="template-card card">
+                <button class="template-thumb-button" data-gallery-action="apply" data-template-id="${escapeHtml(template.id)}"
+                        title="Apply ${escapeHtml(template.name)}">
+                    ${TemplateLibrary.renderLayoutThumbnail(template, this.templateBaseSize)}
+                </button>
+                <div class="card-body p-2">
+                    <div class="d-flex justify-content-between align-items-start gap-1">
+                        <h6 class="card-title small mb-1">${escapeHtml(template.name)}</h6>
+                        ${deleteButton('layout', template)}
+                    </div>
+                    <p class="card-text small text-muted mb-1">${escapeHtml(template.description || '')}</p>
+                    ${template.source === 'user' ? scopeBadges(template) : '<span class="badge bg-light text-dark">Built-in</span>'}
                 </div>
-
-                <!-- AI Dialogue Tools -->
-                <div class="ai-dialogue-tools mt-4">
-                    <h6>AI Dialogue Enhancement</h6>
-                    <div class="d-flex gap-1 flex-wrap">
-                        <button class="btn btn-sm btn-outline-success" id="cbg-suggest-dialogue">
-                            <i class="fas fa-robot"></i> Suggest Dialogue
-                        </button>
-                        <button class="btn btn-sm btn-outline-info" id="cbg-improve-dialogue">
-                            <i class="fas fa-sync-alt"></i> Improve Existing
-                        </button>
-                        <button class="btn btn-sm btn-outline-warning" id="cbg-check-voice-consistency">
-                            <i class="fas fa-check-circle"></i> Check Voice
-                        </button>
+            </div>
+        `).join('');
+
+        const panelCards = Array.from(this.panelTemplates.values()).map(template => `
+            <div class="template-card card">
+                <div class="template-thumb-button">${TemplateLibrary.renderPanelThumbnail(template)}</div>
+                <div class="card-body p-2">
+                    <div class="d-flex justify-content-between align-items-start gap-1">
+                        <h6 class="card-title small mb-1">${escapeHtml(template.name)}</h6>
+                        ${deleteButton('panel', template)}
                     </div>
+                    ${template.source === 'user' ? scopeBadges(template) : '<span class="badge bg-light text-dark">Built-in</span>'}
                 </div>
             </div>
+        `).join('');
+
+        return `
+            <h6>Page Layouts</h6>
+            <div class="template-gallery-grid mb-4">${layoutCards}</div>
+            <h6>Panel Styles</h6>
+            <p class="small text-muted">Apply panel styles from the Style tab of the panel inspector.</p>
+            <div class="template-gallery-grid">${panelCards}</div>
         `;
     }
 
     /**
-     * <summary>Render individual dialogue card</summary>
+     * <summary>Get a page's panels in reading order</summary>
+     * Uses the page's explicit reading flow first, then the automatic Z-path along the
+     * publication reading direction.
+     * @param {Object} page - Page data
+     * @returns {Array} Panels in reading order
      */
-    renderDialogueCard(dialogue, index) {
-        const characterManager = this.main.getManager('characters');
-        const character = dialogue.characterId && characterManager ?
-            characterManager.getCharacter(dialogue.characterId) : null;
+    getPanelsInReadingOrder(page) {
+        return ReadingFlow.getOrder(page, this.getReadingDirection());
+    }
 
+    /**
+     * <summary>Get the publication reading direction, 'ltr' or 'rtl'</summary>
+     */
+    getReadingDirection() {
+        return this.main.getManager('publication')?.readingDirection === 'rtl' ? 'rtl' : 'ltr';
+    }
+
+    /**
+     * <summary>Start setting the reading order by clicking panels in sequence</summary>
+     */
+    startReadingFlowEdit() {
+        const page = this.getCurrentPage();
+        if (!page || page.panels.length < 2) return;
+
+        this.readingFlowEdit = { pageId: page.id, sequence: [] };
+        this.selectedPanel = null;
+        this.renderCanvas();
+        this.renderPanelInspector();
+    }
+
+    /**
+     * <summary>Add a clicked panel to the reading order being set</summary>
+     * The order is applied as soon as every panel has been clicked.
+     */
+    addToReadingFlowEdit(panelId) {
+        const page = this.getCurrentPage();
+        const edit = this.readingFlowEdit;
+        if (!page || !edit || edit.sequence.includes(panelId)) return;
+
+        edit.sequence.push(panelId);
+        if (edit.sequence.length === page.panels.length) {
+            this.finishReadingFlowEdit();
+            return;
+        }
+        this.renderCanvas();
+        this.renderPanelInspector();
+    }
+
+    /**
+     * <summary>Apply the clicked order; panels not clicked follow in automatic order</summary>
+     */
+    finishReadingFlowEdit() {
+        const page = this.getCurrentPage();
+        const edit = this.readingFlowEdit;
+        this.readingFlowEdit = null;
+
+        if (page && edit && edit.pageId === page.id && edit.sequence.length) {
+            page.readingFlow = [...edit.sequence];
+            page.lastModified = Date.now();
+            this.saveState('Set reading order', { page });
+        }
+        this.renderCanvas();
+        this.renderPanelInspector();
+    }
+
+    /**
+     * <summary>Stop setting the reading order without changing it</summary>
+     */
+    cancelReadingFlowEdit() {
+        if (!this.readingFlowEdit) return;
+        this.readingFlowEdit = null;
+        this.renderCanvas();
+        this.renderPanelInspector();
+    }
+
+    /**
+     * <summary>Return the page to the automatic reading order</summary>
+     */
+    resetReadingFlow() {
+        const page = this.getCurrentPage();
+        if (!page || !page.readingFlow.length) return;
+
+        page.readingFlow = [];
+        page.lastModified = Date.now();
+        this.saveState('Reset reading order', { page });
+        this.renderCanvas();
+        this.renderPanelInspector();
+    }
+
+    /**
+     * <summary>Bind page strip clicks, toolbar buttons and drag-to-reorder</summary>
+     */
+    setupPageStripHandlers() {
+        this.main.eventManager.on('cbg-add-page', 'click', () => this.addPage());
+        this.main.eventManager.on('cbg-insert-page-before', 'click', () => this.insertPageRelative('before'));
+        this.main.eventManager.on('cbg-insert-page-after', 'click', () => this.insertPageRelative('after'));
+        this.main.eventManager.on('cbg-duplicate-page', 'click', () => this.duplicatePage());
+        this.main.eventManager.on('cbg-delete-page', 'click', () => this.deletePage());
+
+        const list = document.getElementById('cbg-page-strip-list');
+        if (!list) return;
+
+        list.addEventListener('click', (e) => {
+            const thumb = e.target.closest('.page-strip-thumb');
+            if (thumb) this.switchToPage(parseInt(thumb.dataset.pageIndex));
+        });
+
+        let dragIndex = null;
+        list.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.page-strip-item');
+            if (!item) return;
+            dragIndex = parseInt(item.dataset.pageIndex);
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(dragIndex));
+        });
+
+        list.addEventListener('dragover', (e) => {
+            if (dragIndex === null) return;
+            e.preventDefault();
+            list.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+            e.target.closest('.page-strip-item')?.classList.add('drop-target');
+        });
+
+        list.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const item = e.target.closest('.page-strip-item');
+            if (item && dragIndex !== null) {
+                this.movePage(dragIndex, parseInt(item.dataset.pageIndex));
+            }
+        });
+
+        list.addEventListener('dragend', () => {
+            dragIndex = null;
+            list.querySelectorAll('.dragging, .drop-target').forEach(el => el.classList.remove('dragging', 'drop-target'));
+        });
+    }
+
+    /**
+     * <summary>Setup event handlers</summary>
+     */
+    setupEventHandlers() {
+        this.log('Setting up layout event handlers...');
+
+        // Page navigation
+        this.main.eventManager.on('cbg-current-page', 'change', (e) => {
+            const val = parseInt(e.target.value);
+            if (!isNaN(val)) this.switchToPage(val - 1);
+        });
+        
+        // Layout templates
+        this.refreshUserTemplates();
+        this.main.eventManager.on('cbg-template-gallery', 'click', () => this.showTemplateGallery());
+        this.main.eventManager.on('cbg-layout-templates', 'change', (e) => {
+            if (e.target.value) {
+                this.applyLayoutTemplate(e.target.value);
+            }
+        });
+
+        // Add panel button
+        this.main.eventManager.on('cbg-add-panel', 'click', () => this.addPanel());
+
+        // Page strip
+        this.setupPageStripHandlers();
+
+        // Save page button
+        this.main.eventManager.on('cbg-save-page', 'click', () => this.savePage());
+
+        // Undo/redo buttons
+        this.main.eventManager.on('cbg-layout-undo', 'click', () => this.undo());
+        this.main.eventManager.on('cbg-layout-redo', 'click', () => this.redo());
+
+        // Keyboard shortcuts (document-level)
+        document.addEventListener('keydown', (e) => {
+            if (this.main.currentMode !== 'layout_mode') return;
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+            if (e.ctrlKey || e.metaKey) {
+                switch (e.key.toLowerCase()) {
+                    case 'z':
+                        e.preventDefault();
+                        if (e.shiftKey) {
+                            this.redo();
+                        } else {
+                            this.undo();
+                        }
+                        break;
+                    case 'y':
+                        e.preventDefault();
+                        this.redo();
+                        break;
+                    case 's':
+                        e.preventDefault();
+                        this.savePage();
+                        break;
+                    case 'd':
+                        e.preventDefault();
+                        if (this.selectedPanel) {
+                            this.duplicatePanel(this.selectedPanel.id);
+                        }
+                        break;
+                    case 'delete':
+                    case 'backspace':
+                        if (this.selectedPanel) {
+                            e.preventDefault();
+                            this.deletePanel(this.selectedPanel.id);
+                        }
+                        break;
+                }
+            } else if (e.key === 'Escape' && this.readingFlowEdit) {
+                this.cancelReadingFlowEdit();
+            } else if (e.key === 'PageUp' || e.key === 'PageDown') {
+                e.preventDefault();
+                this.switchToPage(this.currentPage + (e.key === 'PageUp' ? -1 : 1));
+            }
+        });
+}
+
+/**
+ * <summary>Render the layout management interface</summary>
+ */
+async render() {
+    try {
+        this.log('Rendering layout interface...');
+
+        await this.renderCanvas();
+        await this.renderPanelInspector();
+        this.updatePageNavigation();
+
+    } catch (error) {
+        this.handleError('Failed to render layout interface', error);
+    }
+}
+
+/**
+ * <summary>Render the main canvas</summary>
+ */
+async renderCanvas() {
+    const canvas = getRequiredElementById('cbg-layout-canvas');
+
+    const currentPageData = this.getCurrentPage();
+    if (!currentPageData) {
+        canvas.innerHTML = '<div class="empty-canvas">No page selected</div>';
+        return;
+    }
+
+    this.log(`Rendering canvas for page ${currentPageData.number}`);
+
+    // Clear canvas
+    canvas.innerHTML = '';
+
+    // Apply canvas styles
+    canvas.style.position = 'relative';
+    canvas.style.width = `${currentPageData.width}px`;
+    canvas.style.height = `${currentPageData.height}px`;
+    canvas.style.backgroundColor = currentPageData.backgroundColor;
+    canvas.style.transform = `scale(${this.canvasZoom / 100})`;
+    canvas.style.transformOrigin = 'top left';
+    canvas.style.border = '2px solid #ccc';
+    canvas.style.borderRadius = '8px';
+    canvas.style.overflow = 'hidden';
+
+    // Add background image if set
+    if (currentPageData.backgroundImage) {
+        canvas.style.backgroundImage = `url(${currentPageData.backgroundImage})`;
+        canvas.style.backgroundSize = 'cover';
+        canvas.style.backgroundPosition = 'center';
+    }
+
+    // Cover art sits under the grid and panels
+    canvas.insertAdjacentHTML('beforeend', CoverDesign.renderHtml(currentPageData, 'art'));
+
+    // Render grid if enabled
+    if (this.showGrid) {
+        this.renderGrid(canvas, currentPageData);
+    }
+
+    // Safe-area issues are computed before panels so offending panels can be marked
+    this.safeAreaIssues = PageFormat.checkSafeArea(currentPageData);
+    this.updateSafeAreaStatus();
+
+    // Render panels
+    currentPageData.panels.forEach(panel => {
+        this.renderPanel(canvas, panel);
+    });
+
+    canvas.insertAdjacentHTML('beforeend', CoverDesign.renderHtml(currentPageData, 'elements'));
+
+    if (this.showGuides) {
+        this.renderPageGuides(canvas, currentPageData);
+    }
+
+    if (GutterLayout.isGutterPage(currentPageData)) {
+        this.renderGutterHandles(canvas, currentPageData);
+    }
+
+    // Render reading flow if panels exist
+    if (currentPageData.panels.length > 1) {
+        this.renderReadingFlow(canvas, currentPageData);
+    }
+}
+
+    /**
+     * <summary>Render the snapping grid behind the panels</summary>
+     */
+    renderGrid(canvas, page) {
+        const grid = document.createElement('div');
+        grid.className = 'canvas-grid';
+        grid.style.cssText = `
+            position: absolute; inset: 0; pointer-events: none;
+            background-image:
+                linear-gradient(to right, rgba(0,0,0,0.06) 1px, transparent 1px),
+                linear-gradient(to bottom, rgba(0,0,0,0.06) 1px, transparent 1px);
+            background-size: ${this.gridSize}px ${this.gridSize}px;
+        `;
+        canvas.appendChild(grid);
+    }
+
+    /**
+     * <summary>Render a single panel on the canvas</summary>
+     */
+    renderPanel(canvas, panel) {
+        canvas.appendChild(this.createPanelElement(panel));
+    }
+
+    /**
+     * <summary>Re-render one panel in place, e.g. while dragging a vertex</summary>
+     */
+    refreshPanelElement(panel) {
+        const existing = document.querySelector(`.comic-panel[data-panel-id="${panel.id}"]`);
+        if (existing) {
+            existing.replaceWith(this.createPanelElement(panel));
+        }
+    }
+
+    /**
+     * <summary>Build the DOM element for a panel</summary>
+     * Lettering is drawn with the Publication manager's renderers so the canvas
+     * shows the same balloons and SFX as the reader. Shaped panels are clipped with
+     * PanelGeometry and outlined with SVG, exactly as in the reader.
+     */
+    createPanelElement(panel) {
+        const page = this.getCurrentPage();
+        const index = page ? page.panels.indexOf(panel) : 0;
+        const isSelected = this.selectedPanel && this.selectedPanel.id === panel.id;
+        const isShaped = PanelGeometry.isShaped(panel);
+        const publicationManager = this.main.getManager('publication');
+
+        const element = document.createElement('div');
+        const hasSafeAreaIssue = this.safeAreaIssues.some(issue => issue.panelId === panel.id);
+        element.className = `comic-panel${isSelected ? ' selected' : ''}${isShaped ? ' shaped' : ''}${hasSafeAreaIssue ? ' safe-area-warning' : ''}`;
+        element.dataset.panelId = panel.id;
+        element.style.left = `${panel.x}px`;
+        element.style.top = `${panel.y}px`;
+        element.style.width = `${panel.width}px`;
+        element.style.height = `${panel.height}px`;
+
+        if (isShaped) {
+            element.style.border = 'none';
+            element.style.background = 'transparent';
+            element.style.overflow = 'visible';
+            if (panel.dropShadow) {
+                element.style.filter = 'drop-shadow(4px 4px 4px rgba(0,0,0,0.35))';
+            }
+        } else {
+            element.style.borderWidth = `${panel.borderWidth ?? PanelModel.DEFAULT_BORDER_WIDTH}px`;
+            element.style.borderStyle = panel.borderStyle || 'solid';
+            element.style.borderColor = isSelected ? '' : (panel.borderColor || '#000000');
+            element.style.backgroundColor = panel.backgroundColor || '#ffffff';
+            element.style.borderRadius = `${panel.borderRadius || 0}px`;
+            element.style.overflow = 'hidden';
+            if (panel.dropShadow) {
+                element.style.boxShadow = '4px 4px 8px rgba(0,0,0,0.35)';
+            }
+        }
+
+        let art = '';
+        const artUrl = PanelModel.getArtUrl(panel);
+        if (artUrl) {
+            art += `<img src="${artUrl}" alt="Panel ${index + 1}" draggable="false" style="width: 100%; height: 100%; object-fit: cover; pointer-events: none;">`;
+        } else {
+            art += `
+                <div class="panel-placeholder" style="display: flex; align-items: center; justify-content: center; height: 100%; padding: 0.5rem; color: #888; font-size: 0.8rem; text-align: center; pointer-events: none;">
+                    ${escapeHtml(panel.sceneSummary || `Panel ${index + 1}`)}
+                </div>
+            `;
+        }
+
+        let content = isShaped
+            ? `<div class="panel-shape-clip" style="position: absolute; inset: 0; overflow: hidden; clip-path: ${PanelGeometry.getClipPath(panel)};
+                    background-color: ${panel.backgroundColor || '#ffffff'};">${art}</div>
+               ${PanelGeometry.renderOutline(panel)}`
+            : art;
+
+        if (publicationManager) {
+            panel.dialogues.forEach((dialogue, idx) => {
+                content += publicationManager.renderSpeechElement(dialogue, idx);
+            });
+            PanelModel.getSoundEffects(panel).forEach((sfx, idx) => {
+                content += publicationManager.renderSoundEffect(sfx, idx);
+            });
+        }
+
+        // Gutter pages are resized by dragging gutters instead of panel corners
+        if (!GutterLayout.isGutterPage(page)) {
+            content += ['nw', 'ne', 'sw', 'se']
+                .map(handle => `<div class="panel-resize-handle ${handle}"></div>`)
+                .join('');
+        }
+
+        if (isSelected && panel.geometry?.type === 'polygon') {
+            content += panel.geometry.points.map(([u, v], vertexIndex) => `
+                <div class="panel-vertex-handle" data-vertex-index="${vertexIndex}"
+                     style="left: ${u * 100}%; top: ${v * 100}%;"
+                     title="Drag to move, Shift+click to remove"></div>
+            `).join('');
+        }
+
+        element.innerHTML = content;
+        return element;
+    }
+
+    /**
+     * <summary>Render bleed, trim and safe-area guides over the page</summary>
+     */
+    renderPageGuides(canvas, page) {
+        const format = PageFormat.getFormat(page);
+        if (!format.bleed && !format.safeMargin) return;
+
+        const { trim, safe, bleedSize } = PageFormat.getGuides(page);
+        const rect = (r) => `left: ${r.x}px; top: ${r.y}px; width: ${r.width}px; height: ${r.height}px;`;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'page-guides';
+        overlay.innerHTML = `
+            ${bleedSize ? `<div class="page-guide trim-guide" style="${rect(trim)} box-shadow: 0 0 0 ${Math.ceil(bleedSize)}px rgba(220,53,69,0.12);" title="Trim line"></div>` : ''}
+            ${format.safeMargin ? `<div class="page-guide safe-guide" style="${rect(safe)}" title="Safe area"></div>` : ''}
+        `;
+        canvas.appendChild(overlay);
+    }
+
+    /**
+     * <summary>Show the current page's safe-area issue count in the layout header</summary>
+     */
+    updateSafeAreaStatus() {
+        const status = document.getElementById('cbg-safe-area-status');
+        if (!status) return;
+
+        const count = this.safeAreaIssues.length;
+        status.hidden = count === 0;
+        status.textContent = count ? `⚠ ${count} safe-area warning${count === 1 ? '' : 's'}` : '';
+        status.title = this.safeAreaIssues.map(issue => issue.message).join('\n');
+    }
+
+    /**
+     * <summary>Render the page margin guide and a drag handle over every gutter</summary>
+     */
+    renderGutterHandles(canvas, page) {
+        const content = GutterLayout.getContentRect(page);
+        const guide = document.createElement('div');
+        guide.className = 'page-margin-guide';
+        guide.style.cssText = `left: ${content.x}px; top: ${content.y}px; width: ${content.width}px; height: ${content.height}px;`;
+        canvas.appendChild(guide);
+
+        GutterLayout.getGutters(page).forEach((gutter, index) => {
+            const handle = document.createElement('div');
+            handle.className = `gutter-handle ${gutter.split}`;
+            handle.dataset.gutterIndex = index;
+            handle.title = 'Drag to resize the neighbouring panels';
+            handle.style.cssText = `left: ${gutter.x}px; top: ${gutter.y}px; width: ${gutter.width}px; height: ${gutter.height}px;`;
+            canvas.appendChild(handle);
+        });
+    }
+
+    /**
+     * <summary>Render reading order numbers and flow arrows on the canvas</summary>
+     * While the order is being set by clicking, only the panels clicked so far are numbered.
+     */
+    renderReadingFlow(canvas, page) {
+        const overlay = document.createElement('div');
+        overlay.className = 'layout-reading-flow';
+        overlay.style.cssText = 'position: absolute; inset: 0; pointer-events: none; z-index: 20;';
+
+        const editing = this.readingFlowEdit?.pageId === page.id;
+        const panels = editing
+            ? this.readingFlowEdit.sequence.map(id => page.panels.find(panel => panel.id === id)).filter(Boolean)
+            : this.getPanelsInReadingOrder(page);
+
+        const ambiguous = new Map();
+        if (!editing) {
+            ReadingFlow.findAmbiguities(page, this.getReadingDirection()).forEach(issue => {
+                issue.panelIds.forEach(id => ambiguous.set(id, issue.message));
+            });
+        }
+
+        let html = ReadingFlow.renderArrows(panels, page.width, page.height);
+        panels.forEach((panel, index) => {
+            const message = ambiguous.get(panel.id);
+            html += `
+                <div class="panel-guide-number ${message ? 'reading-flow-ambiguous' : ''}" ${message ? `title="${escapeHtml(message)}"` : ''}
+                     style="left: ${panel.x + 14}px; top: ${panel.y + 14}px; width: 22px; height: 22px; font-size: 0.75rem;">
+                    ${index + 1}
+                </div>
+            `;
+        });
+        overlay.innerHTML = html;
+
+        canvas.classList.toggle('reading-flow-editing', editing);
+        canvas.appendChild(overlay);
+    }
+
+    /**
+     * <summary>Render the reading order controls and any ambiguities for the page settings</summary>
+     */
+    renderReadingFlowSettings(page) {
+        if (page.panels.length < 2) return '';
+
+        const edit = this.readingFlowEdit?.pageId === page.id ? this.readingFlowEdit : null;
+        if (edit) {
+            return `
+                <div class="reading-flow-settings mb-3">
+                    <h6>Reading Order</h6>
+                    <p class="small mb-2">Click the panels in reading order (${edit.sequence.length} of ${page.panels.length}). Panels you skip follow automatically.</p>
+                    <div class="d-flex gap-1">
+                        <button class="btn btn-sm btn-primary finish-reading-flow" ${edit.sequence.length ? '' : 'disabled'}>Done</button>
+                        <button class="btn btn-sm btn-outline-secondary cancel-reading-flow">Cancel</button>
+                    </div>
+                </div>
+            `;
+        }
+
+        const issues = ReadingFlow.findAmbiguities(page, this.getReadingDirection());
+        const custom = ReadingFlow.isCustom(page);
+        return `
+            <div class="reading-flow-settings mb-3">
+                <h6>Reading Order</h6>
+                <p class="small text-muted mb-2">${custom ? 'Set by hand' : `Automatic (${this.getReadingDirection() === 'rtl' ? 'right to left' : 'left to right'}, row by row)`}</p>
+                ${issues.length ? `
+                    <ul class="reading-flow-issues small mb-2">
+                        ${issues.map(issue => `<li>${escapeHtml(issue.message)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+                <div class="d-flex gap-1">
+                    <button class="btn btn-sm btn-outline-primary edit-reading-flow">Set order by clicking panels</button>
+                    ${custom ? '<button class="btn btn-sm btn-outline-secondary reset-reading-flow">Use automatic order</button>' : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * <summary>Render the panel inspector for the selected panel</summary>
+     */
+    async renderPanelInspector() {
+        const inspector = document.getElementById('cbg-panel-inspector-content');
+        if (!inspector) return;
+
+        const panel = this.selectedPanel;
+        const page = this.getCurrentPage();
+        if (!panel) {
+            inspector.innerHTML = `
+                <div class="empty-inspector text-center p-4 text-muted">
+                    <i class="fas fa-mouse-pointer fa-2x mb-2"></i>
+                    <p class="small mb-0">Select a panel to edit it, or double-click the canvas to add one</p>
+                </div>
+                ${page ? this.renderPageSettings(page) : ''}
+            `;
+            return;
+        }
+
+        const panelNumber = page ? page.panels.indexOf(panel) + 1 : 1;
+        const tabs = [
+            { id: 'scene', label: 'Scene' },
+            { id: 'dialogue', label: 'Dialogue' },
+            { id: 'style', label: 'Style' },
+            { id: 'effects', label: 'Effects' }
+        ];
+
+        let tabContent = '';
+        switch (this.activeInspectorTab) {
+            case 'dialogue':
+                tabContent = this.renderDialogueTab(panel);
+                break;
+            case 'style':
+                tabContent = this.renderStyleTab(panel);
+                break;
+            case 'effects':
+                tabContent = this.renderEffectsTab(panel);
+                break;
+            default:
+                tabContent = await this.renderSceneTab(panel);
+                break;
+        }
+
+        inspector.innerHTML = `
+            <div class="panel-inspector-header d-flex justify-content-between align-items-center mb-2">
+                <strong class="small">Panel ${panelNumber}</strong>
+                <div class="d-flex gap-1">
+                    <button class="btn btn-sm btn-outline-secondary" id="cbg-duplicate-panel" title="Duplicate Panel (Ctrl+D)">
+                        <i class="fas fa-copy"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-danger" id="cbg-delete-panel" title="Delete Panel">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+            ${this.renderSafeAreaIssues(this.safeAreaIssues.filter(issue => issue.panelId === panel.id))}
+            ${GutterLayout.isGutterPage(page) ? this.renderGutterControls(panel, page) : ''}
+            <ul class="nav nav-tabs mb-3">
+                ${tabs.map(tab => `
+                    <li class="nav-item">
+                        <a class="nav-link ${tab.id === this.activeInspectorTab ? 'active' : ''}" data-tab="${tab.id}" href="#">${tab.label}</a>
+                    </li>
+                `).join('')}
+            </ul>
+            <div class="inspector-tab-content">
+                ${tabContent}
+            </div>
+        `;
+
+        if (typeof enableSlidersIn === 'function') {
+            enableSlidersIn(inspector);
+        }
+
+        this.setupPanelInspectorHandlers();
+    }
+
+    /**
+     * <summary>Render page layout settings (layout mode, gutter and margins)</summary>
+     */
+    renderPageSettings(page) {
+        const { gutterSize, margins } = GutterLayout.getSettings(page);
+        const isGutter = page.layoutMode === 'gutter';
+        const marginInput = (side) => `
+            <div class="col-6">
+                <label class="form-label small mb-0" for="cbg-page-margin-${side}">${side.charAt(0).toUpperCase() + side.slice(1)}</label>
+                <input type="number" min="0" class="form-control form-control-sm page-layout-setting" id="cbg-page-margin-${side}"
+                       data-margin="${side}" value="${margins[side]}">
+            </div>
+        `;
+
+        return `
+            <div class="page-settings border-top pt-3">
+                ${this.renderCoverSettings(page)}
+                ${this.renderPageFormatSettings(page)}
+                ${this.renderReadingFlowSettings(page)}
+                <h6>Page ${page.number} Layout</h6>
+                <div class="mb-2">
+                    <label class="form-label small" for="cbg-page-layout-mode">Layout mode</label>
+                    <select class="form-select form-select-sm" id="cbg-page-layout-mode">
+                        <option value="free" ${!isGutter ? 'selected' : ''}>Free-form panels</option>
+                        <option value="gutter" ${isGutter ? 'selected' : ''}>Gutter grid (split and merge)</option>
+                    </select>
+                </div>
+                <div class="mb-2">
+                    <label class="form-label small" for="cbg-page-gutter">Gutter width (px)</label>
+                    <input type="number" min="0" max="200" class="form-control form-control-sm page-layout-setting" id="cbg-page-gutter" value="${gutterSize}">
+                </div>
+                <div class="row g-2">
+                    ${['top', 'right', 'bottom', 'left'].map(marginInput).join('')}
+                </div>
+                ${isGutter ? '<p class="small text-muted mt-2 mb-0">Select a panel to split or merge it. Drag gutters to resize neighbouring panels.</p>' : ''}
+                ${this.renderSafeAreaIssues(this.safeAreaIssues)}
+            </div>
+        `;
+    }
+
+    /**
+     * <summary>Render the cover designer, or buttons to add covers on other pages</summary>
+     */
+    renderCoverSettings(page) {
+        if (!page.cover) {
+            const button = (side) => {
+                const exists = this.pages.some(p => p.cover?.side === side);
+                const label = CoverDesign.SIDES[side].label.toLowerCase();
+                return `<button class="btn btn-sm btn-outline-secondary add-cover" data-side="${side}">${exists ? `Go to ${label}` : `Add ${label}`}</button>`;
+            };
+            return `
+                <div class="cover-settings mb-3">
+                    <h6>Covers</h6>
+                    <div class="d-flex gap-1">${button('front')}${button('back')}</div>
+                </div>
+            `;
+        }
+
+        const design = CoverDesign.normalize(page.cover);
+        const options = (choices, current) => Object.entries(choices)
+            .map(([value, label]) => `<option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>`).join('');
+        const toggle = (path, label, checked) => `
+            <div class="form-check form-switch small mt-2">
+                <input class="form-check-input cover-setting" type="checkbox" id="cbg-cover-${path.replace('.', '-')}" data-cover="${path}" ${checked ? 'checked' : ''}>
+                <label class="form-check-label" for="cbg-cover-${path.replace('.', '-')}">${label}</label>
+            </div>
+        `;
+        const text = (path, placeholder, value) => `
+            <input class="form-control form-control-sm cover-setting" data-cover="${path}" placeholder="${placeholder}" value="${escapeHtml(value || '')}">
+        `;
+        const image = (target, label, url) => `
+            <div class="d-flex gap-1 align-items-center mt-1">
+                <input type="file" accept="image/*" class="form-control form-control-sm cover-image-upload" data-target="${target}" aria-label="${label}">
+                ${url ? `<button class="btn btn-sm btn-outline-secondary clear-cover-image" data-target="${target}" title="Remove image">✕</button>` : ''}
+            </div>
+        `;
+
+        return `
+            <div class="cover-settings mb-3">
+                <h6>${CoverDesign.getLabel(page, true)}</h6>
+                <label class="form-label small mb-0">Full-bleed art</label>
+                ${image('art', 'Cover art', design.art)}
+
+                <label class="form-label small mb-0 mt-2" for="cbg-cover-title">Title logo</label>
+                <textarea class="form-control form-control-sm cover-setting" id="cbg-cover-title" data-cover="title.text" rows="2">${escapeHtml(design.title.text)}</textarea>
+                <div class="mt-1">${text('title.subtitle', 'Subtitle', design.title.subtitle)}</div>
+                <div class="row g-1 mt-1">
+                    <div class="col-6">
+                        <select class="form-select form-select-sm cover-setting" data-cover="title.position" aria-label="Title position">${options(CoverDesign.TITLE_POSITIONS, design.title.position)}</select>
+                    </div>
+                    <div class="col-6">
+                        <select class="form-select form-select-sm cover-setting" data-cover="title.effect" aria-label="Title effect">${options(CoverDesign.TITLE_EFFECTS, design.title.effect)}</select>
+                    </div>
+                    <div class="col-4">
+                        <input type="number" min="12" max="400" class="form-control form-control-sm cover-setting" data-cover="title.size" value="${design.title.size}" title="Title size (px)">
+                    </div>
+                    <div class="col-4">
+                        <input type="color" class="form-control form-control-sm form-control-color cover-setting" data-cover="title.color" value="${design.title.color}" title="Title color">
+                    </div>
+                    <div class="col-4">
+                        <input type="color" class="form-control form-control-sm form-control-color cover-setting" data-cover="title.outlineColor" value="${design.title.outlineColor}" title="Outline and extrude color">
+                    </div>
+                </div>
+
+                ${toggle('issue.show', 'Issue number box', design.issue.show)}
+                ${text('issue.text', '#1', design.issue.text)}
+                ${toggle('price.show', 'Price box', design.price.show)}
+                ${text('price.text', '$3.99', design.price.text)}
+                ${toggle('logo.show', 'Publisher logo', design.logo.show)}
+                ${text('logo.text', 'Publisher name (shown without a logo image)', design.logo.text)}
+                ${image('logo', 'Publisher logo image', design.logo.image)}
+                ${toggle('barcode.show', 'Barcode / UPC area', design.barcode.show)}
+                ${toggle('blurb.show', 'Blurb', design.blurb.show)}
+                <textarea class="form-control form-control-sm cover-setting" data-cover="blurb.text" rows="3" placeholder="Back-cover copy">${escapeHtml(design.blurb.text)}</textarea>
+
+                <button class="btn btn-sm btn-outline-danger mt-2 remove-cover">Make a regular page</button>
+            </div>
+        `;
+    }
+
+    /**
+     * <summary>Render page size, bleed, safe area and export resolution settings</summary>
+     */
+    renderPageFormatSettings(page) {
+        const format = PageFormat.getFormat(page);
+        const units = { in: 'inches', mm: 'millimetres', px: 'pixels' };
+        const step = format.unit === 'in' ? '0.001' : format.unit === 'mm' ? '0.1' : '1';
+        const field = (id, label, value) => `
+            <div class="col-6">
+                <label class="form-label small mb-0" for="${id}">${label}</label>
+                <input type="number" min="0" step="${step}" class="form-control form-control-sm page-format-setting" id="${id}" value="${value}">
+            </div>
+        `;
+
+        return `
+            <h6>Page Size</h6>
+            <div class="mb-2">
+                <label class="form-label small" for="cbg-page-preset">Preset</label>
+                <select class="form-select form-select-sm" id="cbg-page-preset">
+                    ${PageFormat.PRESETS.map(preset => `
+                        <option value="${preset.id}" ${preset.id === format.presetId ? 'selected' : ''}>${escapeHtml(preset.name)}</option>
+                    `).join('')}
+                    <option value="custom" ${format.presetId === 'custom' ? 'selected' : ''}>Custom</option>
+                </select>
+            </div>
+            <div class="row g-2 mb-2">
+                <div class="col-6">
+                    <label class="form-label small mb-0" for="cbg-page-unit">Units</label>
+                    <select class="form-select form-select-sm" id="cbg-page-unit">
+                        ${Object.entries(units).map(([unit, label]) => `
+                            <option value="${unit}" ${unit === format.unit ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="col-6">
+                    <label class="form-label small mb-0" for="cbg-page-dpi">Export DPI</label>
+                    <input type="number" min="72" max="1200" step="1" class="form-control form-control-sm page-format-setting" id="cbg-page-dpi"
+                           value="${format.dpi}" ${format.unit === 'px' ? 'disabled title="Pixel pages export at their own size"' : ''}>
+                </div>
+                ${field('cbg-page-trim-width', 'Trim width', format.trimWidth)}
+                ${field('cbg-page-trim-height', 'Trim height', format.trimHeight)}
+                ${field('cbg-page-bleed', 'Bleed', format.bleed)}
+                ${field('cbg-page-safe', 'Safe margin', format.safeMargin)}
+            </div>
+            <div class="form-check small">
+                <input class="form-check-input" type="checkbox" id="cbg-page-format-all">
+                <label class="form-check-label" for="cbg-page-format-all">Apply size changes to all pages</label>
+            </div>
+            <div class="form-check small mb-2">
+                <input class="form-check-input" type="checkbox" id="cbg-show-guides" ${this.showGuides ? 'checked' : ''}>
+                <label class="form-check-label" for="cbg-show-guides">Show bleed, trim and safe-area guides</label>
+            </div>
+            <button class="btn btn-sm btn-outline-secondary w-100 mb-3 make-webtoon-page" title="Webtoon size, full-width panels and tall vertical gutters">
+                📱 Set up as webtoon strip
+            </button>
+        `;
+    }
+
+    /**
+     * <summary>Render a list of safe-area warnings</summary>
+     */
+    renderSafeAreaIssues(issues) {
+        if (!issues.length) return '';
+
+        return `
+            <div class="alert alert-warning small mt-3 mb-0 safe-area-issues" role="status">
+                <strong>Safe area</strong>
+                <ul class="mb-0 ps-3">
+                    ${issues.map(issue => `<li>${escapeHtml(issue.message)}</li>`).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    /**
+     * <summary>Render split and merge controls for a panel on a gutter page</summary>
+     */
+    renderGutterControls(panel, page) {
+        const sideLabels = { left: 'Left', right: 'Right', above: 'Above', below: 'Below' };
+        const neighbours = GutterLayout.getMergeNeighbours(page, panel.id);
+
+        return `
+            <div class="gutter-controls mb-3">
+                <div class="d-flex align-items-center gap-1 mb-1">
+                    <label class="form-label small mb-0 me-1" for="cbg-split-ratio">Split at</label>
+                    <input type="number" min="10" max="90" step="5" value="50" class="form-control form-control-sm" id="cbg-split-ratio" style="width: 70px;">
+                    <span class="small">%</span>
+                    <button class="btn btn-sm btn-outline-secondary split-panel" data-split="rows" title="Split with a horizontal gutter">⬍ Rows</button>
+                    <button class="btn btn-sm btn-outline-secondary split-panel" data-split="columns" title="Split with a vertical gutter">⬌ Columns</button>
+                </div>
+                ${neighbours.length ? `
+                    <div class="d-flex align-items-center gap-1 flex-wrap">
+                        <span class="small me-1">Merge with</span>
+                        ${neighbours.map(n => `
+                            <button class="btn btn-sm btn-outline-secondary merge-panel" data-panel-id="${n.panelId}">${sideLabels[n.side]}</button>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * <summary>Switch the active inspector tab</summary>
+     */
+    switchInspectorTab(tabId) {
+        if (!tabId || tabId === this.activeInspectorTab) return;
+        this.activeInspectorTab = tabId;
+        this.renderPanelInspector();
+    }
+
+    /**
+     * <summary>Render scene tab for panel inspector</summary>
+     */
+    async renderSceneTab(panel) {
+        const storyManager = this.main.getManager('story');
+        const characterManager = this.main.getManager('characters');
+        const characters = characterManager ? characterManager.getAllCharacters() : [];
+
+        return `
+            <!-- Scene Context -->
+            <div class="scene-context mb-4">
+                <h6>Scene Context</h6>
+                
+                ${makeTextInput(null, 'cbg-panel-scene-summary', 'panel_scene_summary', 'What\'s Happening',
+            'Brief description of this scene', panel.sceneSummary || '', 'big',
+            'Hero confronts villain on rooftop, tension builds...')}
+
+                <div class="row">
+                    <div class="col-6">
+                        ${makeDropdownInput(null, 'cbg-panel-shot-type', 'panel_shot_type', 'Shot Type',
+                'Camera angle/framing',
+                ['Wide Shot', 'Medium Shot', 'Close-up', 'Extreme Close-up', 'Bird\'s Eye', 'Low Angle', 'High Angle'],
+                panel.shotType || 'Medium Shot')}
+                    </div>
+                    <div class="col-6">
+                        ${makeDropdownInput(null, 'cbg-panel-time-of-day', 'panel_time_of_day', 'Time/Lighting',
+                    'Scene lighting and atmosphere',
+                    ['Dawn', 'Morning', 'Midday', 'Afternoon', 'Sunset', 'Night', 'Indoor', 'Artificial Light'],
+                    panel.timeOfDay || 'Midday')}
+                    </div>
+                </div>
+
+                ${makeTextInput(null, 'cbg-panel-mood', 'panel_mood', 'Mood & Atmosphere',
+                        'Emotional tone of the scene', panel.mood || '', 'normal',
+                        'Tense, peaceful, chaotic, mysterious...')}
+            </div>
+
+            <!-- Narrative Flow -->
+            <div class="narrative-flow mb-4">
+                <h6>Narrative Flow</h6>
+                
+                <div class="flow-context">
+                    <div class="row">
+                        <div class="col-12 mb-2">
+                            <label class="form-label small">Previous Panel Context:</label>
+                            <textarea class="form-control form-control-sm" id="cbg-previous-context" rows="2" 
+                                      placeholder="What happened in the previous panel...">${panel.previousContext || ''}</textarea>
+                        </div>
+                        <div class="col-12">
+                            <label class="form-label small">Next Panel Setup:</label>
+                            <textarea class="form-control form-control-sm" id="cbg-next-context" rows="2" 
+                                      placeholder="How this sets up the next panel...">${panel.nextContext || ''}</textarea>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Character Selection -->
+            <div class="character-selection mb-4">
+                <div class="d-flex justify-content-between align-items-center mb-2">
+                    <h6>Characters in Scene</h6>
+                    <button class="btn btn-sm btn-outline-primary" id="cbg-add-character-to-scene">
+                        <i class="fas fa-plus"></i> Add Character
+                    </button>
+                </div>
+                
+                <div id="cbg-scene-characters">
+                    ${this.renderSceneCharacters(panel, characters)}
+                </div>
+            </div>
+
+            <!-- Scene Generation -->
+            <div class="scene-generation mb-4">
+                <h6>AI Scene Generation</h6>
+                
+                <div class="generation-controls">
+                    <div class="row mb-2">
+                        <div class="col-6">
+                            <select class="form-select form-select-sm" id="cbg-art-style">
+                                <option value="comic">Comic Book Style</option>
+                                <option value="manga">Manga Style</option>
+                                <option value="realistic">Realistic</option>
+                                <option value="cartoon">Cartoon</option>
+                                <option value="noir">Film Noir</option>
+                            </select>
+                        </div>
+                        <div class="col-6">
+                            <select class="form-select form-select-sm" id="cbg-generation-quality">
+                                <option value="draft">Draft Quality</option>
+                                <option value="standard">Standard Quality</option>
+                                <option value="high">High Quality</option>
+                            </select>
+                        </div>
+                    </div>
+                    
+                    <div class="generation-buttons d-flex gap-1 flex-wrap">
+                        <button class="btn btn-sm btn-success" id="cbg-generate-scene">
+                            <i class="fas fa-magic"></i> Generate Scene
+                        </button>
+                        <button class="btn btn-sm btn-info" id="cbg-generate-background">
+                            <i class="fas fa-image"></i> Background Only
+                        </button>
+                        <button class="btn btn-sm btn-warning" id="cbg-generate-variations">
+                            <i class="fas fa-dice"></i> Variations
+                        </button>
+                        <button class="btn btn-sm btn-secondary" id="cbg-refine-scene">
+                            <i class="fas fa-sync-alt"></i> Refine
+                        </button>
+                    </div>
+                </div>
+
+                <!-- Generation Progress -->
+                <div id="cbg-generation-progress" class="generation-progress mt-2" style="display: none;">
+                    <div class="progress">
+                        <div class="progress-bar progress-bar-striped progress-bar-animated" role="progressbar" style="width: 0%"></div>
+                    </div>
+                    <small class="text-muted mt-1 d-block" id="cbg-generation-status">Initializing...</small>
+                </div>
+
+                <!-- Generated Images -->
+                <div id="cbg-generated-images" class="generated-images mt-3">
+                    ${panel.generatedImages ? this.renderGeneratedImages(panel.generatedImages) : ''}
+                </div>
+            </div>
+
+            <!-- Manual Image Upload -->
+            <div class="manual-upload">
+                <h6>Manual Scene Image</h6>
+                <div class="upload-area">
+                    <input type="file" id="cbg-scene-image-upload" accept="image/*" class="d-none">
+                    <button class="btn btn-outline-secondary btn-sm" onclick="document.getElementById('cbg-scene-image-upload').click()">
+                        <i class="fas fa-upload"></i> Upload Image
+                    </button>
+                    ${panel.sceneImage ? '<button class="btn btn-outline-danger btn-sm ms-2" id="cbg-remove-scene-image"><i class="fas fa-trash"></i> Remove</button>' : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * <summary>Render scene characters</summary>
+     */
+    renderSceneCharacters(panel, characters) {
+        const sceneCharacters = panel.characters || [];
+
+        if (sceneCharacters.length === 0) {
+            return `
+                <div class="empty-characters text-center p-3 text-muted">
+                    <i class="fas fa-users fa-2x mb-2"></i>
+                    <p class="small mb-0">No characters in this scene</p>
+                </div>
+            `;
+        }
+
+        return sceneCharacters.map((sceneChar, index) => {
+            const character = characters.find(c => c.id === sceneChar.characterId);
+            if (!character) return '';
+
+            return `
+                <div class="scene-character-card mb-2" data-scene-char-index="${index}">
+                    <div class="card card-body p-2">
+                        <div class="d-flex align-items-center justify-content-between">
+                            <div class="d-flex align-items-center">
+                                <div class="character-avatar me-2" style="width: 32px; height: 32px; border-radius: 50%; background: ${this.getRoleColor(character.role)}20; display: flex; align-items: center; justify-content: center; font-weight: bold; color: ${this.getRoleColor(character.role)};">
+                                    ${character.name ? character.name.charAt(0).toUpperCase() : '?'}
+                                </div>
+                                <div>
+                                    <div class="fw-bold small">${character.name || 'Unnamed Character'}</div>
+                                    <div class="text-muted" style="font-size: 11px;">${character.role || 'Unknown Role'}</div>
+                                </div>
+                            </div>
+                            <button class="btn btn-sm btn-outline-danger remove-scene-character" data-character-id="${character.id}">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        </div>
+                        
+                        <div class="character-scene-details mt-2">
+                            <div class="row">
+                                <div class="col-6">
+                                    <label class="form-label" style="font-size: 11px;">Position:</label>
+                                    <select class="form-select form-select-sm character-position" data-character-id="${character.id}">
+                                        <option value="foreground" ${sceneChar.position === 'foreground' ? 'selected' : ''}>Foreground</option>
+                                        <option value="midground" ${sceneChar.position === 'midground' ? 'selected' : ''}>Midground</option>
+                                        <option value="background" ${sceneChar.position === 'background' ? 'selected' : ''}>Background</option>
+                                    </select>
+                                </div>
+                                <div class="col-6">
+                                    <label class="form-label" style="font-size: 11px;">Expression:</label>
+                                    <select class="form-select form-select-sm character-expression" data-character-id="${character.id}">
+                                        <option value="neutral" ${sceneChar.expression === 'neutral' ? 'selected' : ''}>Neutral</option>
+                                        <option value="happy" ${sceneChar.expression === 'happy' ? 'selected' : ''}>Happy</option>
+                                        <option value="sad" ${sceneChar.expression === 'sad' ? 'selected' : ''}>Sad</option>
+                                        <option value="angry" ${sceneChar.expression === 'angry' ? 'selected' : ''}>Angry</option>
+                                        <option value="surprised" ${sceneChar.expression === 'surprised' ? 'selected' : ''}>Surprised</option>
+                                        <option value="worried" ${sceneChar.expression === 'worried' ? 'selected' : ''}>Worried</option>
+                                        <option value="determined" ${sceneChar.expression === 'determined' ? 'selected' : ''}>Determined</option>
+                                    </select>
+                                </div>
+                            </div>
+                            
+                            <div class="mt-2">
+                                <label class="form-label" style="font-size: 11px;">Action/Pose:</label>
+                                <input type="text" class="form-control form-control-sm character-action" 
+                                       data-character-id="${character.id}"
+                                       placeholder="What is the character doing?"
+                                       value="${sceneChar.action || ''}">
+                            </div>
+                            
+                            <div class="character-quick-ref mt-2 p-1 bg-light rounded">
+                                <small class="text-muted">
+                                    <strong>Appearance:</strong> ${character.appearance ? character.appearance.substring(0, 80) + '...' : 'Not defined'}<br>
+                                    <strong>Personality:</strong> ${character.personality ? character.personality.substring(0, 80) + '...' : 'Not defined'}
+                                </small>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * <summary>Render dialogue tab</summary>
+     */
+    renderDialogueTab(panel) {
+        const dialogues = panel.dialogues || [];
+
+        return `
+            <div class="dialogue-management">
+                <!-- Dialogue List -->
+                <div class="d-flex justify-content-between align-items-center mb-3">
+                    <h6>Speech Bubbles & Dialogue</h6>
+                    <button class="btn btn-sm btn-outline-primary" id="cbg-add-dialogue">
+                        <i class="fas fa-plus"></i> Add Dialogue
+                    </button>
+                </div>
+
+                <div id="cbg-dialogue-list">
+                    ${dialogues.length === 0 ? `
+                        <div class="empty-dialogues text-center p-3 text-muted">
+                            <i class="fas fa-comment fa-2x mb-2"></i>
+                            <p class="small mb-0">No dialogue in this panel</p>
+                        </div>
+                    ` : dialogues.map((dialogue, index) => this.renderDialogueCard(dialogue, index)).join('')}
+                </div>
+
+                <!-- AI Dialogue Tools -->
+                <div class="ai-dialogue-tools mt-4">
+                    <h6>AI Dialogue Enhancement</h6>
+                    <div class="d-flex gap-1 flex-wrap">
+                        <button class="btn btn-sm btn-outline-success" id="cbg-suggest-dialogue">
+                            <i class="fas fa-robot"></i> Suggest Dialogue
+                        </button>
+                        <button class="btn btn-sm btn-outline-info" id="cbg-improve-dialogue">
+                            <i class="fas fa-sync-alt"></i> Improve Existing
+                        </button>
+                        <button class="btn btn-sm btn-outline-warning" id="cbg-check-voice-consistency">
+                            <i class="fas fa-check-circle"></i> Check Voice
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * <summary>Render individual dialogue card</summary>
+     */
+    renderDialogueCard(dialogue, index) {
+        const characterManager = this.main.getManager('characters');
+        const character = dialogue.characterId && characterManager ?
+            characterManager.getCharacter(dialogue.characterId) : null;
+
+        return `
+            <div class="dialogue-card mb-3" data-dialogue-index="${index}">
+                <div class="card">
+                    <div class="card-body p-2">
+                        <div class="d-flex justify-content-between align-items-start mb-2">
+                            <div class="dialogue-header">
+                                <div class="d-flex align-items-center">
+                                    <span class="badge bg-secondary me-2">${index + 1}</span>
+                                    <select class="form-select form-select-sm me-2" style="width: auto;" id="cbg-dialogue-character-${index}">
+                                        <option value="">Select Character...</option>
+                                        ${characterManager ? characterManager.getAllCharacters().map(char =>
+            `<option value="${char.id}" ${dialogue.characterId === char.id ? 'selected' : ''}>${char.name}</option>`
+        ).join('') : ''}
+                                        <option value="narrator" ${dialogue.characterId === 'narrator' ? 'selected' : ''}>Narrator</option>
+                                    </select>
+                                    <select class="form-select form-select-sm" style="width: auto;" id="cbg-dialogue-type-${index}">
+                                        <option value="speech" ${dialogue.type === 'speech' ? 'selected' : ''}>Speech</option>
+                                        <option value="thought" ${dialogue.type === 'thought' ? 'selected' : ''}>Thought</option>
+                                        <option value="caption" ${dialogue.type === 'caption' ? 'selected' : ''}>Caption</option>
+                                        <option value="whisper" ${dialogue.type === 'whisper' ? 'selected' : ''}>Whisper</option>
+                                        <option value="shout" ${dialogue.type === 'shout' ? 'selected' : ''}>Shout</option>
+                                    </select>
+                                </div>
+                            </div>
+                            <button class="btn btn-sm btn-outline-danger remove-dialogue" data-dialogue-index="${index}">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </div>
+
+                        <div class="dialogue-content">
+                            <textarea class="form-control form-control-sm mb-2" 
+                                      id="cbg-dialogue-text-${index}"
+                                      placeholder="Enter dialogue text..."
+                                      rows="2">${dialogue.text || ''}</textarea>
+                            
+                            <div class="row">
+                                <div class="col-6">
+                                    <label class="form-label small">X Position (%):</label>
+                                    <input type="range" class="form-range" 
+                                           id="cbg-dialogue-x-${index}"
+                                           min="0" max="80" value="${dialogue.x || 20}">
+                                </div>
+                                <div class="col-6">
+                                    <label class="form-label small">Y Position (%):</label>
+                                    <input type="range" class="form-range" 
+                                           id="cbg-dialogue-y-${index}"
+                                           min="0" max="80" value="${dialogue.y || 20}">
+                                </div>
+                            </div>
+                        </div>
+
+                        ${character ? `
+                            <div class="character-voice-hint mt-2 p-2 bg-light rounded">
+                                <small class="text-muted">
+                                    <strong>${character.name}'s voice:</strong> ${character.speechPattern || character.personality || 'No voice info available'}
+                                </small>
+                            </div>
+                        ` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * <summary>Render style tab</summary>
+     */
+    renderStyleTab(panel) {
         return `
-            <div class="dialogue-card mb-3" data-dialogue-index="${index}">
+            <div class="panel-style-editor">
+                <!-- Panel Appearance -->
+                <div class="panel-appearance mb-4">
+                    <h6>Panel Appearance</h6>
+                    
+                    <div class="row">
+                        <div class="col-6">
+                            <label class="form-label small">Border Width:</label>
+                            <input type="range" class="form-range" id="cbg-panel-border-width" 
+                                   min="0" max="10" value="${panel.borderWidth || 2}">
+                            <small class="text-muted">${panel.borderWidth || 2}px</small>
+                        </div>
+                        <div class="col-6">
+                            <label class="form-label small">Border Color:</label>
+                            <input type="color" class="form-control form-control-sm" 
+                                   id="cbg-panel-border-color" value="${panel.borderColor || '#000000'}">
+                        </div>
+                    </div>
+
+                    <div class="row mt-2">
+                        <div class="col-6">
+                            <label class="form-label small">Border Style:</label>
+                            <select class="form-select form-select-sm" id="cbg-panel-border-style">
+                                <option value="solid" ${panel.borderStyle === 'solid' ? 'selected' : ''}>Solid</option>
+                                <option value="dashed" ${panel.borderStyle === 'dashed' ? 'selected' : ''}>Dashed</option>
+                                <option value="dotted" ${panel.borderStyle === 'dotted' ? 'selected' : ''}>Dotted</option>
+                                <option value="double" ${panel.borderStyle === 'double' ? 'selected' : ''}>Double</option>
+                            </select>
+                        </div>
+                        <div class="col-6">
+                            <label class="form-label small">Background:</label>
+                            <input type="color" class="form-control form-control-sm" 
+                                   id="cbg-panel-bg-color" value="${panel.backgroundColor || '#ffffff'}">
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Panel Shape -->
+                <div class="panel-shape mb-4">
+                    <h6>Panel Shape</h6>
+                    <div class="shape-options">
+                        <div class="row">
+                            <div class="col-6">
+                                <div class="form-check">
+                                    <input class="form-check-input" type="radio" name="panelShape" value="rectangle" 
+                                           ${(panel.shape || 'rectangle') === 'rectangle' ? 'checked' : ''}>
+                                    <label class="form-check-label">Rectangle</label>
+                                </div>
+                                <div class="form-check">
+                                    <input class="form-check-input" type="radio" name="panelShape" value="circle" 
+                                           ${panel.shape === 'circle' ? 'checked' : ''}>
+                                    <label class="form-check-label">Circle</label>
+                                </div>
+                            </div>
+                            <div class="col-6">
+                                <div class="form-check">
+                                    <input class="form-check-input" type="radio" name="panelShape" value="splash" 
+                                           ${panel.shape === 'splash' ? 'checked' : ''}>
+                                    <label class="form-check-label">Splash</label>
+                                </div>
+                                <div class="form-check">
+                                    <input class="form-check-input" type="radio" name="panelShape" value="irregular" 
+                                           ${panel.shape === 'irregular' ? 'checked' : ''}>
+                                    <label class="form-check-label">Slanted / Irregular</label>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div class="shape-vertex-controls d-flex gap-1 flex-wrap mt-2">
+                        <button class="btn btn-sm btn-outline-secondary add-panel-vertex"
+                                title="${panel.geometry?.type === 'polygon' ? 'Add a vertex on the longest edge' : 'Convert the outline to an editable polygon'}">
+                            ${panel.geometry?.type === 'polygon' ? 'Add Vertex' : 'Edit Vertices'}
+                        </button>
+                        ${panel.geometry ? '<button class="btn btn-sm btn-outline-secondary reset-panel-shape">Reset Shape</button>' : ''}
+                    </div>
+                    ${panel.geometry?.type === 'polygon' ? '<small class="text-muted d-block mt-1">Drag the vertex handles on the canvas; Shift+click a handle to remove it.</small>' : ''}
+
+                    ${!panel.geometry ? `
+                        <div class="border-radius-control mt-2">
+                            <label class="form-label small">Corner Radius:</label>
+                            <input type="range" class="form-range" id="cbg-panel-border-radius" 
+                                   min="0" max="20" value="${panel.borderRadius || 0}">
+                            <small class="text-muted">${panel.borderRadius || 0}px</small>
+                        </div>
+                    ` : ''}
+                </div>
+
+                <!-- Visual Effects -->
+                <div class="panel-effects mb-4">
+                    <h6>Visual Effects</h6>
+                    
+                    <div class="effect-options">
+                        <div class="form-check">
+                            <input class="form-check-input" type="checkbox" id="cbg-panel-shadow" 
+                                   ${panel.dropShadow ? 'checked' : ''}>
+                            <label class="form-check-label">Drop Shadow</label>
+                        </div>
+                        <div class="form-check">
+                            <input class="form-check-input" type="checkbox" id="cbg-panel-glow" 
+                                   ${panel.glow ? 'checked' : ''}>
+                            <label class="form-check-label">Inner Glow</label>
+                        </div>
+                        <div class="form-check">
+                            <input class="form-check-input" type="checkbox" id="cbg-panel-vintage" 
+                                   ${panel.vintageEffect ? 'checked' : ''}>
+                            <label class="form-check-label">Vintage Effect</label>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Style Presets -->
+                <div class="style-presets">
+                    <h6>Style Presets</h6>
+                    <div class="preset-buttons d-flex gap-1 flex-wrap">
+                        <button class="btn btn-sm btn-outline-secondary apply-style-preset" data-preset="classic">Classic</button>
+                        <button class="btn btn-sm btn-outline-secondary apply-style-preset" data-preset="manga">Manga</button>
+                        <button class="btn btn-sm btn-outline-secondary apply-style-preset" data-preset="modern">Modern</button>
+                        <button class="btn btn-sm btn-outline-secondary apply-style-preset" data-preset="noir">Noir</button>
+                        <button class="btn btn-sm btn-outline-secondary apply-style-preset" data-preset="cartoon">Cartoon</button>
+                    </div>
+                </div>
+
+                <!-- Panel Templates -->
+                <div class="panel-templates mt-3">
+                    <h6>Panel Templates</h6>
+                    <div class="d-flex gap-1 flex-wrap mb-2">
+                        ${Array.from(this.panelTemplates.values()).map(template => `
+                            <button class="btn btn-sm btn-outline-secondary apply-panel-template d-flex align-items-center gap-1"
+                                    data-template-id="${escapeHtml(template.id)}" title="Apply ${escapeHtml(template.name)}">
+                                ${TemplateLibrary.renderPanelThumbnail(template)}
+                                ${escapeHtml(template.name)}
+                            </button>
+                        `).join('')}
+                    </div>
+                    <button class="btn btn-sm btn-outline-primary save-panel-template">Save Style as Template</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * <summary>Render effects tab</summary>
+     */
+    renderEffectsTab(panel) {
+        const effects = panel.effects || [];
+
+        return `
+            <div class="panel-effects-editor">
+                <!-- Effects List -->
+                <div class="d-flex justify-content-between align-items-center mb-3">
+                    <h6>Visual Effects & Overlays</h6>
+                    <div class="dropdown">
+                        <button class="btn btn-sm btn-outline-primary dropdown-toggle" type="button" data-bs-toggle="dropdown">
+                            <i class="fas fa-plus"></i> Add Effect
+                        </button>
+                        <ul class="dropdown-menu">
+                            <li><a class="dropdown-item add-effect" data-effect-type="motion-lines">Motion Lines</a></li>
+                            <li><a class="dropdown-item add-effect" data-effect-type="impact">Impact Effect</a></li>
+                            <li><a class="dropdown-item add-effect" data-effect-type="energy">Energy Aura</a></li>
+                            <li><a class="dropdown-item add-effect" data-effect-type="particles">Particles</a></li>
+                            <li><a class="dropdown-item add-effect" data-effect-type="weather">Weather</a></li>
+                            <li><a class="dropdown-item add-effect" data-effect-type="lighting">Lighting</a></li>
+                            <li><a class="dropdown-item add-effect" data-effect-type="text-sfx">Text SFX</a></li>
+                        </ul>
+                    </div>
+                </div>
+
+                <div id="cbg-effects-list">
+                    ${effects.length === 0 ? `
+                        <div class="empty-effects text-center p-3 text-muted">
+                            <i class="fas fa-magic fa-2x mb-2"></i>
+                            <p class="small mb-0">No effects added yet</p>
+                        </div>
+                    ` : effects.map((effect, index) => this.renderEffectCard(effect, index)).join('')}
+                </div>
+
+                <!-- Effect Library -->
+                <div class="effect-library mt-4">
+                    <h6>Effect Library</h6>
+                    <div class="effect-presets">
+                        <div class="row">
+                            <div class="col-6">
+                                <button class="btn btn-sm btn-outline-secondary w-100 mb-1" data-preset="explosion">💥 Explosion</button>
+                                <button class="btn btn-sm btn-outline-secondary w-100 mb-1" data-preset="speed-lines">⚡ Speed Lines</button>
+                                <button class="btn btn-sm btn-outline-secondary w-100 mb-1" data-preset="magic-sparkles">✨ Magic</button>
+                            </div>
+                            <div class="col-6">
+                                <button class="btn btn-sm btn-outline-secondary w-100 mb-1" data-preset="smoke">💨 Smoke</button>
+                                <button class="btn btn-sm btn-outline-secondary w-100 mb-1" data-preset="rain">🌧️ Rain</button>
+                                <button class="btn btn-sm btn-outline-secondary w-100 mb-1" data-preset="fire">🔥 Fire</button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * <summary>Render effect card</summary>
+     */
+    renderEffectCard(effect, index) {
+        return `
+            <div class="effect-card mb-2" data-effect-index="${index}">
                 <div class="card">
                     <div class="card-body p-2">
                         <div class="d-flex justify-content-between align-items-start mb-2">
-                            <div class="dialogue-header">
-                                <div class="d-flex align-items-center">
-                                    <span class="badge bg-secondary me-2">${index + 1}</span>
-                                    <select class="form-select form-select-sm me-2" style="width: auto;" id="cbg-dialogue-character-${index}">
-                                        <option value="">Select Character...</option>
-                                        ${characterManager ? characterManager.getAllCharacters().map(char =>
-            `<option value="${char.id}" ${dialogue.characterId === char.id ? 'selected' : ''}>${char.name}</option>`
-        ).join('') : ''}
-                                        <option value="narrator" ${dialogue.characterId === 'narrator' ? 'selected' : ''}>Narrator</option>
-                                    </select>
-                                    <select class="form-select form-select-sm" style="width: auto;" id="cbg-dialogue-type-${index}">
-                                        <option value="speech" ${dialogue.type === 'speech' ? 'selected' : ''}>Speech</option>
-                                        <option value="thought" ${dialogue.type === 'thought' ? 'selected' : ''}>Thought</option>
-                                        <option value="caption" ${dialogue.type === 'caption' ? 'selected' : ''}>Caption</option>
-                                        <option value="whisper" ${dialogue.type === 'whisper' ? 'selected' : ''}>Whisper</option>
-                                        <option value="shout" ${dialogue.type === 'shout' ? 'selected' : ''}>Shout</option>
-                                    </select>
-                                </div>
+                            <div>
+                                <strong class="small">${effect.name || effect.type}</strong>
+                                <div class="text-muted" style="font-size: 11px;">${effect.description || 'No description'}</div>
                             </div>
-                            <button class="btn btn-sm btn-outline-danger remove-dialogue" data-dialogue-index="${index}">
+                            <button class="btn btn-sm btn-outline-danger remove-effect" data-effect-index="${index}">
                                 <i class="fas fa-trash"></i>
                             </button>
                         </div>
+                        
+                        <div class="effect-controls">
+                            ${effect.type === 'text-sfx' ? `
+                                <input type="text" class="form-control form-control-sm mb-2" placeholder="Sound effect text"
+                                       value="${escapeHtml(effect.text || '')}" data-property="text" data-effect-index="${index}">
+                            ` : ''}
+                            <div class="row">
+                                <div class="col-6">
+                                    <label class="form-label small">X Position:</label>
+                                    <input type="range" class="form-range" min="0" max="100" 
+                                           value="${effect.x || 50}" data-property="x" data-effect-index="${index}">
+                                </div>
+                                <div class="col-6">
+                                    <label class="form-label small">Y Position:</label>
+                                    <input type="range" class="form-range" min="0" max="100" 
+                                           value="${effect.y || 50}" data-property="y" data-effect-index="${index}">
+                                </div>
+                            </div>
+                            <div class="row mt-1">
+                                <div class="col-6">
+                                    <label class="form-label small">Intensity:</label>
+                                    <input type="range" class="form-range" min="${PanelModel.EFFECT_INTENSITY.min}" max="${PanelModel.EFFECT_INTENSITY.max}" 
+                                           value="${effect.intensity ?? PanelModel.EFFECT_INTENSITY.default}" data-property="intensity" data-effect-index="${index}">
+                                </div>
+                                <div class="col-6">
+                                    <label class="form-label small">Opacity:</label>
+                                    <input type="range" class="form-range" min="0" max="100" 
+                                           value="${effect.opacity || 100}" data-property="opacity" data-effect-index="${index}">
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * <summary>Render generated images</summary>
+     */
+    renderGeneratedImages(images) {
+        if (!images || images.length === 0) {
+            return '<p class="text-muted small">No generated images yet</p>';
+        }
+
+        return `
+            <div class="generated-images-grid">
+                ${images.map((image, index) => `
+                    <div class="generated-image-card" data-image-index="${index}">
+                        <img src="${image.url}" alt="Generated scene" style="width: 100%; height: auto; border-radius: 4px;">
+                        <div class="image-actions mt-1">
+                            <button class="btn btn-sm btn-outline-primary use-generated-image" data-image-index="${index}">
+                                <i class="fas fa-check"></i> Use This
+                            </button>
+                            <button class="btn btn-sm btn-outline-secondary refine-generated-image" data-image-index="${index}">
+                                <i class="fas fa-sync-alt"></i> Refine
+                            </button>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Mouse event handlers for canvas interaction
+
+    /**
+     * <summary>Handle mouse down on canvas</summary>
+     */
+    handleMouseDown(event) {
+        const rect = event.currentTarget.getBoundingClientRect();
+        const x = (event.clientX - rect.left) / (this.canvasZoom / 100);
+        const y = (event.clientY - rect.top) / (this.canvasZoom / 100);
+
+        // While setting the reading order, clicks only pick panels
+        if (this.readingFlowEdit) {
+            const panel = event.target.closest('.comic-panel');
+            if (panel) this.addToReadingFlowEdit(panel.dataset.panelId);
+            event.preventDefault();
+            return;
+        }
+
+        // Check if clicking on a vertex of the selected panel
+        const vertexHandle = event.target.closest('.panel-vertex-handle');
+        if (vertexHandle && this.selectedPanel) {
+            const vertexIndex = parseInt(vertexHandle.dataset.vertexIndex);
+            if (event.shiftKey) {
+                this.removePanelVertex(vertexIndex);
+            } else {
+                this.vertexDrag = { index: vertexIndex };
+            }
+            event.preventDefault();
+            return;
+        }
+
+        // Check if clicking on a gutter
+        const gutterHandle = event.target.closest('.gutter-handle');
+        if (gutterHandle) {
+            const page = this.getCurrentPage();
+            const gutter = GutterLayout.getGutters(page)[parseInt(gutterHandle.dataset.gutterIndex)];
+            if (gutter) {
+                const node = GutterLayout.getNode(page.layoutTree, gutter.path);
+                this.gutterDrag = { gutter, startSizes: [...node.sizes], start: { x, y } };
+            }
+            event.preventDefault();
+            return;
+        }
+
+        // Check if clicking on resize handle
+        const resizeHandle = event.target.closest('.panel-resize-handle');
+        if (resizeHandle) {
+            this.isResizing = true;
+            this.resizeHandle = resizeHandle.className.split(' ').find(c => ['nw', 'ne', 'sw', 'se'].includes(c));
+            this.dragStart = { x, y };
+            event.preventDefault();
+            return;
+        }
+
+        // Check if clicking on panel
+        const panel = event.target.closest('.comic-panel');
+        if (panel) {
+            const panelId = panel.dataset.panelId;
+            const currentPage = this.getCurrentPage();
+            const panelData = currentPage.panels.find(p => p.id === panelId);
+
+            if (panelData) {
+                this.selectPanel(panelData);
+                // Panels on gutter pages are placed by the split tree, not dragged
+                this.isDragging = !GutterLayout.isGutterPage(currentPage);
+                this.dragStart = { x: x - panelData.x, y: y - panelData.y };
+            }
+            event.preventDefault();
+            return;
+        }
+
+        // Clicking on empty canvas - deselect panel
+        this.selectPanel(null);
+    }
+
+    /**
+     * <summary>Handle mouse move on canvas</summary>
+     */
+    handleMouseMove(event) {
+        if (!this.isDragging && !this.isResizing && !this.gutterDrag && !this.vertexDrag) return;
+
+        const rect = event.currentTarget.getBoundingClientRect();
+        const x = (event.clientX - rect.left) / (this.canvasZoom / 100);
+        const y = (event.clientY - rect.top) / (this.canvasZoom / 100);
+
+        if (this.gutterDrag) {
+            this.handleGutterDrag(x, y);
+            event.preventDefault();
+            return;
+        }
+
+        if (this.vertexDrag && this.selectedPanel) {
+            this.handleVertexDrag(x, y);
+            event.preventDefault();
+            return;
+        }
+
+        if (this.isResizing && this.selectedPanel) {
+            this.handlePanelResize(x, y);
+        } else if (this.isDragging && this.selectedPanel) {
+            this.handlePanelDrag(x, y);
+        }
+
+        event.preventDefault();
+    }
+
+    /**
+     * <summary>Handle mouse up on canvas</summary>
+     */
+    handleMouseUp(event) {
+        if (this.vertexDrag) {
+            this.vertexDrag = null;
+            this.updatePanel();
+            this.saveState('Edit panel shape');
+            return;
+        }
+
+        if (this.gutterDrag) {
+            this.gutterDrag = null;
+            this.saveState('Move gutter');
+            this.renderCanvas();
+            this.persistLayoutOptional();
+            return;
+        }
+
+        if (this.isDragging || this.isResizing) {
+            // One history step per drag gesture; no step is recorded if nothing moved
+            this.saveState(this.isResizing ? 'Resize panel' : 'Move panel');
+            this.renderCanvas(); // Re-render to update
+        }
+
+        this.isDragging = false;
+        this.isResizing = false;
+        this.resizeHandle = null;
+    }
+
+    /**
+     * <summary>Handle double click on canvas</summary>
+     */
+    handleDoubleClick(event) {
+        const panel = event.target.closest('.comic-panel');
+        if (panel) {
+            // Open panel editor modal or focus on inspector
+            const inspector = document.getElementById('cbg-panel-inspector-content');
+            if (inspector) {
+                inspector.scrollIntoView({ behavior: 'smooth' });
+            }
+        } else {
+            // Double-click on empty space - add new panel
+            this.addPanelAtPosition(event);
+        }
+    }
+
+    /**
+     * <summary>Handle right click context menu</summary>
+     */
+    handleRightClick(event) {
+        event.preventDefault();
+
+        const panel = event.target.closest('.comic-panel');
+        if (panel) {
+            this.showPanelContextMenu(event, panel);
+        } else {
+            this.showCanvasContextMenu(event);
+        }
+    }
+
+    /**
+     * <summary>Handle wheel zoom</summary>
+     */
+    handleWheel(event) {
+        if (event.ctrlKey) {
+            event.preventDefault();
+
+            const delta = event.deltaY > 0 ? -10 : 10;
+            this.setCanvasZoom(this.canvasZoom + delta);
+        }
+    }
+
+    /**
+     * <summary>Bind mouse interaction to the layout canvas</summary>
+     */
+    setupCanvasInteraction() {
+        const canvasId = 'cbg-layout-canvas';
+        this.main.eventManager.on(canvasId, 'mousedown', (e) => this.handleMouseDown(e));
+        this.main.eventManager.on(canvasId, 'mousemove', (e) => this.handleMouseMove(e));
+        this.main.eventManager.on(canvasId, 'mouseup', (e) => this.handleMouseUp(e));
+        this.main.eventManager.on(canvasId, 'mouseleave', (e) => this.handleMouseUp(e));
+        this.main.eventManager.on(canvasId, 'dblclick', (e) => this.handleDoubleClick(e));
+        this.main.eventManager.on(canvasId, 'wheel', (e) => this.handleWheel(e));
+    }
+
+    /**
+     * <summary>Set canvas zoom percentage</summary>
+     */
+    setCanvasZoom(zoom) {
+        this.canvasZoom = Math.max(25, Math.min(300, zoom));
+        const canvas = document.getElementById('cbg-layout-canvas');
+        if (canvas) {
+            canvas.style.transform = `scale(${this.canvasZoom / 100})`;
+        }
+    }
+
+    // Panel manipulation methods
+
+    /**
+     * <summary>Handle panel drag</summary>
+     */
+    handlePanelDrag(x, y) {
+        const newX = x - this.dragStart.x;
+        const newY = y - this.dragStart.y;
+
+        // Snap to grid if enabled
+        const snappedX = this.snapToGrid ? Math.round(newX / this.gridSize) * this.gridSize : newX;
+        const snappedY = this.snapToGrid ? Math.round(newY / this.gridSize) * this.gridSize : newY;
+
+        // Constrain to canvas bounds
+        const currentPage = this.getCurrentPage();
+        const constrainedX = Math.max(0, Math.min(currentPage.width - this.selectedPanel.width, snappedX));
+        const constrainedY = Math.max(0, Math.min(currentPage.height - this.selectedPanel.height, snappedY));
+
+        // Update panel position
+        this.selectedPanel.x = constrainedX;
+        this.selectedPanel.y = constrainedY;
+
+        // Update visual position immediately
+        const panelElement = document.querySelector(`[data-panel-id="${this.selectedPanel.id}"]`);
+        if (panelElement) {
+            panelElement.style.left = `${constrainedX}px`;
+            panelElement.style.top = `${constrainedY}px`;
+        }
+    }
+
+    /**
+     * <summary>Handle gutter drag, resizing the panels on both sides</summary>
+     */
+    handleGutterDrag(x, y) {
+        const { gutter, startSizes, start } = this.gutterDrag;
+        const page = this.getCurrentPage();
+        const delta = gutter.split === 'columns' ? x - start.x : y - start.y;
+
+        GutterLayout.moveGutter(page, gutter, startSizes, delta);
+
+        // Move panel elements directly; the full canvas is re-rendered on mouse up
+        page.panels.forEach(panel => {
+            const element = document.querySelector(`[data-panel-id="${panel.id}"]`);
+            if (element) {
+                element.style.left = `${panel.x}px`;
+                element.style.top = `${panel.y}px`;
+                element.style.width = `${panel.width}px`;
+                element.style.height = `${panel.height}px`;
+            }
+        });
+    }
+
+    /**
+     * <summary>Handle vertex drag on a polygon panel</summary>
+     * Vertices are kept inside the panel box; the box itself is moved and resized as usual.
+     */
+    handleVertexDrag(x, y) {
+        const panel = this.selectedPanel;
+        const point = panel.geometry?.points?.[this.vertexDrag.index];
+        if (!point) return;
+
+        point[0] = PanelGeometry.round(PanelGeometry.clamp((x - panel.x) / panel.width));
+        point[1] = PanelGeometry.round(PanelGeometry.clamp((y - panel.y) / panel.height));
+        this.refreshPanelElement(panel);
+    }
+
+    /**
+     * <summary>Handle panel resize</summary>
+     */
+    handlePanelResize(x, y) {
+        const deltaX = x - this.dragStart.x;
+        const deltaY = y - this.dragStart.y;
+        const currentPage = this.getCurrentPage();
+
+        let newX = this.selectedPanel.x;
+        let newY = this.selectedPanel.y;
+        let newWidth = this.selectedPanel.width;
+        let newHeight = this.selectedPanel.height;
+
+        // Apply resize based on handle
+        switch (this.resizeHandle) {
+            case 'nw':
+                newX += deltaX;
+                newY += deltaY;
+                newWidth -= deltaX;
+                newHeight -= deltaY;
+                break;
+            case 'ne':
+                newY += deltaY;
+                newWidth += deltaX;
+                newHeight -= deltaY;
+                break;
+            case 'sw':
+                newX += deltaX;
+                newWidth -= deltaX;
+                newHeight += deltaY;
+                break;
+            case 'se':
+                newWidth += deltaX;
+                newHeight += deltaY;
+                break;
+        }
+
+        // Apply minimum size constraints
+        const minSize = 50;
+        if (newWidth >= minSize && newHeight >= minSize) {
+            // Constrain to canvas bounds
+            newX = Math.max(0, Math.min(currentPage.width - newWidth, newX));
+            newY = Math.max(0, Math.min(currentPage.height - newHeight, newY));
 
-                        <div class="dialogue-content">
-                            <textarea class="form-control form-control-sm mb-2" 
-                                      id="cbg-dialogue-text-${index}"
-                                      placeholder="Enter dialogue text..."
-                                      rows="2">${dialogue.text || ''}</textarea>
-                            
-                            <div class="row">
-                                <div class="col-6">
-                                    <label class="form-label small">X Position (%):</label>
-                                    <input type="range" class="form-range" 
-                                           id="cbg-dialogue-x-${index}"
-                                           min="0" max="80" value="${dialogue.x || 20}">
-                                </div>
-                                <div class="col-6">
-                                    <label class="form-label small">Y Position (%):</label>
-                                    <input type="range" class="form-range" 
-                                           id="cbg-dialogue-y-${index}"
-                                           min="0" max="80" value="${dialogue.y || 20}">
-                                </div>
-                            </div>
-                        </div>
+            // Snap to grid if enabled
+            if (this.snapToGrid) {
+                newX = Math.round(newX / this.gridSize) * this.gridSize;
+                newY = Math.round(newY / this.gridSize) * this.gridSize;
+                newWidth = Math.round(newWidth / this.gridSize) * this.gridSize;
+                newHeight = Math.round(newHeight / this.gridSize) * this.gridSize;
+            }
+
+            // Update panel properties
+            this.selectedPanel.x = newX;
+            this.selectedPanel.y = newY;
+            this.selectedPanel.width = newWidth;
+            this.selectedPanel.height = newHeight;
+
+            // Update visual immediately
+            const panelElement = document.querySelector(`[data-panel-id="${this.selectedPanel.id}"]`);
+            if (panelElement) {
+                panelElement.style.left = `${newX}px`;
+                panelElement.style.top = `${newY}px`;
+                panelElement.style.width = `${newWidth}px`;
+                panelElement.style.height = `${newHeight}px`;
+            }
+        }
+    }
+
+    /**
+     * <summary>Select panel</summary>
+     */
+    selectPanel(panel) {
+        this.selectedPanel = panel;
+        this.renderCanvas();
+        this.renderPanelInspector();
+
+        if (panel) {
+            this.log(`Selected panel: ${panel.id}`);
+        }
+    }
+
+    /**
+     * <summary>Add new panel</summary>
+     */
+    addPanel() {
+        const currentPage = this.getCurrentPage();
+        if (!currentPage) return;
+
+        if (GutterLayout.isGutterPage(currentPage)) {
+            // Make room by splitting the selected (or largest) panel along its longer side
+            const target = this.selectedPanel ||
+                [...currentPage.panels].sort((a, b) => b.width * b.height - a.width * a.height)[0];
+            this.splitPanel(target.id, target.width >= target.height ? 'columns' : 'rows', 0.5);
+            return;
+        }
+
+        const newPanel = this.createPanelData();
+
+        // Position new panel in a free space
+        const position = this.findFreeSpace(currentPage);
+        newPanel.x = position.x;
+        newPanel.y = position.y;
+
+        currentPage.panels.push(newPanel);
+        this.selectPanel(newPanel);
+        this.saveState('Add panel');
+
+        this.persistLayoutOptional();
+
+        this.log('Added new panel:', newPanel.id);
+    }
+
+    /**
+     * <summary>Add panel at specific position</summary>
+     */
+    addPanelAtPosition(event) {
+        if (GutterLayout.isGutterPage(this.getCurrentPage())) {
+            this.addPanel();
+            return;
+        }
+
+        const rect = event.currentTarget.getBoundingClientRect();
+        const x = (event.clientX - rect.left) / (this.canvasZoom / 100);
+        const y = (event.clientY - rect.top) / (this.canvasZoom / 100);
+
+        const currentPage = this.getCurrentPage();
+        if (!currentPage) return;
+
+        const newPanel = this.createPanelData();
+
+        // Snap to grid and constrain to bounds
+        newPanel.x = this.snapToGrid ? Math.round(x / this.gridSize) * this.gridSize : x;
+        newPanel.y = this.snapToGrid ? Math.round(y / this.gridSize) * this.gridSize : y;
+
+        // Ensure panel fits in canvas
+        newPanel.x = Math.max(0, Math.min(currentPage.width - newPanel.width, newPanel.x));
+        newPanel.y = Math.max(0, Math.min(currentPage.height - newPanel.height, newPanel.y));
+
+        currentPage.panels.push(newPanel);
+        this.selectPanel(newPanel);
+        this.saveState('Add panel');
+
+        this.persistLayoutOptional();
+
+        this.log('Added new panel:', newPanel.id);
+    }
+
+    /**
+     * <summary>Create new panel data</summary>
+     */
+    createPanelData() {
+        const template = this.panelTemplates.get('standard_rect');
+
+        return PanelModel.createPanel({
+            shape: template.shape,
+            borderWidth: template.borderWidth,
+            borderStyle: template.borderStyle,
+            borderColor: template.borderColor
+        });
+    }
+
+    /**
+     * <summary>Find free space for new panel</summary>
+     */
+    findFreeSpace(page) {
+        const defaultPosition = { x: 50, y: 50 };
+        const panelWidth = 200;
+        const panelHeight = 150;
+        const margin = 20;
+
+        // Simple algorithm: try positions in a grid pattern
+        for (let y = 50; y < page.height - panelHeight; y += panelHeight + margin) {
+            for (let x = 50; x < page.width - panelWidth; x += panelWidth + margin) {
+                const overlaps = page.panels.some(panel =>
+                    x < panel.x + panel.width + margin &&
+                    x + panelWidth + margin > panel.x &&
+                    y < panel.y + panel.height + margin &&
+                    y + panelHeight + margin > panel.y
+                );
+
+                if (!overlaps) {
+                    return { x, y };
+                }
+            }
+        }
+
+        return defaultPosition;
+    }
+
+    /**
+     * <summary>Duplicate panel</summary>
+     */
+    duplicatePanel(panelId) {
+        const currentPage = this.getCurrentPage();
+        if (!currentPage) return;
+
+        const originalPanel = currentPage.panels.find(p => p.id === panelId);
+        if (!originalPanel) return;
+
+        if (GutterLayout.isGutterPage(currentPage)) {
+            const split = originalPanel.width >= originalPanel.height ? 'columns' : 'rows';
+            this.splitPanel(originalPanel.id, split, 0.5, PanelModel.clonePanel(originalPanel), 'Duplicate panel');
+            return;
+        }
+
+        const duplicatePanel = PanelModel.clonePanel(originalPanel);
+        duplicatePanel.x += 20;
+        duplicatePanel.y += 20;
+
+        currentPage.panels.push(duplicatePanel);
+        this.selectPanel(duplicatePanel);
+        this.saveState('Duplicate panel');
+
+        this.persistLayoutOptional();
+
+        this.log('Duplicated panel:', duplicatePanel.id);
+    }
+
+    /**
+     * <summary>Delete panel</summary>
+     */
+    deletePanel(panelId) {
+        const currentPage = this.getCurrentPage();
+        if (!currentPage) return;
+
+        const panelIndex = currentPage.panels.findIndex(p => p.id === panelId);
+        if (panelIndex === -1) return;
+
+        if (confirm('Are you sure you want to delete this panel?')) {
+            currentPage.panels.splice(panelIndex, 1);
+            currentPage.readingFlow = currentPage.readingFlow.filter(id => id !== panelId);
+
+            if (GutterLayout.isGutterPage(currentPage)) {
+                GutterLayout.removePanel(currentPage, panelId);
+                GutterLayout.applyLayout(currentPage);
+                if (!currentPage.layoutTree) currentPage.layoutMode = 'free';
+            }
+
+            // Clear selection if deleted panel was selected
+            if (this.selectedPanel && this.selectedPanel.id === panelId) {
+                this.selectedPanel = null;
+            }
+
+            this.saveState('Delete panel');
+            this.render();
+
+            this.persistLayoutOptional();
+
+            this.log('Deleted panel:', panelId);
+        }
+    }
+
+    // Page format
+
+    /**
+     * <summary>Change the size, bleed or safe area of the current page (or every page)</summary>
+     * Panels are scaled with the page so the layout keeps its proportions.
+     * @param {Object} format - Page format (see PageFormat)
+     * @param {boolean} allPages - Apply to every page instead of only the current one
+     */
+    setPageFormat(format, allPages = false) {
+        const pages = allPages ? this.pages : [this.getCurrentPage()].filter(Boolean);
+        const size = PageFormat.getMediaSize(format);
+
+        pages.forEach(page => {
+            const scaleX = size.width / page.width;
+            const scaleY = size.height / page.height;
+
+            page.format = { ...format };
+            page.width = size.width;
+            page.height = size.height;
+
+            if (GutterLayout.isGutterPage(page)) {
+                GutterLayout.applyLayout(page);
+            } else {
+                page.panels.forEach(panel => {
+                    panel.x = Math.round(panel.x * scaleX);
+                    panel.y = Math.round(panel.y * scaleY);
+                    panel.width = Math.round(panel.width * scaleX);
+                    panel.height = Math.round(panel.height * scaleY);
+                });
+            }
+            page.lastModified = Date.now();
+        });
+
+        this.savePagesState(allPages ? 'Change size of all pages' : 'Change page size', pages);
+        this.render();
+        this.persistLayoutOptional();
+        this.log(`Page format set to ${PageFormat.describe(format)} on ${pages.length} page(s)`);
+    }
+
+    /**
+     * <summary>Turn the current page (or every page) into a webtoon strip</summary>
+     * Pages get the webtoon size and a gutter layout that stacks their panels, in reading order,
+     * at full width with tall vertical gutters; empty pages get the preset's panel count.
+     * @param {boolean} allPages - Apply to every page instead of only the current one
+     */
+    makeWebtoonPages(allPages = false) {
+        const pages = allPages ? this.pages : [this.getCurrentPage()].filter(Boolean);
+
+        pages.forEach(page => this.applyWebtoonLayout(page));
+
+        this.savePagesState(allPages ? 'Make all pages webtoon strips' : 'Make webtoon strip', pages);
+        this.render();
+        this.persistLayoutOptional();
+        this.log(`Set up ${pages.length} page(s) as webtoon strips`);
+    }
+
+    /**
+     * <summary>Give a page the webtoon size and stack its panels (see makeWebtoonPages)</summary>
+     */
+    applyWebtoonLayout(page) {
+        const { layout } = PageFormat.getPreset('webtoon');
+        const format = PageFormat.fromPreset('webtoon');
+        const size = PageFormat.getMediaSize(format);
+
+        if (!page.panels.length) {
+            for (let i = 0; i < layout.panels; i++) page.panels.push(this.createPanelData());
+        }
+        const ordered = this.getPanelsInReadingOrder(page);
+
+        page.format = { ...format };
+        page.width = size.width;
+        page.height = size.height;
+        page.layoutMode = 'gutter';
+        page.gutterSize = layout.gutterSize;
+        page.margins = { ...layout.margins };
+        page.layoutTree = ordered.length === 1
+            ? { panelId: ordered[0].id }
+            : { split: 'rows', sizes: GutterLayout.normalizeSizes(ordered.map(() => 1)), children: ordered.map(panel => ({ panelId: panel.id })) };
+        GutterLayout.applyLayout(page);
+        page.lastModified = Date.now();
+    }
+
+    /**
+     * <summary>Replace every page with the starting pages of a project template</summary>
+     * Used for new projects, so nothing is recorded in the undo history.
+     * @param {Object} template - { presetId, pages, covers, webtoon } (see DataManager.PROJECT_TEMPLATES)
+     */
+    setUpProjectPages(template) {
+        const format = PageFormat.fromPreset(template.presetId);
+        const size = PageFormat.getMediaSize(format);
+
+        // createPageData copies the current page's format, so the first page sets it for the rest
+        this.pages = [];
+        this.pages.push({ ...this.createPageData(), format, width: size.width, height: size.height });
+        this.currentPage = 0;
+        while (this.pages.length < (template.pages || 1)) {
+            this.pages.push(this.createPageData());
+        }
+        if (template.webtoon) this.pages.forEach(page => this.applyWebtoonLayout(page));
+
+        if (template.covers) {
+            const meta = this.main.getManager('publication')?.publicationMeta || {};
+            ['front', 'back'].forEach(side => {
+                const page = this.createPageData();
+                page.cover = CoverDesign.create(side, meta);
+                page.title = CoverDesign.SIDES[side].label;
+                if (side === 'front') this.pages.unshift(page);
+                else this.pages.push(page);
+            });
+        }
+
+        this.renumberPages();
+        this.selectedPanel = null;
+        this.resetHistory();
+        this.log(`Set up ${this.pages.length} page(s) from the ${template.name || 'project'} template`);
+    }
+
+    /**
+     * <summary>Go to the front or back cover, adding it first if the comic has none</summary>
+     * A new front cover goes before the first page and a new back cover after the last.
+     * @param {string} side - 'front' or 'back'
+     */
+    addCover(side) {
+        const existing = this.pages.findIndex(page => page.cover?.side === side);
+        if (existing >= 0) {
+            this.switchToPage(existing);
+            return;
+        }
 
-                        ${character ? `
-                            <div class="character-voice-hint mt-2 p-2 bg-light rounded">
-                                <small class="text-muted">
-                                    <strong>${character.name}'s voice:</strong> ${character.speechPattern || character.personality || 'No voice info available'}
-                                </small>
-                            </div>
-                        ` : ''}
-                    </div>
-                </div>
-            </div>
-        `;
+        const meta = this.main.getManager('publication')?.publicationMeta || {};
+        const page = this.createPageData();
+        page.cover = CoverDesign.create(side, meta);
+        page.title = CoverDesign.SIDES[side].label;
+
+        this.insertPage(side === 'front' ? 0 : this.pages.length, `Add ${CoverDesign.SIDES[side].label.toLowerCase()}`, page);
+        this.log(`Added ${side} cover`);
     }
 
     /**
-     * <summary>Render style tab</summary>
+     * <summary>Add blank or advertisement pages before the back cover in one undoable step</summary>
+     * Used to bring a print booklet up to a multiple of 4 pages. Ad pages get one full-bleed
+     * panel to hold the ad art.
+     * @param {number} count - Pages to add
+     * @param {string} kind - 'blank' or 'ad'
      */
-    renderStyleTab(panel) {
-        return `
-            <div class="panel-style-editor">
-                <!-- Panel Appearance -->
-                <div class="panel-appearance mb-4">
-                    <h6>Panel Appearance</h6>
-                    
-                    <div class="row">
-                        <div class="col-6">
-                            <label class="form-label small">Border Width:</label>
-                            <input type="range" class="form-range" id="cbg-panel-border-width" 
-                                   min="0" max="10" value="${panel.borderWidth || 2}">
-                            <small class="text-muted">${panel.borderWidth || 2}px</small>
-                        </div>
-                        <div class="col-6">
-                            <label class="form-label small">Border Color:</label>
-                            <input type="color" class="form-control form-control-sm" 
-                                   id="cbg-panel-border-color" value="${panel.borderColor || '#000000'}">
-                        </div>
-                    </div>
+    insertFillerPages(count, kind = 'blank') {
+        if (!(count > 0)) return;
+
+        const before = this.pages.slice();
+        const beforeIndex = this.currentPage;
+        const last = this.pages[this.pages.length - 1];
+        const position = last?.cover?.side === 'back' ? this.pages.length - 1 : this.pages.length;
+
+        const fillers = Array.from({ length: count }, () => {
+            const page = this.createPageData();
+            page.filler = kind;
+            page.title = kind === 'ad' ? 'Advertisement' : 'Blank page';
+            if (kind === 'ad') {
+                page.panels.push(PanelModel.createPanel({
+                    x: 0,
+                    y: 0,
+                    width: page.width,
+                    height: page.height,
+                    borderWidth: 0,
+                    borderStyle: 'none',
+                    sceneSummary: 'Advertisement',
+                    sceneDescription: 'Full-page advertisement'
+                }));
+            }
+            return page;
+        });
 
-                    <div class="row mt-2">
-                        <div class="col-6">
-                            <label class="form-label small">Border Style:</label>
-                            <select class="form-select form-select-sm" id="cbg-panel-border-style">
-                                <option value="solid" ${panel.borderStyle === 'solid' ? 'selected' : ''}>Solid</option>
-                                <option value="dashed" ${panel.borderStyle === 'dashed' ? 'selected' : ''}>Dashed</option>
-                                <option value="dotted" ${panel.borderStyle === 'dotted' ? 'selected' : ''}>Dotted</option>
-                                <option value="double" ${panel.borderStyle === 'double' ? 'selected' : ''}>Double</option>
-                            </select>
-                        </div>
-                        <div class="col-6">
-                            <label class="form-label small">Background:</label>
-                            <input type="color" class="form-control form-control-sm" 
-                                   id="cbg-panel-bg-color" value="${panel.backgroundColor || '#ffffff'}">
-                        </div>
-                    </div>
-                </div>
+        this.pages.splice(position, 0, ...fillers);
+        this.renumberPages();
 
-                <!-- Panel Shape -->
-                <div class="panel-shape mb-4">
-                    <h6>Panel Shape</h6>
-                    <div class="shape-options">
-                        <div class="row">
-                            <div class="col-6">
-                                <div class="form-check">
-                                    <input class="form-check-input" type="radio" name="panelShape" value="rectangle" 
-                                           ${(panel.shape || 'rectangle') === 'rectangle' ? 'checked' : ''}>
-                                    <label class="form-check-label">Rectangle</label>
-                                </div>
-                                <div class="form-check">
-                                    <input class="form-check-input" type="radio" name="panelShape" value="circle" 
-                                           ${panel.shape === 'circle' ? 'checked' : ''}>
-                                    <label class="form-check-label">Circle</label>
-                                </div>
-                            </div>
-                            <div class="col-6">
-                                <div class="form-check">
-                                    <input class="form-check-input" type="radio" name="panelShape" value="splash" 
-                                           ${panel.shape === 'splash' ? 'checked' : ''}>
-                                    <label class="form-check-label">Splash</label>
-                                </div>
-                                <div class="form-check">
-                                    <input class="form-check-input" type="radio" name="panelShape" value="irregular" 
-                                           ${panel.shape === 'irregular' ? 'checked' : ''}>
-                                    <label class="form-check-label">Irregular</label>
-                                </div>
-                            </div>
-                        </div>
-                    </div>
+        this.currentPage = position;
+        this.selectedPanel = null;
+        this.commitPageStructure(kind === 'ad' ? 'Add ad pages' : 'Add blank pages', before, beforeIndex);
+        this.log(`Added ${count} ${kind} page(s)`);
+    }
 
-                    ${panel.shape === 'rectangle' ? `
-                        <div class="border-radius-control mt-2">
-                            <label class="form-label small">Corner Radius:</label>
-                            <input type="range" class="form-range" id="cbg-panel-border-radius" 
-                                   min="0" max="20" value="${panel.borderRadius || 0}">
-                            <small class="text-muted">${panel.borderRadius || 0}px</small>
-                        </div>
-                    ` : ''}
-                </div>
+    /**
+     * <summary>Turn the current cover back into a regular page</summary>
+     */
+    removeCover() {
+        const page = this.getCurrentPage();
+        if (!page?.cover) return;
+        if (!confirm('Remove the cover design from this page? Its panels are kept.')) return;
+
+        delete page.cover;
+        page.lastModified = Date.now();
+        this.saveState('Remove cover');
+        this.render();
+        this.persistLayoutOptional();
+    }
 
-                <!-- Visual Effects -->
-                <div class="panel-effects mb-4">
-                    <h6>Visual Effects</h6>
-                    
-                    <div class="effect-options">
-                        <div class="form-check">
-                            <input class="form-check-input" type="checkbox" id="cbg-panel-shadow" 
-                                   ${panel.dropShadow ? 'checked' : ''}>
-                            <label class="form-check-label">Drop Shadow</label>
-                        </div>
-                        <div class="form-check">
-                            <input class="form-check-input" type="checkbox" id="cbg-panel-glow" 
-                                   ${panel.glow ? 'checked' : ''}>
-                            <label class="form-check-label">Inner Glow</label>
-                        </div>
-                        <div class="form-check">
-                            <input class="form-check-input" type="checkbox" id="cbg-panel-vintage" 
-                                   ${panel.vintageEffect ? 'checked' : ''}>
-                            <label class="form-check-label">Vintage Effect</label>
-                        </div>
-                    </div>
-                </div>
+    /**
+     * <summary>Read the cover designer form into the current cover</summary>
+     */
+    updateCoverFromForm() {
+        const page = this.getCurrentPage();
+        if (!page?.cover) return;
+
+        document.querySelectorAll('.cover-setting').forEach(input => {
+            const [group, key] = input.dataset.cover.split('.');
+            let value = input.value;
+            if (input.type === 'checkbox') value = input.checked;
+            if (input.type === 'number') value = Number(input.value) || page.cover[group][key];
+            page.cover[group][key] = value;
+        });
+        page.lastModified = Date.now();
 
-                <!-- Style Presets -->
-                <div class="style-presets">
-                    <h6>Style Presets</h6>
-                    <div class="preset-buttons d-flex gap-1 flex-wrap">
-                        <button class="btn btn-sm btn-outline-secondary apply-style-preset" data-preset="classic">Classic</button>
-                        <button class="btn btn-sm btn-outline-secondary apply-style-preset" data-preset="manga">Manga</button>
-                        <button class="btn btn-sm btn-outline-secondary apply-style-preset" data-preset="modern">Modern</button>
-                        <button class="btn btn-sm btn-outline-secondary apply-style-preset" data-preset="noir">Noir</button>
-                        <button class="btn btn-sm btn-outline-secondary apply-style-preset" data-preset="cartoon">Cartoon</button>
-                    </div>
-                </div>
-            </div>
-        `;
+        this.saveState('Edit cover', { coalesceKey: `cover:${page.id}` });
+        this.renderCanvas();
+        this.persistLayoutOptional();
     }
 
     /**
-     * <summary>Render effects tab</summary>
+     * <summary>Set or clear the cover art or publisher logo image</summary>
+     * @param {string} target - 'art' or 'logo'
+     * @param {string|null} url - Image URL or data URL
      */
-    renderEffectsTab(panel) {
-        const effects = panel.effects || [];
+    setCoverImage(target, url) {
+        const page = this.getCurrentPage();
+        if (!page?.cover) return;
 
-        return `
-            <div class="panel-effects-editor">
-                <!-- Effects List -->
-                <div class="d-flex justify-content-between align-items-center mb-3">
-                    <h6>Visual Effects & Overlays</h6>
-                    <div class="dropdown">
-                        <button class="btn btn-sm btn-outline-primary dropdown-toggle" type="button" data-bs-toggle="dropdown">
-                            <i class="fas fa-plus"></i> Add Effect
-                        </button>
-                        <ul class="dropdown-menu">
-                            <li><a class="dropdown-item add-effect" data-effect-type="motion-lines">Motion Lines</a></li>
-                            <li><a class="dropdown-item add-effect" data-effect-type="impact">Impact Effect</a></li>
-                            <li><a class="dropdown-item add-effect" data-effect-type="energy">Energy Aura</a></li>
-                            <li><a class="dropdown-item add-effect" data-effect-type="particles">Particles</a></li>
-                            <li><a class="dropdown-item add-effect" data-effect-type="weather">Weather</a></li>
-                            <li><a class="dropdown-item add-effect" data-effect-type="lighting">Lighting</a></li>
-                            <li><a class="dropdown-item add-effect" data-effect-type="text-sfx">Text SFX</a></li>
-                        </ul>
-                    </div>
-                </div>
+        if (target === 'logo') {
+            page.cover.logo.image = url;
+            if (url) page.cover.logo.show = true;
+        } else {
+            page.cover.art = url;
+        }
+        page.lastModified = Date.now();
 
-                <div id="cbg-effects-list">
-                    ${effects.length === 0 ? `
-                        <div class="empty-effects text-center p-3 text-muted">
-                            <i class="fas fa-magic fa-2x mb-2"></i>
-                            <p class="small mb-0">No effects added yet</p>
-                        </div>
-                    ` : effects.map((effect, index) => this.renderEffectCard(effect, index)).join('')}
-                </div>
+        this.saveState(target === 'logo' ? 'Set publisher logo' : 'Set cover art');
+        this.renderCanvas();
+        this.renderPanelInspector();
+        this.persistLayoutOptional();
+    }
 
-                <!-- Effect Library -->
-                <div class="effect-library mt-4">
-                    <h6>Effect Library</h6>
-                    <div class="effect-presets">
-                        <div class="row">
-                            <div class="col-6">
-                                <button class="btn btn-sm btn-outline-secondary w-100 mb-1" data-preset="explosion">💥 Explosion</button>
-                                <button class="btn btn-sm btn-outline-secondary w-100 mb-1" data-preset="speed-lines">⚡ Speed Lines</button>
-                                <button class="btn btn-sm btn-outline-secondary w-100 mb-1" data-preset="magic-sparkles">✨ Magic</button>
-                            </div>
-                            <div class="col-6">
-                                <button class="btn btn-sm btn-outline-secondary w-100 mb-1" data-preset="smoke">💨 Smoke</button>
-                                <button class="btn btn-sm btn-outline-secondary w-100 mb-1" data-preset="rain">🌧️ Rain</button>
-                                <button class="btn btn-sm btn-outline-secondary w-100 mb-1" data-preset="fire">🔥 Fire</button>
-                            </div>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        `;
+    /**
+     * <summary>Handle a cover art or logo upload</summary>
+     */
+    handleCoverImageUpload(event) {
+        const file = event.target.files?.[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => this.setCoverImage(event.target.dataset.target, reader.result);
+        reader.onerror = () => this.handleError('Failed to read image', reader.error);
+        reader.readAsDataURL(file);
     }
 
     /**
-     * <summary>Render effect card</summary>
+     * <summary>Read the page format form and apply it</summary>
+     * @param {string} changedId - Id of the field that changed
      */
-    renderEffectCard(effect, index) {
-        return `
-            <div class="effect-card mb-2" data-effect-index="${index}">
-                <div class="card">
-                    <div class="card-body p-2">
-                        <div class="d-flex justify-content-between align-items-start mb-2">
-                            <div>
-                                <strong class="small">${effect.name || effect.type}</strong>
-                                <div class="text-muted" style="font-size: 11px;">${effect.description || 'No description'}</div>
-                            </div>
-                            <button class="btn btn-sm btn-outline-danger remove-effect" data-effect-index="${index}">
-                                <i class="fas fa-trash"></i>
-                            </button>
-                        </div>
-                        
-                        <div class="effect-controls">
-                            <div class="row">
-                                <div class="col-6">
-                                    <label class="form-label small">X Position:</label>
-                                    <input type="range" class="form-range" min="0" max="100" 
-                                           value="${effect.x || 50}" data-property="x" data-effect-index="${index}">
-                                </div>
-                                <div class="col-6">
-                                    <label class="form-label small">Y Position:</label>
-                                    <input type="range" class="form-range" min="0" max="100" 
-                                           value="${effect.y || 50}" data-property="y" data-effect-index="${index}">
-                                </div>
-                            </div>
-                            <div class="row mt-1">
-                                <div class="col-6">
-                                    <label class="form-label small">Intensity:</label>
-                                    <input type="range" class="form-range" min="1" max="10" 
-                                           value="${effect.intensity || 5}" data-property="intensity" data-effect-index="${index}">
-                                </div>
-                                <div class="col-6">
-                                    <label class="form-label small">Opacity:</label>
-                                    <input type="range" class="form-range" min="0" max="100" 
-                                           value="${effect.opacity || 100}" data-property="opacity" data-effect-index="${index}">
-                                </div>
-                            </div>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        `;
+    updatePageFormatFromForm(changedId) {
+        const page = this.getCurrentPage();
+        if (!page) return;
+
+        const current = PageFormat.getFormat(page);
+        const allPages = !!document.getElementById('cbg-page-format-all')?.checked;
+        const value = (id, fallback) => {
+            const number = parseFloat(document.getElementById(id)?.value);
+            return Number.isFinite(number) && number >= 0 ? number : fallback;
+        };
+
+        let format;
+        if (changedId === 'cbg-page-preset') {
+            const presetId = document.getElementById('cbg-page-preset').value;
+            if (presetId === 'custom') return;
+            format = PageFormat.fromPreset(presetId);
+        } else if (changedId === 'cbg-page-unit') {
+            // Same physical size expressed in the new unit
+            const unit = document.getElementById('cbg-page-unit').value;
+            format = {
+                ...current,
+                unit,
+                trimWidth: PageFormat.convert(current.trimWidth, current.unit, unit),
+                trimHeight: PageFormat.convert(current.trimHeight, current.unit, unit),
+                bleed: PageFormat.convert(current.bleed, current.unit, unit),
+                safeMargin: PageFormat.convert(current.safeMargin, current.unit, unit)
+            };
+        } else {
+            format = {
+                ...current,
+                presetId: changedId === 'cbg-page-dpi' ? current.presetId : 'custom',
+                trimWidth: value('cbg-page-trim-width', current.trimWidth) || current.trimWidth,
+                trimHeight: value('cbg-page-trim-height', current.trimHeight) || current.trimHeight,
+                bleed: value('cbg-page-bleed', current.bleed),
+                safeMargin: value('cbg-page-safe', current.safeMargin),
+                dpi: Math.round(value('cbg-page-dpi', current.dpi)) || current.dpi
+            };
+        }
+
+        this.setPageFormat(format, allPages);
+    }
+
+    // Panel outline
+
+    /**
+     * <summary>Add a vertex to the selected panel, converting it to a polygon first if needed</summary>
+     */
+    addPanelVertex() {
+        const panel = this.selectedPanel;
+        if (!panel) return;
+
+        if (panel.geometry?.type === 'polygon') {
+            PanelGeometry.addVertex(panel);
+        } else {
+            PanelGeometry.toPolygon(panel);
+            panel.shape = 'irregular';
+        }
+
+        this.updatePanel();
+        this.saveState('Edit panel shape');
+        this.renderPanelInspector();
     }
 
     /**
-     * <summary>Render generated images</summary>
+     * <summary>Remove a vertex from the selected panel</summary>
      */
-    renderGeneratedImages(images) {
-        if (!images || images.length === 0) {
-            return '<p class="text-muted small">No generated images yet</p>';
-        }
+    removePanelVertex(vertexIndex) {
+        const panel = this.selectedPanel;
+        if (!panel || !PanelGeometry.removeVertex(panel, vertexIndex)) return;
 
-        return `
-            <div class="generated-images-grid">
-                ${images.map((image, index) => `
-                    <div class="generated-image-card" data-image-index="${index}">
-                        <img src="${image.url}" alt="Generated scene" style="width: 100%; height: auto; border-radius: 4px;">
-                        <div class="image-actions mt-1">
-                            <button class="btn btn-sm btn-outline-primary use-generated-image" data-image-index="${index}">
-                                <i class="fas fa-check"></i> Use This
-                            </button>
-                            <button class="btn btn-sm btn-outline-secondary refine-generated-image" data-image-index="${index}">
-                                <i class="fas fa-sync-alt"></i> Refine
-                            </button>
-                        </div>
-                    </div>
-                `).join('')}
-            </div>
-        `;
+        this.updatePanel();
+        this.saveState('Edit panel shape');
     }
 
-    // Mouse event handlers for canvas interaction
-
     /**
-     * <summary>Handle mouse down on canvas</summary>
+     * <summary>Restore the default outline for the selected panel's shape</summary>
      */
-    handleMouseDown(event) {
-        const rect = event.currentTarget.getBoundingClientRect();
-        const x = (event.clientX - rect.left) / (this.canvasZoom / 100);
-        const y = (event.clientY - rect.top) / (this.canvasZoom / 100);
+    resetPanelShape() {
+        const panel = this.selectedPanel;
+        if (!panel) return;
 
-        // Check if clicking on resize handle
-        const resizeHandle = event.target.closest('.panel-resize-handle');
-        if (resizeHandle) {
-            this.isResizing = true;
-            this.resizeHandle = resizeHandle.className.split(' ').find(c => ['nw', 'ne', 'sw', 'se'].includes(c));
-            this.dragStart = { x, y };
-            event.preventDefault();
-            return;
-        }
+        panel.geometry = PanelGeometry.createForShape(panel.shape);
+        this.updatePanel();
+        this.saveState('Reset panel shape');
+        this.renderPanelInspector();
+    }
 
-        // Check if clicking on panel
-        const panel = event.target.closest('.comic-panel');
-        if (panel) {
-            const panelId = panel.dataset.panelId;
-            const currentPage = this.getCurrentPage();
-            const panelData = currentPage.panels.find(p => p.id === panelId);
+    // Gutter layout
 
-            if (panelData) {
-                this.selectPanel(panelData);
-                this.isDragging = true;
-                this.dragStart = { x: x - panelData.x, y: y - panelData.y };
+    /**
+     * <summary>Switch the current page between free-form and gutter layout</summary>
+     * Switching to gutter layout builds a split tree from the existing panels; an empty page
+     * starts as a single full-page panel. Switching back keeps the panels where they are.
+     * @param {string} mode - 'free' or 'gutter'
+     */
+    setPageLayoutMode(mode) {
+        const page = this.getCurrentPage();
+        if (!page || page.layoutMode === mode) return;
+
+        if (mode === 'gutter') {
+            if (!page.panels.length) {
+                page.panels.push(this.createPanelData());
             }
-            event.preventDefault();
-            return;
+            page.layoutMode = 'gutter';
+            page.layoutTree = GutterLayout.buildTree(page);
+            GutterLayout.applyLayout(page);
+        } else {
+            page.layoutMode = 'free';
+            page.layoutTree = null;
         }
 
-        // Clicking on empty canvas - deselect panel
-        this.selectPanel(null);
+        page.lastModified = Date.now();
+        this.saveState(mode === 'gutter' ? 'Use gutter layout' : 'Use free-form layout');
+        this.render();
+        this.persistLayoutOptional();
     }
 
     /**
-     * <summary>Handle mouse move on canvas</summary>
+     * <summary>Update gutter width and margins of the current page from the page settings</summary>
      */
-    handleMouseMove(event) {
-        if (!this.isDragging && !this.isResizing) return;
+    updatePageLayoutSettings() {
+        const page = this.getCurrentPage();
+        if (!page) return;
 
-        const rect = event.currentTarget.getBoundingClientRect();
-        const x = (event.clientX - rect.left) / (this.canvasZoom / 100);
-        const y = (event.clientY - rect.top) / (this.canvasZoom / 100);
+        const number = (id, fallback) => {
+            const value = parseInt(document.getElementById(id)?.value);
+            return Number.isFinite(value) ? Math.max(0, value) : fallback;
+        };
 
-        if (this.isResizing && this.selectedPanel) {
-            this.handlePanelResize(x, y);
-        } else if (this.isDragging && this.selectedPanel) {
-            this.handlePanelDrag(x, y);
-        }
+        const { gutterSize, margins } = GutterLayout.getSettings(page);
+        page.gutterSize = number('cbg-page-gutter', gutterSize);
+        page.margins = {
+            top: number('cbg-page-margin-top', margins.top),
+            right: number('cbg-page-margin-right', margins.right),
+            bottom: number('cbg-page-margin-bottom', margins.bottom),
+            left: number('cbg-page-margin-left', margins.left)
+        };
+        page.lastModified = Date.now();
 
-        event.preventDefault();
+        GutterLayout.applyLayout(page);
+        this.saveState('Change gutters and margins', { coalesceKey: `page-layout:${page.id}` });
+        this.renderCanvas();
+        this.persistLayoutOptional();
     }
 
     /**
-     * <summary>Handle mouse up on canvas</summary>
+     * <summary>Split a panel's cell on a gutter page</summary>
+     * @param {string} panelId - Panel to split
+     * @param {string} split - 'rows' or 'columns'
+     * @param {number} ratio - Share kept by the existing panel, 0-1
+     * @param {Object} newPanel - Panel for the new cell; a blank panel with the same style when omitted
+     * @param {string} label - History label
      */
-    handleMouseUp(event) {
-        if (this.isDragging || this.isResizing) {
-            this.saveState(); // Save for undo
-            this.renderCanvas(); // Re-render to update
+    splitPanel(panelId, split, ratio, newPanel = null, label = 'Split panel') {
+        const page = this.getCurrentPage();
+        const source = page?.panels.find(p => p.id === panelId);
+        if (!source || !GutterLayout.isGutterPage(page)) return;
+
+        const panel = newPanel || PanelModel.createPanel(TemplateLibrary.extractPanelStyle(source));
+        page.panels.splice(page.panels.indexOf(source) + 1, 0, panel);
+
+        const flowIndex = page.readingFlow.indexOf(panelId);
+        if (flowIndex >= 0) {
+            page.readingFlow.splice(flowIndex + 1, 0, panel.id);
         }
 
-        this.isDragging = false;
-        this.isResizing = false;
-        this.resizeHandle = null;
+        GutterLayout.splitPanel(page, panelId, split, ratio, panel.id);
+        page.lastModified = Date.now();
+
+        this.selectedPanel = source;
+        this.saveState(label);
+        this.render();
+        this.persistLayoutOptional();
     }
 
     /**
-     * <summary>Handle double click on canvas</summary>
+     * <summary>Split the selected panel using the ratio from the inspector</summary>
      */
-    handleDoubleClick(event) {
-        const panel = event.target.closest('.comic-panel');
-        if (panel) {
-            // Open panel editor modal or focus on inspector
-            const inspector = document.getElementById('cbg-panel-inspector-content');
-            if (inspector) {
-                inspector.scrollIntoView({ behavior: 'smooth' });
-            }
-        } else {
-            // Double-click on empty space - add new panel
-            this.addPanelAtPosition(event);
-        }
+    splitSelectedPanel(split) {
+        if (!this.selectedPanel) return;
+        const percent = parseInt(document.getElementById('cbg-split-ratio')?.value) || 50;
+        this.splitPanel(this.selectedPanel.id, split, percent / 100);
     }
 
     /**
-     * <summary>Handle right click context menu</summary>
+     * <summary>Merge a neighbouring panel into the selected panel</summary>
+     * The selected panel keeps its content; the neighbour's content is removed.
+     * @param {string} neighbourId - Panel to merge in
      */
-    handleRightClick(event) {
-        event.preventDefault();
+    mergeWithSelectedPanel(neighbourId) {
+        const page = this.getCurrentPage();
+        const panel = this.selectedPanel;
+        const neighbour = page?.panels.find(p => p.id === neighbourId);
+        if (!panel || !neighbour) return;
 
-        const panel = event.target.closest('.comic-panel');
-        if (panel) {
-            this.showPanelContextMenu(event, panel);
-        } else {
-            this.showCanvasContextMenu(event);
-        }
+        const hasContent = neighbour.sceneImage || neighbour.sceneDescription || neighbour.dialogues.length;
+        if (hasContent && !confirm('Merge panels? The content of the merged-in panel will be removed.')) return;
+
+        if (!GutterLayout.mergePanels(page, panel.id, neighbourId)) return;
+
+        page.panels = page.panels.filter(p => p.id !== neighbourId);
+        page.readingFlow = page.readingFlow.filter(id => id !== neighbourId);
+        GutterLayout.applyLayout(page);
+        page.lastModified = Date.now();
+
+        this.saveState('Merge panels');
+        this.render();
+        this.persistLayoutOptional();
     }
 
     /**
-     * <summary>Handle wheel zoom</summary>
+     * <summary>Mark the selected panel as changed and refresh the canvas</summary>
      */
-    handleWheel(event) {
-        if (event.ctrlKey) {
-            event.preventDefault();
+    updatePanel() {
+        if (!this.selectedPanel) return;
 
-            const delta = event.deltaY > 0 ? -10 : 10;
-            this.setCanvasZoom(this.canvasZoom + delta);
-        }
+        const now = Date.now();
+        this.selectedPanel.lastModified = now;
+        const currentPage = this.getCurrentPage();
+        if (currentPage) currentPage.lastModified = now;
+
+        this.renderCanvas();
+        this.persistLayoutOptional();
     }
 
-    // Panel manipulation methods
+    /**
+     * <summary>Update selected panel scene fields from the inspector form</summary>
+     */
+    updatePanelFromForm() {
+        const panel = this.selectedPanel;
+        if (!panel) return;
+
+        panel.sceneSummary = this.getFormValue('cbg-panel-scene-summary');
+        panel.shotType = this.getFormValue('cbg-panel-shot-type') || panel.shotType;
+        panel.timeOfDay = this.getFormValue('cbg-panel-time-of-day') || panel.timeOfDay;
+        panel.mood = this.getFormValue('cbg-panel-mood');
+        panel.previousContext = document.getElementById('cbg-previous-context')?.value ?? panel.previousContext;
+        panel.nextContext = document.getElementById('cbg-next-context')?.value ?? panel.nextContext;
+
+        this.updatePanel();
+        this.saveState('Edit scene', { coalesceKey: `scene:${panel.id}` });
+    }
 
     /**
-     * <summary>Handle panel drag</summary>
+     * <summary>Add a dialogue entry to the selected panel</summary>
      */
-    handlePanelDrag(x, y) {
-        const newX = x - this.dragStart.x;
-        const newY = y - this.dragStart.y;
+    addDialogue() {
+        if (!this.selectedPanel) return;
 
-        // Snap to grid if enabled
-        const snappedX = this.snapToGrid ? Math.round(newX / this.gridSize) * this.gridSize : newX;
-        const snappedY = this.snapToGrid ? Math.round(newY / this.gridSize) * this.gridSize : newY;
+        const offset = (this.selectedPanel.dialogues.length * 15) % 60;
+        this.selectedPanel.dialogues.push(PanelModel.createDialogue({ x: 10 + offset, y: 10 + offset }));
+        this.updatePanel();
+        this.saveState('Add dialogue');
+        this.renderPanelInspector();
+    }
 
-        // Constrain to canvas bounds
-        const currentPage = this.getCurrentPage();
-        const constrainedX = Math.max(0, Math.min(currentPage.width - this.selectedPanel.width, snappedX));
-        const constrainedY = Math.max(0, Math.min(currentPage.height - this.selectedPanel.height, snappedY));
+    /**
+     * <summary>Remove a dialogue entry from the selected panel</summary>
+     */
+    removeDialogue(index) {
+        if (!this.selectedPanel || isNaN(index)) return;
 
-        // Update panel position
-        this.selectedPanel.x = constrainedX;
-        this.selectedPanel.y = constrainedY;
+        this.selectedPanel.dialogues.splice(index, 1);
+        this.updatePanel();
+        this.saveState('Delete dialogue');
+        this.renderPanelInspector();
+    }
 
-        // Update visual position immediately
-        const panelElement = document.querySelector(`[data-panel-id="${this.selectedPanel.id}"]`);
-        if (panelElement) {
-            panelElement.style.left = `${constrainedX}px`;
-            panelElement.style.top = `${constrainedY}px`;
+    /**
+     * <summary>Update the selected panel's dialogues from the inspector form</summary>
+     */
+    updateDialogueFromForm() {
+        const panel = this.selectedPanel;
+        if (!panel) return;
+
+        panel.dialogues.forEach((dialogue, index) => {
+            const textField = document.getElementById(`cbg-dialogue-text-${index}`);
+            if (!textField) return;
+
+            dialogue.text = textField.value;
+            dialogue.characterId = document.getElementById(`cbg-dialogue-character-${index}`)?.value || '';
+            dialogue.type = document.getElementById(`cbg-dialogue-type-${index}`)?.value || dialogue.type;
+            dialogue.x = parseInt(document.getElementById(`cbg-dialogue-x-${index}`)?.value) || 0;
+            dialogue.y = parseInt(document.getElementById(`cbg-dialogue-y-${index}`)?.value) || 0;
+            PanelModel.normalizeDialogue(dialogue);
+        });
+
+        this.updatePanel();
+        this.saveState('Edit dialogue', { coalesceKey: `dialogue:${panel.id}` });
+    }
+
+    /**
+     * <summary>Add an effect to the selected panel</summary>
+     */
+    addEffect(effectType) {
+        if (!this.selectedPanel || !effectType) return;
+
+        const names = {
+            'motion-lines': 'Motion Lines',
+            'impact': 'Impact Effect',
+            'energy': 'Energy Aura',
+            'particles': 'Particles',
+            'weather': 'Weather',
+            'lighting': 'Lighting',
+            'text-sfx': 'Text SFX'
+        };
+
+        const overrides = { name: names[effectType] || effectType };
+        if (effectType === 'text-sfx') {
+            overrides.text = 'POW!';
+            overrides.y = 20;
         }
+
+        this.selectedPanel.effects.push(PanelModel.createEffect(effectType, overrides));
+        this.updatePanel();
+        this.saveState('Add effect');
+        this.renderPanelInspector();
     }
 
     /**
-     * <summary>Handle panel resize</summary>
+     * <summary>Remove an effect from the selected panel</summary>
      */
-    handlePanelResize(x, y) {
-        const deltaX = x - this.dragStart.x;
-        const deltaY = y - this.dragStart.y;
-        const currentPage = this.getCurrentPage();
+    removeEffect(index) {
+        if (!this.selectedPanel || isNaN(index)) return;
 
-        let newX = this.selectedPanel.x;
-        let newY = this.selectedPanel.y;
-        let newWidth = this.selectedPanel.width;
-        let newHeight = this.selectedPanel.height;
+        this.selectedPanel.effects.splice(index, 1);
+        this.updatePanel();
+        this.saveState('Delete effect');
+        this.renderPanelInspector();
+    }
 
-        // Apply resize based on handle
-        switch (this.resizeHandle) {
-            case 'nw':
-                newX += deltaX;
-                newY += deltaY;
-                newWidth -= deltaX;
-                newHeight -= deltaY;
-                break;
-            case 'ne':
-                newY += deltaY;
-                newWidth += deltaX;
-                newHeight -= deltaY;
-                break;
-            case 'sw':
-                newX += deltaX;
-                newWidth -= deltaX;
-                newHeight += deltaY;
-                break;
-            case 'se':
-                newWidth += deltaX;
-                newHeight += deltaY;
-                break;
-        }
+    /**
+     * <summary>Update a single effect property from the inspector</summary>
+     */
+    updateEffectProperty(index, property, value) {
+        const effect = this.selectedPanel?.effects[index];
+        if (!effect || !property) return;
+
+        effect[property] = property === 'text' ? value : parseFloat(value);
+        PanelModel.normalizeEffect(effect);
+        this.updatePanel();
+        this.saveState('Edit effect', { coalesceKey: `effect:${this.selectedPanel.id}:${index}` });
+    }
 
-        // Apply minimum size constraints
-        const minSize = 50;
-        if (newWidth >= minSize && newHeight >= minSize) {
-            // Constrain to canvas bounds
-            newX = Math.max(0, Math.min(currentPage.width - newWidth, newX));
-            newY = Math.max(0, Math.min(currentPage.height - newHeight, newY));
+    /**
+     * <summary>Use one of the panel's generated images as its art</summary>
+     */
+    useGeneratedImage(index) {
+        const image = this.selectedPanel?.generatedImages[index];
+        if (!image) return;
 
-            // Snap to grid if enabled
-            if (this.snapToGrid) {
-                newX = Math.round(newX / this.gridSize) * this.gridSize;
-                newY = Math.round(newY / this.gridSize) * this.gridSize;
-                newWidth = Math.round(newWidth / this.gridSize) * this.gridSize;
-                newHeight = Math.round(newHeight / this.gridSize) * this.gridSize;
-            }
+        this.selectedPanel.sceneImage = image.url;
+        this.updatePanel();
+        this.saveState('Set panel art');
+        this.renderPanelInspector();
+    }
 
-            // Update panel properties
-            this.selectedPanel.x = newX;
-            this.selectedPanel.y = newY;
-            this.selectedPanel.width = newWidth;
-            this.selectedPanel.height = newHeight;
+    /**
+     * <summary>Handle manual scene image upload</summary>
+     */
+    handleSceneImageUpload(event) {
+        const file = event.target.files?.[0];
+        const panel = this.selectedPanel;
+        if (!file || !panel) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            panel.sceneImage = reader.result;
+            this.updatePanel();
+            this.saveState('Set panel art');
+            this.renderPanelInspector();
+        };
+        reader.onerror = () => this.handleError('Failed to read image', reader.error);
+        reader.readAsDataURL(file);
+    }
 
-            // Update visual immediately
-            const panelElement = document.querySelector(`[data-panel-id="${this.selectedPanel.id}"]`);
-            if (panelElement) {
-                panelElement.style.left = `${newX}px`;
-                panelElement.style.top = `${newY}px`;
-                panelElement.style.width = `${newWidth}px`;
-                panelElement.style.height = `${newHeight}px`;
-            }
+    /**
+     * <summary>Update selected panel border and background from the style tab</summary>
+     */
+    updatePanelStyleFromForm() {
+        const panel = this.selectedPanel;
+        if (!panel) return;
+
+        const value = (id) => document.getElementById(id)?.value;
+        panel.borderWidth = parseInt(value('cbg-panel-border-width') ?? panel.borderWidth) || 0;
+        panel.borderColor = value('cbg-panel-border-color') || panel.borderColor;
+        panel.borderStyle = value('cbg-panel-border-style') || panel.borderStyle;
+        panel.backgroundColor = value('cbg-panel-bg-color') || panel.backgroundColor;
+        if (value('cbg-panel-border-radius') !== undefined) {
+            panel.borderRadius = parseInt(value('cbg-panel-border-radius')) || 0;
         }
+
+        this.updatePanel();
+        this.saveState('Change panel style', { coalesceKey: `style:${panel.id}` });
+    }
+
+    /**
+     * <summary>Update selected panel visual effect toggles from the style tab</summary>
+     */
+    updatePanelEffectsFromForm() {
+        const panel = this.selectedPanel;
+        if (!panel) return;
+
+        panel.dropShadow = !!document.getElementById('cbg-panel-shadow')?.checked;
+        panel.glow = !!document.getElementById('cbg-panel-glow')?.checked;
+        panel.vintageEffect = !!document.getElementById('cbg-panel-vintage')?.checked;
+
+        this.updatePanel();
+        this.saveState('Change panel style');
+    }
+
+    /**
+     * <summary>Apply a named style preset to the selected panel</summary>
+     */
+    applyStylePreset(preset) {
+        const presets = {
+            classic: { borderWidth: 3, borderStyle: 'solid', borderColor: '#000000', backgroundColor: '#ffffff', borderRadius: 0, dropShadow: false },
+            manga: { borderWidth: 2, borderStyle: 'solid', borderColor: '#000000', backgroundColor: '#ffffff', borderRadius: 0, dropShadow: false },
+            modern: { borderWidth: 0, borderStyle: 'solid', borderColor: '#000000', backgroundColor: '#ffffff', borderRadius: 8, dropShadow: true },
+            noir: { borderWidth: 4, borderStyle: 'solid', borderColor: '#000000', backgroundColor: '#1a1a1a', borderRadius: 0, dropShadow: false },
+            cartoon: { borderWidth: 4, borderStyle: 'solid', borderColor: '#222222', backgroundColor: '#fffbe6', borderRadius: 16, dropShadow: true }
+        };
+
+        const panel = this.selectedPanel;
+        if (!panel || !presets[preset]) return;
+
+        Object.assign(panel, presets[preset]);
+        this.updatePanel();
+        this.saveState('Apply style preset');
+        this.renderPanelInspector();
+    }
+
+    // History (undo/redo)
+
+    /**
+     * <summary>Record the page as an undoable step</summary>
+     * Call after mutating a page: the step spans from the page's last recorded
+     * snapshot to its current state, and nothing is recorded if it is unchanged.
+     * @param {string} label - Action name shown as "Undo: {label}"
+     * @param {Object} options - { coalesceKey, page }
+     */
+    saveState(label = 'Edit page', options = {}) {
+        const page = options.page || this.getCurrentPage();
+        if (!page) return;
+
+        const after = JSON.stringify(page);
+        const before = this.pageSnapshots.get(page.id);
+        this.pageSnapshots.set(page.id, after);
+        if (before === undefined || before === after) return;
+
+        const pageId = page.id;
+        this.history.push({
+            label,
+            coalesceKey: options.coalesceKey || null,
+            size: (before.length + after.length) * 2,
+            undo: () => this.restorePageSnapshot(pageId, before),
+            redo: () => this.restorePageSnapshot(pageId, after)
+        });
     }
 
     /**
-     * <summary>Select panel</summary>
+     * <summary>Record changes to several pages as one undoable step</summary>
      */
-    selectPanel(panel) {
-        this.selectedPanel = panel;
-        this.renderCanvas();
-        this.renderPanelInspector();
+    savePagesState(label, pages) {
+        const changes = pages.map(page => {
+            const after = JSON.stringify(page);
+            const before = this.pageSnapshots.get(page.id);
+            this.pageSnapshots.set(page.id, after);
+            return { pageId: page.id, before, after };
+        }).filter(change => change.before !== undefined && change.before !== change.after);
+
+        if (!changes.length) return;
+
+        const currentId = this.getCurrentPage()?.id;
+        const restore = (key) => {
+            changes.forEach(change => this.restorePageSnapshot(change.pageId, change[key]));
+            // Restoring switches to each restored page; return to where the step was made
+            const index = this.pages.findIndex(page => page.id === currentId);
+            if (index >= 0 && index !== this.currentPage) {
+                this.currentPage = index;
+                this.selectedPanel = null;
+                this.render();
+            }
+        };
 
-        if (panel) {
-            this.log(`Selected panel: ${panel.id}`);
-        }
+        this.history.push({
+            label,
+            size: changes.reduce((sum, change) => sum + (change.before.length + change.after.length) * 2, 0),
+            undo: () => restore('before'),
+            redo: () => restore('after')
+        });
     }
 
     /**
-     * <summary>Add new panel</summary>
+     * <summary>Restore a page from a history snapshot</summary>
+     * The page object is updated in place so other references to it stay valid.
      */
-    addPanel() {
-        const currentPage = this.getCurrentPage();
-        if (!currentPage) return;
+    restorePageSnapshot(pageId, snapshot) {
+        const page = this.pages.find(p => p.id === pageId);
+        if (!page) return;
 
-        const newPanel = this.createPanelData();
-
-        // Position new panel in a free space
-        const position = this.findFreeSpace(currentPage);
-        newPanel.x = position.x;
-        newPanel.y = position.y;
+        const selectedId = this.selectedPanel?.id;
+        Object.keys(page).forEach(key => delete page[key]);
+        Object.assign(page, JSON.parse(snapshot));
+        this.pageSnapshots.set(pageId, snapshot);
+        this.renumberPages();
 
-        currentPage.panels.push(newPanel);
-        this.selectPanel(newPanel);
-        this.saveState();
+        this.currentPage = this.pages.indexOf(page);
+        this.selectedPanel = page.panels.find(p => p.id === selectedId) || null;
 
+        this.render();
         this.persistLayoutOptional();
-
-        this.log('Added new panel:', newPanel.id);
     }
 
     /**
-     * <summary>Add panel at specific position</summary>
+     * <summary>Undo the last layout change</summary>
      */
-    addPanelAtPosition(event) {
-        const rect = event.currentTarget.getBoundingClientRect();
-        const x = (event.clientX - rect.left) / (this.canvasZoom / 100);
-        const y = (event.clientY - rect.top) / (this.canvasZoom / 100);
-
-        const currentPage = this.getCurrentPage();
-        if (!currentPage) return;
-
-        const newPanel = this.createPanelData();
+    undo() {
+        const command = this.history.undo();
+        if (command) this.log(`Undo: ${command.label}`);
+    }
 
-        // Snap to grid and constrain to bounds
-        newPanel.x = this.snapToGrid ? Math.round(x / this.gridSize) * this.gridSize : x;
-        newPanel.y = this.snapToGrid ? Math.round(y / this.gridSize) * this.gridSize : y;
+    /**
+     * <summary>Redo the last undone layout change</summary>
+     */
+    redo() {
+        const command = this.history.redo();
+        if (command) this.log(`Redo: ${command.label}`);
+    }
 
-        // Ensure panel fits in canvas
-        newPanel.x = Math.max(0, Math.min(currentPage.width - newPanel.width, newPanel.x));
-        newPanel.y = Math.max(0, Math.min(currentPage.height - newPanel.height, newPanel.y));
+    /**
+     * <summary>Forget all history and snapshot every page as the new baseline</summary>
+     */
+    resetHistory() {
+        this.pageSnapshots.clear();
+        this.pages.forEach(page => this.pageSnapshots.set(page.id, JSON.stringify(page)));
+        this.history.clear();
+    }
 
-        currentPage.panels.push(newPanel);
-        this.selectPanel(newPanel);
-        this.saveState();
+    /**
+     * <summary>Refresh undo/redo buttons and their labels</summary>
+     */
+    updateHistoryControls() {
+        const undoLabel = this.history.getUndoLabel();
+        const redoLabel = this.history.getRedoLabel();
+
+        const undoBtn = document.getElementById('cbg-layout-undo');
+        if (undoBtn) {
+            undoBtn.disabled = !undoLabel;
+            undoBtn.title = undoLabel ? `Undo: ${undoLabel} (Ctrl+Z)` : 'Nothing to undo';
+            undoBtn.setAttribute('aria-label', undoBtn.title);
+        }
 
-        this.persistLayoutOptional();
+        const redoBtn = document.getElementById('cbg-layout-redo');
+        if (redoBtn) {
+            redoBtn.disabled = !redoLabel;
+            redoBtn.title = redoLabel ? `Redo: ${redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo';
+            redoBtn.setAttribute('aria-label', redoBtn.title);
+        }
 
-        this.log('Added new panel:', newPanel.id);
+        const status = document.getElementById('cbg-history-status');
+        if (status) {
+            status.textContent = undoLabel ? `Undo: ${undoLabel}` : '';
+        }
     }
 
+    // Panel inspector event handlers setup continues in next part...
+
     /**
-     * <summary>Create new panel data</summary>
+     * <summary>Setup document-level inspector delegates</summary>
+     * Bound once at initialization; the inspector re-renders its content on every
+     * selection change, so per-element listeners live in setupPanelInspectorHandlers.
      */
-    createPanelData() {
-        const template = this.panelTemplates.get('standard_rect');
-
-        return {
-            id: `panel_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            x: 50,
-            y: 50,
-            width: 200,
-            height: 150,
-            shape: template.shape,
-            borderWidth: template.borderWidth,
-            borderStyle: template.borderStyle,
-            borderColor: template.borderColor,
-            backgroundColor: '#ffffff',
-            borderRadius: 0,
+    setupInspectorDelegates() {
+        const inspector = document.getElementById('cbg-panel-inspector-content');
 
-            // Content
-            sceneSummary: '',
-            sceneDescription: '',
-            sceneImage: null,
-            shotType: 'Medium Shot',
-            timeOfDay: 'Midday',
-            mood: '',
-            previousContext: '',
-            nextContext: '',
+        // Tab switching
+        if (inspector) {
+            inspector.addEventListener('click', (e) => {
+                const tab = e.target.closest('.nav-link');
+                if (tab) {
+                    e.preventDefault();
+                    this.switchInspectorTab(tab.dataset.tab);
+                }
+            });
+        }
 
-            // Characters
-            characters: [],
+        document.addEventListener('change', (e) => {
+            // Character scene updates
+            if (e.target.classList.contains('character-position') ||
+                e.target.classList.contains('character-expression')) {
+                this.updateCharacterInScene(e.target.dataset.characterId, e.target);
+            }
 
-            // Dialogue
-            dialogues: [],
+            // Page format settings
+            if (e.target.id === 'cbg-page-preset' || e.target.id === 'cbg-page-unit' ||
+                e.target.classList.contains('page-format-setting')) {
+                this.updatePageFormatFromForm(e.target.id);
+            }
+            if (e.target.id === 'cbg-show-guides') {
+                this.showGuides = e.target.checked;
+                this.renderCanvas();
+            }
 
-            // Effects
-            effects: [],
+            // Cover designer
+            if (e.target.classList.contains('cover-image-upload')) {
+                this.handleCoverImageUpload(e);
+            }
 
-            // Generation
-            generatedImages: [],
+            // Page layout settings
+            if (e.target.id === 'cbg-page-layout-mode') {
+                this.setPageLayoutMode(e.target.value);
+            }
+            if (e.target.classList.contains('page-layout-setting')) {
+                this.updatePageLayoutSettings();
+            }
 
-            // Metadata
-            createdDate: Date.now(),
-            lastModified: Date.now()
-        };
-    }
+            // Shape selection
+            if (e.target.name === 'panelShape' && this.selectedPanel) {
+                this.selectedPanel.shape = e.target.value;
+                this.selectedPanel.geometry = PanelGeometry.createForShape(e.target.value);
+                this.updatePanel();
+                this.saveState('Change panel shape');
+                this.renderPanelInspector(); // Re-render to show/hide border radius
+            }
+        });
 
-    /**
-     * <summary>Find free space for new panel</summary>
-     */
-    findFreeSpace(page) {
-        const defaultPosition = { x: 50, y: 50 };
-        const panelWidth = 200;
-        const panelHeight = 150;
-        const margin = 20;
+        document.addEventListener('input', (e) => {
+            if (e.target.classList.contains('character-action')) {
+                this.debounce(() => {
+                    this.updateCharacterInScene(e.target.dataset.characterId, e.target);
+                }, 500);
+            }
 
-        // Simple algorithm: try positions in a grid pattern
-        for (let y = 50; y < page.height - panelHeight; y += panelHeight + margin) {
-            for (let x = 50; x < page.width - panelWidth; x += panelWidth + margin) {
-                const overlaps = page.panels.some(panel =>
-                    x < panel.x + panel.width + margin &&
-                    x + panelWidth + margin > panel.x &&
-                    y < panel.y + panel.height + margin &&
-                    y + panelHeight + margin > panel.y
-                );
+            if (e.target.classList.contains('cover-setting')) {
+                this.debounce(() => this.updateCoverFromForm(), 300);
+            }
 
-                if (!overlaps) {
-                    return { x, y };
-                }
+            // Dialogue field updates
+            if (e.target.id && e.target.id.startsWith('cbg-dialogue-')) {
+                this.debounce(() => this.updateDialogueFromForm(), 300);
             }
-        }
 
-        return defaultPosition;
-    }
+            // Effect property updates
+            if (e.target.dataset.effectIndex !== undefined && e.target.dataset.property) {
+                this.updateEffectProperty(
+                    parseInt(e.target.dataset.effectIndex),
+                    e.target.dataset.property,
+                    e.target.value
+                );
+            }
+        });
 
-    /**
-     * <summary>Duplicate panel</summary>
-     */
-    duplicatePanel(panelId) {
-        const currentPage = this.getCurrentPage();
-        if (!currentPage) return;
+        document.addEventListener('click', (e) => {
+            const target = (selector) => e.target.closest(selector);
 
-        const originalPanel = currentPage.panels.find(p => p.id === panelId);
-        if (!originalPanel) return;
+            // Remove character buttons
+            if (target('.remove-scene-character')) {
+                this.removeCharacterFromScene(target('.remove-scene-character').dataset.characterId);
+            }
 
-        const duplicatePanel = JSON.parse(JSON.stringify(originalPanel));
-        duplicatePanel.id = `panel_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        duplicatePanel.x += 20;
-        duplicatePanel.y += 20;
-        duplicatePanel.createdDate = Date.now();
-        duplicatePanel.lastModified = Date.now();
+            // Use a generated image as the panel art
+            if (target('.use-generated-image')) {
+                this.useGeneratedImage(parseInt(target('.use-generated-image').dataset.imageIndex));
+            }
 
-        currentPage.panels.push(duplicatePanel);
-        this.selectPanel(duplicatePanel);
-        this.saveState();
+            // Remove dialogue buttons
+            if (target('.remove-dialogue')) {
+                this.removeDialogue(parseInt(target('.remove-dialogue').dataset.dialogueIndex));
+            }
 
-        this.persistLayoutOptional();
+            // Reading order
+            if (target('.edit-reading-flow')) this.startReadingFlowEdit();
+            if (target('.finish-reading-flow')) this.finishReadingFlowEdit();
+            if (target('.cancel-reading-flow')) this.cancelReadingFlowEdit();
+            if (target('.reset-reading-flow')) this.resetReadingFlow();
 
-        this.log('Duplicated panel:', duplicatePanel.id);
-    }
+            // Covers
+            if (target('.add-cover')) this.addCover(target('.add-cover').dataset.side);
+            if (target('.remove-cover')) this.removeCover();
+            if (target('.clear-cover-image')) this.setCoverImage(target('.clear-cover-image').dataset.target, null);
 
-    /**
-     * <summary>Delete panel</summary>
-     */
-    deletePanel(panelId) {
-        const currentPage = this.getCurrentPage();
-        if (!currentPage) return;
+            if (target('.make-webtoon-page')) {
+                this.makeWebtoonPages(!!document.getElementById('cbg-page-format-all')?.checked);
+            }
 
-        const panelIndex = currentPage.panels.findIndex(p => p.id === panelId);
-        if (panelIndex === -1) return;
+            // Gutter split and merge
+            if (target('.split-panel')) {
+                this.splitSelectedPanel(target('.split-panel').dataset.split);
+            }
+            if (target('.merge-panel')) {
+                this.mergeWithSelectedPanel(target('.merge-panel').dataset.panelId);
+            }
 
-        if (confirm('Are you sure you want to delete this panel?')) {
-            currentPage.panels.splice(panelIndex, 1);
+            // Panel outline vertices
+            if (target('.add-panel-vertex')) {
+                this.addPanelVertex();
+            }
+            if (target('.reset-panel-shape')) {
+                this.resetPanelShape();
+            }
 
-            // Clear selection if deleted panel was selected
-            if (this.selectedPanel && this.selectedPanel.id === panelId) {
-                this.selectedPanel = null;
+            // Panel templates
+            if (target('.apply-panel-template')) {
+                this.applyPanelTemplate(target('.apply-panel-template').dataset.templateId);
+            }
+            if (target('.save-panel-template')) {
+                this.savePanelTemplate();
             }
 
-            this.saveState();
-            this.render();
+            // Style presets
+            if (target('.apply-style-preset')) {
+                this.applyStylePreset(target('.apply-style-preset').dataset.preset);
+            }
 
-            this.persistLayoutOptional();
+            // Add effect buttons
+            if (target('.add-effect')) {
+                this.addEffect(target('.add-effect').dataset.effectType);
+            }
 
-            this.log('Deleted panel:', panelId);
-        }
+            // Remove effect buttons
+            if (target('.remove-effect')) {
+                this.removeEffect(parseInt(target('.remove-effect').dataset.effectIndex));
+            }
+        });
     }
 
-    // Panel inspector event handlers setup continues in next part...
-
     /**
      * <summary>Setup panel inspector handlers</summary>
      */
@@ -1355,14 +3922,6 @@ async renderCanvas() {
         const inspector = document.getElementById('cbg-panel-inspector-content');
         if (!inspector) return;
 
-        // Tab switching
-        inspector.addEventListener('click', (e) => {
-            if (e.target.classList.contains('nav-link')) {
-                const tabId = e.target.dataset.tab;
-                this.switchInspectorTab(tabId);
-            }
-        });
-
         // Panel action buttons
         const duplicateBtn = document.getElementById('cbg-duplicate-panel');
         const deleteBtn = document.getElementById('cbg-delete-panel');
@@ -1391,9 +3950,6 @@ async renderCanvas() {
 
         // Style tab handlers
         this.setupStyleTabHandlers();
-
-        // Effects tab handlers
-        this.setupEffectsTabHandlers();
     }
 
     /**
@@ -1425,30 +3981,6 @@ async renderCanvas() {
             addCharacterBtn.addEventListener('click', () => this.showCharacterSelector());
         }
 
-        // Character scene updates
-        document.addEventListener('change', (e) => {
-            if (e.target.classList.contains('character-position') ||
-                e.target.classList.contains('character-expression')) {
-                this.updateCharacterInScene(e.target.dataset.characterId, e.target);
-            }
-        });
-
-        document.addEventListener('input', (e) => {
-            if (e.target.classList.contains('character-action')) {
-                this.debounce(() => {
-                    this.updateCharacterInScene(e.target.dataset.characterId, e.target);
-                }, 500);
-            }
-        });
-
-        // Remove character buttons
-        document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('remove-scene-character')) {
-                const characterId = e.target.dataset.characterId;
-                this.removeCharacterFromScene(characterId);
-            }
-        });
-
         // AI generation buttons
         const generateSceneBtn = document.getElementById('cbg-generate-scene');
         const generateBackgroundBtn = document.getElementById('cbg-generate-background');
@@ -1485,6 +4017,8 @@ async renderCanvas() {
             removeSceneImageBtn.addEventListener('click', () => {
                 this.selectedPanel.sceneImage = null;
                 this.updatePanel();
+                this.saveState('Remove panel art');
+                this.renderPanelInspector();
             });
         }
     }
@@ -1499,21 +4033,6 @@ async renderCanvas() {
             addDialogueBtn.addEventListener('click', () => this.addDialogue());
         }
 
-        // Remove dialogue buttons
-        document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('remove-dialogue')) {
-                const index = parseInt(e.target.dataset.dialogueIndex);
-                this.removeDialogue(index);
-            }
-        });
-
-        // Dialogue field updates
-        document.addEventListener('input', (e) => {
-            if (e.target.id && e.target.id.startsWith('cbg-dialogue-')) {
-                this.debounce(() => this.updateDialogueFromForm(), 300);
-            }
-        });
-
         // AI dialogue tools
         const suggestDialogueBtn = document.getElementById('cbg-suggest-dialogue');
         const improveDialogueBtn = document.getElementById('cbg-improve-dialogue');
@@ -1554,15 +4073,6 @@ async renderCanvas() {
             }
         });
 
-        // Shape selection
-        document.addEventListener('change', (e) => {
-            if (e.target.name === 'panelShape') {
-                this.selectedPanel.shape = e.target.value;
-                this.updatePanel();
-                this.renderPanelInspector(); // Re-render to show/hide border radius
-            }
-        });
-
         // Effect checkboxes
         const effectCheckboxes = [
             'cbg-panel-shadow',
@@ -1578,47 +4088,8 @@ async renderCanvas() {
                 });
             }
         });
-
-        // Style presets
-        document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('apply-style-preset')) {
-                const preset = e.target.dataset.preset;
-                this.applyStylePreset(preset);
-            }
-        });
     }
 
-    /**
-     * <summary>Setup effects tab handlers</summary>
-     */
-    setupEffectsTabHandlers() {
-        // Add effect buttons
-        document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('add-effect')) {
-                const effectType = e.target.dataset.effectType;
-                this.addEffect(effectType);
-            }
-        });
-
-        // Remove effect buttons
-        document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('remove-effect')) {
-                const index = parseInt(e.target.dataset.effectIndex);
-                this.removeEffect(index);
-            }
-        });
-
-        // Effect property updates
-        document.addEventListener('input', (e) => {
-            if (e.target.dataset.effectIndex !== undefined) {
-                this.updateEffectProperty(
-                    parseInt(e.target.dataset.effectIndex),
-                    e.target.dataset.property,
-                    e.target.value
-                );
-            }
-        });
-    }
     /**
      * <summary>Save all layout data</summary>
      */
@@ -1626,16 +4097,11 @@ async renderCanvas() {
         try {
             this.log('Saving all layout data...');
 
-            const layoutData = {
-                pages: this.pages,
-                currentPage: this.currentPage
-            };
+            const layoutData = this.getLayoutData();
 
             // Update project data
             this.main.updateProjectData({ layout: layoutData });
 
-            this.persistLayoutOptional(layoutData);
-
             this.log(`Saved ${this.pages.length} pages`);
 
         } catch (error) {
@@ -1644,18 +4110,22 @@ async renderCanvas() {
     }
 
     /**
-     * <summary>Safely persist layout to backend if available</summary>
+     * <summary>Get the layout data stored in the project</summary>
      */
-    persistLayoutOptional(layoutData = null) {
-        try {
-            const payload = layoutData || { pages: this.pages, currentPage: this.currentPage };
-            if (typeof DataHelper?.save === 'function') {
-                DataHelper.save('UpdateLayout', payload);
-            }
-        } catch (e) {
-            // Non-blocking persistence failure
-            console.warn('[CBG:Layout] Failed to persist layout (optional):', e);
-        }
+    getLayoutData() {
+        return {
+            pages: this.pages,
+            currentPage: this.currentPage,
+            templates: this.templateLibrary.getProjectTemplates()
+        };
+    }
+
+    /**
+     * <summary>Schedule a project save after a layout change</summary>
+     * The save gathers the layout through saveData, so nothing is sent from here.
+     */
+    persistLayoutOptional() {
+        this.main.markDirty();
     }
     /**
      * <summary>Load layout data</summary>
@@ -1666,20 +4136,29 @@ async renderCanvas() {
             this.log('Loading layout data...');
 
             if (layoutData.pages && layoutData.pages.length > 0) {
-                this.pages = layoutData.pages;
-                this.currentPage = layoutData.currentPage || 0;
+                this.pages = PanelModel.migrateLayout(layoutData).pages;
+                this.currentPage = Math.min(layoutData.currentPage || 0, this.pages.length - 1);
+                this.renumberPages();
             } else {
                 // Create default page if no data
+                this.pages = [];
                 this.createDefaultPage();
             }
 
+            this.templateLibrary.setProjectTemplates(layoutData.templates);
+            this.refreshUserTemplates();
+
             // Clear selection
             this.selectedPanel = null;
+            this.readingFlowEdit = null;
+            this.safeAreaIssues = [];
+            this.resetHistory();
 
             this.log(`Loaded ${this.pages.length} pages`);
 
         } catch (error) {
             this.handleError('Failed to load layout data', error);
+            this.pages = [];
             this.createDefaultPage(); // Fallback
         }
     }
@@ -1752,8 +4231,8 @@ async renderCanvas() {
         this.layoutTemplates.clear();
         this.pages = [];
         this.selectedPanel = null;
-        this.undoStack = [];
-        this.redoStack = [];
+        this.history.clear();
+        this.pageSnapshots.clear();
         this.isInitialized = false;
 
         this.log('Layout Manager destroyed');
@@ -336,21 +336,161 @@ class EventManager {
     }
 }
 
+// ============================================================================
+// COMMAND HISTORY - Bounded undo/redo stack
+// ============================================================================
+
+class CommandHistory {
+    /**
+     * @param {Object} options
+     * @param {number} options.limit - Maximum number of undo steps kept
+     * @param {number} options.maxBytes - Approximate memory budget for all commands
+     * @param {number} options.coalesceWindow - Milliseconds within which commands sharing a coalesceKey merge
+     * @param {Function} options.onChange - Called after every push/undo/redo/clear
+     */
+    constructor(options = {}) {
+        this.limit = options.limit || 100;
+        this.maxBytes = options.maxBytes || 32 * 1024 * 1024;
+        this.coalesceWindow = options.coalesceWindow ?? 1500;
+        this.onChange = options.onChange || null;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Record a command that has already been applied.
+     * @param {Object} command - { label, undo(), redo(), coalesceKey?, size? }
+     */
+    push(command) {
+        const now = Date.now();
+        const last = this.undoStack[this.undoStack.length - 1];
+
+        if (command.coalesceKey && last && last.coalesceKey === command.coalesceKey &&
+            now - last.timestamp <= this.coalesceWindow) {
+            // Keep the oldest undo and the newest redo so the merged step spans both
+            last.redo = command.redo;
+            last.label = command.label;
+            last.size = Math.max(last.size || 0, command.size || 0);
+            last.timestamp = now;
+        } else {
+            this.undoStack.push({ ...command, timestamp: now });
+        }
+
+        this.redoStack = [];
+        this.trim();
+        this.notify();
+    }
+
+    /**
+     * Undo the most recent command.
+     * @returns {Object|null} The command that was undone
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+        command.undo();
+        command.timestamp = 0; // Never coalesce into a command that was undone
+        this.redoStack.push(command);
+        this.notify();
+        return command;
+    }
+
+    /**
+     * Redo the most recently undone command.
+     * @returns {Object|null} The command that was redone
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+        command.redo();
+        this.undoStack.push(command);
+        this.notify();
+        return command;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Label of the command that undo() would revert, or null.
+     */
+    getUndoLabel() {
+        return this.undoStack[this.undoStack.length - 1]?.label || null;
+    }
+
+    /**
+     * Label of the command that redo() would reapply, or null.
+     */
+    getRedoLabel() {
+        return this.redoStack[this.redoStack.length - 1]?.label || null;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+
+    /**
+     * Drop the oldest commands until both the step limit and memory budget hold.
+     */
+    trim() {
+        let totalBytes = this.undoStack.reduce((sum, c) => sum + (c.size || 0), 0);
+        while (this.undoStack.length > 1 &&
+            (this.undoStack.length > this.limit || totalBytes > this.maxBytes)) {
+            totalBytes -= this.undoStack.shift().size || 0;
+        }
+    }
+
+    notify() {
+        if (typeof this.onChange === 'function') {
+            this.onChange(this);
+        }
+    }
+}
+
 // ============================================================================
 // DATA HELPER - Simplified data persistence
 // ============================================================================
 
 class DataHelper {
     /**
-     * Save to backend
+     * Call a backend API route and wait for its response
+     * @param {string} endpoint - API route name
+     * @param {Object} data - Request body
+     * @param {number} timeout - Milliseconds to wait before giving up; 0 waits indefinitely
+     * @returns {Promise<Object>} Response; rejects with the server's error message
+     */
+    static request(endpoint, data = {}, timeout = 0) {
+        if (typeof genericRequest !== 'function') {
+            return Promise.reject(new Error('The server is not available'));
+        }
+        return new Promise((resolve, reject) => {
+            const timer = timeout ? setTimeout(() => reject(new Error(`${endpoint} timed out`)), timeout) : null;
+            genericRequest(endpoint, data, (response) => {
+                clearTimeout(timer);
+                resolve(response);
+            }, 0, (message) => {
+                clearTimeout(timer);
+                reject(new Error(message));
+            });
+        });
+    }
+
+    /**
+     * Save to backend; resolves to { success: false, offline: true } when there is no backend
      */
     static async save(endpoint, data) {
+        if (typeof genericRequest !== 'function') {
+            return { success: false, offline: true };
+        }
         try {
-            if (typeof genericRequest === 'function') {
-                return await genericRequest(endpoint, data, (response) => response);
-            }
-            console.log(`TODO: Save to ${endpoint}`, data);
-            return { success: true };
+            return await DataHelper.request(endpoint, data);
         } catch (e) {
             console.error('[DataHelper.save] Failed:', e);
             throw e;
@@ -358,21 +498,36 @@ class DataHelper {
     }
 
     /**
-     * Load from backend
+     * Load from backend; resolves to null when there is no backend
      */
     static async load(endpoint, params = {}) {
-        try {
-            if (typeof genericRequest === 'function') {
-                return await genericRequest(endpoint, params, (response) => response?.data ?? response);
-            }
-            console.log(`TODO: Load from ${endpoint}`, params);
+        if (typeof genericRequest !== 'function') {
             return null;
+        }
+        try {
+            const response = await DataHelper.request(endpoint, params);
+            return response?.data ?? response;
         } catch (e) {
             console.error('[DataHelper.load] Failed:', e);
             throw e;
         }
     }
 
+    /**
+     * Offer a file to the user as a download
+     */
+    static downloadBlob(filename, blob) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Give the browser time to start the download before releasing the data
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+
     /**
      * Generate with AI
      */
@@ -395,6 +550,9 @@ class DataHelper {
 // ============================================================================
 
 class ComicBookGenerator {
+    /** Milliseconds after the last edit before the project is saved */
+    static DIRTY_SAVE_DELAY = 2000;
+
     constructor() {
         this.debug = true;
         this.currentMode = 'characters_mode';
@@ -490,6 +648,9 @@ class ComicBookGenerator {
         // Save button
         this.eventManager.on('cbg-save-project', 'click', () => this.saveProject());
 
+        // Project browser
+        this.eventManager.on('cbg-open-projects', 'click', () => this.getManager('data').showProjectBrowser());
+
         // Auto-save on visibility change
         document.addEventListener('visibilitychange', () => {
             if (document.hidden) this.saveProject(true);
@@ -526,10 +687,8 @@ class ComicBookGenerator {
     }
 
     async loadOrCreateProject() {
-        // TODO (C# backend): Implement 'GetLastProject' endpoint and wire DataHelper.load to genericRequest.
-        // Example direct usage if bypassing DataHelper:
-        // const existingProject = await genericRequest('GetLastProject', {});
-        const existingProject = await DataHelper.load('GetLastProject');
+        // Newest of the browser copy and the server copy (see ProjectStore)
+        const existingProject = await this.getManager('data').loadProject();
 
         if (existingProject) {
             this.projectData = existingProject;
@@ -537,7 +696,14 @@ class ComicBookGenerator {
             this.projectData = this.createNewProject();
         }
 
-        // Load data into managers
+        this.loadManagers();
+        this.updateProjectTitle();
+    }
+
+    /**
+     * Load the project data into every manager; each manager resets its project state first
+     */
+    loadManagers() {
         Object.values(this.managers).forEach(manager => {
             if (manager.loadData) {
                 const key = manager.name.toLowerCase();
@@ -546,29 +712,57 @@ class ComicBookGenerator {
         });
     }
 
+    /**
+     * Save and close the open project, then open another one
+     * @param {Object} projectData - Project to open
+     * @param {Function} setUp - Runs after the managers are loaded and before the first render, e.g. to apply a template
+     * @returns {Promise<boolean>} Whether the project was switched
+     */
+    async switchProject(projectData, setUp = null) {
+        if (this.getManager('publication')?.isExporting) {
+            showError('Wait for the export to finish before switching projects');
+            return false;
+        }
+        if (this.projectData && !await this.saveProject() &&
+            !confirm('The open project could not be saved. Switch anyway and lose its unsaved changes?')) {
+            return false;
+        }
+
+        clearTimeout(this.dirtyTimer);
+        this.projectData = projectData;
+        this.getManager('data').openProject(projectData);
+        this.loadManagers();
+        if (setUp) setUp();
+        this.updateProjectTitle();
+
+        const manager = this.managers[this.currentMode.replace('_mode', '')];
+        if (manager) await manager.render();
+        return true;
+    }
+
+    /**
+     * Show the open project's title on the project browser button
+     */
+    updateProjectTitle() {
+        const titleEl = document.getElementById('cbg-active-project');
+        if (titleEl) titleEl.textContent = this.projectData?.projectInfo?.title || 'Untitled project';
+    }
+
     createNewProject() {
-        return {
-            projectInfo: {
-                title: 'New Comic Project',
-                author: '',
-                description: '',
-                version: '1.0',
-                created: Date.now(),
-                lastModified: Date.now(),
-                id: `project_${Date.now()}`
-            },
-            data: {},
-            characters: [],
-            story: {},
-            layout: {},
-            assets: {},
-            publication: {}
-        };
+        return this.getManager('data').createNewProject();
     }
 
+    /**
+     * @returns {Promise<boolean>} Whether the project was saved
+     */
     async saveProject(isAutoSave = false) {
+        if (!this.projectData) return false;
+
+        const statusEl = document.getElementById('cbg-save-status');
+        clearTimeout(this.dirtyTimer);
+        this.isSaving = true;
+
         try {
-            const statusEl = getRequiredElementById('cbg-save-status');
             if (!isAutoSave && statusEl) {
                 statusEl.innerHTML = '<span class="cbg-spinner"></span>Saving...';
             }
@@ -580,26 +774,39 @@ class ComicBookGenerator {
                 }
             }
 
-            // TODO (C# backend): Implement 'SaveComicProject' endpoint and wire DataHelper.save to genericRequest.
-            // Example direct usage if bypassing DataHelper:
-            // await genericRequest('SaveComicProject', { projectData: this.projectData, isAutoSave });
-            await DataHelper.save('SaveComicProject', {
-                projectData: this.projectData,
-                isAutoSave
-            });
+            const result = await this.getManager('data').saveProject(this.projectData, isAutoSave);
 
-            if (statusEl) {
-                statusEl.textContent = isAutoSave ? 'Auto-saved' : 'Saved';
-                if (!isAutoSave) {
-                    setTimeout(() => statusEl.textContent = 'Ready', 2000);
+            if (statusEl && !(isAutoSave && result.unchanged)) {
+                if (!result.remote) {
+                    statusEl.textContent = 'Saved in browser (offline)';
+                } else {
+                    statusEl.textContent = isAutoSave ? 'Auto-saved' : 'Saved';
+                    if (!isAutoSave) {
+                        setTimeout(() => statusEl.textContent = 'Ready', 2000);
+                    }
                 }
             }
+            return true;
 
         } catch (error) {
+            if (statusEl) statusEl.textContent = 'Not saved';
             this.handleError('Save failed', error);
+            return false;
+        } finally {
+            this.isSaving = false;
         }
     }
 
+    /**
+     * Note that the project changed; it is saved once edits pause
+     */
+    markDirty() {
+        // Managers report changes while a save gathers their data; that save already has them
+        if (this.isSaving || !this.projectData) return;
+        clearTimeout(this.dirtyTimer);
+        this.dirtyTimer = setTimeout(() => this.saveProject(true), ComicBookGenerator.DIRTY_SAVE_DELAY);
+    }
+
     updateProjectData(data) {
         this.projectData = { ...this.projectData, ...data };
     }
@@ -0,0 +1,232 @@
+/**
+ * <summary>Comic Book Generator - Page Format</summary>
+ * Physical page sizes, bleed, trim and safe (live) area.
+ *
+ * A page's format is stored as page.format in its own unit ('in', 'mm' or 'px'):
+ *   { presetId, unit, trimWidth, trimHeight, bleed, safeMargin, dpi }
+ * page.width/height are layout pixels (LAYOUT_DPI per inch) of the full media, i.e. the
+ * trim size plus bleed on every side, so full-bleed panels simply run to the page edge.
+ * dpi is the resolution print exports render at; pixel formats export 1:1.
+ */
+
+class PageFormat {
+    static LAYOUT_DPI = 96;
+
+    static PRESETS = [
+        { id: 'us_comic', name: 'US Comic (6.625 × 10.25 in)', unit: 'in', trimWidth: 6.625, trimHeight: 10.25, bleed: 0.125, safeMargin: 0.375, dpi: 300 },
+        { id: 'manga_b6', name: 'Manga B6 (128 × 182 mm)', unit: 'mm', trimWidth: 128, trimHeight: 182, bleed: 3, safeMargin: 10, dpi: 600 },
+        { id: 'a4', name: 'A4 (210 × 297 mm)', unit: 'mm', trimWidth: 210, trimHeight: 297, bleed: 3, safeMargin: 10, dpi: 300 },
+        {
+            id: 'webtoon', name: 'Webtoon Strip (800 × 3200 px)', unit: 'px', trimWidth: 800, trimHeight: 3200, bleed: 0, safeMargin: 40, dpi: 72,
+            // Full-width panels stacked with tall vertical gutters (see LayoutManager.makeWebtoonPages)
+            layout: { gutterSize: 120, margins: { top: 60, right: 0, bottom: 60, left: 0 }, panels: 4 }
+        },
+        { id: 'square', name: 'Square Social (1080 × 1080 px)', unit: 'px', trimWidth: 1080, trimHeight: 1080, bleed: 0, safeMargin: 60, dpi: 72 }
+    ];
+
+    static DEFAULT_PRESET = 'us_comic';
+
+    /**
+     * <summary>Get a preset by id</summary>
+     */
+    static getPreset(presetId) {
+        return PageFormat.PRESETS.find(preset => preset.id === presetId) || null;
+    }
+
+    /**
+     * <summary>Create a format from a preset</summary>
+     */
+    static fromPreset(presetId) {
+        const { name, id, layout, ...format } = PageFormat.getPreset(presetId) || PageFormat.getPreset(PageFormat.DEFAULT_PRESET);
+        return { presetId: id, ...format };
+    }
+
+    /**
+     * <summary>Get the format of a page</summary>
+     * Pages created before formats existed are treated as custom pixel pages with no bleed.
+     */
+    static getFormat(page) {
+        if (page?.format) return page.format;
+        return {
+            presetId: 'custom',
+            unit: 'px',
+            trimWidth: page?.width || 800,
+            trimHeight: page?.height || 600,
+            bleed: 0,
+            safeMargin: 0,
+            dpi: 72
+        };
+    }
+
+    /**
+     * <summary>Convert a length in a unit to layout pixels</summary>
+     */
+    static toLayoutPx(value, unit) {
+        switch (unit) {
+            case 'in':
+                return value * PageFormat.LAYOUT_DPI;
+            case 'mm':
+                return (value / 25.4) * PageFormat.LAYOUT_DPI;
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * <summary>Convert layout pixels to a unit</summary>
+     */
+    static fromLayoutPx(value, unit) {
+        switch (unit) {
+            case 'in':
+                return value / PageFormat.LAYOUT_DPI;
+            case 'mm':
+                return (value / PageFormat.LAYOUT_DPI) * 25.4;
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * <summary>Convert a length between units, rounded for display</summary>
+     */
+    static convert(value, fromUnit, toUnit) {
+        const converted = PageFormat.fromLayoutPx(PageFormat.toLayoutPx(value, fromUnit), toUnit);
+        const precision = toUnit === 'in' ? 1000 : toUnit === 'mm' ? 10 : 1;
+        return Math.round(converted * precision) / precision;
+    }
+
+    /**
+     * <summary>Get the layout pixel size of the full media (trim plus bleed)</summary>
+     */
+    static getMediaSize(format) {
+        const bleed = PageFormat.toLayoutPx(format.bleed || 0, format.unit);
+        return {
+            width: Math.round(PageFormat.toLayoutPx(format.trimWidth, format.unit) + bleed * 2),
+            height: Math.round(PageFormat.toLayoutPx(format.trimHeight, format.unit) + bleed * 2)
+        };
+    }
+
+    /**
+     * <summary>Get the bleed, trim and safe-area rectangles of a page in layout pixels</summary>
+     */
+    static getGuides(page) {
+        const format = PageFormat.getFormat(page);
+        const bleed = PageFormat.toLayoutPx(format.bleed || 0, format.unit);
+        const safe = bleed + PageFormat.toLayoutPx(format.safeMargin || 0, format.unit);
+        const inset = (amount) => ({
+            x: amount,
+            y: amount,
+            width: Math.max(0, page.width - amount * 2),
+            height: Math.max(0, page.height - amount * 2)
+        });
+
+        return { bleed: inset(0), trim: inset(bleed), safe: inset(safe), bleedSize: bleed };
+    }
+
+    /**
+     * <summary>Scale factor from layout pixels to export pixels at a resolution</summary>
+     * @param {Object} page - Page data
+     * @param {number} dpi - Export resolution; defaults to the format's own
+     */
+    static getExportScale(page, dpi = null) {
+        const format = PageFormat.getFormat(page);
+        if (format.unit === 'px') return 1;
+        return (dpi || format.dpi || 300) / PageFormat.LAYOUT_DPI;
+    }
+
+    /**
+     * <summary>Find panels and lettering that cross the safe area</summary>
+     * Panels may run past the safe line only when they continue into the bleed (full-bleed art);
+     * balloons and sound effects must always stay inside it or risk being trimmed.
+     * @param {Object} page - Page data
+     * @returns {Array} { panelId, kind: 'panel' | 'balloon' | 'sfx', message }
+     */
+    static checkSafeArea(page) {
+        const format = PageFormat.getFormat(page);
+        if (!format.safeMargin && !format.bleed) return [];
+
+        const { safe, bleed } = PageFormat.getGuides(page);
+        const issues = [];
+        const tolerance = 1;
+
+        page.panels.forEach((panel, index) => {
+            const number = index + 1;
+            const edges = {
+                left: [panel.x, safe.x, bleed.x],
+                top: [panel.y, safe.y, bleed.y],
+                right: [panel.x + panel.width, safe.x + safe.width, bleed.x + bleed.width],
+                bottom: [panel.y + panel.height, safe.y + safe.height, bleed.y + bleed.height]
+            };
+
+            const crossing = Object.entries(edges).filter(([side, [edge, safeEdge, bleedEdge]]) => {
+                const outsideSafe = side === 'left' || side === 'top' ? edge < safeEdge - tolerance : edge > safeEdge + tolerance;
+                const reachesBleed = side === 'left' || side === 'top' ? edge <= bleedEdge + tolerance : edge >= bleedEdge - tolerance;
+                return outsideSafe && !reachesBleed;
+            }).map(([side]) => side);
+
+            if (crossing.length) {
+                issues.push({
+                    panelId: panel.id,
+                    kind: 'panel',
+                    message: `Panel ${number} border crosses the safe area (${crossing.join(', ')}); extend it into the bleed or pull it inside`
+                });
+            }
+
+            (panel.dialogues || []).forEach((dialogue, i) => {
+                if (!PageFormat.rectInside(PageFormat.estimateBalloonRect(panel, dialogue), safe)) {
+                    issues.push({
+                        panelId: panel.id,
+                        kind: 'balloon',
+                        message: `Panel ${number}, ${dialogue.type} ${i + 1} crosses the safe area and may be trimmed`
+                    });
+                }
+            });
+
+            PanelModel.getSoundEffects(panel).forEach(sfx => {
+                const x = panel.x + (sfx.x / 100) * panel.width;
+                const y = panel.y + (sfx.y / 100) * panel.height;
+                if (!PageFormat.rectInside({ x, y, width: 0, height: 0 }, safe)) {
+                    issues.push({
+                        panelId: panel.id,
+                        kind: 'sfx',
+                        message: `Panel ${number}, sound effect "${sfx.text}" is outside the safe area`
+                    });
+                }
+            });
+        });
+
+        return issues;
+    }
+
+    /**
+     * <summary>Estimate the page rectangle a balloon occupies</summary>
+     * Balloon height depends on the rendered text, so it is approximated from the text length.
+     */
+    static estimateBalloonRect(panel, dialogue) {
+        const width = Math.max(80, (dialogue.width / 100) * panel.width);
+        const charsPerLine = Math.max(1, Math.floor((width - 24) / 8));
+        const lines = Math.max(1, Math.ceil((dialogue.text || '').length / charsPerLine));
+        return {
+            x: panel.x + (dialogue.x / 100) * panel.width,
+            y: panel.y + (dialogue.y / 100) * panel.height,
+            width,
+            height: lines * 18 + 16
+        };
+    }
+
+    static rectInside(rect, container) {
+        return rect.x >= container.x && rect.y >= container.y &&
+            rect.x + rect.width <= container.x + container.width &&
+            rect.y + rect.height <= container.y + container.height;
+    }
+
+    /**
+     * <summary>Describe a format for display, e.g. "6.625 × 10.25 in + 0.125 in bleed"</summary>
+     */
+    static describe(format) {
+        const size = `${format.trimWidth} × ${format.trimHeight} ${format.unit}`;
+        return format.bleed ? `${size} + ${format.bleed} ${format.unit} bleed` : size;
+    }
+}
+
+window.PageFormat = PageFormat;
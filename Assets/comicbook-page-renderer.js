@@ -0,0 +1,379 @@
+/**
+ * <summary>Comic Book Generator - Page Renderer</summary>
+ * Rasterizes pages to a 2D canvas for the exporters. Panels, art and balloon shapes are
+ * drawn to the canvas; lettering is laid out separately (layoutLettering) so exporters that
+ * support text, like PDF, can write it as real text and only rasterize what they cannot.
+ *
+ * All geometry is in layout pixels (see PageFormat) and scaled at draw time.
+ */
+
+class PageRenderer {
+    /** Lettering styles, matching the reader's balloon styles */
+    static BALLOON_STYLES = {
+        speech: { fontSize: 14.4, bold: false, color: '#000000', fill: '#ffffff', stroke: '#000000', strokeWidth: 2, radius: 20, dash: null },
+        thought: { fontSize: 13.6, bold: false, color: '#444444', fill: '#f0f8ff', stroke: '#666666', strokeWidth: 2, radius: 30, dash: [6, 4] },
+        shout: { fontSize: 16, bold: true, color: '#cc0000', fill: '#fffacd', stroke: '#ff4444', strokeWidth: 3, radius: 8, dash: null },
+        whisper: { fontSize: 12.8, bold: false, color: '#666666', fill: '#f5f5f5', stroke: '#999999', strokeWidth: 1, radius: 25, dash: [2, 2] },
+        caption: { fontSize: 13.6, bold: false, color: '#333333', fill: '#fff8dc', stroke: '#dddddd', strokeWidth: 1, radius: 4, dash: null }
+    };
+
+    static FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+    static LINE_HEIGHT = 1.3;
+    static BALLOON_PADDING = { x: 12.8, y: 8 };
+    static MIN_BALLOON_WIDTH = 80;
+    static TAIL_SIZE = 8;
+
+    /**
+     * <summary>Get the area of a page an export covers</summary>
+     * @param {Object} page - Page data
+     * @param {boolean} includeBleed - Whole media including bleed, or the trimmed page
+     * @returns {Object} { x, y, width, height } in layout pixels
+     */
+    static getRegion(page, includeBleed) {
+        const guides = PageFormat.getGuides(page);
+        return includeBleed ? guides.bleed : guides.trim;
+    }
+
+    /**
+     * <summary>Render a page to a canvas</summary>
+     * @param {Object} page - Page data
+     * @param {Object} options - { scale, region, lettering, skipText, transparent }
+     *   region defaults to the trimmed page; lettering defaults to layoutLettering(page);
+     *   skipText(item) returns true for lettering the caller writes itself (the balloon is still drawn);
+     *   transparent leaves the page background unpainted (for PNG)
+     * @returns {Promise<HTMLCanvasElement>} Canvas
+     */
+    static async renderPage(page, options = {}) {
+        const scale = options.scale || 1;
+        const region = options.region || PageRenderer.getRegion(page, false);
+        const lettering = options.lettering || PageRenderer.layoutLettering(page);
+        const skipText = options.skipText || (() => false);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(region.width * scale));
+        canvas.height = Math.max(1, Math.round(region.height * scale));
+
+        const ctx = canvas.getContext('2d');
+        if (!options.transparent) {
+            ctx.fillStyle = page.backgroundColor || '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+
+        // Work in layout pixels from here on
+        ctx.scale(scale, scale);
+        ctx.translate(-region.x, -region.y);
+
+        const images = await PageRenderer.loadImages([
+            ...page.panels.map(panel => PanelModel.getArtUrl(panel)),
+            ...CoverDesign.getImageUrls(page)
+        ]);
+        if (page.cover) CoverDesign.drawArt(ctx, page, images);
+
+        page.panels.forEach(panel => {
+            PanelModel.normalizePanel(panel);
+            PageRenderer.drawPanel(ctx, panel, images.get(PanelModel.getArtUrl(panel)));
+        });
+
+        lettering.forEach(item => {
+            if (item.kind === 'dialogue') PageRenderer.drawBalloon(ctx, item);
+            if (!skipText(item)) PageRenderer.drawLetteringText(ctx, item);
+        });
+
+        if (page.cover) CoverDesign.drawElements(ctx, page, images);
+
+        return canvas;
+    }
+
+    /**
+     * <summary>Load images, resolving failed loads to null rather than rejecting</summary>
+     * @param {Array} urls - Image URLs (falsy entries are ignored)
+     * @returns {Promise<Map>} url → HTMLImageElement or null
+     */
+    static async loadImages(urls) {
+        const unique = [...new Set(urls.filter(Boolean))];
+        const loaded = await Promise.all(unique.map(url => new Promise(resolve => {
+            const image = new Image();
+            image.crossOrigin = 'anonymous'; // Keeps the canvas exportable for same-origin and CORS images
+            image.onload = () => resolve(image);
+            image.onerror = () => {
+                console.warn('[CBG:Renderer] Failed to load panel art:', url);
+                resolve(null);
+            };
+            image.src = url;
+        })));
+        return new Map(unique.map((url, index) => [url, loaded[index]]));
+    }
+
+    /**
+     * <summary>Draw a panel: background, art clipped to its outline, then its border</summary>
+     */
+    static drawPanel(ctx, panel, image) {
+        const { x, y, width, height } = panel;
+        const borderWidth = panel.borderWidth ?? PanelModel.DEFAULT_BORDER_WIDTH;
+
+        ctx.save();
+        if (panel.dropShadow) {
+            ctx.shadowColor = 'rgba(0,0,0,0.35)';
+            ctx.shadowOffsetX = 4;
+            ctx.shadowOffsetY = 4;
+            ctx.shadowBlur = 4;
+        }
+        PanelGeometry.tracePath(ctx, panel, x, y, width, height);
+        ctx.fillStyle = panel.backgroundColor || '#ffffff';
+        ctx.fill();
+        ctx.restore();
+
+        if (image) {
+            ctx.save();
+            PanelGeometry.tracePath(ctx, panel, x, y, width, height);
+            ctx.clip();
+            PageRenderer.drawCover(ctx, image, x, y, width, height);
+            ctx.restore();
+        }
+
+        if (borderWidth > 0 && panel.borderStyle !== 'none') {
+            ctx.save();
+            ctx.lineWidth = borderWidth;
+            ctx.strokeStyle = panel.borderColor || '#000000';
+            ctx.lineJoin = 'miter';
+            ctx.setLineDash({ dashed: [borderWidth * 3, borderWidth * 2], dotted: [borderWidth, borderWidth] }[panel.borderStyle] || []);
+            if (PanelGeometry.isShaped(panel)) {
+                PanelGeometry.tracePath(ctx, panel, x, y, width, height);
+            } else {
+                // CSS borders sit inside the box, so inset the stroke by half its width
+                const inset = borderWidth / 2;
+                PanelGeometry.tracePath(ctx, panel, x + inset, y + inset, width - borderWidth, height - borderWidth);
+            }
+            ctx.stroke();
+            ctx.restore();
+        }
+    }
+
+    /**
+     * <summary>Draw an image scaled to cover a box, like object-fit: cover</summary>
+     */
+    static drawCover(ctx, image, x, y, width, height) {
+        const scale = Math.max(width / image.naturalWidth, height / image.naturalHeight);
+        const sourceWidth = width / scale;
+        const sourceHeight = height / scale;
+        ctx.drawImage(image,
+            (image.naturalWidth - sourceWidth) / 2, (image.naturalHeight - sourceHeight) / 2, sourceWidth, sourceHeight,
+            x, y, width, height);
+    }
+
+    /**
+     * <summary>Lay out the balloons, captions and sound effects of a page</summary>
+     * Text is wrapped with the same font the exporters write, so raster and vector text line up.
+     * @param {Object} page - Page data
+     * @returns {Array} Lettering items in layout pixels:
+     *   { kind: 'dialogue' | 'sfx', panelId, dialogueId (dialogue only), type, text, box, lines: [{ text, x, y }], fontSize, bold,
+     *     color, style, rotation, center }; line y is the text baseline
+     */
+    static layoutLettering(page) {
+        const ctx = document.createElement('canvas').getContext('2d');
+        const items = [];
+
+        page.panels.forEach(panel => {
+            PanelModel.normalizePanel(panel);
+
+            panel.dialogues.filter(dialogue => dialogue.text).forEach(dialogue => {
+                const style = PageRenderer.BALLOON_STYLES[dialogue.type] || PageRenderer.BALLOON_STYLES.speech;
+                const padding = PageRenderer.BALLOON_PADDING;
+                const lineHeight = style.fontSize * PageRenderer.LINE_HEIGHT;
+                ctx.font = PageRenderer.getFont(style.fontSize, style.bold);
+
+                const maxWidth = Math.max(PageRenderer.MIN_BALLOON_WIDTH, (dialogue.width / 100) * panel.width);
+                const wrapped = PageRenderer.wrapText(ctx, dialogue.text, maxWidth - padding.x * 2);
+                const textWidth = Math.max(...wrapped.map(line => ctx.measureText(line).width));
+                const box = {
+                    x: panel.x + (dialogue.x / 100) * panel.width,
+                    y: panel.y + (dialogue.y / 100) * panel.height,
+                    width: Math.min(maxWidth, Math.max(PageRenderer.MIN_BALLOON_WIDTH, textWidth + padding.x * 2)),
+                    height: wrapped.length * lineHeight + padding.y * 2
+                };
+
+                items.push({
+                    kind: 'dialogue',
+                    panelId: panel.id,
+                    dialogueId: dialogue.id,
+                    type: dialogue.type,
+                    tailDirection: dialogue.tailDirection,
+                    text: dialogue.text,
+                    box,
+                    lines: wrapped.map((text, index) => ({
+                        text,
+                        x: box.x + padding.x,
+                        y: box.y + padding.y + index * lineHeight + PageRenderer.getBaselineOffset(style.fontSize, lineHeight)
+                    })),
+                    fontSize: style.fontSize,
+                    bold: style.bold,
+                    color: style.color,
+                    style,
+                    rotation: 0
+                });
+            });
+
+            PanelModel.getSoundEffects(panel).forEach(sfx => {
+                const fontSize = (Number(sfx.size) || 1.2) * 16;
+                ctx.font = PageRenderer.getFont(fontSize, true);
+                const width = ctx.measureText(sfx.text).width;
+                const lineHeight = fontSize * PageRenderer.LINE_HEIGHT;
+                const box = {
+                    x: panel.x + (sfx.x / 100) * panel.width,
+                    y: panel.y + (sfx.y / 100) * panel.height,
+                    width,
+                    height: lineHeight
+                };
+
+                items.push({
+                    kind: 'sfx',
+                    panelId: panel.id,
+                    type: 'sfx',
+                    text: sfx.text,
+                    box,
+                    lines: [{ text: sfx.text, x: box.x, y: box.y + PageRenderer.getBaselineOffset(fontSize, lineHeight) }],
+                    fontSize,
+                    bold: true,
+                    color: sfx.color || '#ff4444',
+                    outline: '#000000',
+                    rotation: Number(sfx.rotation) || 0,
+                    center: { x: box.x + width / 2, y: box.y + lineHeight / 2 }
+                });
+            });
+        });
+
+        return items;
+    }
+
+    /**
+     * <summary>Break text into lines that fit a width</summary>
+     * Words longer than the width are kept whole on their own line.
+     */
+    static wrapText(ctx, text, maxWidth) {
+        const lines = [];
+        String(text).split(/\r?\n/).forEach(paragraph => {
+            let line = '';
+            paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (line && ctx.measureText(candidate).width > maxWidth) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            });
+            lines.push(line);
+        });
+        return lines;
+    }
+
+    static getFont(fontSize, bold) {
+        return `${bold ? 'bold ' : ''}${fontSize}px ${PageRenderer.FONT_FAMILY}`;
+    }
+
+    /**
+     * <summary>Distance from the top of a line box to the text baseline</summary>
+     */
+    static getBaselineOffset(fontSize, lineHeight) {
+        return (lineHeight - fontSize) / 2 + fontSize * 0.8;
+    }
+
+    /**
+     * <summary>Draw a balloon or caption box with its tail</summary>
+     */
+    static drawBalloon(ctx, item) {
+        const { box, style } = item;
+        const radius = Math.min(style.radius, box.width / 2, box.height / 2);
+
+        ctx.save();
+        ctx.beginPath();
+        if (typeof ctx.roundRect === 'function') {
+            ctx.roundRect(box.x, box.y, box.width, box.height, radius);
+        } else {
+            ctx.rect(box.x, box.y, box.width, box.height);
+        }
+        ctx.fillStyle = style.fill;
+        ctx.fill();
+        ctx.lineWidth = style.strokeWidth;
+        ctx.strokeStyle = style.stroke;
+        ctx.setLineDash(style.dash || []);
+        ctx.stroke();
+
+        if (item.type === 'speech') {
+            const size = PageRenderer.TAIL_SIZE;
+            const [vertical, horizontal] = (item.tailDirection || 'bottom-left').split('-');
+            const baseX = horizontal === 'right' ? box.x + box.width - 20 - size : box.x + 20 + size;
+            const edgeY = vertical === 'top' ? box.y : box.y + box.height;
+            const tipY = vertical === 'top' ? edgeY - size : edgeY + size;
+            ctx.beginPath();
+            ctx.moveTo(baseX - size, edgeY);
+            ctx.lineTo(baseX, tipY);
+            ctx.lineTo(baseX + size, edgeY);
+            ctx.closePath();
+            ctx.setLineDash([]);
+            ctx.fillStyle = style.stroke;
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+
+    /**
+     * <summary>Draw the text of a lettering item</summary>
+     */
+    static drawLetteringText(ctx, item) {
+        ctx.save();
+        ctx.font = PageRenderer.getFont(item.fontSize, item.bold);
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillStyle = item.color;
+
+        if (item.rotation && item.center) {
+            ctx.translate(item.center.x, item.center.y);
+            ctx.rotate((item.rotation * Math.PI) / 180);
+            ctx.translate(-item.center.x, -item.center.y);
+        }
+
+        item.lines.forEach(line => {
+            if (item.outline) {
+                ctx.lineWidth = 2;
+                ctx.strokeStyle = item.outline;
+                ctx.lineJoin = 'round';
+                ctx.strokeText(line.text, line.x, line.y);
+            }
+            ctx.fillText(line.text, line.x, line.y);
+        });
+        ctx.restore();
+    }
+
+    /**
+     * <summary>Rotate a point clockwise around a center, as CSS rotate() does on screen</summary>
+     */
+    static rotatePoint(point, center, degrees) {
+        const angle = (degrees * Math.PI) / 180;
+        const dx = point.x - center.x;
+        const dy = point.y - center.y;
+        return {
+            x: center.x + dx * Math.cos(angle) - dy * Math.sin(angle),
+            y: center.y + dx * Math.sin(angle) + dy * Math.cos(angle)
+        };
+    }
+
+    /**
+     * <summary>Encode a canvas as an image</summary>
+     * @param {HTMLCanvasElement} canvas - Canvas
+     * @param {string} type - MIME type, e.g. 'image/jpeg'
+     * @param {number} quality - Encoder quality (0-1) for lossy formats
+     * @returns {Promise<Blob>} Image data
+     */
+    static toBlob(canvas, type = 'image/png', quality = 0.92) {
+        return new Promise((resolve, reject) => {
+            try {
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('The browser could not encode the page image')), type, quality);
+            } catch (error) {
+                // A canvas holding cross-origin art without CORS headers cannot be read back
+                reject(new Error(`Page image could not be encoded: ${error.message}`));
+            }
+        });
+    }
+}
+
+window.PageRenderer = PageRenderer;
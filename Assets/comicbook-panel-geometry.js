@@ -0,0 +1,237 @@
+/**
+ * <summary>Comic Book Generator - Panel Geometry</summary>
+ * Non-rectangular panel outlines. A panel's geometry is stored relative to its box
+ * so it survives moves, resizes and gutter layout:
+ *   null                                  plain rectangle (border-radius still applies)
+ *   { type: 'ellipse' }                   circle/ellipse inscribed in the box
+ *   { type: 'polygon', points: [[u, v]] } vertices as 0-1 fractions of the box
+ *
+ * The same geometry drives the CSS clip-path and SVG outline used by the Layout canvas and
+ * the reader, and the 2D canvas path used by exporters, so every output matches.
+ */
+
+class PanelGeometry {
+    static MIN_VERTICES = 3;
+
+    /**
+     * <summary>Create the default geometry for a panel shape</summary>
+     * @param {string} shape - 'rectangle', 'circle', 'splash', 'irregular' or 'slant'
+     * @returns {Object|null} Geometry
+     */
+    static createForShape(shape) {
+        switch (shape) {
+            case 'circle':
+                return { type: 'ellipse' };
+            case 'splash':
+                return { type: 'polygon', points: PanelGeometry.createJaggedPoints(24, 0.08) };
+            case 'irregular':
+            case 'slant':
+                // Slanted action panel: top and bottom edges tilt in opposite directions
+                return { type: 'polygon', points: [[0, 0], [1, 0.12], [1, 1], [0, 0.88]] };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * <summary>Create a jagged burst outline</summary>
+     * Jitter is deterministic so a splash panel keeps its outline between sessions.
+     * @param {number} spikes - Number of spikes
+     * @param {number} depth - Depth of the notches between spikes, as a fraction of the box
+     */
+    static createJaggedPoints(spikes, depth) {
+        const points = [];
+        for (let i = 0; i < spikes * 2; i++) {
+            const angle = (Math.PI * i) / spikes - Math.PI / 2;
+            const jitter = ((Math.sin(i * 12.9898) * 43758.5453) % 1 + 1) % 1 * 0.03;
+            const radius = i % 2 === 0 ? 0.5 : 0.5 - depth - jitter;
+            points.push([
+                PanelGeometry.round(0.5 + Math.cos(angle) * radius),
+                PanelGeometry.round(0.5 + Math.sin(angle) * radius)
+            ]);
+        }
+        return points;
+    }
+
+    /**
+     * <summary>Normalize a geometry value, dropping anything malformed</summary>
+     */
+    static normalize(geometry) {
+        if (!geometry || typeof geometry !== 'object') return null;
+        if (geometry.type === 'ellipse') return { type: 'ellipse' };
+        if (geometry.type === 'polygon' && Array.isArray(geometry.points)) {
+            const points = geometry.points
+                .filter(p => Array.isArray(p) && p.length >= 2 && p.every(Number.isFinite))
+                .map(([u, v]) => [PanelGeometry.clamp(u), PanelGeometry.clamp(v)]);
+            return points.length >= PanelGeometry.MIN_VERTICES ? { type: 'polygon', points } : null;
+        }
+        return null;
+    }
+
+    /**
+     * <summary>Whether a panel needs clipping rather than a plain CSS box</summary>
+     */
+    static isShaped(panel) {
+        return !!panel?.geometry;
+    }
+
+    /**
+     * <summary>Get the CSS clip-path for a panel</summary>
+     * @returns {string|null} clip-path value, or null for rectangles
+     */
+    static getClipPath(panel) {
+        const geometry = panel?.geometry;
+        if (!geometry) return null;
+        if (geometry.type === 'ellipse') return 'ellipse(50% 50% at 50% 50%)';
+        return `polygon(${geometry.points.map(([u, v]) => `${PanelGeometry.round(u * 100)}% ${PanelGeometry.round(v * 100)}%`).join(', ')})`;
+    }
+
+    /**
+     * <summary>Render the panel outline as an SVG that stretches over the panel box</summary>
+     * CSS borders do not follow clip-path, so shaped panels draw their border with this instead.
+     * @param {Object} panel - Panel data
+     * @param {string} strokeColor - Override for the border color (e.g. selection highlight)
+     * @returns {string} SVG markup, or an empty string for rectangles; borderStyle 'none' draws no stroke
+     */
+    static renderOutline(panel, strokeColor = null) {
+        const geometry = panel?.geometry;
+        if (!geometry) return '';
+
+        const width = Math.max(1, panel.width);
+        const height = Math.max(1, panel.height);
+        const stroke = strokeColor || panel.borderColor || '#000000';
+        // Same rules as PageRenderer.drawPanel, so the canvas, reader and exports match
+        const strokeWidth = panel.borderStyle === 'none' ? 0 : (panel.borderWidth ?? PanelModel.DEFAULT_BORDER_WIDTH);
+        const dash = { dashed: `${strokeWidth * 3} ${strokeWidth * 2}`, dotted: `${strokeWidth} ${strokeWidth}` }[panel.borderStyle] || '';
+        const attributes = `fill="none" stroke="${stroke}" stroke-width="${strokeWidth}" vector-effect="non-scaling-stroke"
+                            stroke-linejoin="miter" ${dash ? `stroke-dasharray="${dash}"` : ''}`;
+
+        const shape = geometry.type === 'ellipse'
+            ? `<ellipse cx="${width / 2}" cy="${height / 2}" rx="${width / 2}" ry="${height / 2}" ${attributes} />`
+            : `<polygon points="${geometry.points.map(([u, v]) => `${u * width},${v * height}`).join(' ')}" ${attributes} />`;
+
+        return `
+            <svg class="panel-outline" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" aria-hidden="true"
+                 style="position: absolute; inset: 0; width: 100%; height: 100%; overflow: visible; pointer-events: none; z-index: 5;">
+                ${strokeWidth > 0 ? shape : ''}
+            </svg>
+        `;
+    }
+
+    /**
+     * <summary>Trace a panel outline on a 2D canvas context</summary>
+     * Starts a new path; callers then clip(), fill() or stroke().
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} panel - Panel data
+     * @param {number} x - Left edge in canvas pixels
+     * @param {number} y - Top edge in canvas pixels
+     * @param {number} width - Width in canvas pixels
+     * @param {number} height - Height in canvas pixels
+     * @param {number} radiusScale - Scale applied to the panel's corner radius
+     */
+    static tracePath(ctx, panel, x, y, width, height, radiusScale = 1) {
+        const geometry = panel?.geometry;
+        ctx.beginPath();
+
+        if (geometry?.type === 'ellipse') {
+            ctx.ellipse(x + width / 2, y + height / 2, width / 2, height / 2, 0, 0, Math.PI * 2);
+        } else if (geometry?.type === 'polygon') {
+            geometry.points.forEach(([u, v], index) => {
+                const px = x + u * width;
+                const py = y + v * height;
+                if (index === 0) ctx.moveTo(px, py);
+                else ctx.lineTo(px, py);
+            });
+            ctx.closePath();
+        } else {
+            const radius = Math.min((panel?.borderRadius || 0) * radiusScale, width / 2, height / 2);
+            if (radius > 0 && typeof ctx.roundRect === 'function') {
+                ctx.roundRect(x, y, width, height, radius);
+            } else {
+                ctx.rect(x, y, width, height);
+            }
+        }
+    }
+
+    /**
+     * <summary>Get the polygon vertices of a panel in page pixels</summary>
+     * Ellipses are approximated, which is enough for hit-testing and safe-area checks.
+     */
+    static getPagePoints(panel, segments = 32) {
+        const geometry = panel.geometry;
+        let points;
+        if (geometry?.type === 'polygon') {
+            points = geometry.points;
+        } else if (geometry?.type === 'ellipse') {
+            points = Array.from({ length: segments }, (_, i) => {
+                const angle = (Math.PI * 2 * i) / segments;
+                return [0.5 + Math.cos(angle) / 2, 0.5 + Math.sin(angle) / 2];
+            });
+        } else {
+            points = [[0, 0], [1, 0], [1, 1], [0, 1]];
+        }
+        return points.map(([u, v]) => [panel.x + u * panel.width, panel.y + v * panel.height]);
+    }
+
+    /**
+     * <summary>Insert a vertex in the middle of the longest edge</summary>
+     * Edge length is measured in page pixels so wide panels split their long sides first.
+     * @returns {number} Index of the new vertex, or -1 when the panel is not a polygon
+     */
+    static addVertex(panel) {
+        const points = panel.geometry?.type === 'polygon' ? panel.geometry.points : null;
+        if (!points) return -1;
+
+        let longest = 0;
+        let longestIndex = 0;
+        points.forEach(([u, v], i) => {
+            const [nu, nv] = points[(i + 1) % points.length];
+            const length = Math.hypot((nu - u) * panel.width, (nv - v) * panel.height);
+            if (length > longest) {
+                longest = length;
+                longestIndex = i;
+            }
+        });
+
+        const [u, v] = points[longestIndex];
+        const [nu, nv] = points[(longestIndex + 1) % points.length];
+        points.splice(longestIndex + 1, 0, [PanelGeometry.round((u + nu) / 2), PanelGeometry.round((v + nv) / 2)]);
+        return longestIndex + 1;
+    }
+
+    /**
+     * <summary>Remove a vertex, keeping at least a triangle</summary>
+     * @returns {boolean} Whether the vertex was removed
+     */
+    static removeVertex(panel, index) {
+        const points = panel.geometry?.type === 'polygon' ? panel.geometry.points : null;
+        if (!points || points.length <= PanelGeometry.MIN_VERTICES || !points[index]) return false;
+        points.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * <summary>Convert any geometry (including rectangles and ellipses) to an editable polygon</summary>
+     */
+    static toPolygon(panel, segments = 16) {
+        if (panel.geometry?.type === 'polygon') return panel.geometry;
+        const points = panel.geometry?.type === 'ellipse'
+            ? Array.from({ length: segments }, (_, i) => {
+                const angle = (Math.PI * 2 * i) / segments;
+                return [PanelGeometry.round(0.5 + Math.cos(angle) / 2), PanelGeometry.round(0.5 + Math.sin(angle) / 2)];
+            })
+            : [[0, 0], [1, 0], [1, 1], [0, 1]];
+        panel.geometry = { type: 'polygon', points };
+        return panel.geometry;
+    }
+
+    static clamp(value) {
+        return Math.max(0, Math.min(1, Number(value)));
+    }
+
+    static round(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+}
+
+window.PanelGeometry = PanelGeometry;
@@ -0,0 +1,324 @@
+/**
+ * <summary>Comic Book Generator - Panel Content Model</summary>
+ * Single versioned schema for panel content shared by the Layout and Publication managers.
+ * Every panel that is authored, previewed or exported goes through PanelModel.normalizePanel,
+ * which also migrates panels written by older versions of the extension.
+ */
+
+class PanelModel {
+    /**
+     * <summary>Current panel schema version</summary>
+     * 1 = legacy reader fields (speechElements, soundEffects, generatedImage, speechText)
+     * 2 = unified fields (dialogues, effects, generatedImages, sceneImage)
+     * 3 = panel outline geometry (geometry, see PanelGeometry)
+     */
+    static SCHEMA_VERSION = 3;
+
+    static DIALOGUE_TYPES = ['speech', 'thought', 'caption', 'whisper', 'shout'];
+
+    /** Border width of panels that do not set one, on the canvas, in the reader and in exports */
+    static DEFAULT_BORDER_WIDTH = 2;
+
+    /** Effect intensity range; 0 keeps the effect but turns it all the way down */
+    static EFFECT_INTENSITY = { min: 0, max: 10, default: 5 };
+
+    /**
+     * <summary>Create a unique id with the given prefix</summary>
+     * @param {string} prefix - Id prefix, e.g. 'panel'
+     * @returns {string} Unique id
+     */
+    static createId(prefix) {
+        return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * <summary>Create a new panel with every schema field populated</summary>
+     * @param {Object} overrides - Values to apply on top of the defaults
+     * @returns {Object} Panel data
+     */
+    static createPanel(overrides = {}) {
+        return PanelModel.normalizePanel({
+            id: PanelModel.createId('panel'),
+            x: 50,
+            y: 50,
+            width: 200,
+            height: 150,
+            shape: 'rectangle',
+            borderWidth: PanelModel.DEFAULT_BORDER_WIDTH,
+            borderStyle: 'solid',
+            borderColor: '#000000',
+            backgroundColor: '#ffffff',
+            borderRadius: 0,
+
+            // Content
+            sceneSummary: '',
+            sceneDescription: '',
+            sceneImage: null,
+            shotType: 'Medium Shot',
+            timeOfDay: 'Midday',
+            mood: '',
+            previousContext: '',
+            nextContext: '',
+
+            // Characters
+            characters: [],
+
+            // Dialogue
+            dialogues: [],
+
+            // Effects
+            effects: [],
+
+            // Generation
+            generatedImages: [],
+
+            // Metadata
+            createdDate: Date.now(),
+            lastModified: Date.now(),
+            ...overrides
+        });
+    }
+
+    /**
+     * <summary>Create a dialogue entry</summary>
+     * @param {Object} overrides - Values to apply on top of the defaults
+     * @returns {Object} Dialogue data
+     */
+    static createDialogue(overrides = {}) {
+        return PanelModel.normalizeDialogue({
+            id: PanelModel.createId('dlg'),
+            characterId: '',
+            type: 'speech',
+            text: '',
+            x: 20,
+            y: 20,
+            width: 60,
+            tailDirection: 'bottom-left',
+            ...overrides
+        });
+    }
+
+    /**
+     * <summary>Create an effect entry</summary>
+     * @param {string} type - Effect type, e.g. 'motion-lines' or 'text-sfx'
+     * @param {Object} overrides - Values to apply on top of the defaults
+     * @returns {Object} Effect data
+     */
+    static createEffect(type, overrides = {}) {
+        return PanelModel.normalizeEffect({
+            id: PanelModel.createId('fx'),
+            type,
+            name: '',
+            description: '',
+            x: 50,
+            y: 50,
+            intensity: 5,
+            opacity: 100,
+            ...overrides
+        });
+    }
+
+    /**
+     * <summary>Deep copy a panel, giving it and its content fresh ids</summary>
+     * @param {Object} panel - Panel to copy
+     * @returns {Object} Normalized copy
+     */
+    static clonePanel(panel) {
+        const copy = PanelModel.normalizePanel(JSON.parse(JSON.stringify(panel)));
+        copy.id = PanelModel.createId('panel');
+        copy.dialogues.forEach(dialogue => dialogue.id = PanelModel.createId('dlg'));
+        copy.effects.forEach(effect => effect.id = PanelModel.createId('fx'));
+        copy.createdDate = Date.now();
+        copy.lastModified = Date.now();
+        return copy;
+    }
+
+    /**
+     * <summary>Normalize a panel in place to the current schema</summary>
+     * Idempotent: normalizing an already current panel only fills in missing defaults.
+     * The object is mutated rather than copied so that references held elsewhere
+     * (e.g. the Layout manager's selected panel) stay valid.
+     * @param {Object} panel - Panel data in any supported schema version
+     * @returns {Object} The same panel object, migrated
+     */
+    static normalizePanel(panel) {
+        if (!panel || typeof panel !== 'object') return panel;
+
+        if (!panel.id) panel.id = PanelModel.createId('panel');
+        ['x', 'y', 'width', 'height'].forEach(key => {
+            const value = Number(panel[key]);
+            panel[key] = Number.isFinite(value) ? value : 0;
+        });
+
+        if (!Array.isArray(panel.dialogues)) panel.dialogues = [];
+        if (!Array.isArray(panel.effects)) panel.effects = [];
+        if (!Array.isArray(panel.generatedImages)) panel.generatedImages = [];
+        if (!Array.isArray(panel.characters)) panel.characters = [];
+        if (panel.sceneImage === undefined) panel.sceneImage = null;
+
+        // v1 -> v2: structured speech elements become dialogues
+        if (Array.isArray(panel.speechElements)) {
+            panel.speechElements.forEach(element => {
+                panel.dialogues.push({
+                    characterId: element.characterId || '',
+                    type: element.type === 'narration' ? 'caption' : element.type,
+                    text: element.text,
+                    x: element.x,
+                    y: element.y,
+                    width: element.width,
+                    tailDirection: element.tailDirection
+                });
+            });
+            delete panel.speechElements;
+        }
+
+        // v1 -> v2: single legacy speech text becomes one dialogue
+        if (typeof panel.speechText === 'string') {
+            if (panel.speechText.trim()) {
+                panel.dialogues.push({
+                    type: panel.speechStyle === 'narration' ? 'caption' : panel.speechStyle,
+                    text: panel.speechText,
+                    x: 15,
+                    y: 15,
+                    width: 70
+                });
+            }
+            delete panel.speechText;
+            delete panel.speechStyle;
+        }
+
+        // v1 -> v2: sound effects become text SFX effects
+        if (Array.isArray(panel.soundEffects)) {
+            panel.soundEffects.forEach(sfx => {
+                panel.effects.push({
+                    type: 'text-sfx',
+                    name: sfx.text,
+                    text: sfx.text,
+                    x: sfx.x ?? 50,
+                    y: sfx.y ?? 20,
+                    size: sfx.size,
+                    color: sfx.color,
+                    rotation: sfx.rotation
+                });
+            });
+            delete panel.soundEffects;
+        }
+
+        // v1 -> v2: single generated image becomes the scene image
+        if (panel.generatedImage) {
+            const url = panel.generatedImage;
+            if (!panel.generatedImages.some(image => image.url === url)) {
+                panel.generatedImages.push({ url, createdDate: Date.now() });
+            }
+            if (!panel.sceneImage) panel.sceneImage = url;
+        }
+        delete panel.generatedImage;
+
+        // v2 -> v3: circle/splash/irregular shapes get real outline geometry
+        panel.geometry = panel.geometry === undefined
+            ? PanelGeometry.createForShape(panel.shape)
+            : PanelGeometry.normalize(panel.geometry);
+
+        panel.dialogues = panel.dialogues.map(dialogue => PanelModel.normalizeDialogue(dialogue));
+        panel.effects = panel.effects.map(effect => PanelModel.normalizeEffect(effect));
+        panel.generatedImages = panel.generatedImages
+            .map(image => typeof image === 'string' ? { url: image } : image)
+            .filter(image => image && image.url);
+
+        panel.schemaVersion = PanelModel.SCHEMA_VERSION;
+        return panel;
+    }
+
+    /**
+     * <summary>Normalize a dialogue entry in place</summary>
+     * @param {Object} dialogue - Dialogue data
+     * @returns {Object} Normalized dialogue
+     */
+    static normalizeDialogue(dialogue) {
+        const normalized = dialogue && typeof dialogue === 'object' ? dialogue : { text: String(dialogue ?? '') };
+        if (!normalized.id) normalized.id = PanelModel.createId('dlg');
+        if (!PanelModel.DIALOGUE_TYPES.includes(normalized.type)) normalized.type = 'speech';
+        normalized.characterId = normalized.characterId || '';
+        normalized.text = normalized.text || '';
+        normalized.x = PanelModel.toPercent(normalized.x, 20);
+        normalized.y = PanelModel.toPercent(normalized.y, 20);
+        normalized.width = PanelModel.toPercent(normalized.width, 60);
+        normalized.tailDirection = normalized.tailDirection || 'bottom-left';
+        return normalized;
+    }
+
+    /**
+     * <summary>Normalize an effect entry in place</summary>
+     * @param {Object} effect - Effect data
+     * @returns {Object} Normalized effect
+     */
+    static normalizeEffect(effect) {
+        const normalized = effect && typeof effect === 'object' ? effect : { type: String(effect ?? '') };
+        if (!normalized.id) normalized.id = PanelModel.createId('fx');
+        normalized.type = normalized.type || 'custom';
+        normalized.x = PanelModel.toPercent(normalized.x, 50);
+        normalized.y = PanelModel.toPercent(normalized.y, 50);
+        const intensity = Number(normalized.intensity);
+        const range = PanelModel.EFFECT_INTENSITY;
+        normalized.intensity = Number.isFinite(intensity) ? Math.max(range.min, Math.min(range.max, intensity)) : range.default;
+        normalized.opacity = PanelModel.toPercent(normalized.opacity, 100);
+        if (normalized.type === 'text-sfx' && normalized.text === undefined) {
+            normalized.text = normalized.name || 'POW!';
+        }
+        return normalized;
+    }
+
+    /**
+     * <summary>Normalize a page and all of its panels in place</summary>
+     * @param {Object} page - Page data
+     * @returns {Object} Normalized page
+     */
+    static normalizePage(page) {
+        if (!page || typeof page !== 'object') return page;
+        if (!Array.isArray(page.panels)) page.panels = [];
+        if (!Array.isArray(page.readingFlow)) page.readingFlow = [];
+        page.panels.forEach(panel => PanelModel.normalizePanel(panel));
+        return page;
+    }
+
+    /**
+     * <summary>Migrate saved layout data from any older schema</summary>
+     * @param {Object} layoutData - Layout data as stored in the project
+     * @returns {Object} The same layout data with every page normalized
+     */
+    static migrateLayout(layoutData) {
+        if (!layoutData || !Array.isArray(layoutData.pages)) return layoutData;
+        layoutData.pages.forEach(page => PanelModel.normalizePage(page));
+        return layoutData;
+    }
+
+    /**
+     * <summary>Get the art URL that should be displayed for a panel</summary>
+     * @param {Object} panel - Normalized panel
+     * @returns {string|null} Image URL or null when the panel has no art yet
+     */
+    static getArtUrl(panel) {
+        if (!panel) return null;
+        return panel.sceneImage || null;
+    }
+
+    /**
+     * <summary>Get the lettering effects (text SFX) of a panel</summary>
+     * @param {Object} panel - Normalized panel
+     * @returns {Array} Text SFX effects
+     */
+    static getSoundEffects(panel) {
+        return (panel?.effects || []).filter(effect => effect.type === 'text-sfx' && effect.text);
+    }
+
+    /**
+     * <summary>Clamp a value to a 0-100 percentage with a fallback</summary>
+     */
+    static toPercent(value, fallback) {
+        const number = Number(value);
+        if (!Number.isFinite(number)) return fallback;
+        return Math.max(0, Math.min(100, number));
+    }
+}
+
+window.PanelModel = PanelModel;
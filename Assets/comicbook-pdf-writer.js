@@ -0,0 +1,262 @@
+/**
+ * <summary>Comic Book Generator - PDF Writer</summary>
+ * Minimal PDF 1.4 writer for comic exports: JPEG page images, text in the standard
+ * Helvetica fonts (WinAnsi encoding), lines for printer marks and page boxes.
+ * Coordinates are in points with the origin at the TOP-left of the page, like a canvas;
+ * the writer flips them to PDF's bottom-left origin.
+ */
+
+class PdfWriter {
+    static FONTS = { regular: 'Helvetica', bold: 'Helvetica-Bold' };
+
+    /** Unicode characters WinAnsiEncoding places in 0x80-0x9F */
+    static WIN_ANSI_EXTRA = {
+        0x20AC: 0x80, 0x201A: 0x82, 0x0192: 0x83, 0x201E: 0x84, 0x2026: 0x85, 0x2020: 0x86, 0x2021: 0x87,
+        0x02C6: 0x88, 0x2030: 0x89, 0x0160: 0x8A, 0x2039: 0x8B, 0x0152: 0x8C, 0x017D: 0x8E, 0x2018: 0x91,
+        0x2019: 0x92, 0x201C: 0x93, 0x201D: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97, 0x02DC: 0x98,
+        0x2122: 0x99, 0x0161: 0x9A, 0x203A: 0x9B, 0x0153: 0x9C, 0x017E: 0x9E, 0x0178: 0x9F
+    };
+
+    /**
+     * @param {Object} info - Document information: { title, author, subject, keywords, creator }
+     */
+    constructor(info = {}) {
+        this.info = info;
+        this.pages = [];
+        this.images = [];
+    }
+
+    /**
+     * <summary>Add a page</summary>
+     * @param {number} width - Media width in points
+     * @param {number} height - Media height in points
+     * @param {Object} boxes - Optional { trim, bleed } rectangles ({ x, y, width, height }, top-left origin)
+     * @returns {PdfPage} Page to draw on
+     */
+    addPage(width, height, boxes = {}) {
+        const page = new PdfPage(this, width, height, boxes);
+        this.pages.push(page);
+        return page;
+    }
+
+    /**
+     * <summary>Register a JPEG image</summary>
+     * @param {Uint8Array} bytes - JPEG file data
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @returns {string} Resource name to pass to PdfPage.drawImage
+     */
+    addJpeg(bytes, width, height) {
+        const name = `Im${this.images.length + 1}`;
+        this.images.push({ name, bytes, width, height });
+        return name;
+    }
+
+    /**
+     * <summary>Whether text can be written with the standard fonts</summary>
+     * Anything else (e.g. CJK) has to be rasterized by the caller.
+     */
+    static canEncode(text) {
+        return [...String(text)].every(char => {
+            const code = char.codePointAt(0);
+            return (code >= 0x20 && code <= 0x7E) || (code >= 0xA0 && code <= 0xFF) || PdfWriter.WIN_ANSI_EXTRA[code] !== undefined;
+        });
+    }
+
+    /**
+     * <summary>Encode text as a PDF literal string in WinAnsiEncoding</summary>
+     */
+    static encodeText(text) {
+        const body = [...String(text)].map(char => {
+            const code = char.codePointAt(0);
+            const byte = PdfWriter.WIN_ANSI_EXTRA[code] ?? (code <= 0xFF ? code : 0x3F);
+            if (byte === 0x28 || byte === 0x29 || byte === 0x5C) return `\\${String.fromCharCode(byte)}`;
+            if (byte < 0x20 || byte > 0x7E) return `\\${byte.toString(8).padStart(3, '0')}`;
+            return String.fromCharCode(byte);
+        }).join('');
+        return `(${body})`;
+    }
+
+    /**
+     * <summary>Encode a document information string (UTF-16 so any language survives)</summary>
+     */
+    static encodeInfoString(text) {
+        let hex = 'FEFF';
+        for (let i = 0; i < text.length; i++) {
+            hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+        }
+        return `<${hex}>`;
+    }
+
+    static formatDate(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `(D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+            `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z)`;
+    }
+
+    static formatNumber(value) {
+        return String(Math.round(value * 1000) / 1000);
+    }
+
+    /**
+     * <summary>Build the PDF file</summary>
+     * @returns {Blob} application/pdf
+     */
+    toBlob() {
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+
+        const write = (data) => {
+            const bytes = typeof data === 'string' ? Uint8Array.from(data, char => char.charCodeAt(0)) : data;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+
+        // Object numbers: 1 catalog, 2 page tree, 3 info, 4-5 fonts, then images, then page/content pairs
+        const fontIds = { regular: 4, bold: 5 };
+        const imageIds = new Map(this.images.map((image, index) => [image.name, 6 + index]));
+        const firstPageId = 6 + this.images.length;
+        const pageIds = this.pages.map((_, index) => firstPageId + index * 2);
+
+        const object = (id, body, stream = null) => {
+            offsets[id] = length;
+            write(`${id} 0 obj\n${body}\n`);
+            if (stream) {
+                write('stream\n');
+                write(stream);
+                write('\nendstream\n');
+            }
+            write('endobj\n');
+        };
+
+        write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+        object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+        object(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+
+        const info = [
+            ['Title', this.info.title],
+            ['Author', this.info.author],
+            ['Subject', this.info.subject],
+            ['Keywords', this.info.keywords],
+            ['Creator', this.info.creator || 'Comic Book Generator'],
+            ['Producer', 'Comic Book Generator PDF Writer']
+        ].filter(([, value]) => value).map(([key, value]) => `/${key} ${PdfWriter.encodeInfoString(String(value))}`);
+        object(3, `<< ${info.join(' ')} /CreationDate ${PdfWriter.formatDate(new Date())} >>`);
+
+        object(fontIds.regular, `<< /Type /Font /Subtype /Type1 /BaseFont /${PdfWriter.FONTS.regular} /Encoding /WinAnsiEncoding >>`);
+        object(fontIds.bold, `<< /Type /Font /Subtype /Type1 /BaseFont /${PdfWriter.FONTS.bold} /Encoding /WinAnsiEncoding >>`);
+
+        this.images.forEach(image => {
+            object(imageIds.get(image.name),
+                `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB ` +
+                `/BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>`, image.bytes);
+        });
+
+        this.pages.forEach((page, index) => {
+            const pageId = pageIds[index];
+            const content = page.operations.join('\n');
+            const xObjects = page.imageNames.map(name => `/${name} ${imageIds.get(name)} 0 R`).join(' ');
+            const boxes = Object.entries({ TrimBox: page.boxes.trim, BleedBox: page.boxes.bleed })
+                .filter(([, box]) => box)
+                .map(([key, box]) => `/${key} ${page.toPdfBox(box)}`).join(' ');
+
+            object(pageId,
+                `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PdfWriter.formatNumber(page.width)} ${PdfWriter.formatNumber(page.height)}] ${boxes} ` +
+                `/Resources << /Font << /F1 ${fontIds.regular} 0 R /F2 ${fontIds.bold} 0 R >> /XObject << ${xObjects} >> >> ` +
+                `/Contents ${pageId + 1} 0 R >>`);
+            object(pageId + 1, `<< /Length ${content.length} >>`, content);
+        });
+
+        const objectCount = firstPageId + this.pages.length * 2;
+        const xrefOffset = length;
+        let xref = `xref\n0 ${objectCount}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objectCount; id++) {
+            xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        write(xref);
+        write(`trailer\n<< /Size ${objectCount} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        return new Blob(chunks, { type: 'application/pdf' });
+    }
+}
+
+/**
+ * <summary>A page of a PdfWriter document</summary>
+ */
+class PdfPage {
+    constructor(writer, width, height, boxes) {
+        this.writer = writer;
+        this.width = width;
+        this.height = height;
+        this.boxes = boxes;
+        this.operations = [];
+        this.imageNames = [];
+    }
+
+    /**
+     * <summary>Convert a top-left rectangle to a PDF box array</summary>
+     */
+    toPdfBox(rect) {
+        const n = PdfWriter.formatNumber;
+        return `[${n(rect.x)} ${n(this.height - rect.y - rect.height)} ${n(rect.x + rect.width)} ${n(this.height - rect.y)}]`;
+    }
+
+    /**
+     * <summary>Draw a registered image into a rectangle</summary>
+     */
+    drawImage(name, x, y, width, height) {
+        const n = PdfWriter.formatNumber;
+        if (!this.imageNames.includes(name)) this.imageNames.push(name);
+        this.operations.push(`q ${n(width)} 0 0 ${n(height)} ${n(x)} ${n(this.height - y - height)} cm /${name} Do Q`);
+    }
+
+    /**
+     * <summary>Draw a line of text</summary>
+     * @param {string} text - Text (see PdfWriter.canEncode)
+     * @param {number} x - Left of the baseline
+     * @param {number} y - Baseline, from the top of the page
+     * @param {number} size - Font size in points
+     * @param {Object} options - { bold, color, outline, outlineWidth, rotation (degrees clockwise) }
+     */
+    drawText(text, x, y, size, options = {}) {
+        const n = PdfWriter.formatNumber;
+        const angle = (-(options.rotation || 0) * Math.PI) / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const mode = options.outline ? 2 : 0;
+
+        this.operations.push([
+            'q',
+            options.outline ? `${PdfPage.toRgb(options.outline)} RG ${n(options.outlineWidth || 1)} w 1 j` : '',
+            `${PdfPage.toRgb(options.color || '#000000')} rg`,
+            'BT',
+            `/${options.bold ? 'F2' : 'F1'} ${n(size)} Tf ${mode} Tr`,
+            `${n(cos)} ${n(sin)} ${n(-sin)} ${n(cos)} ${n(x)} ${n(this.height - y)} Tm`,
+            `${PdfWriter.encodeText(text)} Tj`,
+            'ET',
+            'Q'
+        ].filter(Boolean).join(' '));
+    }
+
+    /**
+     * <summary>Draw a straight line</summary>
+     */
+    drawLine(x1, y1, x2, y2, width = 0.25, color = '#000000') {
+        const n = PdfWriter.formatNumber;
+        this.operations.push(`q ${PdfPage.toRgb(color)} RG ${n(width)} w ${n(x1)} ${n(this.height - y1)} m ${n(x2)} ${n(this.height - y2)} l S Q`);
+    }
+
+    /**
+     * <summary>Convert a #rrggbb color to PDF "r g b" components</summary>
+     */
+    static toRgb(color) {
+        const match = /^#?([0-9a-f]{6}|[0-9a-f]{3})$/i.exec(String(color).trim());
+        let hex = match ? match[1] : '000000';
+        if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+        return [0, 2, 4].map(i => PdfWriter.formatNumber(parseInt(hex.substr(i, 2), 16) / 255)).join(' ');
+    }
+}
+
+window.PdfWriter = PdfWriter;
+window.PdfPage = PdfPage;
@@ -0,0 +1,163 @@
+/**
+ * <summary>Comic Book Generator - Print Preflight</summary>
+ * Checks a comic against the export settings before it goes to the printer: art resolution,
+ * art and lettering near the trim, bleed, color mode and page count.
+ *
+ * Issues have the same shape as quality issues, so the Publication tab lists them the same way:
+ *   { ruleId, category: 'print', severity, message, pageId, pageIndex, panelId }
+ * Project-wide issues have pageIndex -1.
+ */
+
+class Preflight {
+    /** Art below this share of the export resolution is an error rather than a warning */
+    static MIN_DPI_SHARE = 0.5;
+
+    /** Layout pixels an edge may be off a guide and still count as on it */
+    static TOLERANCE = 1;
+
+    /** Suggested bleed for print, in inches */
+    static SUGGESTED_BLEED = 0.125;
+
+    /**
+     * <summary>Run every check</summary>
+     * @param {Array} pages - Pages in reading order
+     * @param {Object} settings - Export settings (resolution, colorMode)
+     * @param {number} exportPageCount - Pages the export will have, when it adds generated pages
+     * @returns {Promise<Array>} Issues, page issues in page order followed by project-wide issues
+     */
+    static async run(pages, settings, exportPageCount = pages.length) {
+        const issues = [];
+
+        for (const [pageIndex, page] of pages.entries()) {
+            const add = (ruleId, severity, message, panelId = null) =>
+                issues.push({ ruleId, category: 'print', severity, message, pageId: page.id, pageIndex, panelId });
+
+            const images = await PageRenderer.loadImages([
+                ...page.panels.map(panel => PanelModel.getArtUrl(panel)),
+                page.cover?.art
+            ]);
+            Preflight.checkResolution(page, images, settings.resolution).forEach(issue => add('image-dpi', issue.severity, issue.message, issue.panelId));
+            Preflight.checkBleed(page).forEach(issue => add('art-bleed', 'warning', issue.message, issue.panelId));
+            Preflight.checkLettering(page).forEach(issue => add(issue.ruleId, issue.severity, issue.message, issue.panelId));
+        }
+
+        const project = (ruleId, severity, message) =>
+            issues.push({ ruleId, category: 'print', severity, message, pageId: null, pageIndex: -1, panelId: null });
+
+        const blanks = Imposition.blanksNeeded(exportPageCount);
+        if (blanks) {
+            project('page-count', 'warning', `${exportPageCount} pages cannot be saddle-stitched; add ${blanks} page(s) to reach a multiple of 4`);
+        }
+
+        if (settings.colorMode === 'cmyk') {
+            project('color-mode', 'warning', 'CMYK was requested but exports are RGB; ask the printer for a proof, as bright blues and greens shift most when converted');
+        }
+
+        const withoutBleed = pages.filter(page => !PageFormat.getGuides(page).bleedSize && PageFormat.getFormat(page).unit !== 'px');
+        if (withoutBleed.length) {
+            project('no-bleed', 'info', `${withoutBleed.length} page(s) have no bleed; most printers ask for ${Preflight.SUGGESTED_BLEED} in on every edge`);
+        }
+
+        return issues;
+    }
+
+    /**
+     * <summary>Compare the effective resolution of each image with the export resolution</summary>
+     * Art is scaled to cover its box, so its effective resolution is its pixel size over the
+     * printed size of the box along the tighter side.
+     * @param {Object} page - Page data
+     * @param {Map} images - url → image or null, from PageRenderer.loadImages
+     * @param {number} resolution - Export resolution in dpi
+     * @returns {Array} { severity, message, panelId }
+     */
+    static checkResolution(page, images, resolution) {
+        const issues = [];
+        const check = (url, box, label, panelId) => {
+            if (!url) return;
+            const image = images.get(url);
+            if (!image) {
+                issues.push({ severity: 'error', message: `${label} art could not be loaded`, panelId });
+                return;
+            }
+
+            const dpi = Preflight.getEffectiveDpi(image, box);
+            if (dpi >= resolution) return;
+            issues.push({
+                severity: dpi < resolution * Preflight.MIN_DPI_SHARE ? 'error' : 'warning',
+                message: `${label} art is ${Math.round(dpi)} dpi at print size, below the ${resolution} dpi export; it will look soft`,
+                panelId
+            });
+        };
+
+        if (page.cover) check(page.cover.art, { width: page.width, height: page.height }, CoverDesign.getLabel(page, true), null);
+        page.panels.forEach((panel, index) => check(PanelModel.getArtUrl(panel), panel, `Panel ${index + 1}`, panel.id));
+
+        return issues;
+    }
+
+    /**
+     * <summary>Effective dpi of an image covering a box given in layout pixels</summary>
+     */
+    static getEffectiveDpi(image, box) {
+        const scale = Math.max(box.width / image.naturalWidth, box.height / image.naturalHeight);
+        return PageFormat.LAYOUT_DPI / scale;
+    }
+
+    /**
+     * <summary>Find panel edges that stop in the bleed or at the trim</summary>
+     * Art meant to bleed has to reach the media edge; stopping anywhere between the trim and
+     * the media edge leaves a white sliver whenever the cut drifts.
+     * @returns {Array} { message, panelId }
+     */
+    static checkBleed(page) {
+        const { bleed, trim, bleedSize } = PageFormat.getGuides(page);
+        if (!bleedSize) return [];
+
+        const tolerance = Preflight.TOLERANCE;
+        return page.panels.map((panel, index) => {
+            const edges = {
+                left: [trim.x - panel.x, panel.x - bleed.x],
+                top: [trim.y - panel.y, panel.y - bleed.y],
+                right: [panel.x + panel.width - (trim.x + trim.width), bleed.x + bleed.width - (panel.x + panel.width)],
+                bottom: [panel.y + panel.height - (trim.y + trim.height), bleed.y + bleed.height - (panel.y + panel.height)]
+            };
+            // Past (or on) the trim line, but short of the media edge
+            const short = Object.entries(edges)
+                .filter(([, [pastTrim, toMedia]]) => pastTrim >= -tolerance && toMedia > tolerance)
+                .map(([side]) => side);
+
+            return short.length ? {
+                panelId: panel.id,
+                message: `Panel ${index + 1} stops in the bleed (${short.join(', ')}); extend it to the page edge or pull it inside the trim`
+            } : null;
+        }).filter(Boolean);
+    }
+
+    /**
+     * <summary>Find lettering in the bleed or between the safe area and the trim</summary>
+     * @returns {Array} { ruleId, severity, message, panelId }
+     */
+    static checkLettering(page) {
+        const { trim, safe } = PageFormat.getGuides(page);
+        const tolerance = Preflight.TOLERANCE;
+        const inside = (box, area) => PageFormat.rectInside(box, {
+            x: area.x - tolerance,
+            y: area.y - tolerance,
+            width: area.width + tolerance * 2,
+            height: area.height + tolerance * 2
+        });
+
+        return PageRenderer.layoutLettering(page).map(item => {
+            const name = `${item.kind === 'sfx' ? 'Sound effect' : 'Balloon'} "${item.text.length > 24 ? `${item.text.slice(0, 24)}…` : item.text}"`;
+            if (!inside(item.box, trim)) {
+                return { ruleId: 'lettering-bleed', severity: 'error', panelId: item.panelId, message: `${name} runs past the trim and will be cut off` };
+            }
+            if (!inside(item.box, safe)) {
+                return { ruleId: 'lettering-trim', severity: 'warning', panelId: item.panelId, message: `${name} is too close to the trim; keep it inside the safe area` };
+            }
+            return null;
+        }).filter(Boolean);
+    }
+}
+
+window.Preflight = Preflight;
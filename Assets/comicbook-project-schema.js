@@ -0,0 +1,235 @@
+/**
+ * <summary>Comic Book Generator - Project Schema</summary>
+ * Versioned schema for saved projects. Every project that is loaded or imported goes through
+ * ProjectSchema.migrate, which runs the migrations it has not had yet in order, and
+ * ProjectSchema.validate, which reports structural problems in readable form.
+ *
+ * Migrations only touch the fields they know about; unknown fields are kept as they are, so a
+ * project passes through this version of the extension without losing data.
+ */
+
+class ProjectSchema {
+    /**
+     * <summary>Current project schema version (projectInfo.schemaVersion)</summary>
+     * 1 = first saved format (projectInfo.version '1.0'): panels in any PanelModel version,
+     *     story character arcs and screen time written as Maps, which JSON turns into {}
+     * 2 = panels at the current PanelModel schema; story characterArcs and characterScreenTime
+     *     are plain objects keyed by character id
+     * 3 = stored through Serializer: story characterArcs and characterScreenTime, publication
+     *     qualityChecks and annotations are Maps keyed by character or page id
+     */
+    static CURRENT_VERSION = 3;
+
+    /** Top-level project fields this version knows about; others are kept and reported */
+    static KNOWN_FIELDS = ['projectInfo', 'data', 'characters', 'story', 'layout', 'assets', 'publication'];
+
+    /**
+     * <summary>Ordered migrations; each takes a project from one version to the next, in place</summary>
+     */
+    static MIGRATIONS = [
+        {
+            from: 1,
+            to: 2,
+            description: 'Legacy panel fields (speechText, speechElements, soundEffects, generatedImage) become dialogues, effects and scene images; story character arcs and screen time become plain objects',
+            migrate(project) {
+                PanelModel.migrateLayout(project.layout);
+                if (project.story && typeof project.story === 'object') {
+                    ['characterArcs', 'characterScreenTime'].forEach(key => {
+                        if (key in project.story) project.story[key] = ProjectSchema.toPlainObject(project.story[key]);
+                    });
+                }
+            }
+        },
+        {
+            from: 2,
+            to: 3,
+            description: 'Story character arcs and screen time, publication quality checks and review annotations become Maps',
+            migrate(project) {
+                if (project.story && typeof project.story === 'object') {
+                    ['characterArcs', 'characterScreenTime'].forEach(key => {
+                        if (key in project.story) project.story[key] = ProjectSchema.toMap(project.story[key]);
+                    });
+                }
+                // Saved as lists of [pageId, value] entries before the serializer
+                if (project.publication && typeof project.publication === 'object') {
+                    ['qualityChecks', 'annotations'].forEach(key => {
+                        if (key in project.publication) project.publication[key] = ProjectSchema.toMap(project.publication[key]);
+                    });
+                }
+            }
+        }
+    ];
+
+    /**
+     * <summary>Schema version a project was saved with</summary>
+     * Projects from before schemaVersion existed only have projectInfo.version ('1.0').
+     */
+    static getVersion(project) {
+        const version = Number(project?.projectInfo?.schemaVersion);
+        return Number.isInteger(version) && version > 0 ? version : 1;
+    }
+
+    /**
+     * <summary>Bring a project to the current schema, in place</summary>
+     * @param {Object} project - Project data in any supported version
+     * @returns {Object} { fromVersion, toVersion, migrations: [descriptions] }
+     * @throws {Error} When the project was saved by a newer version, or a step is missing
+     */
+    static migrate(project) {
+        if (!project || typeof project !== 'object' || Array.isArray(project)) {
+            throw new Error('Project data is not an object');
+        }
+
+        const fromVersion = ProjectSchema.getVersion(project);
+        if (fromVersion > ProjectSchema.CURRENT_VERSION) {
+            throw new Error(`Project schema version ${fromVersion} is newer than supported (${ProjectSchema.CURRENT_VERSION}); update the extension to open it`);
+        }
+
+        const migrations = [];
+        let version = fromVersion;
+        while (version < ProjectSchema.CURRENT_VERSION) {
+            const step = ProjectSchema.MIGRATIONS.find(migration => migration.from === version);
+            if (!step) throw new Error(`No migration from project schema version ${version}`);
+            step.migrate(project);
+            version = step.to;
+            migrations.push(step.description);
+        }
+
+        // Stamped only once every step has run, so a failed migration is retried on the next load
+        if (project.projectInfo && typeof project.projectInfo === 'object') {
+            project.projectInfo.schemaVersion = version;
+        }
+
+        return { fromVersion, toVersion: version, migrations };
+    }
+
+    /**
+     * <summary>Check the structure of a (migrated) project</summary>
+     * Errors make the project unusable; warnings are repaired with defaults when it is loaded;
+     * notes are for information, such as unknown fields that are kept.
+     * @param {Object} project - Project data
+     * @returns {Object} { errors, warnings, notes }, each a list of { path, message }
+     */
+    static validate(project) {
+        const report = { errors: [], warnings: [], notes: [] };
+        const add = (list, path, message) => report[list].push({ path, message });
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        if (!isObject(project)) {
+            add('errors', '', 'Project data is not an object');
+            return report;
+        }
+
+        const info = project.projectInfo;
+        if (!isObject(info)) {
+            add('errors', 'projectInfo', 'Project information is missing');
+        } else {
+            if (typeof info.id !== 'string' || !info.id.trim()) add('errors', 'projectInfo.id', 'Project has no id');
+            if (info.title !== undefined && typeof info.title !== 'string') add('warnings', 'projectInfo.title', 'Title is not text');
+            if (info.lastModified !== undefined && !Number.isFinite(info.lastModified)) {
+                add('warnings', 'projectInfo.lastModified', 'Modification time is not a timestamp; the import time is used');
+            }
+        }
+
+        ['story', 'layout', 'publication'].forEach(key => {
+            if (project[key] === undefined) add('warnings', key, `No ${key} data; it starts empty`);
+            else if (!isObject(project[key])) add('errors', key, `${key} data is not an object`);
+        });
+
+        if (project.characters === undefined) {
+            add('warnings', 'characters', 'No character list; it starts empty');
+        } else if (!Array.isArray(project.characters)) {
+            add('errors', 'characters', 'Character list is not a list');
+        } else {
+            const ids = new Set();
+            project.characters.forEach((character, index) => {
+                const path = `characters[${index}]`;
+                if (!isObject(character)) add('errors', path, 'Character is not an object');
+                else if (!character.id) add('errors', `${path}.id`, `Character "${character.name || index + 1}" has no id`);
+                else if (ids.has(character.id)) add('warnings', `${path}.id`, `Character id ${character.id} is used twice; only the last one is kept`);
+                else ids.add(character.id);
+            });
+        }
+
+        const pages = isObject(project.layout) ? project.layout.pages : undefined;
+        if (pages !== undefined && !Array.isArray(pages)) {
+            add('errors', 'layout.pages', 'Page list is not a list');
+        } else if (pages) {
+            const ids = new Set();
+            pages.forEach((page, pageIndex) => {
+                const path = `layout.pages[${pageIndex}]`;
+                if (!isObject(page)) {
+                    add('errors', path, `Page ${pageIndex + 1} is not an object`);
+                    return;
+                }
+                if (!page.id) add('errors', `${path}.id`, `Page ${pageIndex + 1} has no id`);
+                else if (ids.has(page.id)) add('warnings', `${path}.id`, `Page id ${page.id} is used twice`);
+                else ids.add(page.id);
+
+                if (!Array.isArray(page.panels)) {
+                    if (page.panels !== undefined) add('errors', `${path}.panels`, `Panels of page ${pageIndex + 1} are not a list`);
+                    return;
+                }
+                page.panels.forEach((panel, panelIndex) => {
+                    const panelPath = `${path}.panels[${panelIndex}]`;
+                    if (!isObject(panel)) {
+                        add('errors', panelPath, `Panel ${panelIndex + 1} on page ${pageIndex + 1} is not an object`);
+                        return;
+                    }
+                    const invalid = ['x', 'y', 'width', 'height'].filter(key => !Number.isFinite(Number(panel[key])));
+                    if (invalid.length) {
+                        add('warnings', panelPath, `Panel ${panelIndex + 1} on page ${pageIndex + 1} has no valid ${invalid.join(', ')}; 0 is used`);
+                    }
+                });
+            });
+        }
+
+        Object.keys(project)
+            .filter(key => !ProjectSchema.KNOWN_FIELDS.includes(key))
+            .forEach(key => add('notes', key, `Unknown field "${key}" is kept as it is`));
+
+        return report;
+    }
+
+    /**
+     * <summary>Format a migration and validation report as plain text, one line per finding</summary>
+     * @param {Object} report - Merged result of migrate and validate
+     */
+    static formatReport(report) {
+        const lines = [];
+        if (report.fromVersion !== undefined) {
+            lines.push(report.fromVersion === report.toVersion
+                ? `Schema version ${report.toVersion} (current)`
+                : `Schema version ${report.fromVersion} → ${report.toVersion}`);
+        }
+        (report.migrations || []).forEach(description => lines.push(`Migrated: ${description}`));
+        [['errors', 'Error'], ['warnings', 'Warning'], ['notes', 'Note']].forEach(([list, label]) => {
+            (report[list] || []).forEach(item => lines.push(`${label}: ${item.message}${item.path ? ` (${item.path})` : ''}`));
+        });
+        return lines.join('\n');
+    }
+
+    /**
+     * <summary>Turn a Map stored in an older form into a Map</summary>
+     * Accepts a list of [key, value] entries or an object keyed by the Map's keys.
+     */
+    static toMap(value) {
+        if (value instanceof Map) return value;
+        if (Array.isArray(value)) return new Map(value.filter(entry => Array.isArray(entry) && entry.length === 2));
+        return new Map(value && typeof value === 'object' ? Object.entries(value) : []);
+    }
+
+    /**
+     * <summary>Turn a stored Map into a plain object keyed by its keys</summary>
+     * Accepts the forms older versions wrote: a Map, a list of [key, value] entries, or an object.
+     */
+    static toPlainObject(value) {
+        if (value instanceof Map) return Object.fromEntries(value);
+        if (Array.isArray(value)) {
+            return Object.fromEntries(value.filter(entry => Array.isArray(entry) && entry.length === 2));
+        }
+        return value && typeof value === 'object' ? value : {};
+    }
+}
+
+window.ProjectSchema = ProjectSchema;
@@ -0,0 +1,236 @@
+/**
+ * <summary>Comic Book Generator - Publication Metadata</summary>
+ * Helpers for the publication metadata shared by the metadata editor and every exporter:
+ * creator roles, validation (ISBN checksums, issue numbers, language tags) and the generated
+ * credits/indicia page.
+ *
+ * Creators are kept as a list of { name, role }. The older author and artist fields are
+ * derived from it (first writers, then pencillers) so code that only knows those still works.
+ */
+
+class PublicationMeta {
+    /** Creator roles in credit order, with the matching MARC relator (EPUB; letterers have none, so contributor) and ComicInfo.xml field */
+    static CREATOR_ROLES = {
+        writer: { label: 'Writer', credit: 'Written by', marc: 'aut', comicInfo: 'Writer' },
+        penciller: { label: 'Penciller', credit: 'Pencils by', marc: 'art', comicInfo: 'Penciller' },
+        inker: { label: 'Inker', credit: 'Inks by', marc: 'ink', comicInfo: 'Inker' },
+        colorist: { label: 'Colorist', credit: 'Colors by', marc: 'clr', comicInfo: 'Colorist' },
+        letterer: { label: 'Letterer', credit: 'Letters by', marc: 'ctb', comicInfo: 'Letterer' },
+        coverArtist: { label: 'Cover artist', credit: 'Cover by', marc: 'cov', comicInfo: 'CoverArtist' }
+    };
+
+    /** Suggested languages; any BCP 47 tag is accepted */
+    static LANGUAGES = {
+        en: 'English',
+        es: 'Spanish',
+        fr: 'French',
+        de: 'German',
+        it: 'Italian',
+        pt: 'Portuguese',
+        nl: 'Dutch',
+        pl: 'Polish',
+        ru: 'Russian',
+        ja: 'Japanese',
+        ko: 'Korean',
+        zh: 'Chinese',
+        ar: 'Arabic',
+        hi: 'Hindi'
+    };
+
+    /**
+     * <summary>Bring metadata saved by older versions up to date, in place</summary>
+     * @param {Object} meta - Publication metadata
+     * @returns {Object} The same metadata
+     */
+    static normalize(meta) {
+        if (!Array.isArray(meta.creators)) {
+            meta.creators = [];
+            PublicationMeta.splitNames(meta.author).forEach(name => meta.creators.push({ name, role: 'writer' }));
+            PublicationMeta.splitNames(meta.artist).forEach(name => meta.creators.push({ name, role: 'penciller' }));
+        }
+        meta.creators = meta.creators
+            .map(creator => ({ name: String(creator.name || '').trim(), role: PublicationMeta.CREATOR_ROLES[creator.role] ? creator.role : 'writer' }))
+            .filter(creator => creator.name);
+        meta.language = meta.language || 'en';
+        PublicationMeta.syncLegacyFields(meta);
+        return meta;
+    }
+
+    /**
+     * <summary>Derive author and artist from the creator list</summary>
+     */
+    static syncLegacyFields(meta) {
+        meta.author = PublicationMeta.getNames(meta, 'writer').join(', ');
+        meta.artist = PublicationMeta.getNames(meta, 'penciller').join(', ');
+    }
+
+    static getNames(meta, role) {
+        return (meta.creators || []).filter(creator => creator.role === role).map(creator => creator.name);
+    }
+
+    /**
+     * <summary>Replace the creators of one role from a comma-separated list of names</summary>
+     * The new names take the place of the first creator they replace, so credit order is kept.
+     */
+    static setNames(meta, role, text) {
+        const creators = meta.creators || [];
+        const first = creators.findIndex(creator => creator.role === role);
+        const others = creators.filter(creator => creator.role !== role);
+        const replaced = PublicationMeta.splitNames(text).map(name => ({ name, role }));
+        const at = first < 0 ? others.length : creators.slice(0, first).filter(creator => creator.role !== role).length;
+
+        meta.creators = [...others.slice(0, at), ...replaced, ...others.slice(at)];
+        PublicationMeta.syncLegacyFields(meta);
+    }
+
+    static splitNames(text) {
+        return String(text || '').split(',').map(name => name.trim()).filter(Boolean);
+    }
+
+    /**
+     * <summary>Credit lines in role order, one per role</summary>
+     * @returns {Array} [{ role: 'Written by', name: 'A, B' }]
+     */
+    static getCredits(meta) {
+        return Object.entries(PublicationMeta.CREATOR_ROLES)
+            .map(([role, definition]) => ({ role: definition.credit, name: PublicationMeta.getNames(meta, role).join(', ') }))
+            .filter(credit => credit.name);
+    }
+
+    /**
+     * <summary>Strip spaces and hyphens from an ISBN</summary>
+     */
+    static normalizeIsbn(value) {
+        return String(value || '').replace(/[\s-]/g, '').toUpperCase();
+    }
+
+    /**
+     * <summary>Check an ISBN-10 or ISBN-13, including its check digit</summary>
+     * @returns {string|null} Error message, or null when valid
+     */
+    static validateIsbn(value) {
+        const isbn = PublicationMeta.normalizeIsbn(value);
+
+        if (/^\d{9}[\dX]$/.test(isbn)) {
+            const sum = [...isbn].reduce((total, char, index) => total + (char === 'X' ? 10 : Number(char)) * (10 - index), 0);
+            return sum % 11 === 0 ? null : 'ISBN-10 check digit does not match';
+        }
+
+        if (/^\d{13}$/.test(isbn)) {
+            if (!/^97[89]/.test(isbn)) return 'ISBN-13 must start with 978 or 979';
+            const sum = [...isbn].reduce((total, char, index) => total + Number(char) * (index % 2 ? 3 : 1), 0);
+            return sum % 10 === 0 ? null : 'ISBN-13 check digit does not match';
+        }
+
+        return 'ISBN must have 10 or 13 digits';
+    }
+
+    /**
+     * <summary>Validate metadata before it is saved</summary>
+     * @param {Object} meta - Publication metadata
+     * @returns {Object} field -> error message; empty when everything is valid
+     */
+    static validate(meta) {
+        const errors = {};
+
+        if (!String(meta.title || '').trim()) {
+            errors.title = 'Title is required';
+        }
+        if (String(meta.isbn || '').trim()) {
+            const isbnError = PublicationMeta.validateIsbn(meta.isbn);
+            if (isbnError) errors.isbn = isbnError;
+        }
+        if (String(meta.issueNumber ?? '').trim() && !/^\d{1,5}(\.\d{1,2})?$/.test(String(meta.issueNumber).trim())) {
+            errors.issueNumber = 'Issue number must be a number such as 1 or 12.5';
+        }
+        if (!/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(String(meta.language || ''))) {
+            errors.language = 'Language must be a language tag such as en or pt-BR';
+        }
+        if (String(meta.publicationDate || '').trim() && !PublicationMeta.parseDate(meta.publicationDate)) {
+            errors.publicationDate = 'Publication date must be a date such as 2025-06-30';
+        }
+
+        return errors;
+    }
+
+    /**
+     * <summary>Split a YYYY-MM-DD publication date into its parts</summary>
+     * @returns {Object|null} { year, month, day }, or null when the text is not a real date
+     */
+    static parseDate(text) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(text || '').trim());
+        if (!match) return null;
+        const [year, month, day] = match.slice(1).map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? { year, month, day } : null;
+    }
+
+    /**
+     * <summary>Indicia lines: series, publisher, copyright and ISBN</summary>
+     */
+    static getIndicia(meta) {
+        const copyright = String(meta.copyright || '').trim();
+        return [
+            meta.seriesTitle && `${meta.seriesTitle}${meta.issueNumber !== '' && meta.issueNumber != null ? ` #${meta.issueNumber}` : ''}`,
+            meta.publisher && `Published by ${meta.publisher}`,
+            copyright && (/^(©|\(c\)|copyright)/i.test(copyright) ? copyright : `© ${copyright}`),
+            meta.isbn && `ISBN ${String(meta.isbn).trim()}`
+        ].filter(Boolean);
+    }
+
+    /**
+     * <summary>Build the credits/indicia page for exports</summary>
+     * The page is ordinary page data (one borderless panel holding captions), so every exporter
+     * renders it like any other page and writes its text as real text where the format allows.
+     * @param {Object} meta - Publication metadata
+     * @param {Object} template - Page whose size and format the credits page copies
+     * @returns {Object} Page data
+     */
+    static buildCreditsPage(meta, template) {
+        const page = {
+            id: 'credits',
+            number: '',
+            width: template.width,
+            height: template.height,
+            format: template.format,
+            backgroundColor: '#ffffff',
+            readingFlow: [],
+            panels: []
+        };
+
+        const safe = PageFormat.getGuides(page).safe;
+        const panel = PanelModel.createPanel({
+            id: 'credits-panel',
+            ...safe,
+            borderWidth: 0,
+            borderStyle: 'none',
+            backgroundColor: '#ffffff'
+        });
+        page.panels.push(panel);
+
+        const caption = (text) => PanelModel.createDialogue({ type: 'caption', text, x: 10, y: 0, width: 80 });
+        const title = [meta.title || 'Untitled Comic', meta.subtitle].filter(Boolean).join('\n');
+        const top = [caption(title), ...PublicationMeta.getCredits(meta).map(credit => caption(`${credit.role} ${credit.name}`))];
+        const indicia = PublicationMeta.getIndicia(meta);
+        const bottom = indicia.length ? [caption(indicia.join('\n'))] : [];
+        panel.dialogues = [...top, ...bottom];
+
+        // Measure the captions, then stack the credits from the top and the indicia at the bottom
+        const heights = new Map(PageRenderer.layoutLettering(page).map(item => [item.dialogueId, item.box.height]));
+        const gap = 12;
+        const toPercent = (y) => (y / panel.height) * 100;
+
+        let y = panel.height * 0.1;
+        top.forEach(dialogue => {
+            dialogue.y = toPercent(y);
+            y += heights.get(dialogue.id) + gap;
+        });
+        bottom.forEach(dialogue => {
+            dialogue.y = toPercent(Math.max(y, panel.height - heights.get(dialogue.id)));
+        });
+
+        return page;
+    }
+}
+
+window.PublicationMeta = PublicationMeta;
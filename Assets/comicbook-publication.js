@@ -4,18 +4,67 @@
  */
 
 class PublicationManager extends BaseManager {
+    static EXPORT_FORMATS = {
+        pdf: 'PDF (print and digital)',
+        cbz: 'CBZ (comic reader apps)',
+        html: 'Web comic (single HTML file)',
+        epub: 'EPUB 3 fixed layout (e-readers)',
+        webtoon: 'Webtoon strip (sliced images)',
+        booklet: 'Print booklet PDF (saddle-stitch)',
+        images: 'Page or panel images (zip)'
+    };
+
+    /** JPEG quality per export compression level */
+    static JPEG_QUALITY = { low: 0.95, medium: 0.85, high: 0.7 };
+
+    /** Image types for raster exports */
+    static IMAGE_TYPES = {
+        jpeg: { mime: 'image/jpeg', extension: 'jpg' },
+        png: { mime: 'image/png', extension: 'png' }
+    };
+
+    /** ComicInfo.xml AgeRating values for our age ratings */
+    static COMIC_INFO_AGE_RATINGS = {
+        'All Ages': 'Everyone',
+        'Teen (13+)': 'Teen',
+        'Mature (17+)': 'Mature 17+',
+        'Adult (18+)': 'Adults Only 18+'
+    };
+
+    /** Crop mark geometry in points: gap from the media edge, length and line width */
+    static CROP_MARK = { offset: 3, length: 12, width: 0.25 };
+
     constructor(main) {
         super(main, 'Publication');
         this.main = main;
         this.debug = true;
+        this.fullscreenMode = false;
+        this.resetProjectState();
+        this.isExporting = false;
+        this.pageCanvases = new Map();
+        this.isInitialized = false;
+
+        this.log('PublicationManager constructor called');
+    }
+
+    /**
+     * <summary>Reset everything that belongs to a project to its defaults</summary>
+     * Called before loading a project, so nothing carries over from the previous one.
+     */
+    resetProjectState() {
         this.currentPreviewPage = 0;
+        this.currentPreviewPanel = 0; // Index in reading order, for panel-by-panel mode
         this.currentReadingMode = 'single-page';
         this.zoomLevel = 100;
-        this.fullscreenMode = false;
         this.readingDirection = 'ltr'; // left-to-right or right-to-left
         this.panelGuideMode = false;
-        this.qualityChecks = new Map();
-        this.annotations = new Map();
+        this.qualityChecks = new Map(); // pageId -> { pageId, score, issues } from QualityRules.run
+        this.projectQualityIssues = [];
+        this.qualityCategory = 'all';
+        this.preflightIssues = null; // From Preflight.run; null until preflight has run
+        this.annotations = new Map(); // pageId -> review pins, see ReviewAnnotations
+        this.annotationMode = false; // Clicking a page in the reader drops a pin
+        this.annotationFilter = { category: 'all', status: 'open' };
         this.reviewStatus = {
             story: false,
             art: false,
@@ -30,12 +79,24 @@ class PublicationManager extends BaseManager {
             resolution: 300,
             includeBleed: false,
             cropMarks: false,
-            compression: 'medium'
+            compression: 'medium',
+            pageNumbers: true,
+            imageFormat: 'jpeg',
+            stripWidth: 800,
+            sliceHeight: 1280,
+            stripGap: 0,
+            stripSource: 'pages',
+            creditsPage: 'none', // 'none', 'after-cover' or 'end'
+            imageScope: 'pages', // 'pages' or 'panels'
+            fileNamePattern: ImageExport.DEFAULT_PATTERN,
+            pageRange: '', // e.g. "1-4, 7"; empty for every page
+            imageBackground: 'page' // 'page' or 'transparent' (PNG only)
         };
         this.publicationMeta = {
             title: '',
             subtitle: '',
             author: '',
+            subject: '',
             artist: '',
             publisher: '',
             isbn: '',
@@ -43,13 +104,11 @@ class PublicationManager extends BaseManager {
             genre: '',
             ageRating: '',
             issueNumber: 1,
-            seriesTitle: ''
+            seriesTitle: '',
+            publicationDate: '', // YYYY-MM-DD; empty when not decided yet
+            creators: [], // [{ name, role }], see PublicationMeta.CREATOR_ROLES
+            language: 'en'
         };
-        this.isExporting = false;
-        this.pageCanvases = new Map();
-        this.isInitialized = false;
-
-        this.log('PublicationManager constructor called');
     }
 
     /**
@@ -86,6 +145,14 @@ class PublicationManager extends BaseManager {
         // Navigation controls (document-level)
         document.addEventListener('keydown', (e) => this.handleKeyboardNavigation(e));
 
+        // Review pins, in the reader and in the fullscreen overlay
+        document.addEventListener('click', (e) => this.handleAnnotationClick(e));
+
+        // The panel camera is fitted to the reader size
+        window.addEventListener('resize', () => {
+            if (this.currentReadingMode === 'panel-by-panel') this.updatePanelCamera();
+        });
+
         // Zoom controls
         this.main.eventManager.on('cbg-zoom-level', 'change', (e) => {
             const val = parseInt(e.target.value);
@@ -100,15 +167,16 @@ class PublicationManager extends BaseManager {
      */
     setupKeyboardShortcuts() {
         const shortcuts = {
-            'ArrowRight': () => this.nextPage(),
-            'ArrowLeft': () => this.previousPage(),
+            // Arrows follow the reading direction: forward is to the left in right-to-left comics
+            'ArrowRight': () => this.readingDirection === 'rtl' ? this.previousPage() : this.nextPage(),
+            'ArrowLeft': () => this.readingDirection === 'rtl' ? this.nextPage() : this.previousPage(),
             'Space': () => this.nextPage(),
             'Shift+Space': () => this.previousPage(),
             'Home': () => this.goToFirstPage(),
             'End': () => this.goToLastPage(),
-            'f': () => this.toggleFullscreen(),
-            'g': () => this.togglePanelGuide(),
-            'Escape': () => this.exitFullscreen()
+            'KeyF': () => this.toggleFullscreen(),
+            'KeyG': () => this.togglePanelGuide(),
+            'Escape': () => this.fullscreenMode && this.exitFullscreenMode()
         };
 
         this.keyboardShortcuts = shortcuts;
@@ -121,9 +189,9 @@ class PublicationManager extends BaseManager {
         try {
             this.log('Rendering publication interface...');
 
+            await this.runQualityChecks();
             await this.renderNavigationPanel();
             await this.renderMainReader();
-            await this.runQualityChecks();
 
         } catch (error) {
             this.handleError('Failed to render publication interface', error);
@@ -161,6 +229,7 @@ class PublicationManager extends BaseManager {
             html += '<div class="d-flex" style="gap: 0.5rem; margin: 1rem 0;">';
             html += '<button class="basic-button small-button" id="cbg-fullscreen-reader">📖 Fullscreen Reader</button>';
             html += '<button class="basic-button small-button" id="cbg-panel-guide">🎯 Panel Guide</button>';
+            html += `<button class="basic-button small-button ${this.annotationMode ? 'active' : ''}" id="cbg-annotation-mode" title="Click the page to pin a review comment">📌 ${this.annotationMode ? 'Stop Commenting' : 'Comment'}</button>`;
             html += '</div>';
 
             html += '</div>';
@@ -183,12 +252,14 @@ class PublicationManager extends BaseManager {
                     const isActive = index === this.currentPreviewPage;
                     const panelCount = page.panels ? page.panels.length : 0;
                     const qualityScore = this.getPageQualityScore(page);
+                    const openComments = (this.annotations.get(page.id) || []).filter(pin => !pin.resolved).length;
 
                     html += `
-                        <div class="page-thumb ${isActive ? 'active' : ''}" data-page-index="${index}"
+                        <div class="page-thumb ${isActive ? 'active' : ''} ${page.cover ? 'cover-thumb' : ''}" data-page-index="${index}"
                              style="aspect-ratio: 3/4; border: ${isActive ? '2px solid var(--primary)' : '1px solid var(--shadow)'}; border-radius: 0.4rem; background-color: var(--background-soft); cursor: pointer; position: relative; display: flex; align-items: center; justify-content: center; font-size: 0.8rem; font-weight: ${isActive ? '600' : '400'}; transition: all 0.2s;">
-                            <div class="page-number">${page.number}</div>
-                            <div class="quality-indicator" style="position: absolute; top: 2px; right: 2px; width: 8px; height: 8px; border-radius: 50%; background: ${this.getQualityColor(qualityScore)};"></div>
+                            <div class="page-number" ${page.cover ? `title="${CoverDesign.getLabel(page, true)}"` : ''}>${CoverDesign.getLabel(page) || page.number}</div>
+                            ${openComments ? `<div class="annotation-count" title="${openComments} open comment(s)">${openComments}</div>` : ''}
+                            <div class="quality-indicator" title="${qualityScore === null ? 'Not checked' : `Quality ${qualityScore}%`}" style="position: absolute; top: 2px; right: 2px; width: 8px; height: 8px; border-radius: 50%; background: ${this.getQualityColor(qualityScore)};"></div>
                             <div class="page-info" style="position: absolute; bottom: 2px; left: 2px; right: 2px; font-size: 0.6rem; color: var(--text-soft); text-align: center; background: rgba(0,0,0,0.1); border-radius: 0.2rem; padding: 1px;">
                                 ${panelCount} panels
                             </div>
@@ -215,7 +286,7 @@ class PublicationManager extends BaseManager {
             const overallQuality = this.calculateOverallQuality();
             html += `<div class="quality-overview" style="margin-bottom: 1rem;">
                 <div class="quality-score" style="text-align: center; padding: 1rem; background: var(--background-soft); border-radius: 0.5rem; border: 1px solid var(--shadow);">
-                    <div style="font-size: 2rem; font-weight: bold; color: ${this.getQualityColor(overallQuality)};">${overallQuality}%</div>
+                    <div style="font-size: 2rem; font-weight: bold; color: ${this.getQualityColor(overallQuality)};">${overallQuality === null ? '—' : `${overallQuality}%`}</div>
                     <div style="font-size: 0.9rem; color: var(--text-soft);">Overall Quality</div>
                 </div>
             </div>`;
@@ -227,6 +298,8 @@ class PublicationManager extends BaseManager {
             html += '<button class="basic-button small-button" id="cbg-continuity-check">🔗 Story Continuity</button>';
             html += '</div>';
 
+            html += this.renderQualityIssues(pages);
+
             html += '</div>';
 
             // Review & Approval Section
@@ -241,13 +314,17 @@ class PublicationManager extends BaseManager {
                 { key: 'technical', label: 'Technical Review', icon: '⚙️' }
             ];
 
+            const openCounts = this.getOpenAnnotationCounts();
+
             html += '<div class="review-checklist" style="display: flex; flex-direction: column; gap: 0.5rem;">';
             reviewItems.forEach(item => {
                 const isApproved = this.reviewStatus[item.key];
+                const openCount = openCounts[item.key];
                 html += `
                     <div class="review-item" style="display: flex; align-items: center; padding: 0.5rem; border: 1px solid var(--shadow); border-radius: 0.4rem; background: ${isApproved ? 'var(--success-alpha)' : 'var(--background-soft)'};">
                         <span style="margin-right: 0.5rem;">${item.icon}</span>
                         <span style="flex-grow: 1; font-size: 0.9rem;">${item.label}</span>
+                        ${openCount ? `<span class="annotation-count-inline" title="Open ${item.key} comments">${openCount} open</span>` : ''}
                         <button class="basic-button small-button review-toggle" data-review="${item.key}" style="background: ${isApproved ? 'var(--success)' : 'var(--shadow)'}; color: ${isApproved ? 'white' : 'var(--text)'};">
                             ${isApproved ? '✓' : '○'}
                         </button>
@@ -258,8 +335,13 @@ class PublicationManager extends BaseManager {
 
             html += '<button class="basic-button btn-primary" id="cbg-approve-all" style="margin-top: 1rem; width: 100%;">Approve for Publication</button>';
 
+            html += this.renderAnnotationList(pages);
+
             html += '</div>';
 
+            // Export Section
+            html += this.renderExportSection();
+
             // Publication Settings Section
             html += '<div class="navigator-section">';
             html += '<h4 style="margin-bottom: 1rem;">Publication Settings</h4>';
@@ -267,8 +349,8 @@ class PublicationManager extends BaseManager {
             html += makeTextInput(null, 'cbg-pub-title', 'pub_title', 'Comic Title',
                 'Main title of the comic', this.publicationMeta.title, 'normal', 'My Amazing Comic');
 
-            html += makeTextInput(null, 'cbg-pub-author', 'pub_author', 'Author/Creator',
-                'Creator name(s)', this.publicationMeta.author, 'normal', 'John Doe');
+            html += makeTextInput(null, 'cbg-pub-author', 'pub_author', 'Writer(s)',
+                'Comma-separated writer names; other creator roles are set in Full Metadata', this.publicationMeta.author, 'normal', 'John Doe');
 
             html += makeDropdownInput(null, 'cbg-pub-genre', 'pub_genre', 'Genre',
                 'Comic genre classification',
@@ -300,6 +382,62 @@ class PublicationManager extends BaseManager {
         }
     }
 
+    /**
+     * <summary>Render the comic reader for the current reading mode</summary>
+     */
+    async renderMainReader() {
+        const container = this.getReaderContainer();
+        if (!container) return;
+
+        try {
+            const layoutManager = this.main.getManager('layout');
+            const pages = layoutManager ? layoutManager.getAllPages() : [];
+
+            if (pages.length === 0) {
+                container.innerHTML = `
+                    <div style="text-align: center; color: var(--text-soft); padding: 3rem;">
+                        <div style="font-size: 1.1rem; margin-bottom: 0.5rem;">Nothing to preview yet</div>
+                        <div style="font-size: 0.9rem;">Create pages in Layout mode first</div>
+                    </div>
+                `;
+                return;
+            }
+
+            this.currentPreviewPage = Math.max(0, Math.min(pages.length - 1, this.currentPreviewPage));
+
+            let readerHtml;
+            switch (this.currentReadingMode) {
+                case 'double-page':
+                    readerHtml = await this.renderDoublePageMode(pages);
+                    break;
+                case 'continuous-scroll':
+                    readerHtml = await this.renderContinuousScrollMode(pages);
+                    break;
+                case 'panel-by-panel':
+                    readerHtml = await this.renderPanelByPanelMode(pages);
+                    break;
+                default:
+                    readerHtml = await this.renderSinglePageMode(pages);
+                    break;
+            }
+
+            container.innerHTML = `
+                <div class="comic-reader-wrapper" data-reading-mode="${this.currentReadingMode}" data-reading-direction="${this.readingDirection}">
+                    ${readerHtml}
+                    ${this.renderReaderControls()}
+                </div>
+            `;
+
+            if (this.currentReadingMode === 'panel-by-panel') {
+                this.updatePanelCamera(true);
+            }
+
+        } catch (error) {
+            this.handleError('Failed to render reader', error);
+            container.innerHTML = '<div class="cbg-error">Failed to render reader</div>';
+        }
+    }
+
     /**
      * <summary>Render single page reading mode</summary>
      * @param {Array} pages - Array of page data
@@ -309,7 +447,7 @@ class PublicationManager extends BaseManager {
         const currentPage = pages[this.currentPreviewPage];
         if (!currentPage) return '<div>Page not found</div>';
 
-        const pageCanvas = await this.generatePageCanvas(currentPage);
+        const pageCanvas = await this.renderReaderPage(currentPage);
 
         return `
             <div class="single-page-reader" style="display: flex; align-items: center; justify-content: center; height: 100%; padding: 2rem;">
@@ -326,36 +464,53 @@ class PublicationManager extends BaseManager {
      * @returns {string} HTML for double page mode
      */
     async renderDoublePageMode(pages) {
-        const leftPageIndex = this.currentPreviewPage;
-        const rightPageIndex = this.readingDirection === 'ltr' ? leftPageIndex + 1 : leftPageIndex - 1;
-
-        const leftPage = pages[leftPageIndex];
-        const rightPage = pages[rightPageIndex];
+        // Covers are shown alone; right-to-left comics put the first page of a spread on the right
+        const spread = this.getCurrentSpread(pages).map(index => pages[index]);
+        if (this.readingDirection === 'rtl') spread.reverse();
 
         let html = '<div class="double-page-reader" style="display: flex; align-items: center; justify-content: center; height: 100%; padding: 2rem; gap: 1rem;">';
-
-        if (this.readingDirection === 'rtl') {
-            if (rightPage) html += `<div class="page-container">${await this.generatePageCanvas(rightPage)}</div>`;
-            if (leftPage) html += `<div class="page-container">${await this.generatePageCanvas(leftPage)}</div>`;
-        } else {
-            if (leftPage) html += `<div class="page-container">${await this.generatePageCanvas(leftPage)}</div>`;
-            if (rightPage) html += `<div class="page-container">${await this.generatePageCanvas(rightPage)}</div>`;
+        for (const page of spread) {
+            html += `<div class="page-container">${await this.renderReaderPage(page)}</div>`;
         }
-
         html += '</div>';
         return html;
     }
 
+    /**
+     * <summary>Get the spread that holds the current preview page</summary>
+     * @returns {Array} Page indexes in reading order (see CoverDesign.getSpreads)
+     */
+    getCurrentSpread(pages) {
+        return CoverDesign.getSpreads(pages).find(spread => spread.includes(this.currentPreviewPage)) || [this.currentPreviewPage];
+    }
+
+    /**
+     * <summary>Move to the next or previous spread in double-page mode</summary>
+     * @param {number} delta - 1 or -1
+     */
+    async stepSpread(delta) {
+        const layoutManager = this.main.getManager('layout');
+        const pages = layoutManager ? layoutManager.getAllPages() : [];
+        const spreads = CoverDesign.getSpreads(pages);
+        const current = spreads.findIndex(spread => spread.includes(this.currentPreviewPage));
+        const target = spreads[current + delta];
+        if (target) await this.goToPage(target[0]);
+    }
+
     /**
      * <summary>Render continuous scroll reading mode</summary>
      * @param {Array} pages - Array of page data
      * @returns {string} HTML for continuous scroll mode
      */
     async renderContinuousScrollMode(pages) {
+        if (pages.every(page => PageFormat.getFormat(page).presetId === 'webtoon')) {
+            return this.renderWebtoonStrip(pages);
+        }
+
         let html = '<div class="continuous-scroll-reader" style="display: flex; flex-direction: column; align-items: center; padding: 2rem; gap: 2rem;">';
 
         for (const page of pages) {
-            const pageCanvas = await this.generatePageCanvas(page);
+            const pageCanvas = await this.renderReaderPage(page);
             html += `
                 <div class="page-container" data-page="${page.number}" style="scroll-margin-top: 2rem;">
                     ${pageCanvas}
@@ -367,14 +522,150 @@ class PublicationManager extends BaseManager {
         return html;
     }
 
+    /**
+     * <summary>Render webtoon pages as one seamless strip</summary>
+     * When exporting as a webtoon strip of whole pages, the slice cuts are marked on the preview.
+     * @param {Array} pages - Array of page data
+     * @returns {string} HTML for the strip
+     */
+    async renderWebtoonStrip(pages) {
+        const settings = this.exportSettings;
+        const plan = settings.format === 'webtoon' ? this.planWebtoonStrip(pages, settings) : null;
+        // The preview shows pages at layout size, so strip pixels are divided by the strip scale
+        const scale = plan?.segments.length ? plan.segments[0].scale : 1;
+        const gap = plan ? settings.stripGap / scale : 0;
+
+        let html = `<div class="continuous-scroll-reader webtoon-strip" style="display: flex; flex-direction: column; align-items: center; padding: 2rem; gap: ${gap}px;">`;
+
+        for (const page of pages) {
+            html += `
+                <div class="page-container" data-page="${page.number}">
+                    ${await this.renderReaderPage(page)}
+                </div>
+            `;
+        }
+
+        if (plan && settings.stripSource === 'pages') {
+            html += plan.cuts.slice(1, -1).map((cut, index) => `
+                <div class="webtoon-slice-marker" style="top: calc(2rem + ${cut / scale}px);" title="Slice ${index + 1} ends here">
+                    <span>${index + 1}</span>
+                </div>
+            `).join('');
+        }
+
+        html += '</div>';
+        return html;
+    }
+
     /**
      * <summary>Render panel-by-panel reading mode</summary>
      * @param {Array} pages - Array of page data
      * @returns {string} HTML for panel-by-panel mode
      */
     async renderPanelByPanelMode(pages) {
-        // TODO: Implement guided panel reading with transitions
-        return await this.renderSinglePageMode(pages);
+        const currentPage = pages[this.currentPreviewPage];
+        if (!currentPage) return '<div>Page not found</div>';
+
+        // Negative indexes count from the end, so stepping back onto a page lands on its last panel
+        const count = this.getReadingPanels(currentPage).length;
+        if (this.currentPreviewPanel < 0) this.currentPreviewPanel += count;
+        this.currentPreviewPanel = Math.max(0, Math.min(Math.max(0, count - 1), this.currentPreviewPanel));
+
+        return `
+            <div class="panel-reader">
+                <div class="panel-camera">
+                    ${await this.renderReaderPage(currentPage)}
+                </div>
+                <div class="panel-reader-status">${this.getPanelPositionLabel(currentPage)}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * <summary>Get a page's panels in reading order</summary>
+     * Uses the page's reading flow when set, otherwise the automatic Z-path (see ReadingFlow).
+     * @param {Object} page - Page data
+     * @returns {Array} Panels in reading order
+     */
+    getReadingPanels(page) {
+        const layoutManager = this.main.getManager('layout');
+        return layoutManager ? layoutManager.getPanelsInReadingOrder(page) : (page.panels || []);
+    }
+
+    /**
+     * <summary>Describe the current page and panel for the reader status</summary>
+     */
+    getPanelPositionLabel(page) {
+        const count = this.getReadingPanels(page).length;
+        const pageLabel = `Page ${this.currentPreviewPage + 1}`;
+        return count ? `${pageLabel}, panel ${this.currentPreviewPanel + 1} of ${count}` : pageLabel;
+    }
+
+    /**
+     * <summary>Pan and zoom the panel-by-panel camera to the current panel</summary>
+     * @param {boolean} fromWholePage - Start from the whole page, so a new page zooms in to its first panel
+     */
+    updatePanelCamera(fromWholePage = false) {
+        const reader = this.getReaderContainer()?.querySelector('.panel-reader');
+        const camera = reader?.querySelector('.panel-camera');
+        const layoutManager = this.main.getManager('layout');
+        const page = layoutManager ? layoutManager.getAllPages()[this.currentPreviewPage] : null;
+        if (!camera || !page) return;
+
+        // The reader shows the trimmed page, so panel positions are relative to the trim box
+        const { trim } = PageFormat.getGuides({ ...page, width: page.width || 800, height: page.height || 600 });
+        const panel = this.getReadingPanels(page)[this.currentPreviewPanel];
+        const wholePage = { x: 0, y: 0, width: trim.width, height: trim.height };
+        const target = panel ? { x: panel.x - trim.x, y: panel.y - trim.y, width: panel.width, height: panel.height } : wholePage;
+
+        const transformFor = (rect) => {
+            const margin = 24;
+            const scale = Math.min((reader.clientWidth - margin * 2) / rect.width, (reader.clientHeight - margin * 2) / rect.height);
+            const x = reader.clientWidth / 2 - (rect.x + rect.width / 2) * scale;
+            const y = reader.clientHeight / 2 - (rect.y + rect.height / 2) * scale;
+            return `translate(${x}px, ${y}px) scale(${scale})`;
+        };
+
+        if (fromWholePage) {
+            camera.classList.add('no-transition');
+            camera.style.transform = transformFor(wholePage);
+            void camera.offsetWidth; // Apply the starting position before the transition begins
+            camera.classList.remove('no-transition');
+        }
+        camera.style.transform = transformFor(target);
+
+        camera.querySelectorAll('.reading-panel').forEach(element => {
+            element.classList.toggle('current-panel', !!panel && element.dataset.panelId === panel.id);
+        });
+        camera.classList.toggle('has-current-panel', !!panel);
+
+        const label = this.getPanelPositionLabel(page);
+        reader.querySelector('.panel-reader-status').textContent = label;
+        const indicator = document.querySelector('#fullscreen-reader-overlay .page-indicator');
+        if (indicator) indicator.textContent = label;
+    }
+
+    /**
+     * <summary>Step through panels in reading order, crossing page boundaries</summary>
+     * @param {number} delta - 1 for the next panel, -1 for the previous one
+     */
+    async stepPanel(delta) {
+        const layoutManager = this.main.getManager('layout');
+        const pages = layoutManager ? layoutManager.getAllPages() : [];
+        const page = pages[this.currentPreviewPage];
+        if (!page) return;
+
+        const panel = this.currentPreviewPanel + delta;
+        if (panel >= 0 && panel < this.getReadingPanels(page).length) {
+            this.currentPreviewPanel = panel;
+            this.updatePanelCamera();
+            return;
+        }
+
+        const pageIndex = this.currentPreviewPage + delta;
+        if (pageIndex >= 0 && pageIndex < pages.length) {
+            await this.goToPage(pageIndex, delta > 0 ? 0 : -1);
+        }
     }
 
     /**
@@ -384,19 +675,22 @@ class PublicationManager extends BaseManager {
      */
     async generatePageCanvas(pageData) {
         try {
-            const cacheKey = `${pageData.id}_${pageData.lastModified}_reader`;
+            // The panel guide depends on the reading direction, so both are part of the key
+            const cacheKey = `${pageData.id}_${pageData.lastModified}_${this.panelGuideMode}_${this.readingDirection}_reader`;
             if (this.pageCanvases.has(cacheKey)) {
                 return this.pageCanvases.get(cacheKey);
             }
 
             const pageWidth = pageData.width || 800;
-            const pageHeight = pageData.height || 1000;
+            const pageHeight = pageData.height || 600;
             const panels = pageData.panels || [];
+            // Readers see the trimmed page; the bleed is cut off like in print
+            const { trim } = PageFormat.getGuides({ ...pageData, width: pageWidth, height: pageHeight });
 
             let html = `
                 <div class="comic-page" data-page-id="${pageData.id}" style="
-                    width: ${pageWidth}px; 
-                    height: ${pageHeight}px; 
+                    width: ${trim.width}px; 
+                    height: ${trim.height}px; 
                     background: white; 
                     border: 2px solid #333; 
                     box-shadow: 0 8px 24px rgba(0,0,0,0.3); 
@@ -405,6 +699,7 @@ class PublicationManager extends BaseManager {
                     border-radius: 12px;
                     margin: 0 auto;
                 ">
+                <div class="comic-page-media" style="position: absolute; left: ${-trim.x}px; top: ${-trim.y}px; width: ${pageWidth}px; height: ${pageHeight}px;">
             `;
 
             // Page background
@@ -421,17 +716,23 @@ class PublicationManager extends BaseManager {
                 `;
             }
 
+            // Cover art sits under the panels and the cover elements over them
+            html += CoverDesign.renderHtml(pageData, 'art');
+
             // Render panels with enhanced detail for reading
             panels.forEach((panel, index) => {
                 html += this.renderPanelForReading(panel, pageWidth, pageHeight, index);
             });
 
+            html += CoverDesign.renderHtml(pageData, 'elements');
+
             // Panel guide overlay (if enabled)
             if (this.panelGuideMode) {
-                html += this.renderPanelGuideOverlay(panels, pageWidth, pageHeight);
+                html += this.renderPanelGuideOverlay(this.getReadingPanels(pageData), pageWidth, pageHeight,
+                    ReadingFlow.findAmbiguities(pageData, this.readingDirection));
             }
 
-            html += '</div>';
+            html += '</div></div>';
 
             this.pageCanvases.set(cacheKey, html);
             return html;
@@ -456,23 +757,22 @@ class PublicationManager extends BaseManager {
         const width = (panel.width / pageWidth) * 100;
         const height = (panel.height / pageHeight) * 100;
 
+        PanelModel.normalizePanel(panel);
+        const isShaped = PanelGeometry.isShaped(panel);
+
         let content = '';
 
         // High-quality panel content
-        if (panel.generatedImage) {
+        const artUrl = PanelModel.getArtUrl(panel);
+        if (artUrl) {
             content += `
-                <img src="${panel.generatedImage}" 
+                <img src="${artUrl}" 
                      style="width: 100%; height: 100%; object-fit: cover; border-radius: 4px;" 
                      alt="Panel ${index + 1}" loading="lazy">
             `;
-        } else if (panel.sceneImage) {
-            content += `
-                <img src="${panel.sceneImage}" 
-                     style="width: 100%; height: 100%; object-fit: cover; border-radius: 4px;" 
-                     alt="Panel scene" loading="lazy">
-            `;
         } else {
             // Placeholder content
+            const description = panel.sceneDescription || panel.sceneSummary || '';
             content += `
                 <div style="
                     display: flex; flex-direction: column; align-items: center; justify-content: center; 
@@ -481,36 +781,45 @@ class PublicationManager extends BaseManager {
                     color: #666; text-align: center; border-radius: 4px;
                 ">
                     <div style="font-size: 1.2rem; margin-bottom: 0.5rem;">Panel ${index + 1}</div>
-                    ${panel.sceneDescription ? `<div style="font-size: 0.9rem; line-height: 1.3;">${escapeHtml(panel.sceneDescription.substring(0, 100))}${panel.sceneDescription.length > 100 ? '...' : ''}</div>` : ''}
+                    ${description ? `<div style="font-size: 0.9rem; line-height: 1.3;">${escapeHtml(description.substring(0, 100))}${description.length > 100 ? '...' : ''}</div>` : ''}
                 </div>
             `;
         }
 
-        // Speech bubbles and text elements
-        if (panel.speechElements && panel.speechElements.length > 0) {
-            panel.speechElements.forEach((element, idx) => {
-                content += this.renderSpeechElement(element, idx);
-            });
-        } else if (panel.speechText && panel.speechText.trim()) {
-            // Legacy single speech text
-            content += this.renderLegacySpeechBubble(panel.speechText, panel.speechStyle);
+        // Shaped panels clip their art and draw the outline as SVG, as on the Layout canvas
+        if (isShaped) {
+            content = `
+                <div class="panel-shape-clip" style="position: absolute; inset: 0; overflow: hidden;
+                     clip-path: ${PanelGeometry.getClipPath(panel)}; background-color: ${panel.backgroundColor || 'white'};">
+                    ${content}
+                </div>
+                ${PanelGeometry.renderOutline(panel)}
+            `;
         }
 
+        // Speech bubbles and captions
+        panel.dialogues.forEach((dialogue, idx) => {
+            content += this.renderSpeechElement(dialogue, idx);
+        });
+
         // Sound effects
-        if (panel.soundEffects && panel.soundEffects.length > 0) {
-            panel.soundEffects.forEach((sfx, idx) => {
-                content += this.renderSoundEffect(sfx, idx);
-            });
-        }
+        PanelModel.getSoundEffects(panel).forEach((sfx, idx) => {
+            content += this.renderSoundEffect(sfx, idx);
+        });
+
+        const frameStyle = isShaped
+            ? `border: none; background: transparent; overflow: visible;
+               ${panel.dropShadow ? 'filter: drop-shadow(4px 4px 4px rgba(0,0,0,0.35));' : ''}`
+            : `border: ${panel.borderWidth ?? PanelModel.DEFAULT_BORDER_WIDTH}px ${panel.borderStyle || 'solid'} ${panel.borderColor || '#000'};
+               background-color: ${panel.backgroundColor || 'white'};
+               overflow: hidden; border-radius: ${panel.borderRadius || 0}px;
+               box-shadow: inset 0 0 0 1px rgba(255,255,255,0.5);`;
 
         return `
             <div class="reading-panel" data-panel-id="${panel.id}" data-reading-order="${index + 1}" style="
                 position: absolute;
                 left: ${left}%; top: ${top}%; width: ${width}%; height: ${height}%;
-                border: ${panel.borderWidth || 3}px ${panel.borderStyle || 'solid'} ${panel.borderColor || '#000'};
-                background-color: ${panel.backgroundColor || 'white'};
-                overflow: hidden; border-radius: 6px;
-                box-shadow: inset 0 0 0 1px rgba(255,255,255,0.5);
+                ${frameStyle}
             ">
                 ${content}
             </div>
@@ -519,7 +828,7 @@ class PublicationManager extends BaseManager {
 
     /**
      * <summary>Render speech element for reading</summary>
-     * @param {Object} element - Speech element data
+     * @param {Object} element - Dialogue data (see PanelModel.createDialogue)
      * @param {number} index - Element index
      * @returns {string} HTML for speech element
      */
@@ -550,34 +859,6 @@ class PublicationManager extends BaseManager {
         `;
     }
 
-    /**
-     * <summary>Render legacy speech bubble for backward compatibility</summary>
-     * @param {string} text - Speech text
-     * @param {string} style - Bubble style
-     * @returns {string} HTML for speech bubble
-     */
-    renderLegacySpeechBubble(text, style) {
-        const bubbleStyle = this.getSpeechBubbleStyle(style || 'speech');
-
-        return `
-            <div class="legacy-speech-bubble" style="
-                position: absolute; top: 15%; left: 15%; max-width: 70%;
-                background: ${bubbleStyle.background};
-                border: ${bubbleStyle.border};
-                border-radius: ${bubbleStyle.borderRadius};
-                padding: 0.5rem 0.8rem;
-                font-family: ${bubbleStyle.fontFamily};
-                font-size: ${bubbleStyle.fontSize};
-                color: ${bubbleStyle.color};
-                line-height: 1.3; z-index: 10;
-                box-shadow: ${bubbleStyle.boxShadow};
-            ">
-                ${escapeHtml(text.substring(0, 150))}
-                ${this.renderSpeechTail('bottom-left')}
-            </div>
-        `;
-    }
-
     /**
      * <summary>Render sound effect</summary>
      * @param {Object} sfx - Sound effect data
@@ -661,6 +942,7 @@ class PublicationManager extends BaseManager {
                 boxShadow: '1px 1px 3px rgba(0,0,0,0.2)'
             }
         };
+        styles['caption'] = styles['narration'];
         return styles[type] || styles['speech'];
     }
 
@@ -691,25 +973,32 @@ class PublicationManager extends BaseManager {
 
     /**
      * <summary>Render panel guide overlay</summary>
-     * @param {Array} panels - Panel array
+     * @param {Array} panels - Panels in reading order
      * @param {number} pageWidth - Page width
      * @param {number} pageHeight - Page height
+     * @param {Array} ambiguities - Ambiguous orderings from ReadingFlow.findAmbiguities
      * @returns {string} HTML for panel guide
      */
-    renderPanelGuideOverlay(panels, pageWidth, pageHeight) {
+    renderPanelGuideOverlay(panels, pageWidth, pageHeight, ambiguities = []) {
         let html = '<div class="panel-guide-overlay" style="position: absolute; top: 0; left: 0; right: 0; bottom: 0; pointer-events: none; z-index: 20;">';
 
+        // Reading flow arrows between panel centres
+        html += ReadingFlow.renderArrows(panels, pageWidth, pageHeight);
+
+        const ambiguous = new Map();
+        ambiguities.forEach(issue => issue.panelIds.forEach(id => ambiguous.set(id, issue.message)));
+
         // Reading order indicators
         panels.forEach((panel, index) => {
             const left = (panel.x / pageWidth) * 100;
             const top = (panel.y / pageHeight) * 100;
+            const message = ambiguous.get(panel.id);
 
             html += `
-                <div class="panel-guide-number" style="
+                <div class="panel-guide-number ${message ? 'reading-flow-ambiguous' : ''}" ${message ? `title="${escapeHtml(message)}"` : ''} style="
                     position: absolute;
                     left: ${left}%; top: ${top}%;
                     width: 30px; height: 30px;
-                    background: var(--primary);
                     color: white;
                     border-radius: 50%;
                     display: flex;
@@ -725,14 +1014,6 @@ class PublicationManager extends BaseManager {
             `;
         });
 
-        // Reading flow arrows
-        for (let i = 0; i < panels.length - 1; i++) {
-            const currentPanel = panels[i];
-            const nextPanel = panels[i + 1];
-
-            // TODO: Calculate and render reading flow arrows between panels
-        }
-
         html += '</div>';
         return html;
     }
@@ -760,13 +1041,299 @@ class PublicationManager extends BaseManager {
         return '';
     }
 
+    /**
+     * <summary>Get the element the reader renders into: the fullscreen overlay while it is open</summary>
+     */
+    getReaderContainer() {
+        return (this.fullscreenMode && document.getElementById('fullscreen-reader-content')) || document.getElementById('cbg-preview-content');
+    }
+
+    /**
+     * <summary>Render a page for the reader with its review pins on top</summary>
+     * @param {Object} page - Page data
+     * @returns {string} HTML for the page
+     */
+    async renderReaderPage(page) {
+        return `
+            <div class="annotated-page ${this.annotationMode ? 'placing-pins' : ''}" data-page-id="${page.id}">
+                ${await this.generatePageCanvas(page)}
+                ${this.renderAnnotationLayer(page)}
+            </div>
+        `;
+    }
+
     /**
      * <summary>Render annotation layer for reviews</summary>
+     * Shows the page's pins that pass the navigator filter. Pins are numbered per page.
+     * @param {Object} page - Page data
      * @returns {string} HTML for annotation layer
      */
-    renderAnnotationLayer() {
-        // TODO: Implement annotation system for collaborative review
-        return '<div class="annotation-layer" style="position: absolute; top: 0; left: 0; right: 0; bottom: 0; pointer-events: none; z-index: 15;"></div>';
+    renderAnnotationLayer(page) {
+        const pins = this.annotations.get(page.id) || [];
+        const markers = pins.map((pin, index) => {
+            if (!ReviewAnnotations.matches(pin, this.annotationFilter)) return '';
+            const category = ReviewAnnotations.CATEGORIES[pin.category];
+            const opening = pin.comments[0];
+            return `
+                <button type="button" class="annotation-pin ${pin.resolved ? 'resolved' : ''}" data-page-id="${page.id}" data-pin-id="${pin.id}"
+                        style="left: ${pin.x * 100}%; top: ${pin.y * 100}%; --pin-color: ${category.color};"
+                        title="${escapeHtml(`${category.label}: ${opening ? opening.text : ''}`)}">${index + 1}</button>
+            `;
+        }).join('');
+
+        return `<div class="annotation-layer" style="position: absolute; top: 0; left: 0; right: 0; bottom: 0; pointer-events: none; z-index: 25;">${markers}</div>`;
+    }
+
+    /**
+     * <summary>Render the filterable list of review comments for the navigator</summary>
+     * @param {Array} pages - All pages
+     * @returns {string} HTML for the comment list
+     */
+    renderAnnotationList(pages) {
+        const option = (value, label, current) => `<option value="${value}" ${current === value ? 'selected' : ''}>${label}</option>`;
+        const entries = pages.flatMap((page, pageIndex) => (this.annotations.get(page.id) || [])
+            .map((pin, pinIndex) => ({ page, pageIndex, pin, pinIndex }))
+            .filter(entry => ReviewAnnotations.matches(entry.pin, this.annotationFilter)));
+
+        const items = entries.map(({ page, pageIndex, pin, pinIndex }) => {
+            const category = ReviewAnnotations.CATEGORIES[pin.category];
+            const opening = pin.comments[0];
+            const replies = pin.comments.length - 1;
+            return `
+                <div class="annotation-item ${pin.resolved ? 'resolved' : ''}" data-page-index="${pageIndex}" data-page-id="${page.id}" data-pin-id="${pin.id}">
+                    <div class="d-flex align-items-center gap-1">
+                        <span class="annotation-dot" style="background: ${category.color};"></span>
+                        <strong>Page ${page.number} · #${pinIndex + 1}</strong>
+                        <span class="text-muted">${category.label}${pin.resolved ? ' · resolved' : ''}</span>
+                    </div>
+                    <div class="annotation-excerpt">${escapeHtml(opening ? opening.text : '')}</div>
+                    <div class="text-muted">${escapeHtml(opening ? opening.author : '')}${replies ? ` · ${replies} repl${replies === 1 ? 'y' : 'ies'}` : ''}</div>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="annotation-list-section" style="margin-top: 1rem;">
+                <h5 style="font-size: 1rem;">Review Comments</h5>
+                <div class="d-flex gap-1 mb-2">
+                    <select class="form-select form-select-sm annotation-filter" data-filter="category">
+                        ${option('all', 'All categories', this.annotationFilter.category)}
+                        ${Object.entries(ReviewAnnotations.CATEGORIES).map(([key, category]) => option(key, category.label, this.annotationFilter.category)).join('')}
+                    </select>
+                    <select class="form-select form-select-sm annotation-filter" data-filter="status">
+                        ${option('open', 'Open', this.annotationFilter.status)}
+                        ${option('resolved', 'Resolved', this.annotationFilter.status)}
+                        ${option('all', 'All', this.annotationFilter.status)}
+                    </select>
+                </div>
+                <div class="annotation-list">
+                    ${items || '<div class="small text-muted">No comments match the filter. Use 📌 Comment and click a page to add one.</div>'}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * <summary>Count open review comments per category, on pages that still exist</summary>
+     */
+    getOpenAnnotationCounts() {
+        const layoutManager = this.main.getManager('layout');
+        const pages = layoutManager ? layoutManager.getAllPages() : [];
+        return ReviewAnnotations.countOpen(this.annotations, new Set(pages.map(page => page.id)));
+    }
+
+    /**
+     * <summary>Turn pin placement in the reader on or off</summary>
+     */
+    toggleAnnotationMode() {
+        this.annotationMode = !this.annotationMode;
+        this.renderMainReader();
+        this.renderNavigationPanel();
+    }
+
+    /**
+     * <summary>Open a pin's thread, or drop a new pin when placing pins</summary>
+     * @param {MouseEvent} event - Click event
+     */
+    handleAnnotationClick(event) {
+        const pinElement = event.target.closest('.annotation-pin');
+        if (pinElement) {
+            event.preventDefault();
+            this.openPinThread(pinElement.dataset.pageId, pinElement.dataset.pinId);
+            return;
+        }
+
+        if (!this.annotationMode) return;
+        const pageElement = event.target.closest('.annotated-page');
+        const comicPage = pageElement?.querySelector('.comic-page');
+        if (!comicPage) return;
+
+        // Bounding boxes include the zoom and panel camera transforms
+        const bounds = comicPage.getBoundingClientRect();
+        const x = (event.clientX - bounds.left) / bounds.width;
+        const y = (event.clientY - bounds.top) / bounds.height;
+        if (x < 0 || x > 1 || y < 0 || y > 1) return;
+
+        this.openNewPinModal({
+            pageId: pageElement.dataset.pageId,
+            panelId: event.target.closest('.reading-panel')?.dataset.panelId || null,
+            x,
+            y
+        });
+    }
+
+    /**
+     * <summary>Ask for the first comment of a new pin</summary>
+     * @param {Object} placement - { pageId, panelId, x, y }
+     */
+    openNewPinModal(placement) {
+        const defaultCategory = this.annotationFilter.category !== 'all' ? this.annotationFilter.category : 'art';
+        const categoryOptions = Object.entries(ReviewAnnotations.CATEGORIES).map(([key, category]) =>
+            `<option value="${key}" ${key === defaultCategory ? 'selected' : ''}>${category.label}</option>`).join('');
+
+        this.showAnnotationModal('New Review Comment', `
+            <div class="row g-2 mb-2">
+                <div class="col-6">
+                    <label class="form-label small mb-0" for="cbg-annotation-category">Category</label>
+                    <select class="form-select form-select-sm" id="cbg-annotation-category">${categoryOptions}</select>
+                </div>
+                <div class="col-6">
+                    <label class="form-label small mb-0" for="cbg-annotation-author">Your name</label>
+                    <input type="text" class="form-control form-control-sm" id="cbg-annotation-author" value="${escapeHtml(ReviewAnnotations.getAuthor())}">
+                </div>
+            </div>
+            <label class="form-label small mb-0" for="cbg-annotation-text">Comment${placement.panelId ? ' (on this panel)' : ''}</label>
+            <textarea class="form-control" id="cbg-annotation-text" rows="4"></textarea>
+        `, `
+            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+            <button type="button" class="btn btn-primary" data-annotation-action="add">Add Comment</button>
+        `, (action, modal) => {
+            const text = modal.querySelector('#cbg-annotation-text');
+            if (action !== 'add') return false;
+            if (!text.value.trim()) {
+                text.focus();
+                return false;
+            }
+
+            const author = modal.querySelector('#cbg-annotation-author').value.trim();
+            ReviewAnnotations.setAuthor(author);
+            const pin = ReviewAnnotations.createPin({
+                ...placement,
+                category: modal.querySelector('#cbg-annotation-category').value,
+                author,
+                text: text.value
+            });
+            if (!this.annotations.has(pin.pageId)) this.annotations.set(pin.pageId, []);
+            this.annotations.get(pin.pageId).push(pin);
+            this.log(`Added ${pin.category} comment on page ${pin.pageId}`);
+            return true;
+        });
+    }
+
+    /**
+     * <summary>Show a pin's comment thread with reply, resolve and delete actions</summary>
+     */
+    openPinThread(pageId, pinId) {
+        const pins = this.annotations.get(pageId) || [];
+        const pin = pins.find(p => p.id === pinId);
+        if (!pin) return;
+
+        const category = ReviewAnnotations.CATEGORIES[pin.category];
+        const layoutManager = this.main.getManager('layout');
+        const page = layoutManager ? layoutManager.getAllPages().find(p => p.id === pageId) : null;
+        const panelNumber = page && pin.panelId ? this.getReadingPanels(page).findIndex(panel => panel.id === pin.panelId) + 1 : 0;
+
+        const comments = pin.comments.map(comment => `
+            <div class="annotation-comment">
+                <div class="small"><strong>${escapeHtml(comment.author)}</strong>
+                    <span class="text-muted">${new Date(comment.createdAt).toLocaleString()}</span></div>
+                <div class="annotation-comment-text">${escapeHtml(comment.text)}</div>
+            </div>
+        `).join('');
+
+        this.showAnnotationModal(`${category.label} Comment · Page ${page ? page.number : '?'}${panelNumber ? `, panel ${panelNumber}` : ''}${pin.resolved ? ' (resolved)' : ''}`, `
+            <div class="annotation-thread mb-3">${comments}</div>
+            <label class="form-label small mb-0" for="cbg-annotation-author">Your name</label>
+            <input type="text" class="form-control form-control-sm mb-2" id="cbg-annotation-author" value="${escapeHtml(ReviewAnnotations.getAuthor())}">
+            <label class="form-label small mb-0" for="cbg-annotation-text">Reply</label>
+            <textarea class="form-control" id="cbg-annotation-text" rows="3"></textarea>
+        `, `
+            <button type="button" class="btn btn-outline-danger me-auto" data-annotation-action="delete">Delete</button>
+            <button type="button" class="btn btn-outline-secondary" data-annotation-action="resolve">${pin.resolved ? 'Reopen' : 'Resolve'}</button>
+            <button type="button" class="btn btn-primary" data-annotation-action="reply">Reply</button>
+        `, (action, modal) => {
+            const text = modal.querySelector('#cbg-annotation-text');
+            switch (action) {
+                case 'reply': {
+                    if (!text.value.trim()) {
+                        text.focus();
+                        return false;
+                    }
+                    const author = modal.querySelector('#cbg-annotation-author').value.trim();
+                    ReviewAnnotations.setAuthor(author);
+                    pin.comments.push(ReviewAnnotations.createComment(author, text.value));
+                    return true;
+                }
+                case 'resolve':
+                    // A reply typed before resolving is kept as the closing comment
+                    if (text.value.trim()) {
+                        pin.comments.push(ReviewAnnotations.createComment(modal.querySelector('#cbg-annotation-author').value, text.value));
+                    }
+                    pin.resolved = !pin.resolved;
+                    return true;
+                case 'delete':
+                    if (!confirm('Delete this comment thread?')) return false;
+                    pins.splice(pins.indexOf(pin), 1);
+                    if (!pins.length) this.annotations.delete(pageId);
+                    return true;
+                default:
+                    return false;
+            }
+        });
+    }
+
+    /**
+     * <summary>Show a review comment modal</summary>
+     * @param {string} title - Modal title
+     * @param {string} body - Body HTML
+     * @param {string} footer - Footer HTML; buttons carry data-annotation-action
+     * @param {Function} onAction - (action, modal) => true when the annotations changed and the modal should close
+     */
+    showAnnotationModal(title, body, footer, onAction) {
+        const modalHtml = `
+            <div class="modal fade" id="annotationModal" tabindex="-1">
+                <div class="modal-dialog">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title">${escapeHtml(title)}</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                        </div>
+                        <div class="modal-body">${body}</div>
+                        <div class="modal-footer">${footer}</div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.getElementById('annotationModal')?.remove();
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('annotationModal');
+        const bsModal = new bootstrap.Modal(modal);
+
+        modal.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-annotation-action]');
+            if (!button || !onAction(button.dataset.annotationAction, modal)) return;
+            bsModal.hide();
+            this.saveData();
+            this.main.markDirty();
+            this.renderMainReader();
+            this.renderNavigationPanel();
+        });
+        modal.addEventListener('shown.bs.modal', () => modal.querySelector('#cbg-annotation-text')?.focus());
+        modal.addEventListener('hidden.bs.modal', () => modal.remove());
+
+        bsModal.show();
     }
 
     /**
@@ -820,15 +1387,85 @@ class PublicationManager extends BaseManager {
             }
         });
 
-        // Publication metadata
-        const metadataBtn = container.querySelector('#cbg-pub-metadata');
-        if (metadataBtn) {
-            metadataBtn.addEventListener('click', () => this.openMetadataEditor());
-        }
+        // Quality issues
+        container.addEventListener('click', (e) => {
+            const issueElement = e.target.closest('.quality-issue');
+            if (!issueElement) return;
+            const issue = this.getQualityIssues()[parseInt(issueElement.dataset.issueIndex)];
+            if (!issue) return;
+            if (e.target.closest('.quality-issue-edit')) {
+                this.editQualityIssue(issue);
+            } else {
+                this.jumpToQualityIssue(issue);
+            }
+        });
 
-        const approveBtn = container.querySelector('#cbg-approve-all');
-        if (approveBtn) {
-            approveBtn.addEventListener('click', () => this.approveForPublication());
+        // Print preflight and booklet filler pages
+        const preflightBtn = container.querySelector('#cbg-run-preflight');
+        if (preflightBtn) {
+            preflightBtn.addEventListener('click', () => this.runPreflight());
+        }
+
+        container.addEventListener('click', (e) => {
+            const issueElement = e.target.closest('.preflight-issue');
+            if (!issueElement) return;
+            const issue = this.preflightIssues?.[parseInt(issueElement.dataset.issueIndex)];
+            if (!issue || issue.pageIndex < 0) return;
+            if (e.target.closest('.quality-issue-edit')) {
+                this.editQualityIssue(issue);
+            } else {
+                this.jumpToQualityIssue(issue);
+            }
+        });
+
+        container.addEventListener('click', (e) => {
+            const fillerBtn = e.target.closest('.add-filler-pages');
+            if (fillerBtn) this.addFillerPages(parseInt(fillerBtn.dataset.count), fillerBtn.dataset.kind);
+        });
+
+        const qualityCategory = container.querySelector('#cbg-quality-category');
+        if (qualityCategory) {
+            qualityCategory.addEventListener('change', () => {
+                this.qualityCategory = qualityCategory.value;
+                this.renderNavigationPanel();
+            });
+        }
+
+        // Review comments
+        const annotationModeBtn = container.querySelector('#cbg-annotation-mode');
+        if (annotationModeBtn) {
+            annotationModeBtn.addEventListener('click', () => this.toggleAnnotationMode());
+        }
+
+        container.addEventListener('click', async (e) => {
+            const item = e.target.closest('.annotation-item');
+            if (!item) return;
+            await this.goToPage(parseInt(item.dataset.pageIndex));
+            this.openPinThread(item.dataset.pageId, item.dataset.pinId);
+        });
+
+        container.querySelectorAll('.annotation-filter').forEach(select => {
+            select.addEventListener('change', () => {
+                this.annotationFilter[select.dataset.filter] = select.value;
+                this.renderMainReader();
+                this.renderNavigationPanel();
+            });
+        });
+
+        // Publication metadata
+        const metadataBtn = container.querySelector('#cbg-pub-metadata');
+        if (metadataBtn) {
+            metadataBtn.addEventListener('click', () => this.openMetadataEditor());
+        }
+
+        const exportBtn = container.querySelector('#cbg-export-comic');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportComic(this.exportSettings.format));
+        }
+
+        const approveBtn = container.querySelector('#cbg-approve-all');
+        if (approveBtn) {
+            approveBtn.addEventListener('click', () => this.approveForPublication());
         }
 
         // Form field changes
@@ -836,9 +1473,6 @@ class PublicationManager extends BaseManager {
         inputs.forEach(input => {
             input.addEventListener('change', () => {
                 this.updatePublicationSettings();
-                // Persist review/annotation state to backend via DataHelper
-                // TODO: Implement DataHelper.save to persist review/annotation state
-                // DataHelper.save('UpdateReviewAnnotationState', { reviewAnnotationState: this.reviewAnnotationState })
             });
         });
     }
@@ -848,7 +1482,10 @@ class PublicationManager extends BaseManager {
      * @param {KeyboardEvent} event - Keyboard event
      */
     handleKeyboardNavigation(event) {
-        if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') return;
+        if (this.main.currentMode !== 'publication_mode') return;
+        // Browser and system shortcuts (Ctrl+F, Alt+Left, ...) are left alone
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName) || event.target.isContentEditable) return;
 
         const key = event.shiftKey ? `Shift+${event.code}` : event.code;
         const handler = this.keyboardShortcuts[key];
@@ -886,25 +1523,27 @@ class PublicationManager extends BaseManager {
      * <summary>Enter fullscreen reading mode</summary>
      */
     enterFullscreenMode() {
-        const reader = document.querySelector('.comic-reader-wrapper');
-        if (!reader) return;
-
-        // Create fullscreen overlay
+        // Create fullscreen overlay; the reader renders into it while fullscreen is on
         const overlay = document.createElement('div');
         overlay.id = 'fullscreen-reader-overlay';
         overlay.style.cssText = `
             position: fixed; top: 0; left: 0; right: 0; bottom: 0;
             background: #000; z-index: 9999; overflow: hidden;
         `;
+        overlay.innerHTML = '<div id="fullscreen-reader-content" style="width: 100%; height: 100%;"></div>';
 
-        const readerClone = reader.cloneNode(true);
-        readerClone.style.cssText = 'width: 100%; height: 100%;';
+        overlay.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'previous') this.previousPage();
+            if (action === 'next') this.nextPage();
+            if (action === 'exit-fullscreen') this.exitFullscreenMode();
+        });
 
-        overlay.appendChild(readerClone);
         document.body.appendChild(overlay);
 
         // Hide scrollbars
         document.body.style.overflow = 'hidden';
+        this.renderMainReader();
 
         this.log('Entered fullscreen mode');
     }
@@ -920,6 +1559,7 @@ class PublicationManager extends BaseManager {
 
         document.body.style.overflow = '';
         this.fullscreenMode = false;
+        this.renderMainReader();
 
         this.log('Exited fullscreen mode');
     }
@@ -936,14 +1576,16 @@ class PublicationManager extends BaseManager {
     /**
      * <summary>Navigate to specific page</summary>
      * @param {number} pageIndex - Page index
+     * @param {number} panelIndex - Panel to show in panel-by-panel mode; negative counts from the last panel
      */
-    async goToPage(pageIndex) {
+    async goToPage(pageIndex, panelIndex = 0) {
         const layoutManager = this.main.getManager('layout');
         const pages = layoutManager ? layoutManager.getAllPages() : [];
 
         if (pageIndex < 0 || pageIndex >= pages.length) return;
 
         this.currentPreviewPage = pageIndex;
+        this.currentPreviewPanel = panelIndex;
         await this.renderMainReader();
         await this.renderNavigationPanel(); // Update active state
 
@@ -970,6 +1612,15 @@ class PublicationManager extends BaseManager {
      * <summary>Go to next page</summary>
      */
     async nextPage() {
+        if (this.currentReadingMode === 'panel-by-panel') {
+            await this.stepPanel(1);
+            return;
+        }
+        if (this.currentReadingMode === 'double-page') {
+            await this.stepSpread(1);
+            return;
+        }
+
         const layoutManager = this.main.getManager('layout');
         const pages = layoutManager ? layoutManager.getAllPages() : [];
 
@@ -982,6 +1633,15 @@ class PublicationManager extends BaseManager {
      * <summary>Go to previous page</summary>
      */
     async previousPage() {
+        if (this.currentReadingMode === 'panel-by-panel') {
+            await this.stepPanel(-1);
+            return;
+        }
+        if (this.currentReadingMode === 'double-page') {
+            await this.stepSpread(-1);
+            return;
+        }
+
         if (this.currentPreviewPage > 0) {
             await this.goToPage(this.currentPreviewPage - 1);
         }
@@ -1021,16 +1681,18 @@ class PublicationManager extends BaseManager {
     async runQualityChecks() {
         try {
             this.log('Running quality checks...');
-            // TODO: Implement in C# backend.
-            // Call a backend service to analyze pages, dialogue, character consistency, etc.
-            // Example:
-            // const result = await genericRequest('RunQualityChecks', {
-            //     projectId: this.main.projectData?.projectInfo?.id
-            // }, data => data);
-            // this.qualityChecks.clear();
-            // result.pageChecks.forEach(pc => this.qualityChecks.set(pc.pageId, pc));
-            // this.log('Quality checks completed via backend');
-            this.log('Skipping client-side quality checks; delegated to C# backend (TODO)');
+
+            const layoutManager = this.main.getManager('layout');
+            const charactersManager = this.main.getManager('characters');
+            const result = QualityRules.run({
+                pages: layoutManager ? layoutManager.getAllPages() : [],
+                characters: charactersManager ? charactersManager.getAllCharacters() : [],
+                direction: this.readingDirection
+            });
+
+            this.qualityChecks = result.pages;
+            this.projectQualityIssues = result.projectIssues;
+            this.log(`Quality checks found ${result.issues.length} issue(s)`);
 
         } catch (error) {
             this.handleError('Failed to run quality checks', error);
@@ -1041,61 +1703,30 @@ class PublicationManager extends BaseManager {
      * <summary>Check quality of individual page</summary>
      * @param {Object} page - Page data
      * @param {Array} characters - Characters data
-     * @param {Object} storyData - Story data
-     * @returns {Object} Quality check results
+     * @returns {Object} { pageId, score, issues }
      */
-    async checkPageQuality(page, characters, storyData) {
-        // TODO: Move per-page quality checking to C# backend.
-        // This stub remains for compatibility but should not perform heavy analysis in JS.
-        return {
-            hasContent: !!(page.panels && page.panels.length > 0),
-            panelsComplete: true,
-            dialoguePresent: false,
-            characterConsistency: true,
-            readingFlow: true,
-            technicalQuality: true,
-            score: 0
-        };
+    async checkPageQuality(page, characters = []) {
+        return QualityRules.run({ pages: [page], characters, direction: this.readingDirection }).pages.get(page.id);
     }
 
     /**
      * <summary>Validate reading flow of panels</summary>
      * @param {Array} panels - Panel array
-     * @returns {boolean} Whether reading flow is valid
+     * @returns {boolean} Whether the automatic reading order is unambiguous
      */
     validateReadingFlow(panels) {
         if (!panels || panels.length <= 1) return true;
-
-        // Sort panels by reading order (top-to-bottom, left-to-right for LTR)
-        const sortedPanels = [...panels].sort((a, b) => {
-            if (Math.abs(a.y - b.y) < 50) { // Same row
-                return this.readingDirection === 'ltr' ? a.x - b.x : b.x - a.x;
-            }
-            return a.y - b.y; // Different rows
-        });
-
-        // Check if panels follow logical progression
-        for (let i = 0; i < sortedPanels.length - 1; i++) {
-            const current = sortedPanels[i];
-            const next = sortedPanels[i + 1];
-
-            // If next panel is significantly above current panel, flow might be broken
-            if (next.y < current.y - 30) {
-                return false;
-            }
-        }
-
-        return true;
+        return ReadingFlow.findAmbiguities({ panels, readingFlow: [] }, this.readingDirection).length === 0;
     }
 
     /**
      * <summary>Get page quality score</summary>
      * @param {Object} page - Page data
-     * @returns {number} Quality score percentage
+     * @returns {number|null} Quality score percentage, or null before the page has been checked
      */
     getPageQualityScore(page) {
         const checks = this.qualityChecks.get(page.id);
-        return checks ? checks.score : 75; // Default score
+        return checks ? checks.score : null;
     }
 
     /**
@@ -1104,6 +1735,7 @@ class PublicationManager extends BaseManager {
      * @returns {string} CSS color
      */
     getQualityColor(score) {
+        if (score === null) return 'var(--text-soft, #6c757d)';
         if (score >= 90) return 'var(--success, #28a745)';
         if (score >= 70) return 'var(--warning, #ffc107)';
         return 'var(--danger, #dc3545)';
@@ -1111,13 +1743,15 @@ class PublicationManager extends BaseManager {
 
     /**
      * <summary>Calculate overall comic quality</summary>
-     * @returns {number} Overall quality percentage
+     * Average page score, reduced by project-wide issues such as unnamed characters.
+     * @returns {number|null} Overall quality percentage, or null before any check
      */
     calculateOverallQuality() {
-        if (this.qualityChecks.size === 0) return 85; // Default
+        if (this.qualityChecks.size === 0) return null;
 
         const scores = Array.from(this.qualityChecks.values()).map(check => check.score);
-        return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+        const average = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+        return Math.round(average * QualityRules.score(this.projectQualityIssues) / 100);
     }
 
     /**
@@ -1131,14 +1765,18 @@ class PublicationManager extends BaseManager {
         }
 
         try {
+            this.qualityCategory = 'all';
             await this.runQualityChecks();
             await this.renderNavigationPanel(); // Refresh quality indicators
 
-            if (btn) {
-                btn.innerHTML = '✓ Check Complete';
+            const newBtn = document.getElementById('cbg-run-quality-check');
+            if (newBtn) {
+                const count = this.getQualityIssues().length;
+                newBtn.innerHTML = count ? `⚠️ ${count} issue(s) found` : '✓ Check Complete';
+                newBtn.disabled = true;
                 setTimeout(() => {
-                    btn.innerHTML = '🔍 Run Full Quality Check';
-                    btn.disabled = false;
+                    newBtn.innerHTML = '🔍 Run Full Quality Check';
+                    newBtn.disabled = false;
                 }, 2000);
             }
 
@@ -1155,88 +1793,155 @@ class PublicationManager extends BaseManager {
      * <summary>Check character consistency across pages</summary>
      */
     async checkCharacterConsistency() {
-        try {
-            this.log('Checking character consistency...');
+        await this.runQualityCategory('characters', 'cbg-consistency-check');
+    }
+
+    /**
+     * <summary>Check dialogue flow and reading order</summary>
+     */
+    async checkDialogueFlow() {
+        await this.runQualityCategory('dialogue', 'cbg-dialogue-check');
+    }
 
-            // TODO: Implement AI-powered character consistency checking
-            // This would analyze character appearances across all panels
-            // and flag potential inconsistencies
+    /**
+     * <summary>Check story continuity</summary>
+     */
+    async checkStoryContinuity() {
+        await this.runQualityCategory('continuity', 'cbg-continuity-check');
+    }
 
-            const btn = document.getElementById('cbg-consistency-check');
-            if (btn) {
-                btn.innerHTML = '<span class="cbg-spinner"></span>Analyzing...';
-                btn.disabled = true;
+    /**
+     * <summary>Run the quality checks and list the issues of one category</summary>
+     * @param {string} category - QualityRules category, or 'all'
+     * @param {string} buttonId - Button that started the check; it briefly shows the issue count
+     */
+    async runQualityCategory(category, buttonId) {
+        try {
+            this.qualityCategory = category;
+            await this.runQualityChecks();
+            await this.renderNavigationPanel();
 
+            const count = this.getQualityIssues().length;
+            const btn = document.getElementById(buttonId);
+            if (btn) {
+                const label = btn.innerHTML;
+                btn.innerHTML = count ? `⚠️ ${count} issue(s) found` : '✓ No issues found';
                 setTimeout(() => {
-                    btn.innerHTML = '✓ Consistency Check Complete';
-                    setTimeout(() => {
-                        btn.innerHTML = '👥 Character Consistency';
-                        btn.disabled = false;
-                    }, 2000);
-                }, 3000);
+                    btn.innerHTML = label;
+                }, 2000);
             }
 
         } catch (error) {
-            this.handleError('Failed to check character consistency', error);
+            this.handleError(`Failed to check ${category}`, error);
         }
     }
 
     /**
-     * <summary>Check dialogue flow and reading order</summary>
+     * <summary>Get the issues from the last quality check, filtered by the selected category</summary>
+     * @returns {Array} Issues, page issues in page order followed by project-wide issues
      */
-    async checkDialogueFlow() {
-        try {
-            this.log('Checking dialogue flow...');
+    getQualityIssues() {
+        const issues = [
+            ...Array.from(this.qualityChecks.values()).flatMap(check => check.issues || []),
+            ...this.projectQualityIssues
+        ];
+        return this.qualityCategory === 'all' ? issues : issues.filter(issue => issue.category === this.qualityCategory);
+    }
 
-            // TODO: Implement dialogue flow analysis
-            // Check speech bubble positioning, reading order, character voice consistency
+    /**
+     * <summary>Render the quality issue list for the navigator</summary>
+     * @param {Array} pages - All pages
+     * @returns {string} HTML for the issue list
+     */
+    renderQualityIssues(pages) {
+        const issues = this.getQualityIssues();
+        const categories = { all: 'All categories', ...QualityRules.CATEGORIES };
 
-            const btn = document.getElementById('cbg-dialogue-check');
-            if (btn) {
-                btn.innerHTML = '<span class="cbg-spinner"></span>Analyzing...';
-                btn.disabled = true;
+        const items = issues.map((issue, index) => this.renderIssueItem(issue, index, pages, 'quality-issue')).join('');
 
-                setTimeout(() => {
-                    btn.innerHTML = '✓ Dialogue Flow Good';
-                    setTimeout(() => {
-                        btn.innerHTML = '💬 Dialogue Flow';
-                        btn.disabled = false;
-                    }, 2000);
-                }, 2500);
-            }
+        return `
+            <div class="quality-issues-section" style="margin-top: 1rem;">
+                <select class="form-select form-select-sm mb-2" id="cbg-quality-category">
+                    ${Object.entries(categories).map(([key, label]) => `<option value="${key}" ${key === this.qualityCategory ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <div class="quality-issue-list">
+                    ${items || '<div class="small text-muted">No issues found</div>'}
+                </div>
+            </div>
+        `;
+    }
 
-        } catch (error) {
-            this.handleError('Failed to check dialogue flow', error);
-        }
+    /**
+     * <summary>Render one quality or preflight issue</summary>
+     * @param {Object} issue - { severity, message, pageIndex, panelId }
+     * @param {number} index - Position in its list, stored for the click handler
+     * @param {Array} pages - All pages
+     * @param {string} className - 'quality-issue' or 'preflight-issue'
+     * @returns {string} HTML
+     */
+    renderIssueItem(issue, index, pages, className) {
+        const severity = QualityRules.SEVERITIES[issue.severity];
+        const page = pages[issue.pageIndex];
+        const panelNumber = page && issue.panelId ? this.getReadingPanels(page).findIndex(panel => panel.id === issue.panelId) + 1 : 0;
+        const location = page ? `Page ${page.number}${panelNumber ? ` · panel ${panelNumber}` : ''}` : 'Project';
+        // Project-wide print issues have nothing to open
+        const editable = page || className === 'quality-issue';
+        return `
+            <div class="${className} severity-${issue.severity}" data-issue-index="${index}" title="${severity.label}">
+                <span class="quality-issue-icon">${severity.icon}</span>
+                <div class="quality-issue-body">
+                    <div class="quality-issue-location">${location}</div>
+                    <div>${escapeHtml(issue.message)}</div>
+                </div>
+                ${editable ? `<button class="btn btn-sm btn-link quality-issue-edit" data-issue-index="${index}" title="${page ? 'Edit in Layout' : 'Open Characters'}">✏️</button>` : ''}
+            </div>
+        `;
     }
 
     /**
-     * <summary>Check story continuity</summary>
+     * <summary>Show the page and panel of a quality issue in the reader</summary>
+     * @param {Object} issue - Issue from getQualityIssues
      */
-    async checkStoryContinuity() {
-        try {
-            this.log('Checking story continuity...');
+    async jumpToQualityIssue(issue) {
+        if (issue.pageIndex < 0) {
+            await this.editQualityIssue(issue);
+            return;
+        }
 
-            // TODO: Implement story continuity analysis
-            // Check for plot holes, character development consistency, timeline issues
+        const layoutManager = this.main.getManager('layout');
+        const page = layoutManager ? layoutManager.getAllPages()[issue.pageIndex] : null;
+        if (!page) return;
+
+        const panelIndex = issue.panelId ? Math.max(0, this.getReadingPanels(page).findIndex(panel => panel.id === issue.panelId)) : 0;
+        await this.goToPage(issue.pageIndex, panelIndex);
+
+        if (!issue.panelId) return;
+        const panelElement = this.getReaderContainer()?.querySelector(`.reading-panel[data-panel-id="${issue.panelId}"]`);
+        if (panelElement) {
+            panelElement.classList.add('quality-highlight');
+            panelElement.scrollIntoView({ block: 'center', behavior: 'smooth' });
+            setTimeout(() => panelElement.classList.remove('quality-highlight'), 2500);
+        }
+    }
 
-            const btn = document.getElementById('cbg-continuity-check');
-            if (btn) {
-                btn.innerHTML = '<span class="cbg-spinner"></span>Analyzing...';
-                btn.disabled = true;
+    /**
+     * <summary>Open the editor where a quality issue can be fixed</summary>
+     * Page issues open the page in Layout with the panel selected; project issues open Characters.
+     * @param {Object} issue - Issue from getQualityIssues
+     */
+    async editQualityIssue(issue) {
+        const mode = issue.pageIndex < 0 ? 'characters_mode' : 'layout_mode';
+        const radio = document.getElementById(mode);
+        if (radio) radio.checked = true;
+        await this.main.setActiveMode(mode);
 
-                setTimeout(() => {
-                    btn.innerHTML = '✓ Continuity Verified';
-                    setTimeout(() => {
-                        btn.innerHTML = '🔗 Story Continuity';
-                        btn.disabled = false;
-                    }, 2000);
-                }, 3500);
-            }
+        if (issue.pageIndex < 0) return;
+        const layoutManager = this.main.getManager('layout');
+        if (!layoutManager) return;
 
-        } catch (error) {
-            this.handleError('Failed to check story continuity', error);
-        }
+        layoutManager.switchToPage(issue.pageIndex);
+        const panel = issue.panelId ? layoutManager.getCurrentPage()?.panels.find(p => p.id === issue.panelId) : null;
+        if (panel) layoutManager.selectPanel(panel);
     }
 
     /**
@@ -1244,34 +1949,149 @@ class PublicationManager extends BaseManager {
      * @param {string} reviewType - Type of review
      */
     toggleReviewStatus(reviewType) {
+        const openCount = this.getOpenAnnotationCounts()[reviewType] || 0;
+        if (!this.reviewStatus[reviewType] && openCount > 0 &&
+            !confirm(`There are ${openCount} open ${reviewType} comment(s). Approve anyway?`)) {
+            return;
+        }
+
         this.reviewStatus[reviewType] = !this.reviewStatus[reviewType];
         this.renderNavigationPanel(); // Refresh review status display
         this.log(`${reviewType} review status: ${this.reviewStatus[reviewType] ? 'approved' : 'pending'}`);
 
-        // TODO (C# backend): Persist review status immediately
-        // Safe, optional call (won't break if DataHelper/genericRequest isn't wired yet)
-        try {
-            if (typeof DataHelper?.save === 'function') {
-                DataHelper.save('UpdateReviewStatus', { reviewStatus: this.reviewStatus });
-            }
-        } catch (e) {
-            // Non-blocking
-            console.warn('[CBG:Publication] Failed to persist review status (optional):', e);
-        }
+        this.main.markDirty();
     }
 
     /**
      * <summary>Open metadata editor modal</summary>
      */
     openMetadataEditor() {
-        // TODO: Implement comprehensive metadata editor modal
-        // This would include ISBN, copyright, publication details, etc.
+        const meta = this.publicationMeta;
+        const field = (name, label, attributes = '') => `
+            <div class="col-md-6">
+                <label class="form-label small mb-0" for="cbg-meta-${name}">${label}</label>
+                <input class="form-control form-control-sm" id="cbg-meta-${name}" data-field="${name}" value="${escapeHtml(String(meta[name] ?? ''))}" ${attributes}>
+                <div class="invalid-feedback"></div>
+            </div>
+        `;
 
-        const title = prompt('Comic Title:', this.publicationMeta.title);
-        if (title !== null) {
-            this.publicationMeta.title = title;
-            this.updatePublicationSettings();
-        }
+        const modalHtml = `
+            <div class="modal fade" id="metadataModal" tabindex="-1">
+                <div class="modal-dialog modal-lg">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title">Publication Metadata</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                        </div>
+                        <div class="modal-body">
+                            <div class="row g-2 mb-3">
+                                ${field('title', 'Title', 'placeholder="My Amazing Comic"')}
+                                ${field('subtitle', 'Subtitle')}
+                                ${field('seriesTitle', 'Series title')}
+                                ${field('issueNumber', 'Issue number', 'inputmode="decimal"')}
+                                ${field('publisher', 'Publisher')}
+                                ${field('publicationDate', 'Publication date', 'type="date"')}
+                                ${field('isbn', 'ISBN', 'placeholder="978-..."')}
+                                ${field('copyright', 'Copyright', 'placeholder="© 2025 Jane Doe"')}
+                                ${field('language', 'Language', 'list="cbg-meta-languages" placeholder="en"')}
+                                <datalist id="cbg-meta-languages">
+                                    ${Object.entries(PublicationMeta.LANGUAGES).map(([code, name]) => `<option value="${code}">${name}</option>`).join('')}
+                                </datalist>
+                                <div class="col-12">
+                                    <label class="form-label small mb-0" for="cbg-meta-subject">Description</label>
+                                    <textarea class="form-control form-control-sm" id="cbg-meta-subject" data-field="subject" rows="2">${escapeHtml(meta.subject || '')}</textarea>
+                                </div>
+                            </div>
+                            <h6>Creators</h6>
+                            <div class="metadata-creators">
+                                ${meta.creators.map(creator => this.renderCreatorRow(creator)).join('')}
+                            </div>
+                            <button type="button" class="btn btn-sm btn-outline-secondary add-creator">+ Add creator</button>
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                            <button type="button" class="btn btn-primary save-metadata">Save</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.getElementById('metadataModal')?.remove();
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('metadataModal');
+        const bsModal = new bootstrap.Modal(modal);
+
+        const readForm = () => {
+            const values = {};
+            modal.querySelectorAll('[data-field]').forEach(input => {
+                values[input.dataset.field] = input.value.trim();
+            });
+            const creators = Array.from(modal.querySelectorAll('.metadata-creator')).map(row => ({
+                role: row.querySelector('[data-creator="role"]').value,
+                name: row.querySelector('[data-creator="name"]').value.trim()
+            })).filter(creator => creator.name);
+            return { ...meta, ...values, creators };
+        };
+
+        const showErrors = (errors, only = null) => {
+            modal.querySelectorAll('[data-field]').forEach(input => {
+                if (only && input.dataset.field !== only) return;
+                const message = errors[input.dataset.field];
+                input.classList.toggle('is-invalid', !!message);
+                input.nextElementSibling.textContent = message || '';
+            });
+        };
+
+        modal.addEventListener('click', (e) => {
+            if (e.target.closest('.add-creator')) {
+                const used = new Set(Array.from(modal.querySelectorAll('[data-creator="role"]')).map(select => select.value));
+                const role = Object.keys(PublicationMeta.CREATOR_ROLES).find(key => !used.has(key)) || 'writer';
+                modal.querySelector('.metadata-creators').insertAdjacentHTML('beforeend', this.renderCreatorRow({ name: '', role }));
+                modal.querySelector('.metadata-creator:last-child [data-creator="name"]').focus();
+            } else if (e.target.closest('.remove-creator')) {
+                e.target.closest('.metadata-creator').remove();
+            } else if (e.target.closest('.save-metadata')) {
+                const updated = readForm();
+                const errors = PublicationMeta.validate(updated);
+                showErrors(errors);
+                if (Object.keys(errors).length) return;
+
+                this.publicationMeta = PublicationMeta.normalize(updated);
+                bsModal.hide();
+                this.savePublicationMeta();
+                this.saveData();
+                this.renderNavigationPanel();
+            }
+        });
+
+        // Check a field as soon as it is left, rather than waiting for Save
+        modal.addEventListener('change', (e) => {
+            if (e.target.dataset.field) showErrors(PublicationMeta.validate(readForm()), e.target.dataset.field);
+        });
+        modal.addEventListener('shown.bs.modal', () => modal.querySelector('#cbg-meta-title')?.focus());
+        modal.addEventListener('hidden.bs.modal', () => modal.remove());
+
+        bsModal.show();
+    }
+
+    /**
+     * <summary>Render one creator row of the metadata editor</summary>
+     * @param {Object} creator - { name, role }
+     * @returns {string} HTML for the row
+     */
+    renderCreatorRow(creator) {
+        return `
+            <div class="input-group input-group-sm mb-1 metadata-creator">
+                <select class="form-select metadata-creator-role" data-creator="role" aria-label="Role">
+                    ${Object.entries(PublicationMeta.CREATOR_ROLES).map(([role, definition]) =>
+                        `<option value="${role}" ${role === creator.role ? 'selected' : ''}>${definition.label}</option>`).join('')}
+                </select>
+                <input class="form-control" data-creator="name" value="${escapeHtml(creator.name)}" placeholder="Name" aria-label="Name">
+                <button type="button" class="btn btn-outline-secondary remove-creator" title="Remove">✕</button>
+            </div>
+        `;
     }
 
     /**
@@ -1316,26 +2136,291 @@ class PublicationManager extends BaseManager {
     updatePublicationSettings() {
         try {
             this.publicationMeta.title = this.getFormValue('cbg-pub-title');
-            this.publicationMeta.author = this.getFormValue('cbg-pub-author');
             this.publicationMeta.genre = this.getFormValue('cbg-pub-genre');
             this.publicationMeta.ageRating = this.getFormValue('cbg-age-rating');
 
-            this.log('Publication settings updated');
-
-            // TODO (C# backend): Persist metadata immediately
-            try {
-                if (typeof DataHelper?.save === 'function') {
-                    DataHelper.save('UpdatePublicationSettings', { publicationMeta: this.publicationMeta });
-                }
-            } catch (e) {
-                console.warn('[CBG:Publication] Failed to persist publication settings (optional):', e);
+            // The quick field lists the writers; only rewrite them when it was edited
+            const author = this.getFormValue('cbg-pub-author');
+            if (author !== this.publicationMeta.author) {
+                PublicationMeta.setNames(this.publicationMeta, 'writer', author);
             }
+            this.updateExportSettingsFromForm();
+
+            this.log('Publication settings updated');
+            this.savePublicationMeta();
 
         } catch (error) {
             this.handleError('Failed to update publication settings', error);
         }
     }
 
+    /**
+     * <summary>Persist the publication metadata</summary>
+     */
+    savePublicationMeta() {
+        this.main.markDirty();
+    }
+
+    /**
+     * <summary>Render the export options and button</summary>
+     */
+    renderExportSection() {
+        const settings = this.exportSettings;
+        const option = (value, label, current) => `<option value="${value}" ${String(current) === String(value) ? 'selected' : ''}>${label}</option>`;
+        const check = (id, label, checked) => `
+            <div class="form-check small">
+                <input class="form-check-input" type="checkbox" id="${id}" ${checked ? 'checked' : ''}>
+                <label class="form-check-label" for="${id}">${label}</label>
+            </div>
+        `;
+
+        return `
+            <div class="navigator-section export-section" style="margin-bottom: 1.5rem;">
+                <h4 style="margin-bottom: 1rem;">Export</h4>
+                <div class="row g-2 mb-2">
+                    <div class="col-12">
+                        <label class="form-label small mb-0" for="cbg-export-format">Format</label>
+                        <select class="form-select form-select-sm" id="cbg-export-format">
+                            ${Object.entries(PublicationManager.EXPORT_FORMATS).map(([value, label]) => option(value, label, settings.format)).join('')}
+                        </select>
+                    </div>
+                    <div class="col-6">
+                        <label class="form-label small mb-0" for="cbg-export-resolution">Resolution</label>
+                        <select class="form-select form-select-sm" id="cbg-export-resolution">
+                            ${[150, 300, 600].map(dpi => option(dpi, `${dpi} dpi`, settings.resolution)).join('')}
+                        </select>
+                    </div>
+                    <div class="col-6">
+                        <label class="form-label small mb-0" for="cbg-export-image-format">Page images</label>
+                        <select class="form-select form-select-sm" id="cbg-export-image-format">
+                            ${option('jpeg', 'JPEG', settings.imageFormat)}
+                            ${option('png', 'PNG (lossless)', settings.imageFormat)}
+                        </select>
+                    </div>
+                    <div class="col-6">
+                        <label class="form-label small mb-0" for="cbg-export-compression">Compression</label>
+                        <select class="form-select form-select-sm" id="cbg-export-compression">
+                            ${option('low', 'Low (best quality)', settings.compression)}
+                            ${option('medium', 'Medium', settings.compression)}
+                            ${option('high', 'High (smallest)', settings.compression)}
+                        </select>
+                    </div>
+                    <div class="col-6">
+                        <label class="form-label small mb-0" for="cbg-export-color-mode">Color</label>
+                        <select class="form-select form-select-sm" id="cbg-export-color-mode">
+                            ${option('rgb', 'RGB (screen)', settings.colorMode)}
+                            ${option('cmyk', 'CMYK (print)', settings.colorMode)}
+                        </select>
+                    </div>
+                    <div class="col-6">
+                        <label class="form-label small mb-0" for="cbg-export-credits">Credits page</label>
+                        <select class="form-select form-select-sm" id="cbg-export-credits">
+                            ${option('none', 'None', settings.creditsPage)}
+                            ${option('after-cover', 'After the cover', settings.creditsPage)}
+                            ${option('end', 'At the end', settings.creditsPage)}
+                        </select>
+                    </div>
+                </div>
+                <div class="row g-2 mb-2 webtoon-export-options" ${settings.format === 'webtoon' ? '' : 'hidden'}>
+                    <div class="col-6">
+                        <label class="form-label small mb-0" for="cbg-export-strip-width">Strip width (px)</label>
+                        <input type="number" min="100" max="4000" class="form-control form-control-sm" id="cbg-export-strip-width" value="${settings.stripWidth}">
+                    </div>
+                    <div class="col-6">
+                        <label class="form-label small mb-0" for="cbg-export-slice-height">Slice height (px)</label>
+                        <input type="number" min="100" max="20000" class="form-control form-control-sm" id="cbg-export-slice-height" value="${settings.sliceHeight}">
+                    </div>
+                    <div class="col-6">
+                        <label class="form-label small mb-0" for="cbg-export-strip-source">Stack</label>
+                        <select class="form-select form-select-sm" id="cbg-export-strip-source">
+                            ${option('pages', 'Whole pages', settings.stripSource)}
+                            ${option('panels', 'Panels in reading order', settings.stripSource)}
+                        </select>
+                    </div>
+                    <div class="col-6">
+                        <label class="form-label small mb-0" for="cbg-export-strip-gap">Gap (px)</label>
+                        <input type="number" min="0" max="2000" class="form-control form-control-sm" id="cbg-export-strip-gap" value="${settings.stripGap}">
+                    </div>
+                </div>
+                <div class="row g-2 mb-2 image-export-options" ${settings.format === 'images' ? '' : 'hidden'}>
+                    <div class="col-6">
+                        <label class="form-label small mb-0" for="cbg-export-image-scope">Export</label>
+                        <select class="form-select form-select-sm" id="cbg-export-image-scope">
+                            ${option('pages', 'Whole pages', settings.imageScope)}
+                            ${option('panels', 'Each panel', settings.imageScope)}
+                        </select>
+                    </div>
+                    <div class="col-6">
+                        <label class="form-label small mb-0" for="cbg-export-image-background">Background</label>
+                        <select class="form-select form-select-sm" id="cbg-export-image-background">
+                            ${option('page', 'Page color', settings.imageBackground)}
+                            ${option('transparent', 'Transparent (PNG)', settings.imageBackground)}
+                        </select>
+                    </div>
+                    <div class="col-12">
+                        <label class="form-label small mb-0" for="cbg-export-page-range">Pages</label>
+                        <input type="text" class="form-control form-control-sm" id="cbg-export-page-range" value="${escapeHtml(settings.pageRange)}" placeholder="All, or e.g. 1-4, 7">
+                    </div>
+                    <div class="col-12">
+                        <label class="form-label small mb-0" for="cbg-export-file-pattern">File names</label>
+                        <input type="text" class="form-control form-control-sm" id="cbg-export-file-pattern" value="${escapeHtml(settings.fileNamePattern)}">
+                        <div class="form-text small">${Object.keys(ImageExport.TOKENS).map(token => `<code title="${ImageExport.TOKENS[token]}">{${token}}</code>`).join(' ')}; add :03 to pad numbers</div>
+                    </div>
+                </div>
+                <div class="booklet-export-options" ${settings.format === 'booklet' ? '' : 'hidden'}>
+                    ${this.renderPageCountWarning()}
+                </div>
+                ${check('cbg-export-bleed', 'Include bleed', settings.includeBleed)}
+                ${check('cbg-export-crop-marks', 'Crop marks', settings.cropMarks)}
+                ${check('cbg-export-page-numbers', 'Page numbers', settings.pageNumbers)}
+                <button class="basic-button small-button" id="cbg-run-preflight" style="margin-top: 0.75rem; width: 100%;">🛫 Run Print Preflight</button>
+                ${this.renderPreflightReport()}
+                <button class="basic-button btn-primary" id="cbg-export-comic" style="margin-top: 0.75rem; width: 100%;">⬇️ Export</button>
+                <div id="cbg-export-status" class="small text-muted mt-2" aria-live="polite"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * <summary>Number of pages an export will contain, including a generated credits page</summary>
+     */
+    getExportPageCount() {
+        const layoutManager = this.main.getManager('layout');
+        const pages = layoutManager ? layoutManager.getAllPages() : [];
+        return this.addCreditsPage(pages, this.exportSettings).length;
+    }
+
+    /**
+     * <summary>Warn when the page count cannot be saddle-stitched and offer filler pages</summary>
+     * @returns {string} HTML; empty when the count is a multiple of 4
+     */
+    renderPageCountWarning() {
+        const count = this.getExportPageCount();
+        const needed = Imposition.blanksNeeded(count);
+        if (!count || !needed) return '';
+
+        return `
+            <div class="alert alert-warning small p-2 mb-2 page-count-warning">
+                ${count} pages cannot be saddle-stitched; booklets need a multiple of 4.
+                <div class="d-flex gap-2 mt-2">
+                    <button class="basic-button small-button add-filler-pages" data-kind="blank" data-count="${needed}">Add ${needed} blank page(s)</button>
+                    <button class="basic-button small-button add-filler-pages" data-kind="ad" data-count="${needed}">Add ${needed} ad page(s)</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * <summary>Add filler pages to the comic before the back cover</summary>
+     * @param {number} count - Pages to add
+     * @param {string} kind - 'blank' or 'ad'
+     */
+    addFillerPages(count, kind) {
+        const layoutManager = this.main.getManager('layout');
+        if (!layoutManager) return;
+
+        layoutManager.insertFillerPages(count, kind);
+        this.preflightIssues = null;
+        this.renderNavigationPanel();
+    }
+
+    /**
+     * <summary>Run the print preflight against the current export settings</summary>
+     */
+    async runPreflight() {
+        const btn = document.getElementById('cbg-run-preflight');
+        if (btn) {
+            btn.innerHTML = '<span class="cbg-spinner"></span>Checking...';
+            btn.disabled = true;
+        }
+
+        try {
+            this.updateExportSettingsFromForm();
+            const layoutManager = this.main.getManager('layout');
+            const pages = layoutManager ? layoutManager.getAllPages() : [];
+            // The generated credits page is laid out inside the safe area; it only adds to the page count
+            this.preflightIssues = await Preflight.run(pages, this.exportSettings, this.getExportPageCount());
+            this.log(`Preflight found ${this.preflightIssues.length} issue(s)`);
+            await this.renderNavigationPanel();
+
+        } catch (error) {
+            this.handleError('Failed to run preflight', error);
+            if (btn) {
+                btn.innerHTML = '🛫 Run Print Preflight';
+                btn.disabled = false;
+            }
+        }
+    }
+
+    /**
+     * <summary>Render the issues from the last preflight</summary>
+     * @returns {string} HTML; empty until preflight has run
+     */
+    renderPreflightReport() {
+        if (!this.preflightIssues) return '';
+
+        const layoutManager = this.main.getManager('layout');
+        const pages = layoutManager ? layoutManager.getAllPages() : [];
+        const items = this.preflightIssues.map((issue, index) => this.renderIssueItem(issue, index, pages, 'preflight-issue')).join('');
+
+        return `
+            <div class="quality-issue-list preflight-report mt-2">
+                ${items || '<div class="small text-muted">✓ Ready for print</div>'}
+            </div>
+        `;
+    }
+
+    /**
+     * <summary>Read the export options from the navigator</summary>
+     */
+    updateExportSettingsFromForm() {
+        const value = (id) => document.getElementById(id)?.value;
+        const checked = (id, fallback) => {
+            const element = document.getElementById(id);
+            return element ? element.checked : fallback;
+        };
+
+        this.exportSettings.format = value('cbg-export-format') || this.exportSettings.format;
+        this.exportSettings.resolution = parseInt(value('cbg-export-resolution')) || this.exportSettings.resolution;
+        this.exportSettings.compression = value('cbg-export-compression') || this.exportSettings.compression;
+        this.exportSettings.imageFormat = value('cbg-export-image-format') || this.exportSettings.imageFormat;
+        this.exportSettings.stripWidth = parseInt(value('cbg-export-strip-width')) || this.exportSettings.stripWidth;
+        this.exportSettings.sliceHeight = parseInt(value('cbg-export-slice-height')) || this.exportSettings.sliceHeight;
+        this.exportSettings.stripSource = value('cbg-export-strip-source') || this.exportSettings.stripSource;
+        this.exportSettings.creditsPage = value('cbg-export-credits') || this.exportSettings.creditsPage;
+        const gap = parseInt(value('cbg-export-strip-gap'));
+        if (gap >= 0) this.exportSettings.stripGap = gap;
+
+        this.exportSettings.colorMode = value('cbg-export-color-mode') || this.exportSettings.colorMode;
+        this.exportSettings.imageScope = value('cbg-export-image-scope') || this.exportSettings.imageScope;
+        this.exportSettings.imageBackground = value('cbg-export-image-background') || this.exportSettings.imageBackground;
+        this.exportSettings.fileNamePattern = value('cbg-export-file-pattern')?.trim() || this.exportSettings.fileNamePattern;
+        const pageRange = value('cbg-export-page-range');
+        if (pageRange !== undefined) this.exportSettings.pageRange = pageRange.trim();
+
+        const webtoonOptions = document.querySelector('.webtoon-export-options');
+        if (webtoonOptions) webtoonOptions.hidden = this.exportSettings.format !== 'webtoon';
+        const imageOptions = document.querySelector('.image-export-options');
+        if (imageOptions) imageOptions.hidden = this.exportSettings.format !== 'images';
+        const bookletOptions = document.querySelector('.booklet-export-options');
+        if (bookletOptions) {
+            bookletOptions.hidden = this.exportSettings.format !== 'booklet';
+            bookletOptions.innerHTML = this.renderPageCountWarning();
+        }
+        this.exportSettings.includeBleed = checked('cbg-export-bleed', this.exportSettings.includeBleed);
+        this.exportSettings.cropMarks = checked('cbg-export-crop-marks', this.exportSettings.cropMarks);
+        this.exportSettings.pageNumbers = checked('cbg-export-page-numbers', this.exportSettings.pageNumbers);
+    }
+
+    /**
+     * <summary>Show export progress next to the export button</summary>
+     */
+    setExportStatus(message) {
+        const status = document.getElementById('cbg-export-status');
+        if (status) status.textContent = message;
+        if (message) this.log(message);
+    }
+
     /**
      * <summary>Export comic in various formats</summary>
      * @param {string} format - Export format
@@ -1347,56 +2432,683 @@ class PublicationManager extends BaseManager {
             return;
         }
 
+        const button = document.getElementById('cbg-export-comic');
+
         try {
             this.log(`Starting export to ${format.toUpperCase()}...`);
             this.isExporting = true;
+            if (button) button.disabled = true;
 
             const layoutManager = this.main.getManager('layout');
-            const pages = layoutManager ? layoutManager.getAllPages() : [];
+            const exportSettings = { ...this.exportSettings, ...options };
+            const pages = this.addCreditsPage(layoutManager ? layoutManager.getAllPages() : [], exportSettings);
 
             if (pages.length === 0) {
                 throw new Error('No pages to export');
             }
 
-            const exportSettings = { ...this.exportSettings, ...options };
+            let blob;
+            let exported = `${pages.length} page(s)`;
+            switch (format) {
+                case 'pdf':
+                    blob = await this.exportPdf(pages, exportSettings);
+                    break;
+                case 'cbz':
+                    blob = await this.exportCbz(pages, exportSettings);
+                    break;
+                case 'html':
+                    blob = await this.exportWebComic(pages, exportSettings);
+                    break;
+                case 'epub':
+                    blob = await this.exportEpub(pages, exportSettings);
+                    break;
+                case 'webtoon':
+                    blob = await this.exportWebtoon(pages, exportSettings);
+                    break;
+                case 'booklet':
+                    blob = await this.exportBooklet(pages, exportSettings);
+                    break;
+                case 'images': {
+                    // A page range or per-panel files make the file count differ from the page count
+                    const result = await this.exportImages(pages, exportSettings);
+                    blob = result.blob;
+                    exported = `${result.fileCount} image(s)`;
+                    break;
+                }
+                default:
+                    throw new Error(`Unsupported export format: ${format}`);
+            }
 
-            // TODO: Implement actual export functionality
-            // This would call C# backend methods to generate files
+            if (!blob) {
+                this.setExportStatus('Export cancelled');
+                return;
+            }
 
-            // Placeholder implementation
-            await this.simulateExport(format, pages, exportSettings);
+            const extensions = { webtoon: 'webtoon.zip', booklet: 'booklet.pdf', images: 'images.zip' };
+            const filename = this.getExportFilename(extensions[format] || format);
+            DataHelper.downloadBlob(filename, blob);
+            this.setExportStatus(`Exported ${exported} to ${filename} (${(blob.size / 1048576).toFixed(1)} MB)`);
 
             this.log(`Export to ${format.toUpperCase()} completed`);
 
         } catch (error) {
+            this.setExportStatus('');
             this.handleError(`Failed to export to ${format}`, error);
+            showError(`Export failed: ${error.message}`);
         } finally {
             this.isExporting = false;
+            if (button) button.disabled = false;
         }
     }
 
     /**
-     * <summary>Simulate export process</summary>
-     * @param {string} format - Export format
+     * <summary>Add the generated credits/indicia page where the export settings ask for it</summary>
+     * @param {Array} pages - Comic pages
+     * @param {Object} settings - Export settings
+     * @returns {Array} Pages to export
+     */
+    addCreditsPage(pages, settings) {
+        if (!pages.length || !settings.creditsPage || settings.creditsPage === 'none') return pages;
+
+        const credits = PublicationMeta.buildCreditsPage(this.publicationMeta, pages[0]);
+        if (settings.creditsPage === 'after-cover') return [pages[0], credits, ...pages.slice(1)];
+
+        // The back cover stays last, so imposition padding and the exports keep it on the outside
+        const last = pages[pages.length - 1];
+        return last.cover?.side === 'back'
+            ? [...pages.slice(0, -1), credits, last]
+            : [...pages, credits];
+    }
+
+    /**
+     * <summary>Build a file name for an export from the comic title</summary>
+     */
+    getExportFilename(extension) {
+        const title = (this.publicationMeta.title || 'comic').trim();
+        const safe = title.replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, '_') || 'comic';
+        return `${safe}.${extension}`;
+    }
+
+    /**
+     * <summary>Export the pages as a PDF</summary>
+     * Each page is a JPEG of the art and balloons at the export resolution. Lettering the
+     * standard PDF fonts can encode is written as real text on top; the rest is rasterized.
+     * @param {Array} pages - Pages to export
+     * @param {Object} settings - Export settings
+     * @returns {Promise<Blob>} PDF file
+     */
+    async exportPdf(pages, settings) {
+        const toPoints = 72 / PageFormat.LAYOUT_DPI;
+        const cropMark = PublicationManager.CROP_MARK;
+        const slug = settings.cropMarks ? cropMark.offset + cropMark.length + cropMark.offset : 0;
+
+        if (settings.colorMode === 'cmyk') {
+            this.log('CMYK is not available for browser exports; the PDF uses RGB');
+        }
+
+        const pdf = new PdfWriter({
+            title: this.publicationMeta.title,
+            author: [...new Set(this.publicationMeta.creators.map(creator => creator.name))].join(', '),
+            subject: this.publicationMeta.subject || this.publicationMeta.subtitle,
+            keywords: this.publicationMeta.genre
+        });
+
+        for (const [index, page] of pages.entries()) {
+            this.setExportStatus(`Rendering page ${index + 1} of ${pages.length}...`);
+
+            const guides = PageFormat.getGuides(page);
+            const region = PageRenderer.getRegion(page, settings.includeBleed);
+            const lettering = PageRenderer.layoutLettering(page);
+            const isVector = (item) => PdfWriter.canEncode(item.text);
+
+            const rendered = await this.renderPageImage(page, { ...settings, imageFormat: 'jpeg' }, { lettering, skipText: isVector });
+            const image = pdf.addJpeg(new Uint8Array(await rendered.blob.arrayBuffer()), rendered.width, rendered.height);
+
+            // Page coordinates in points: the exported region sits inside the slug for crop marks
+            const toX = (x) => slug + (x - region.x) * toPoints;
+            const toY = (y) => slug + (y - region.y) * toPoints;
+            const trim = {
+                x: toX(guides.trim.x),
+                y: toY(guides.trim.y),
+                width: guides.trim.width * toPoints,
+                height: guides.trim.height * toPoints
+            };
+            const media = { x: slug, y: slug, width: region.width * toPoints, height: region.height * toPoints };
+
+            const pdfPage = pdf.addPage(media.width + slug * 2, media.height + slug * 2, {
+                trim,
+                bleed: settings.includeBleed ? media : null
+            });
+            pdfPage.drawImage(image, media.x, media.y, media.width, media.height);
+
+            this.drawPdfLettering(pdfPage, lettering.filter(isVector), toX, toY);
+
+            if (settings.pageNumbers) {
+                this.drawPdfPageNumber(pdfPage, page, index, trim);
+            }
+
+            if (settings.cropMarks) {
+                this.drawCropMarks(pdfPage, trim, media);
+            }
+        }
+
+        this.setExportStatus('Writing PDF...');
+        return pdf.toBlob();
+    }
+
+    /**
+     * <summary>Export the pages as an imposed PDF for saddle-stitch printing</summary>
+     * Each PDF page is one side of a printed sheet with two comic pages side by side, in
+     * booklet order (see Imposition). Bleed is kept on the outer edges only, so facing pages
+     * meet at the fold; crop marks add a fold mark at the spine.
+     * @param {Array} pages - Pages to export
+     * @param {Object} settings - Export settings
+     * @returns {Promise<Blob|null>} PDF file, or null when the user declines blank padding
+     */
+    async exportBooklet(pages, settings) {
+        const blanks = Imposition.blanksNeeded(pages.length);
+        if (blanks && !confirm(`Saddle-stitched booklets need a multiple of 4 pages. Print the ${pages.length} pages with ${blanks} blank page(s) before the back cover?`)) {
+            return null;
+        }
+
+        const toPoints = 72 / PageFormat.LAYOUT_DPI;
+        const cropMark = PublicationManager.CROP_MARK;
+        const slug = settings.cropMarks ? cropMark.offset + cropMark.length + cropMark.offset : 0;
+        const padded = Imposition.pad(pages);
+        const sheets = Imposition.getSignatureOrder(padded.length, this.readingDirection);
+
+        // Sheets take their size from the first page: two trimmed pages plus bleed on the outer edges
+        const firstTrim = PageFormat.getGuides(pages[0]).trim;
+        const bleed = settings.includeBleed ? PageFormat.getGuides(pages[0]).bleedSize : 0;
+        const slotWidth = (firstTrim.width + bleed) * toPoints;
+        const media = { x: slug, y: slug, width: slotWidth * 2, height: (firstTrim.height + bleed * 2) * toPoints };
+        const trim = {
+            x: slug + bleed * toPoints,
+            y: slug + bleed * toPoints,
+            width: firstTrim.width * 2 * toPoints,
+            height: firstTrim.height * toPoints
+        };
+
+        const pdf = new PdfWriter({
+            title: this.publicationMeta.title,
+            author: [...new Set(this.publicationMeta.creators.map(creator => creator.name))].join(', '),
+            subject: this.publicationMeta.subject || this.publicationMeta.subtitle,
+            keywords: this.publicationMeta.genre
+        });
+
+        for (const [sheetIndex, sheet] of sheets.entries()) {
+            for (const side of ['front', 'back']) {
+                this.setExportStatus(`Rendering sheet ${sheetIndex + 1} of ${sheets.length} (${side})...`);
+                const pdfPage = pdf.addPage(media.width + slug * 2, media.height + slug * 2, {
+                    trim,
+                    bleed: bleed ? media : null
+                });
+
+                for (const position of ['left', 'right']) {
+                    const index = sheet[side][position];
+                    const page = padded[index];
+                    if (!page) continue; // Blank filler
+
+                    const pageTrim = PageFormat.getGuides(page).trim;
+                    const region = {
+                        x: position === 'left' ? pageTrim.x - bleed : pageTrim.x,
+                        y: pageTrim.y - bleed,
+                        width: pageTrim.width + bleed,
+                        height: pageTrim.height + bleed * 2
+                    };
+                    const left = position === 'left' ? slug : slug + slotWidth;
+                    const toX = (x) => left + (x - region.x) * toPoints;
+                    const toY = (y) => slug + (y - region.y) * toPoints;
+                    const lettering = PageRenderer.layoutLettering(page);
+                    const isVector = (item) => PdfWriter.canEncode(item.text);
+
+                    const rendered = await this.renderPageImage(page, { ...settings, imageFormat: 'jpeg' }, { lettering, skipText: isVector, region });
+                    const image = pdf.addJpeg(new Uint8Array(await rendered.blob.arrayBuffer()), rendered.width, rendered.height);
+                    pdfPage.drawImage(image, left, slug, region.width * toPoints, region.height * toPoints);
+
+                    this.drawPdfLettering(pdfPage, lettering.filter(isVector), toX, toY);
+                    if (settings.pageNumbers) {
+                        this.drawPdfPageNumber(pdfPage, page, index, {
+                            x: toX(pageTrim.x),
+                            y: toY(pageTrim.y),
+                            width: pageTrim.width * toPoints,
+                            height: pageTrim.height * toPoints
+                        });
+                    }
+                }
+
+                if (settings.cropMarks) {
+                    this.drawCropMarks(pdfPage, trim, media);
+                    const fold = trim.x + trim.width / 2;
+                    pdfPage.drawLine(fold, media.y - cropMark.offset, fold, media.y - cropMark.offset - cropMark.length, cropMark.width);
+                    pdfPage.drawLine(fold, media.y + media.height + cropMark.offset, fold, media.y + media.height + cropMark.offset + cropMark.length, cropMark.width);
+                }
+            }
+        }
+
+        this.setExportStatus('Writing PDF...');
+        return pdf.toBlob();
+    }
+
+    /**
+     * <summary>Write lettering as PDF text</summary>
+     * @param {PdfPage} pdfPage - Page to draw on
+     * @param {Array} lettering - Items from PageRenderer.layoutLettering that PdfWriter can encode
+     * @param {Function} toX - Layout x to PDF x in points
+     * @param {Function} toY - Layout y to PDF y in points
+     */
+    drawPdfLettering(pdfPage, lettering, toX, toY) {
+        const toPoints = 72 / PageFormat.LAYOUT_DPI;
+        lettering.forEach(item => {
+            item.lines.forEach(line => {
+                const origin = item.rotation ? PageRenderer.rotatePoint(line, item.center, item.rotation) : line;
+                pdfPage.drawText(line.text, toX(origin.x), toY(origin.y), item.fontSize * toPoints, {
+                    bold: item.bold,
+                    color: item.color,
+                    outline: item.outline,
+                    outlineWidth: 1.5 * toPoints,
+                    rotation: item.rotation
+                });
+            });
+        });
+    }
+
+    /**
+     * <summary>Write a page's number centred below its safe area</summary>
+     * Covers and the credits page are not numbered.
+     * @param {PdfPage} pdfPage - Page to draw on
+     * @param {Object} page - Page data
+     * @param {number} index - Position of the page in the export
+     * @param {Object} trim - Trimmed page in PDF points
+     */
+    drawPdfPageNumber(pdfPage, page, index, trim) {
+        if (page.id === 'credits' || page.cover) return;
+
+        const toPoints = 72 / PageFormat.LAYOUT_DPI;
+        const size = 9;
+        const label = String(page.number || index + 1);
+        const format = PageFormat.getFormat(page);
+        const margin = Math.max(PageFormat.toLayoutPx(format.safeMargin || 0, format.unit) * toPoints / 2, 12);
+        // Helvetica digits are 0.556 em wide
+        pdfPage.drawText(label, trim.x + (trim.width - label.length * 0.556 * size) / 2, trim.y + trim.height - margin + size / 3, size);
+    }
+
+    /**
+     * <summary>Rasterize a page at the export resolution and encode it</summary>
+     * @param {Object} page - Page data
+     * @param {Object} settings - Export settings (resolution, includeBleed, imageFormat, compression)
+     * @param {Object} options - Extra PageRenderer.renderPage options
+     * @returns {Promise<Object>} { blob, width, height, extension }
+     */
+    async renderPageImage(page, settings, options = {}) {
+        const type = PublicationManager.IMAGE_TYPES[settings.imageFormat] || PublicationManager.IMAGE_TYPES.jpeg;
+        const quality = PublicationManager.JPEG_QUALITY[settings.compression] ?? PublicationManager.JPEG_QUALITY.medium;
+
+        const canvas = await PageRenderer.renderPage(page, {
+            scale: PageFormat.getExportScale(page, settings.resolution),
+            region: PageRenderer.getRegion(page, settings.includeBleed),
+            ...options
+        });
+        const { width, height } = canvas;
+        const blob = await PageRenderer.toBlob(canvas, type.mime, quality);
+        canvas.width = canvas.height = 0; // Release the pixels before the next page
+
+        return { blob, width, height, extension: type.extension };
+    }
+
+    /**
+     * <summary>Export the pages as a CBZ comic archive</summary>
+     * Pages are numbered with zero padding so every reader sorts them correctly,
+     * and ComicInfo.xml carries the metadata comic readers and library managers look for.
      * @param {Array} pages - Pages to export
      * @param {Object} settings - Export settings
+     * @returns {Promise<Blob>} CBZ file
      */
-    async simulateExport(format, pages, settings) {
-        // Simulate export progress
-        const formats = {
-            'pdf': 'Adobe PDF for print and digital distribution',
-            'cbz': 'Comic Book Archive (CBZ) for digital readers',
-            'png': 'High-resolution PNG images',
-            'jpg': 'JPEG images for web distribution'
+    async exportCbz(pages, settings) {
+        const zip = new ZipWriter();
+        const digits = Math.max(3, String(pages.length).length);
+        const images = [];
+
+        for (const [index, page] of pages.entries()) {
+            this.setExportStatus(`Rendering page ${index + 1} of ${pages.length}...`);
+            const rendered = await this.renderPageImage(page, settings);
+            await zip.addBlob(`${String(index + 1).padStart(digits, '0')}.${rendered.extension}`, rendered.blob);
+            images.push({ ...rendered, cover: page.cover?.side });
+        }
+
+        zip.addFile('ComicInfo.xml', this.buildComicInfo(images));
+
+        this.setExportStatus('Writing archive...');
+        return zip.toBlob('application/vnd.comicbook+zip');
+    }
+
+    /**
+     * <summary>Export the pages as a self-contained web comic</summary>
+     * Images are embedded so the single file reads offline, including panel-by-panel mode,
+     * which zooms to each panel in reading order.
+     * @param {Array} pages - Pages to export
+     * @param {Object} settings - Export settings
+     * @returns {Promise<Blob>} HTML file
+     */
+    async exportWebComic(pages, settings) {
+        const layoutManager = this.main.getManager('layout');
+        const meta = this.publicationMeta;
+        const comicPages = [];
+
+        for (const [index, page] of pages.entries()) {
+            this.setExportStatus(`Rendering page ${index + 1} of ${pages.length}...`);
+
+            // Screens show the trimmed page, like the reader
+            const rendered = await this.renderPageImage(page, { ...settings, includeBleed: false });
+            const region = PageRenderer.getRegion(page, false);
+            const panels = layoutManager ? layoutManager.getPanelsInReadingOrder(page) : page.panels;
+
+            comicPages.push({
+                src: await PublicationManager.blobToDataUrl(rendered.blob),
+                width: rendered.width,
+                height: rendered.height,
+                alt: this.getPageAltText(page, index),
+                cover: page.cover?.side,
+                panels: panels.map(panel => ({
+                    x: (panel.x - region.x) / region.width,
+                    y: (panel.y - region.y) / region.height,
+                    width: panel.width / region.width,
+                    height: panel.height / region.height
+                }))
+            });
+        }
+
+        const html = WebComicExport.buildHtml({
+            title: meta.title,
+            subtitle: meta.subtitle,
+            credits: PublicationMeta.getCredits(meta),
+            publisher: meta.publisher,
+            copyright: meta.copyright,
+            language: meta.language,
+            readingDirection: this.readingDirection,
+            defaultMode: this.currentReadingMode,
+            pages: comicPages
+        });
+
+        return new Blob([html], { type: 'text/html' });
+    }
+
+    /**
+     * <summary>Export the pages as an EPUB 3 fixed-layout book</summary>
+     * Balloons are part of the page art, but their text is written as XHTML over them.
+     * @param {Array} pages - Pages to export
+     * @param {Object} settings - Export settings
+     * @returns {Promise<Blob>} EPUB file
+     */
+    async exportEpub(pages, settings) {
+        const layoutManager = this.main.getManager('layout');
+        const meta = this.publicationMeta;
+        const bookPages = [];
+
+        for (const [index, page] of pages.entries()) {
+            this.setExportStatus(`Rendering page ${index + 1} of ${pages.length}...`);
+
+            const region = PageRenderer.getRegion(page, false);
+            const lettering = PageRenderer.layoutLettering(page);
+            const image = await this.renderPageImage(page, { ...settings, includeBleed: false }, { lettering, skipText: () => true });
+            const scale = image.width / region.width;
+
+            // Text follows the panels' reading order so it is read aloud in sequence
+            const panels = layoutManager ? layoutManager.getPanelsInReadingOrder(page) : page.panels;
+            const order = new Map(panels.map((panel, position) => [panel.id, position]));
+            lettering.sort((a, b) => (order.get(a.panelId) ?? 0) - (order.get(b.panelId) ?? 0));
+
+            bookPages.push({
+                image,
+                cover: page.cover?.side,
+                alt: CoverDesign.getLabel(page, true) || `Page ${page.number || index + 1}`,
+                lettering: lettering.map(item => {
+                    const lineHeight = item.fontSize * PageRenderer.LINE_HEIGHT;
+                    const top = item.lines[0].y - PageRenderer.getBaselineOffset(item.fontSize, lineHeight);
+                    const px = (value) => Math.round(value * scale * 100) / 100;
+                    return {
+                        kind: item.kind,
+                        lines: item.lines.map(line => line.text),
+                        x: px(item.lines[0].x - region.x),
+                        y: px(top - region.y),
+                        fontSize: px(item.fontSize),
+                        lineHeight: px(lineHeight),
+                        bold: item.bold,
+                        color: item.color,
+                        rotation: item.rotation
+                    };
+                })
+            });
+        }
+
+        const isbn = meta.isbn && !PublicationMeta.validateIsbn(meta.isbn) ? PublicationMeta.normalizeIsbn(meta.isbn) : '';
+        const projectId = this.main.projectData?.projectInfo?.id || PanelModel.createId('comic');
+
+        this.setExportStatus('Writing EPUB...');
+        return EpubExport.build({
+            identifier: isbn ? `urn:isbn:${isbn}` : `urn:cbg:${projectId}`,
+            title: meta.title || 'Untitled Comic',
+            creators: meta.creators.map(creator => ({ name: creator.name, role: PublicationMeta.CREATOR_ROLES[creator.role].marc })),
+            publisher: meta.publisher,
+            rights: meta.copyright,
+            language: meta.language || 'en',
+            subjects: [meta.genre].filter(Boolean),
+            readingDirection: this.readingDirection,
+            pages: bookPages
+        });
+    }
+
+    /**
+     * <summary>Plan a webtoon strip from the export settings</summary>
+     * @returns {Object} See WebtoonStrip.plan
+     */
+    planWebtoonStrip(pages, settings = this.exportSettings) {
+        const layoutManager = this.main.getManager('layout');
+        return WebtoonStrip.plan(pages, {
+            width: settings.stripWidth,
+            sliceHeight: settings.sliceHeight,
+            gap: settings.stripGap,
+            source: settings.stripSource,
+            getPanelsInReadingOrder: (page) => layoutManager ? layoutManager.getPanelsInReadingOrder(page) : page.panels
+        });
+    }
+
+    /**
+     * <summary>Export the comic as webtoon strip slices in a ZIP</summary>
+     * @param {Array} pages - Pages to export
+     * @param {Object} settings - Export settings
+     * @returns {Promise<Blob>} ZIP of numbered slice images
+     */
+    async exportWebtoon(pages, settings) {
+        const type = PublicationManager.IMAGE_TYPES[settings.imageFormat] || PublicationManager.IMAGE_TYPES.jpeg;
+        const quality = PublicationManager.JPEG_QUALITY[settings.compression] ?? PublicationManager.JPEG_QUALITY.medium;
+        const plan = this.planWebtoonStrip(pages, settings);
+        const digits = Math.max(3, String(plan.cuts.length - 1).length);
+        const zip = new ZipWriter();
+
+        await WebtoonStrip.renderSlices(plan, async (canvas, index) => {
+            const blob = await PageRenderer.toBlob(canvas, type.mime, quality);
+            await zip.addBlob(`${String(index + 1).padStart(digits, '0')}.${type.extension}`, blob);
+        }, {
+            onProgress: (index, count) => this.setExportStatus(`Rendering slice ${index + 1} of ${count}...`)
+        });
+
+        this.setExportStatus('Writing archive...');
+        return zip.toBlob();
+    }
+
+    /**
+     * <summary>Export pages, or every panel on them, as image files in a zip</summary>
+     * Files are named from settings.fileNamePattern (see ImageExport). Panel crops hold just
+     * the panel and its own lettering, so neighbouring panels do not show at the edges.
+     * @param {Array} pages - Pages to export
+     * @param {Object} settings - Export settings
+     * @returns {Promise<Object>} { blob: zip file, fileCount: number of images in it }
+     */
+    async exportImages(pages, settings) {
+        const panels = settings.imageScope === 'panels';
+        let pattern = settings.fileNamePattern || ImageExport.DEFAULT_PATTERN;
+        const patternError = ImageExport.validatePattern(pattern);
+        if (patternError) throw new Error(patternError);
+        if (panels && !pattern.includes('{panel')) pattern += ImageExport.PANEL_SUFFIX;
+
+        const indexes = ImageExport.parsePageRange(settings.pageRange, pages.length);
+        if (!indexes.length) throw new Error(`The page range selects none of the ${pages.length} pages`);
+
+        // JPEG has no alpha channel, so transparent areas would turn black
+        const transparent = settings.imageBackground === 'transparent' && settings.imageFormat === 'png';
+        const meta = this.publicationMeta;
+        const zip = new ZipWriter();
+        const used = new Set();
+        let fileCount = 0;
+
+        const add = async (page, values, options) => {
+            const rendered = await this.renderPageImage(page, settings, { transparent, ...options });
+            const name = ImageExport.uniqueName(ImageExport.formatName(pattern, {
+                series: meta.seriesTitle || meta.title,
+                issue: meta.issueNumber,
+                title: meta.title,
+                n: ++fileCount,
+                ...values
+            }), used);
+            await zip.addBlob(`${name}.${rendered.extension}`, rendered.blob);
+        };
+
+        for (const [position, index] of indexes.entries()) {
+            const page = pages[index];
+            // The export position; page.number need not follow the export order and the credits page has none
+            const pageNumber = index + 1;
+            this.setExportStatus(`Rendering page ${position + 1} of ${indexes.length}...`);
+
+            if (!panels) {
+                await add(page, { page: pageNumber, panel: '' });
+                continue;
+            }
+
+            for (const [panelIndex, panel] of this.getReadingPanels(page).entries()) {
+                const crop = { ...page, cover: null, panels: [panel] };
+                const lettering = PageRenderer.layoutLettering(crop);
+                await add(crop, { page: pageNumber, panel: panelIndex + 1 }, {
+                    lettering,
+                    region: ImageExport.getPanelRegion(page, panel, lettering)
+                });
+            }
+        }
+
+        if (!fileCount) throw new Error('The selected pages have no panels to export');
+
+        this.setExportStatus('Writing archive...');
+        return { blob: await zip.toBlob(), fileCount };
+    }
+
+    /**
+     * <summary>Describe a page for screen readers: its number and its lettering in reading order</summary>
+     */
+    getPageAltText(page, index) {
+        const layoutManager = this.main.getManager('layout');
+        const panels = layoutManager ? layoutManager.getPanelsInReadingOrder(page) : page.panels;
+        const text = panels.flatMap(panel => [
+            ...(panel.dialogues || []).map(dialogue => dialogue.text),
+            ...PanelModel.getSoundEffects(panel).map(sfx => sfx.text)
+        ]).filter(Boolean);
+        return [CoverDesign.getLabel(page, true) || `Page ${page.number || index + 1}`, ...text].join('. ');
+    }
+
+    /**
+     * <summary>Read a Blob as a data: URL</summary>
+     */
+    static blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * <summary>Build ComicInfo.xml (the ComicRack metadata schema) from the publication metadata</summary>
+     * @param {Array} images - Rendered page images, in page order; cover pages carry cover: 'front' or 'back'
+     * @returns {string} XML
+     */
+    buildComicInfo(images) {
+        const meta = this.publicationMeta;
+        const escape = PublicationManager.escapeXml;
+        const date = PublicationMeta.parseDate(meta.publicationDate);
+        // In the order of ComicInfo.xsd, which readers validating the file expect
+        const fields = [
+            // ComicInfo has no subtitle field; it is part of the issue's title
+            ['Title', [meta.title, meta.subtitle].filter(Boolean).join(': ')],
+            ['Series', meta.seriesTitle || meta.title],
+            ['Number', meta.issueNumber],
+            ['Summary', meta.subject],
+            ['Notes', meta.copyright],
+            ['Year', date?.year],
+            ['Month', date?.month],
+            ['Day', date?.day],
+            ...Object.entries(PublicationMeta.CREATOR_ROLES).map(([role, definition]) =>
+                [definition.comicInfo, PublicationMeta.getNames(meta, role).join(', ')]),
+            ['Publisher', meta.publisher],
+            ['Genre', meta.genre],
+            ['PageCount', images.length],
+            ['LanguageISO', meta.language],
+            ['Manga', this.readingDirection === 'rtl' ? 'YesAndRightToLeft' : 'No'],
+            ['AgeRating', PublicationManager.COMIC_INFO_AGE_RATINGS[meta.ageRating]]
+        ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+        // ComicInfo.xsd places GTIN after Pages
+        const gtin = meta.isbn && PublicationMeta.normalizeIsbn(meta.isbn);
+
+        // Without a designed front cover, readers use the first page
+        const hasFrontCover = images.some(image => image.cover === 'front');
+        const pageType = (image, index) => {
+            if (image.cover === 'front' || (!hasFrontCover && index === 0)) return ' Type="FrontCover"';
+            return image.cover === 'back' ? ' Type="BackCover"' : '';
         };
+        const pages = images.map((image, index) =>
+            `        <Page Image="${index}" ImageSize="${image.blob.size}" ImageWidth="${image.width}" ImageHeight="${image.height}"${pageType(image, index)} />`
+        );
+
+        return [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<ComicInfo xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+            ...fields.map(([key, value]) => `    <${key}>${escape(value)}</${key}>`),
+            '    <Pages>',
+            ...pages,
+            '    </Pages>',
+            ...(gtin ? [`    <GTIN>${escape(gtin)}</GTIN>`] : []),
+            '</ComicInfo>',
+            ''
+        ].join('\n');
+    }
 
-        const description = formats[format] || 'Unknown format';
+    /**
+     * <summary>Escape text for XML and XHTML output</summary>
+     */
+    static escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
 
-        return new Promise(resolve => {
-            setTimeout(() => {
-                alert(`Export complete!\n\nFormat: ${format.toUpperCase()}\nPages: ${pages.length}\nDescription: ${description}\n\nFiles would be saved to your downloads folder.`);
-                resolve();
-            }, 2000);
+    /**
+     * <summary>Draw crop marks at the trim corners, outside the exported media</summary>
+     * @param {PdfPage} pdfPage - Page to draw on
+     * @param {Object} trim - Trim rectangle in points
+     * @param {Object} media - Exported media rectangle in points (trim, or trim plus bleed)
+     */
+    drawCropMarks(pdfPage, trim, media) {
+        const { offset, length, width } = PublicationManager.CROP_MARK;
+        const xs = [[trim.x, media.x - offset, -1], [trim.x + trim.width, media.x + media.width + offset, 1]];
+        const ys = [[trim.y, media.y - offset, -1], [trim.y + trim.height, media.y + media.height + offset, 1]];
+
+        xs.forEach(([trimX, markX, xDirection]) => {
+            ys.forEach(([trimY, markY, yDirection]) => {
+                pdfPage.drawLine(markX, trimY, markX + length * xDirection, trimY, width);
+                pdfPage.drawLine(trimX, markY, trimX, markY + length * yDirection, width);
+            });
         });
     }
 
@@ -1430,7 +3142,8 @@ class PublicationManager extends BaseManager {
                 reviewStatus: this.reviewStatus,
                 exportSettings: this.exportSettings,
                 publicationMeta: this.publicationMeta,
-                qualityChecks: Array.from(this.qualityChecks.entries())
+                qualityChecks: this.qualityChecks,
+                annotations: this.annotations
             };
 
             // Update project data
@@ -1450,6 +3163,7 @@ class PublicationManager extends BaseManager {
     loadData(publicationData = {}) {
         try {
             this.log('Loading publication data...');
+            this.resetProjectState();
 
             if (publicationData.currentPreviewPage !== undefined) {
                 this.currentPreviewPage = publicationData.currentPreviewPage;
@@ -1476,13 +3190,18 @@ class PublicationManager extends BaseManager {
             }
 
             if (publicationData.publicationMeta) {
-                this.publicationMeta = { ...this.publicationMeta, ...publicationData.publicationMeta };
+                // Projects saved before creator roles only have author and artist; normalize derives creators from them
+                this.publicationMeta = PublicationMeta.normalize({ ...this.publicationMeta, creators: undefined, ...publicationData.publicationMeta });
             }
 
             if (publicationData.qualityChecks) {
                 this.qualityChecks = new Map(publicationData.qualityChecks);
             }
 
+            if (publicationData.annotations) {
+                this.annotations = new Map(publicationData.annotations);
+            }
+
             // Clear canvas cache
             this.pageCanvases.clear();
 
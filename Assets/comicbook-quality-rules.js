@@ -0,0 +1,254 @@
+/**
+ * <summary>Comic Book Generator - Quality Rules</summary>
+ * Rules engine behind the Publication quality checks. Each rule looks at one panel, one page
+ * or the whole project and reports issues; pages are scored from the severity of their issues.
+ *
+ * Rules are plain objects registered with QualityRules.register:
+ *   { id, name, category, severity, scope: 'panel' | 'page' | 'project', check(subject, context) }
+ * check returns a list of issues, each a message string or { message, panelId, severity }.
+ * The context holds { pages, characters (Map by id), direction, page, pageIndex, getLettering(page) }.
+ */
+
+class QualityRules {
+    static SEVERITIES = {
+        error: { label: 'Error', icon: '⛔', penalty: 20 },
+        warning: { label: 'Warning', icon: '⚠️', penalty: 8 },
+        info: { label: 'Info', icon: 'ℹ️', penalty: 2 }
+    };
+
+    static CATEGORIES = {
+        art: 'Art',
+        dialogue: 'Dialogue',
+        characters: 'Characters',
+        continuity: 'Continuity'
+    };
+
+    /** Balloons with more words than this are hard to read at print size */
+    static MAX_BALLOON_WORDS = 25;
+
+    /** Lettering may poke out of its panel by this many layout pixels before it is reported */
+    static OVERFLOW_TOLERANCE = 2;
+
+    static rules = new Map();
+
+    /**
+     * <summary>Add a rule, replacing any rule with the same id</summary>
+     */
+    static register(rule) {
+        QualityRules.rules.set(rule.id, rule);
+    }
+
+    static unregister(ruleId) {
+        QualityRules.rules.delete(ruleId);
+    }
+
+    /**
+     * <summary>Run every rule over the project</summary>
+     * @param {Object} project - { pages, characters: [], direction: 'ltr' | 'rtl' }
+     * @returns {Object} { pages: Map(pageId -> { pageId, score, issues }), projectIssues, issues }
+     *   Issues are { ruleId, category, severity, message, pageId, pageIndex, panelId }.
+     */
+    static run(project) {
+        const letteringCache = new Map();
+        const context = {
+            pages: project.pages,
+            characters: new Map((project.characters || []).map(character => [character.id, character])),
+            direction: project.direction || 'ltr',
+            getLettering: (page) => {
+                if (!letteringCache.has(page.id)) letteringCache.set(page.id, PageRenderer.layoutLettering(page));
+                return letteringCache.get(page.id);
+            }
+        };
+
+        const rules = Array.from(QualityRules.rules.values());
+        const collect = (rule, subject, where) => (rule.check(subject, { ...context, ...where }) || []).map(result => {
+            const issue = typeof result === 'string' ? { message: result } : result;
+            return {
+                ruleId: rule.id,
+                category: rule.category,
+                severity: issue.severity || rule.severity,
+                message: issue.message,
+                pageId: where.page ? where.page.id : null,
+                pageIndex: where.page ? where.pageIndex : -1,
+                panelId: issue.panelId || (rule.scope === 'panel' ? subject.id : null)
+            };
+        });
+
+        const pages = new Map();
+        project.pages.forEach((page, pageIndex) => {
+            const where = { page, pageIndex };
+            const issues = rules.flatMap(rule => {
+                if (rule.scope === 'page') return collect(rule, page, where);
+                if (rule.scope === 'panel') return page.panels.flatMap(panel => collect(rule, panel, where));
+                return [];
+            });
+            pages.set(page.id, { pageId: page.id, score: QualityRules.score(issues), issues });
+        });
+
+        const projectIssues = rules.filter(rule => rule.scope === 'project').flatMap(rule => collect(rule, project, {}));
+        const issues = [...Array.from(pages.values()).flatMap(result => result.issues), ...projectIssues];
+
+        return { pages, projectIssues, issues };
+    }
+
+    /**
+     * <summary>Score issues out of 100</summary>
+     */
+    static score(issues) {
+        const penalty = issues.reduce((sum, issue) => sum + (QualityRules.SEVERITIES[issue.severity]?.penalty || 0), 0);
+        return Math.max(0, 100 - penalty);
+    }
+
+    static intersects(a, b) {
+        return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+    }
+
+    static countWords(text) {
+        return (text || '').trim().split(/\s+/).filter(Boolean).length;
+    }
+}
+
+QualityRules.register({
+    id: 'empty-page',
+    name: 'Page without panels',
+    category: 'art',
+    severity: 'error',
+    scope: 'page',
+    check: (page) => page.panels.length || page.cover || page.filler === 'blank' ? [] : ['Page has no panels']
+});
+
+QualityRules.register({
+    id: 'cover-without-art',
+    name: 'Cover without art',
+    category: 'art',
+    severity: 'warning',
+    scope: 'page',
+    check: (page) => page.cover && !page.cover.art ? [`${CoverDesign.getLabel(page, true)} has no art yet`] : []
+});
+
+QualityRules.register({
+    id: 'empty-panel',
+    name: 'Empty panel',
+    category: 'art',
+    severity: 'warning',
+    scope: 'panel',
+    check: (panel) => {
+        const hasContent = PanelModel.getArtUrl(panel) || panel.sceneDescription || panel.sceneSummary ||
+            panel.dialogues.some(dialogue => dialogue.text.trim()) || panel.effects.length;
+        return hasContent ? [] : ['Panel is empty: no art, scene description or lettering'];
+    }
+});
+
+QualityRules.register({
+    id: 'missing-art',
+    name: 'Panel without art',
+    category: 'art',
+    severity: 'warning',
+    scope: 'panel',
+    check: (panel) => {
+        // Completely empty panels are reported by empty-panel instead
+        const hasOtherContent = panel.sceneDescription || panel.sceneSummary ||
+            panel.dialogues.some(dialogue => dialogue.text.trim()) || panel.effects.length;
+        return !PanelModel.getArtUrl(panel) && hasOtherContent ? ['Panel has no art yet'] : [];
+    }
+});
+
+QualityRules.register({
+    id: 'balloon-word-count',
+    name: 'Wordy balloon',
+    category: 'dialogue',
+    severity: 'warning',
+    scope: 'panel',
+    check: (panel) => panel.dialogues
+        .map(dialogue => QualityRules.countWords(dialogue.text))
+        .filter(words => words > QualityRules.MAX_BALLOON_WORDS)
+        .map(words => `A ${words}-word balloon is over the ${QualityRules.MAX_BALLOON_WORDS}-word limit; split it or trim it`)
+});
+
+QualityRules.register({
+    id: 'overlapping-balloons',
+    name: 'Overlapping balloons',
+    category: 'dialogue',
+    severity: 'warning',
+    scope: 'page',
+    check: (page, context) => {
+        const balloons = context.getLettering(page).filter(item => item.kind === 'dialogue');
+        const issues = [];
+        for (let i = 0; i < balloons.length; i++) {
+            for (let j = i + 1; j < balloons.length; j++) {
+                if (QualityRules.intersects(balloons[i].box, balloons[j].box)) {
+                    const excerpt = (text) => text.length > 20 ? `${text.slice(0, 20)}…` : text;
+                    issues.push({
+                        panelId: balloons[j].panelId,
+                        message: `Balloons "${excerpt(balloons[i].text)}" and "${excerpt(balloons[j].text)}" overlap`
+                    });
+                }
+            }
+        }
+        return issues;
+    }
+});
+
+QualityRules.register({
+    id: 'text-overflow',
+    name: 'Lettering outside its panel',
+    category: 'dialogue',
+    severity: 'error',
+    scope: 'page',
+    check: (page, context) => {
+        const panels = new Map(page.panels.map(panel => [panel.id, panel]));
+        const tolerance = QualityRules.OVERFLOW_TOLERANCE;
+        return context.getLettering(page)
+            .filter(item => {
+                const panel = panels.get(item.panelId);
+                return panel && (item.box.x < panel.x - tolerance || item.box.y < panel.y - tolerance ||
+                    item.box.x + item.box.width > panel.x + panel.width + tolerance ||
+                    item.box.y + item.box.height > panel.y + panel.height + tolerance);
+            })
+            .map(item => ({
+                panelId: item.panelId,
+                message: `${item.kind === 'sfx' ? 'Sound effect' : 'Balloon'} "${item.text.length > 24 ? `${item.text.slice(0, 24)}…` : item.text}" runs outside its panel`
+            }));
+    }
+});
+
+QualityRules.register({
+    id: 'reading-flow',
+    name: 'Ambiguous reading flow',
+    category: 'continuity',
+    severity: 'warning',
+    scope: 'page',
+    check: (page, context) => ReadingFlow.findAmbiguities(page, context.direction)
+        .map(issue => ({ panelId: issue.panelIds[0], message: issue.message }))
+});
+
+QualityRules.register({
+    id: 'speaker-not-in-scene',
+    name: 'Speaker not in the scene',
+    category: 'characters',
+    severity: 'warning',
+    scope: 'panel',
+    check: (panel, context) => {
+        const inScene = new Set(panel.characters.map(character => character.characterId));
+        const speakers = new Set(panel.dialogues.map(dialogue => dialogue.characterId).filter(Boolean));
+        return Array.from(speakers).map(characterId => {
+            const character = context.characters.get(characterId);
+            if (!character) return { severity: 'error', message: 'A balloon is spoken by a character that no longer exists' };
+            if (inScene.has(characterId)) return null;
+            return `${character.name || 'An unnamed character'} speaks but is not in the scene`;
+        }).filter(Boolean);
+    }
+});
+
+QualityRules.register({
+    id: 'unnamed-character',
+    name: 'Unnamed character',
+    category: 'characters',
+    severity: 'warning',
+    scope: 'project',
+    check: (project) => (project.characters || [])
+        .filter(character => !(character.name || '').trim())
+        .map(() => 'A character has no name')
+});
+
+window.QualityRules = QualityRules;
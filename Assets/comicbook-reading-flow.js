@@ -0,0 +1,178 @@
+/**
+ * <summary>Comic Book Generator - Reading Flow</summary>
+ * Works out the order panels are read in. The automatic order is a Z-path: panels are
+ * grouped into rows, rows are read top to bottom and each row along the reading direction
+ * (left to right, or right to left for manga). A page's readingFlow (panel ids) overrides
+ * the automatic order for the panels it lists; any others follow in automatic order.
+ *
+ * Layouts where readers could reasonably take two paths are reported as ambiguities.
+ */
+
+class ReadingFlow {
+    /** Panels share a row when they overlap vertically by at least this share of the shorter one */
+    static ROW_OVERLAP = 0.5;
+    /** A panel overlapping the row above by more than this share, but not enough to join it, is staggered */
+    static STAGGER_OVERLAP = 0.2;
+    static ARROW_INSET = 18;
+    static ARROW_HEAD = 10;
+
+    /**
+     * <summary>Get a page's panels in reading order</summary>
+     * @param {Object} page - Page data
+     * @param {string} direction - 'ltr' or 'rtl'
+     * @returns {Array} Panels in reading order
+     */
+    static getOrder(page, direction = 'ltr') {
+        const byId = new Map(page.panels.map(panel => [panel.id, panel]));
+        const ordered = (page.readingFlow || []).map(id => byId.get(id)).filter(Boolean);
+        const orderedIds = new Set(ordered.map(panel => panel.id));
+        const remaining = page.panels.filter(panel => !orderedIds.has(panel.id));
+
+        return [...ordered, ...ReadingFlow.autoOrder(remaining, direction)];
+    }
+
+    /**
+     * <summary>Whether the page has an explicit reading order</summary>
+     */
+    static isCustom(page) {
+        return !!page.readingFlow?.length;
+    }
+
+    /**
+     * <summary>Order panels along the Z-path</summary>
+     * @param {Array} panels - Panels in any order
+     * @param {string} direction - 'ltr' or 'rtl'
+     * @returns {Array} Panels in reading order
+     */
+    static autoOrder(panels, direction = 'ltr') {
+        const rtl = direction === 'rtl';
+        return ReadingFlow.groupRows(panels).flatMap(row => [...row.panels].sort((a, b) => {
+            const dx = rtl ? (b.x + b.width) - (a.x + a.width) : a.x - b.x;
+            return dx || a.y - b.y;
+        }));
+    }
+
+    /**
+     * <summary>Group panels into rows, top to bottom</summary>
+     * A row is anchored on its topmost panel; later panels join it when they overlap that panel
+     * enough vertically. Rows do not grow, so a tall panel does not swallow the rows beside it.
+     * @returns {Array} [{ top, bottom, panels }]
+     */
+    static groupRows(panels) {
+        const rows = [];
+        [...panels].sort((a, b) => a.y - b.y || a.x - b.x).forEach(panel => {
+            const row = rows[rows.length - 1];
+            if (row && ReadingFlow.verticalOverlap(row, panel) >= ReadingFlow.ROW_OVERLAP) {
+                row.panels.push(panel);
+            } else {
+                rows.push({ top: panel.y, bottom: panel.y + panel.height, panels: [panel] });
+            }
+        });
+        return rows;
+    }
+
+    /**
+     * <summary>Vertical overlap of two boxes as a share of the shorter one</summary>
+     * Accepts panels ({ y, height }) and rows ({ top, bottom }).
+     */
+    static verticalOverlap(a, b) {
+        const span = (box) => box.panels ? [box.top, box.bottom] : [box.y, box.y + box.height];
+        const [aTop, aBottom] = span(a);
+        const [bTop, bBottom] = span(b);
+        const shorter = Math.min(aBottom - aTop, bBottom - bTop);
+        if (shorter <= 0) return 0;
+        return Math.max(0, Math.min(aBottom, bBottom) - Math.max(aTop, bTop)) / shorter;
+    }
+
+    /**
+     * <summary>Find places where the automatic order could be read another way</summary>
+     * Pages with an explicit reading flow are not ambiguous.
+     * @param {Object} page - Page data
+     * @param {string} direction - 'ltr' or 'rtl'
+     * @returns {Array} [{ panelIds, message }] with panels numbered in reading order
+     */
+    static findAmbiguities(page, direction = 'ltr') {
+        if (ReadingFlow.isCustom(page) || page.panels.length < 2) return [];
+
+        const order = ReadingFlow.autoOrder(page.panels, direction);
+        const number = (panel) => order.indexOf(panel) + 1;
+        const issues = [];
+        const rows = ReadingFlow.groupRows(page.panels);
+
+        rows.forEach((row, rowIndex) => {
+            // Panels stacked on top of each other beside a tall panel: across first, or down first?
+            for (let i = 0; i < row.panels.length; i++) {
+                for (let j = i + 1; j < row.panels.length; j++) {
+                    const [a, b] = [row.panels[i], row.panels[j]].sort((p, q) => number(p) - number(q));
+                    if (ReadingFlow.verticalOverlap(a, b) < ReadingFlow.ROW_OVERLAP) {
+                        issues.push({
+                            panelIds: [a.id, b.id],
+                            message: `Panels ${number(a)} and ${number(b)} are stacked beside a taller panel; readers may go down before going across`
+                        });
+                    }
+                }
+            }
+
+            // Panels that start inside the row above without being part of it
+            const previous = rows[rowIndex - 1];
+            if (!previous) return;
+            row.panels.forEach(panel => {
+                const overlap = ReadingFlow.verticalOverlap(previous, panel);
+                if (overlap > ReadingFlow.STAGGER_OVERLAP) {
+                    issues.push({
+                        panelIds: [panel.id],
+                        message: `Panel ${number(panel)} is staggered between two rows; it could also be read right after panel ${number(previous.panels[previous.panels.length - 1])}`
+                    });
+                }
+            });
+        });
+
+        return issues;
+    }
+
+    /**
+     * <summary>Render arrows between the centres of consecutive panels as SVG</summary>
+     * @param {Array} panels - Panels in reading order
+     * @param {number} width - Page width the panel coordinates refer to
+     * @param {number} height - Page height
+     * @param {Object} options - { color, className }
+     * @returns {string} SVG markup
+     */
+    static renderArrows(panels, width, height, options = {}) {
+        const color = options.color || 'var(--primary-color, #0d6efd)';
+        const centre = (panel) => ({ x: panel.x + panel.width / 2, y: panel.y + panel.height / 2 });
+        const arrows = [];
+
+        for (let i = 0; i < panels.length - 1; i++) {
+            const from = centre(panels[i]);
+            const to = centre(panels[i + 1]);
+            const length = Math.hypot(to.x - from.x, to.y - from.y);
+            if (length <= ReadingFlow.ARROW_INSET * 2) continue;
+
+            // Stop short of the centres so an arrow's head and the next arrow's tail do not touch
+            const ux = (to.x - from.x) / length;
+            const uy = (to.y - from.y) / length;
+            const start = { x: from.x + ux * ReadingFlow.ARROW_INSET, y: from.y + uy * ReadingFlow.ARROW_INSET };
+            const end = { x: to.x - ux * ReadingFlow.ARROW_INSET, y: to.y - uy * ReadingFlow.ARROW_INSET };
+            const head = ReadingFlow.ARROW_HEAD;
+            const left = { x: end.x - ux * head - uy * head * 0.6, y: end.y - uy * head + ux * head * 0.6 };
+            const right = { x: end.x - ux * head + uy * head * 0.6, y: end.y - uy * head - ux * head * 0.6 };
+            const round = (value) => Math.round(value * 10) / 10;
+
+            arrows.push(`
+                <line x1="${round(start.x)}" y1="${round(start.y)}" x2="${round(end.x)}" y2="${round(end.y)}" />
+                <polygon points="${round(end.x)},${round(end.y)} ${round(left.x)},${round(left.y)} ${round(right.x)},${round(right.y)}" />
+            `);
+        }
+
+        return `
+            <svg class="${options.className || 'reading-flow-arrows'}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"
+                 style="position: absolute; left: 0; top: 0; width: 100%; height: 100%; overflow: visible; pointer-events: none;"
+                 fill="${color}" stroke="${color}" stroke-width="3" stroke-linecap="round" opacity="0.8">
+                ${arrows.join('')}
+            </svg>
+        `;
+    }
+}
+
+window.ReadingFlow = ReadingFlow;
@@ -0,0 +1,100 @@
+/**
+ * <summary>Comic Book Generator - Review Annotations</summary>
+ * Data helpers for review pins. A pin marks a spot on a page (optionally inside a panel) and
+ * holds a thread of comments. Pins are kept per page:
+ *
+ *   pageId -> [{ id, pageId, panelId, x, y, category, resolved, createdAt,
+ *                comments: [{ id, author, text, createdAt }] }]
+ *
+ * x and y are fractions (0-1) of the trimmed page, so pins stay put when the page is shown
+ * at a different size.
+ */
+
+class ReviewAnnotations {
+    /** Comment categories; the same keys as the publication review checklist */
+    static CATEGORIES = {
+        story: { label: 'Story', color: '#6f42c1' },
+        art: { label: 'Art', color: '#fd7e14' },
+        dialogue: { label: 'Dialogue', color: '#0d6efd' },
+        continuity: { label: 'Continuity', color: '#20c997' },
+        technical: { label: 'Technical', color: '#dc3545' }
+    };
+
+    static AUTHOR_STORAGE_KEY = 'cbg-reviewer-name';
+
+    /**
+     * <summary>Create a pin with its opening comment</summary>
+     */
+    static createPin({ pageId, panelId = null, x, y, category, author, text }) {
+        return {
+            id: PanelModel.createId('pin'),
+            pageId,
+            panelId,
+            x: Math.max(0, Math.min(1, x)),
+            y: Math.max(0, Math.min(1, y)),
+            category: ReviewAnnotations.CATEGORIES[category] ? category : 'art',
+            resolved: false,
+            createdAt: new Date().toISOString(),
+            comments: [ReviewAnnotations.createComment(author, text)]
+        };
+    }
+
+    static createComment(author, text) {
+        return {
+            id: PanelModel.createId('comment'),
+            author: (author || '').trim() || 'Reviewer',
+            text: text.trim(),
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * <summary>Whether a pin passes a navigator filter</summary>
+     * @param {Object} pin - Pin
+     * @param {Object} filter - { category: key or 'all', status: 'open' | 'resolved' | 'all' }
+     */
+    static matches(pin, filter) {
+        if (filter.category !== 'all' && pin.category !== filter.category) return false;
+        if (filter.status === 'open') return !pin.resolved;
+        if (filter.status === 'resolved') return pin.resolved;
+        return true;
+    }
+
+    /**
+     * <summary>Count open pins per category</summary>
+     * @param {Map} annotations - pageId -> pins
+     * @param {Set} pageIds - Only count pins on these pages (pins of deleted pages are ignored)
+     * @returns {Object} category -> count
+     */
+    static countOpen(annotations, pageIds) {
+        const counts = Object.fromEntries(Object.keys(ReviewAnnotations.CATEGORIES).map(key => [key, 0]));
+        annotations.forEach((pins, pageId) => {
+            if (!pageIds.has(pageId)) return;
+            pins.forEach(pin => {
+                if (!pin.resolved) counts[pin.category] = (counts[pin.category] || 0) + 1;
+            });
+        });
+        return counts;
+    }
+
+    /**
+     * <summary>The name comments are signed with, remembered per browser</summary>
+     */
+    static getAuthor() {
+        try {
+            return localStorage.getItem(ReviewAnnotations.AUTHOR_STORAGE_KEY) || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    static setAuthor(name) {
+        try {
+            localStorage.setItem(ReviewAnnotations.AUTHOR_STORAGE_KEY, name);
+        } catch (error) {
+            // Storage may be unavailable (private browsing); the name is then asked for again
+        }
+    }
+}
+
+window.ReviewAnnotations = ReviewAnnotations;
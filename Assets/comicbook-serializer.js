@@ -0,0 +1,110 @@
+/**
+ * <summary>Comic Book Generator - Project Serializer</summary>
+ * Turns project data into JSON-safe values and back without losing types JSON cannot hold.
+ * Managers keep Maps, Sets and Dates in their data as they are; ProjectStore encodes projects
+ * before they are stored or sent and decodes them after loading, so every storage (IndexedDB,
+ * the server, the recovery copy and exported files) holds the same form.
+ *
+ * Encoded values are tagged objects:
+ *   Map  -> { $type: 'Map', entries: [[key, value], ...] }
+ *   Set  -> { $type: 'Set', values: [...] }
+ *   Date -> { $type: 'Date', value: ISO string, or null for an invalid date }
+ * A plain object that has its own $type key is wrapped as { $type: 'Object', value }, so it is
+ * never mistaken for a tag.
+ */
+
+class Serializer {
+    static TYPE_KEY = '$type';
+
+    /**
+     * <summary>Encode a value into plain JSON-safe data</summary>
+     * Map keys and values, Set values and nested objects are encoded too. The input is not changed.
+     */
+    static encode(value) {
+        if (value instanceof Map) {
+            return { $type: 'Map', entries: Array.from(value, ([key, item]) => [Serializer.encode(key), Serializer.encode(item)]) };
+        }
+        if (value instanceof Set) {
+            return { $type: 'Set', values: Array.from(value, item => Serializer.encode(item)) };
+        }
+        if (value instanceof Date) {
+            return { $type: 'Date', value: Number.isNaN(value.getTime()) ? null : value.toISOString() };
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => Serializer.encode(item));
+        }
+        if (Serializer.isPlainObject(value)) {
+            const encoded = {};
+            Object.entries(value).forEach(([key, item]) => {
+                // undefined members are dropped by JSON anyway
+                if (item !== undefined) encoded[key] = Serializer.encode(item);
+            });
+            return Object.prototype.hasOwnProperty.call(value, Serializer.TYPE_KEY) ? { $type: 'Object', value: encoded } : encoded;
+        }
+        return value;
+    }
+
+    /**
+     * <summary>Decode data written by encode</summary>
+     * Data without tags (e.g. projects saved before the serializer) is returned unchanged, as
+     * are Maps, Sets and Dates that are already decoded.
+     */
+    static decode(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => Serializer.decode(item));
+        }
+        if (!Serializer.isPlainObject(value)) {
+            return value;
+        }
+
+        switch (value[Serializer.TYPE_KEY]) {
+            case 'Map':
+                return new Map((value.entries || []).map(([key, item]) => [Serializer.decode(key), Serializer.decode(item)]));
+            case 'Set':
+                return new Set((value.values || []).map(item => Serializer.decode(item)));
+            case 'Date':
+                return new Date(value.value ?? NaN);
+            case 'Object':
+                return Serializer.decodeObject(value.value || {});
+            default:
+                return Serializer.decodeObject(value);
+        }
+    }
+
+    static decodeObject(value) {
+        const decoded = {};
+        Object.entries(value).forEach(([key, item]) => {
+            decoded[key] = Serializer.decode(item);
+        });
+        return decoded;
+    }
+
+    /**
+     * <summary>Encode a value as JSON text</summary>
+     */
+    static stringify(value, space = undefined) {
+        return JSON.stringify(Serializer.encode(value), null, space);
+    }
+
+    /**
+     * <summary>Parse JSON text written by stringify</summary>
+     */
+    static parse(text) {
+        return Serializer.decode(JSON.parse(text));
+    }
+
+    /**
+     * <summary>Deep copy a value, keeping Maps, Sets and Dates</summary>
+     */
+    static clone(value) {
+        return Serializer.parse(Serializer.stringify(value));
+    }
+
+    static isPlainObject(value) {
+        if (value === null || typeof value !== 'object') return false;
+        const prototype = Object.getPrototypeOf(value);
+        return prototype === Object.prototype || prototype === null;
+    }
+}
+
+window.Serializer = Serializer;
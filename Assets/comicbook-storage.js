@@ -0,0 +1,602 @@
+/**
+ * <summary>Comic Book Generator - Project Storage</summary>
+ * Storage adapters behind DataManager. Every adapter has the same interface (StorageAdapter);
+ * ProjectStore combines a local adapter (IndexedDB in the browser) with a remote one (the
+ * SwarmUI server) so work is always saved locally first and synced when the server is reachable.
+ *
+ * Projects are matched by projectInfo.id; projectInfo.lastModified decides which copy is newer.
+ * ProjectStore takes and returns projects as the managers use them; adapters only ever see
+ * them encoded by Serializer, so Maps, Sets and Dates survive every kind of storage.
+ * The project browser lists summaries rather than whole projects:
+ *   { id, title, lastModified, archived, pageCount, thumbnail }
+ */
+
+class StorageAdapter {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /** Whether the backend can be used right now */
+    isAvailable() {
+        return false;
+    }
+
+    /**
+     * <summary>Store a project</summary>
+     * @param {Object} project - Project data
+     * @param {Object} options - { isAutoSave, synced }
+     */
+    async saveProject(project, options = {}) {
+        throw new Error(`${this.name} storage cannot save projects`);
+    }
+
+    /**
+     * @returns {Promise<Object|null>} Project data, or null when there is no such project
+     */
+    async loadProject(projectId) {
+        throw new Error(`${this.name} storage cannot load projects`);
+    }
+
+    /**
+     * @returns {Promise<Object|null>} The most recently modified project that is not archived, or null
+     */
+    async loadLastProject() {
+        throw new Error(`${this.name} storage cannot load projects`);
+    }
+
+    /**
+     * @returns {Promise<Array>} Summaries of every stored project
+     */
+    async listProjects() {
+        throw new Error(`${this.name} storage cannot list projects`);
+    }
+
+    async deleteProject(projectId) {
+        throw new Error(`${this.name} storage cannot delete projects`);
+    }
+
+    /**
+     * <summary>Summary of a project for the project browser</summary>
+     * DataManager keeps pageCount and thumbnail in projectInfo up to date when saving.
+     */
+    static summarize(project) {
+        const info = project.projectInfo || {};
+        return {
+            id: info.id,
+            title: info.title || '',
+            lastModified: info.lastModified || 0,
+            archived: !!info.archived,
+            pageCount: info.pageCount || 0,
+            thumbnail: info.thumbnail || null
+        };
+    }
+}
+
+/**
+ * <summary>Projects in the browser's IndexedDB</summary>
+ * Records are the project summary plus { synced, project }; synced is false until the
+ * project has also reached the server. A deleted project leaves a record with deleted: true
+ * until the deletion has reached the server too, so a server copy does not bring it back.
+ */
+class IndexedDbStorage extends StorageAdapter {
+    static DB_NAME = 'cbg-projects';
+    static DB_VERSION = 1;
+    static STORE = 'projects';
+
+    constructor() {
+        super('Browser');
+        this.dbPromise = null;
+    }
+
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(IndexedDbStorage.DB_NAME, IndexedDbStorage.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(IndexedDbStorage.STORE, { keyPath: 'id' });
+                    store.createIndex('lastModified', 'lastModified');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // A failed open (e.g. storage disabled) may succeed later, so do not cache it
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * <summary>Run a request in a transaction and resolve with its result once the transaction commits</summary>
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} action - (store) => IDBRequest or nothing
+     */
+    async run(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(IndexedDbStorage.STORE, mode);
+            let result;
+            const request = action(transaction.objectStore(IndexedDbStorage.STORE));
+            if (request) request.onsuccess = () => { result = request.result; };
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+        });
+    }
+
+    /**
+     * <summary>Visit records newest first until visit returns false</summary>
+     * Records of deleted projects are skipped unless includeDeleted is set.
+     */
+    async eachRecord(visit, includeDeleted = false) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(IndexedDbStorage.STORE, 'readonly');
+            const request = transaction.objectStore(IndexedDbStorage.STORE).index('lastModified').openCursor(null, 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if ((cursor.value.deleted && !includeDeleted) || visit(cursor.value) !== false) cursor.continue();
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async saveProject(project, options = {}) {
+        const summary = StorageAdapter.summarize(project);
+        await this.run('readwrite', store => store.put({
+            ...summary,
+            lastModified: summary.lastModified || Date.now(),
+            synced: !!options.synced,
+            project
+        }));
+    }
+
+    async getRecord(projectId) {
+        return (await this.run('readonly', store => store.get(projectId))) || null;
+    }
+
+    async loadProject(projectId) {
+        const record = await this.getRecord(projectId);
+        return record?.deleted ? null : record?.project || null;
+    }
+
+    /**
+     * @returns {Promise<Object|null>} Record of the most recently modified project that is not archived
+     */
+    async getLastRecord() {
+        let last = null;
+        await this.eachRecord(record => {
+            if (record.archived) return true;
+            last = record;
+            return false;
+        });
+        return last;
+    }
+
+    async loadLastProject() {
+        return (await this.getLastRecord())?.project || null;
+    }
+
+    async listProjects() {
+        const summaries = [];
+        await this.eachRecord(({ synced, project, ...summary }) => {
+            summaries.push(summary);
+        });
+        return summaries;
+    }
+
+    /**
+     * <summary>Replace a project with a deletion marker until the server has deleted it too</summary>
+     */
+    async deleteProject(projectId) {
+        await this.run('readwrite', store => store.put({ id: projectId, lastModified: Date.now(), deleted: true, synced: false }));
+    }
+
+    /**
+     * <summary>Remove a project's record completely</summary>
+     */
+    async removeRecord(projectId) {
+        await this.run('readwrite', store => store.delete(projectId));
+    }
+
+    /**
+     * @returns {Promise<Array>} Records of projects and deletions not yet on the server, newest first
+     */
+    async listUnsynced() {
+        const records = [];
+        await this.eachRecord(record => {
+            if (!record.synced) records.push(record);
+        }, true);
+        return records;
+    }
+
+    /**
+     * <summary>Mark a project as synced, unless it changed again since that version was sent</summary>
+     */
+    async markSynced(projectId, lastModified) {
+        const record = await this.getRecord(projectId);
+        if (!record || record.deleted || record.lastModified !== lastModified) return;
+        record.synced = true;
+        await this.run('readwrite', store => store.put(record));
+    }
+}
+
+/**
+ * <summary>Projects on the SwarmUI server through the extension's API</summary>
+ */
+class ServerStorage extends StorageAdapter {
+    /** Requests slower than this count as failed, so an unreachable server does not hold up saving */
+    static TIMEOUT = 15000;
+
+    constructor() {
+        super('Server');
+    }
+
+    isAvailable() {
+        return typeof genericRequest === 'function' && navigator.onLine !== false;
+    }
+
+    async request(endpoint, data) {
+        if (!this.isAvailable()) throw new Error('Server is not reachable');
+        return DataHelper.request(endpoint, data, ServerStorage.TIMEOUT);
+    }
+
+    /**
+     * @throws {Error} With stale set when the server has a newer copy and refused this one
+     */
+    async saveProject(project, options = {}) {
+        const response = await this.request('SaveComicProject', { projectData: project, isAutoSave: !!options.isAutoSave });
+        if (response?.stale) {
+            const error = new Error('The server has a newer copy of this project');
+            error.stale = true;
+            throw error;
+        }
+    }
+
+    async loadProject(projectId) {
+        return (await this.request('LoadComicProject', { projectId }))?.data || null;
+    }
+
+    async loadLastProject() {
+        return (await this.request('GetLastProject', {}))?.data || null;
+    }
+
+    async listProjects() {
+        return (await this.request('ListComicProjects', {}))?.projects || [];
+    }
+
+    async deleteProject(projectId) {
+        await this.request('DeleteComicProject', { projectId });
+    }
+}
+
+/**
+ * <summary>Local-first project storage</summary>
+ * Saves go to the local adapter first and then to the remote one; a project the remote could
+ * not take stays marked unsynced and is sent again on the next save or when the browser comes
+ * back online. Loading picks whichever copy is newer. A copy is also written synchronously to
+ * localStorage when the page is hidden, in case the last IndexedDB write does not finish.
+ */
+class ProjectStore {
+    static RECOVERY_KEY = 'cbg-project-recovery';
+
+    /**
+     * @param {StorageAdapter} local - Browser storage
+     * @param {StorageAdapter} remote - Server storage
+     */
+    constructor(local, remote) {
+        this.local = local;
+        this.remote = remote;
+        this.lastFingerprint = null;
+        this.lastSynced = false;
+        this.syncing = null;
+    }
+
+    /**
+     * <summary>Project content without its modification time, to tell real edits from repeat saves</summary>
+     */
+    static fingerprint(project) {
+        const { lastModified, ...info } = project.projectInfo || {};
+        return Serializer.stringify({ ...project, projectInfo: info });
+    }
+
+    /**
+     * <summary>Remember a loaded project, so saving it unchanged does not count as an edit</summary>
+     */
+    remember(project, synced) {
+        this.lastFingerprint = ProjectStore.fingerprint(project);
+        this.lastSynced = synced;
+    }
+
+    /**
+     * <summary>Save a project locally, then to the server</summary>
+     * @param {Object} project - Project data; projectInfo.lastModified is updated when it changed
+     * @param {Object} options - { isAutoSave }
+     * @returns {Promise<Object>} { local, remote, unchanged } - where the project was saved
+     */
+    async save(project, options = {}) {
+        const fingerprint = ProjectStore.fingerprint(project);
+        const unchanged = fingerprint === this.lastFingerprint;
+        if (unchanged && this.lastSynced) return { local: true, remote: true, unchanged };
+
+        if (!unchanged) project.projectInfo.lastModified = Date.now();
+        this.lastFingerprint = fingerprint;
+        this.lastSynced = false;
+
+        const { local, remote } = await this.write(project, options);
+        if (local) ProjectStore.clearRecovery();
+
+        if (remote && fingerprint === this.lastFingerprint) this.lastSynced = true;
+        if (remote) this.sync();
+        return { local, remote, unchanged };
+    }
+
+    /**
+     * <summary>Write a project locally, then to the server, without treating it as the open project</summary>
+     * Used directly for projects changed from the project browser.
+     * @returns {Promise<Object>} { local, remote }
+     */
+    async write(project, options = {}) {
+        const stored = Serializer.encode(project);
+        let local = false;
+        if (this.local.isAvailable()) {
+            try {
+                await this.local.saveProject(stored, { synced: false });
+                local = true;
+            } catch (error) {
+                console.warn('[CBG:Storage] Could not save in the browser:', error);
+            }
+        }
+
+        const remote = await this.push(stored, options);
+        if (!local && !remote) throw new Error('The project could not be saved in the browser or on the server');
+        return { local, remote };
+    }
+
+    /**
+     * <summary>Send a project to the server and mark the local copy synced</summary>
+     * @param {Object} project - Project encoded by Serializer, as stored locally
+     * @returns {Promise<boolean>} Whether the server has it
+     */
+    async push(project, options = {}) {
+        if (!this.remote.isAvailable()) return false;
+        try {
+            await this.remote.saveProject(project, options);
+            if (this.local.isAvailable()) {
+                await this.local.markSynced(project.projectInfo.id, project.projectInfo.lastModified).catch(() => {});
+            }
+            return true;
+        } catch (error) {
+            if (error.stale) {
+                // Sending it again would be refused again; loading picks the server's newer copy
+                console.warn('[CBG:Storage] The server kept its newer copy of the project:', error);
+                if (this.local.isAvailable()) {
+                    await this.local.markSynced(project.projectInfo.id, project.projectInfo.lastModified).catch(() => {});
+                }
+                return false;
+            }
+            console.warn('[CBG:Storage] Could not save on the server; it will be synced later:', error);
+            return false;
+        }
+    }
+
+    /**
+     * <summary>Send every project saved only in the browser to the server</summary>
+     */
+    sync() {
+        if (this.syncing || !this.local.isAvailable() || !this.remote.isAvailable()) return this.syncing;
+
+        this.syncing = (async () => {
+            try {
+                for (const record of await this.local.listUnsynced()) {
+                    const sent = record.deleted ? await this.pushDeletion(record.id) : await this.push(record.project);
+                    if (!sent) break;
+                }
+            } catch (error) {
+                console.warn('[CBG:Storage] Sync failed:', error);
+            } finally {
+                this.syncing = null;
+            }
+        })();
+        return this.syncing;
+    }
+
+    /**
+     * <summary>Delete a project from the browser and the server</summary>
+     * While the server cannot be reached the browser keeps a deletion marker, and the deletion
+     * is sent with the next sync.
+     */
+    async delete(projectId) {
+        const local = this.local.isAvailable();
+        if (local) await this.local.deleteProject(projectId);
+
+        const recovery = ProjectStore.readRecovery();
+        if (recovery?.projectInfo?.id === projectId) ProjectStore.clearRecovery();
+
+        if (!await this.pushDeletion(projectId) && !local) {
+            throw new Error('The project could not be deleted because the server cannot be reached');
+        }
+    }
+
+    /**
+     * <summary>Delete a project on the server and drop the local deletion marker</summary>
+     * @returns {Promise<boolean>} Whether the server deleted it
+     */
+    async pushDeletion(projectId) {
+        if (!this.remote.isAvailable()) return false;
+        try {
+            await this.remote.deleteProject(projectId);
+            if (this.local.isAvailable()) await this.local.removeRecord(projectId).catch(() => {});
+            return true;
+        } catch (error) {
+            console.warn('[CBG:Storage] Could not delete on the server; it will be retried later:', error);
+            return false;
+        }
+    }
+
+    /**
+     * <summary>List the projects in the browser and on the server</summary>
+     * Projects in both places are listed once, with the newer summary.
+     * @returns {Promise<Array>} Summaries, newest first
+     */
+    async list() {
+        const [localSummaries, remoteSummaries, deleted] = await Promise.all([
+            this.local.isAvailable() ? ProjectStore.settle(this.local.listProjects(), 'the browser') : null,
+            this.remote.isAvailable() ? ProjectStore.settle(this.remote.listProjects(), 'the server') : null,
+            this.local.isAvailable() ? ProjectStore.settle(this.listDeletedIds(), 'the browser') : null
+        ]);
+
+        const summaries = new Map();
+        [...(localSummaries || []), ...(remoteSummaries || [])].forEach(summary => {
+            if (!summary?.id || deleted?.has(summary.id)) return;
+            const known = summaries.get(summary.id);
+            if (!known || summary.lastModified > known.lastModified) summaries.set(summary.id, summary);
+        });
+
+        return Array.from(summaries.values()).sort((a, b) => b.lastModified - a.lastModified);
+    }
+
+    /**
+     * <summary>Ids of projects deleted in the browser whose deletion has not reached the server</summary>
+     */
+    async listDeletedIds() {
+        const records = await this.local.listUnsynced();
+        return new Set(records.filter(record => record.deleted).map(record => record.id));
+    }
+
+    /**
+     * <summary>Load a project by id from whichever storage has the newer copy</summary>
+     * The loaded project becomes the open project (see remember).
+     */
+    async load(projectId) {
+        return this.open(await this.fetch(projectId));
+    }
+
+    /**
+     * <summary>Load the most recently modified project that is not archived</summary>
+     */
+    async loadLast() {
+        return this.open(await this.pickNewest(
+            this.local.isAvailable() ? this.local.getLastRecord() : null,
+            this.remote.isAvailable() ? this.remote.loadLastProject() : null,
+            null
+        ));
+    }
+
+    /**
+     * <summary>Read a project by id without opening it</summary>
+     * @returns {Promise<Object|null>} { project, synced }
+     */
+    async fetch(projectId) {
+        return this.pickNewest(
+            this.local.isAvailable() ? this.local.getRecord(projectId) : null,
+            this.remote.isAvailable() ? this.remote.loadProject(projectId) : null,
+            projectId
+        );
+    }
+
+    open(found) {
+        if (!found) return null;
+        this.remember(found.project, found.synced);
+        return found.project;
+    }
+
+    static settle(request, name) {
+        return Promise.resolve(request).catch(error => {
+            console.warn(`[CBG:Storage] Could not load from ${name}:`, error);
+            return null;
+        });
+    }
+
+    /**
+     * <summary>Choose between the local record, the server copy and the recovery copy</summary>
+     * The server copy is cached locally when it wins; an unsynced local copy that wins is sent
+     * to the server. A project deleted in the browser stays deleted.
+     * @returns {Promise<Object|null>} { project, synced }
+     */
+    async pickNewest(localRequest, remoteRequest, projectId) {
+        const [record, remoteProject] = await Promise.all([
+            ProjectStore.settle(localRequest, 'the browser'),
+            ProjectStore.settle(remoteRequest, 'the server')
+        ]);
+        if (record?.deleted) return null;
+        // The server's last project may be one deleted in the browser while offline
+        const remoteDeleted = !projectId && remoteProject && this.local.isAvailable() &&
+            (await ProjectStore.settle(this.local.getRecord(remoteProject.projectInfo?.id), 'the browser'))?.deleted;
+
+        const time = (project) => project?.projectInfo?.lastModified || 0;
+        const pick = (list) => list.reduce((best, candidate) => time(candidate.project) > time(best.project) ? candidate : best);
+        // The last project is never an archived one, whichever storage returned it
+        const wanted = (project) => project && (projectId ? project.projectInfo?.id === projectId : !project.projectInfo?.archived);
+        const stored = [
+            { project: record?.project, synced: !!record?.synced, source: 'local' },
+            { project: remoteDeleted ? null : remoteProject, synced: true, source: 'remote' }
+        ].filter(candidate => wanted(candidate.project));
+
+        // The recovery copy may belong to any project; it only counts for the one asked for or chosen
+        const id = projectId || (stored.length ? pick(stored).project.projectInfo?.id : null);
+        const recovery = ProjectStore.readRecovery();
+        const candidates = id && recovery?.projectInfo?.id === id
+            ? [...stored, { project: recovery, synced: false, source: 'recovery' }]
+            : stored;
+        if (!candidates.length) return null;
+
+        const newest = pick(candidates);
+        const synced = newest.synced || (newest.source === 'local' && time(remoteProject) === time(newest.project) && remoteProject?.projectInfo?.id === newest.project.projectInfo?.id);
+
+        if (newest.source !== 'local' && this.local.isAvailable()) {
+            await this.local.saveProject(newest.project, { synced }).catch(error => console.warn('[CBG:Storage] Could not cache the project:', error));
+        }
+        if (newest.source === 'recovery') ProjectStore.clearRecovery();
+        if (!synced) this.sync();
+
+        return { project: Serializer.decode(newest.project), synced };
+    }
+
+    /**
+     * <summary>Write a copy to localStorage synchronously, for when the page is closing</summary>
+     * Large projects may not fit; IndexedDB still has the last completed save.
+     */
+    saveRecovery(project) {
+        // Unsaved edits have to look newer than the saved copy to win on the next load
+        if (ProjectStore.fingerprint(project) === this.lastFingerprint) return;
+        project.projectInfo.lastModified = Date.now();
+        try {
+            localStorage.setItem(ProjectStore.RECOVERY_KEY, Serializer.stringify(project));
+        } catch (error) {
+            console.warn('[CBG:Storage] Project too large for the recovery copy:', error);
+        }
+    }
+
+    /**
+     * @returns {Object|null} The recovery copy, still encoded
+     */
+    static readRecovery() {
+        try {
+            const text = localStorage.getItem(ProjectStore.RECOVERY_KEY);
+            return text ? JSON.parse(text) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static clearRecovery() {
+        try {
+            localStorage.removeItem(ProjectStore.RECOVERY_KEY);
+        } catch (error) {
+            // Storage may be unavailable (private browsing)
+        }
+    }
+}
+
+window.StorageAdapter = StorageAdapter;
+window.IndexedDbStorage = IndexedDbStorage;
+window.ServerStorage = ServerStorage;
+window.ProjectStore = ProjectStore;
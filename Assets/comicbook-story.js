@@ -1418,7 +1418,7 @@ LOIS: Clark! Where have you been?"
 
             this.saveCurrentTabData();
 
-            // Update project data
+            // Update project data; Maps are kept as they are (see Serializer)
             this.main.updateProjectData({ story: this.storyData });
 
             this.log('Story data saved successfully');
@@ -1463,13 +1463,15 @@ LOIS: Clark! Where have you been?"
         try {
             this.log('Loading story data...');
 
+            // Start from the defaults so nothing carries over from a previously open project
+            this.initializeStoryData();
             if (Object.keys(storyData).length > 0) {
                 this.storyData = { ...this.storyData, ...storyData };
-            } else {
-                this.initializeStoryData();
             }
 
             this.activeTab = 'info';
+            this.currentPlotPoint = null;
+            this.characterCache.clear();
 
             this.log('Story data loaded successfully');
 
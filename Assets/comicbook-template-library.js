@@ -0,0 +1,275 @@
+/**
+ * <summary>Comic Book Generator - User Template Library</summary>
+ * Stores user-defined layout and panel templates. Templates live in two scopes:
+ * the project (saved with the layout data so a project is self-contained) and a
+ * per-user library in browser storage that is shared across projects.
+ * Built-in templates stay in the Layout manager and are never stored here.
+ */
+
+class TemplateLibrary {
+    static STORAGE_KEY = 'cbg-template-library';
+    static FILE_FORMAT = 'cbg-templates';
+    static FILE_VERSION = 1;
+
+    /** Panel fields that make up a panel style */
+    static PANEL_STYLE_KEYS = [
+        'shape', 'borderWidth', 'borderStyle', 'borderColor', 'backgroundColor',
+        'borderRadius', 'dropShadow', 'glow', 'vintageEffect', 'geometry'
+    ];
+
+    constructor() {
+        this.project = { layout: [], panel: [] };
+        this.library = { layout: [], panel: [] };
+    }
+
+    /**
+     * <summary>Load the per-user library from browser storage</summary>
+     */
+    loadLibrary() {
+        try {
+            const stored = localStorage.getItem(TemplateLibrary.STORAGE_KEY);
+            this.library = stored ? TemplateLibrary.normalizeCollection(JSON.parse(stored)) : { layout: [], panel: [] };
+        } catch (error) {
+            console.warn('[CBG:Templates] Failed to read template library:', error);
+            this.library = { layout: [], panel: [] };
+        }
+    }
+
+    /**
+     * <summary>Write the per-user library to browser storage</summary>
+     */
+    saveLibrary() {
+        try {
+            localStorage.setItem(TemplateLibrary.STORAGE_KEY, JSON.stringify(this.library));
+        } catch (error) {
+            console.warn('[CBG:Templates] Failed to store template library:', error);
+        }
+    }
+
+    /**
+     * <summary>Replace the project templates, e.g. when a project is loaded</summary>
+     * @param {Object} templates - { layout: [], panel: [] } as saved in the project
+     */
+    setProjectTemplates(templates) {
+        this.project = TemplateLibrary.normalizeCollection(templates);
+    }
+
+    /**
+     * <summary>Get the project templates for saving</summary>
+     */
+    getProjectTemplates() {
+        return this.project;
+    }
+
+    /**
+     * <summary>Get all user templates of a kind, project entries first, without duplicates</summary>
+     * @param {string} kind - 'layout' or 'panel'
+     * @returns {Array} Templates tagged with the scopes they are stored in
+     */
+    list(kind) {
+        const projectIds = new Set(this.project[kind].map(t => t.id));
+        const libraryIds = new Set(this.library[kind].map(t => t.id));
+
+        return [
+            ...this.project[kind],
+            ...this.library[kind].filter(t => !projectIds.has(t.id))
+        ].map(template => ({
+            ...template,
+            scopes: [projectIds.has(template.id) && 'project', libraryIds.has(template.id) && 'library'].filter(Boolean)
+        }));
+    }
+
+    /**
+     * <summary>Add or update a template in the given scopes</summary>
+     * @param {string} kind - 'layout' or 'panel'
+     * @param {Object} template - Template data
+     * @param {Array} scopes - Any of 'project' and 'library'
+     */
+    add(kind, template, scopes = ['project', 'library']) {
+        const { scopes: _ignored, ...data } = template;
+        scopes.forEach(scope => {
+            const list = this[scope][kind];
+            const index = list.findIndex(t => t.id === data.id);
+            if (index >= 0) {
+                list[index] = data;
+            } else {
+                list.push(data);
+            }
+        });
+        if (scopes.includes('library')) this.saveLibrary();
+    }
+
+    /**
+     * <summary>Remove a template from every scope</summary>
+     */
+    remove(kind, id) {
+        this.project[kind] = this.project[kind].filter(t => t.id !== id);
+        this.library[kind] = this.library[kind].filter(t => t.id !== id);
+        this.saveLibrary();
+    }
+
+    /**
+     * <summary>Build a layout template from a page</summary>
+     * Panel geometry is stored in the page's own coordinates together with the page size,
+     * so it can be scaled onto pages of any size.
+     * @param {Object} page - Page data
+     * @param {string} name - Template name
+     * @returns {Object} Layout template
+     */
+    static createLayoutTemplate(page, name) {
+        return {
+            id: PanelModel.createId('user_layout'),
+            name,
+            description: `${page.panels.length} panel(s) from ${page.title || 'a page'}`,
+            baseWidth: page.width,
+            baseHeight: page.height,
+            createdDate: Date.now(),
+            panels: page.panels.map(panel => ({
+                x: panel.x,
+                y: panel.y,
+                width: panel.width,
+                height: panel.height,
+                style: TemplateLibrary.extractPanelStyle(panel)
+            }))
+        };
+    }
+
+    /**
+     * <summary>Build a panel style template from a panel</summary>
+     */
+    static createPanelTemplate(panel, name) {
+        return {
+            id: PanelModel.createId('user_panel'),
+            name,
+            createdDate: Date.now(),
+            ...TemplateLibrary.extractPanelStyle(panel)
+        };
+    }
+
+    /**
+     * <summary>Copy the style fields of a panel or panel template</summary>
+     */
+    static extractPanelStyle(source) {
+        const style = {};
+        TemplateLibrary.PANEL_STYLE_KEYS.forEach(key => {
+            if (source[key] !== undefined) style[key] = source[key];
+        });
+        if (style.geometry) {
+            style.geometry = PanelGeometry.normalize(style.geometry); // Also copies the points
+        } else if (style.geometry === undefined && style.shape) {
+            // Built-in templates only name a shape; derive its outline
+            style.geometry = PanelGeometry.createForShape(style.shape);
+        }
+        return style;
+    }
+
+    /**
+     * <summary>Serialize templates to a shareable JSON file</summary>
+     * @param {Object} templates - { layout: [], panel: [] }
+     * @returns {string} JSON text
+     */
+    static serialize(templates) {
+        const strip = ({ scopes, source, ...template }) => template;
+        return JSON.stringify({
+            format: TemplateLibrary.FILE_FORMAT,
+            version: TemplateLibrary.FILE_VERSION,
+            exportedDate: new Date().toISOString(),
+            layout: (templates.layout || []).map(strip),
+            panel: (templates.panel || []).map(strip)
+        }, null, 2);
+    }
+
+    /**
+     * <summary>Parse and validate a template file</summary>
+     * Imported templates get fresh ids so they never overwrite existing ones.
+     * @param {string} text - JSON text
+     * @returns {Object} { layout: [], panel: [] }
+     */
+    static parse(text) {
+        const data = JSON.parse(text);
+        if (!data || data.format !== TemplateLibrary.FILE_FORMAT) {
+            throw new Error('Not a comic template file');
+        }
+        if (data.version > TemplateLibrary.FILE_VERSION) {
+            throw new Error(`Template file version ${data.version} is newer than supported (${TemplateLibrary.FILE_VERSION})`);
+        }
+
+        const templates = TemplateLibrary.normalizeCollection(data);
+        templates.layout.forEach(t => t.id = PanelModel.createId('user_layout'));
+        templates.panel.forEach(t => t.id = PanelModel.createId('user_panel'));
+        return templates;
+    }
+
+    /**
+     * <summary>Drop malformed entries from a template collection</summary>
+     */
+    static normalizeCollection(data) {
+        const layout = Array.isArray(data?.layout) ? data.layout : [];
+        const panel = Array.isArray(data?.panel) ? data.panel : [];
+
+        return {
+            layout: layout
+                .filter(t => t && Array.isArray(t.panels) && t.panels.length > 0)
+                .map(t => ({
+                    ...t,
+                    id: t.id || PanelModel.createId('user_layout'),
+                    name: String(t.name || 'Untitled Layout'),
+                    baseWidth: Number(t.baseWidth) || 800,
+                    baseHeight: Number(t.baseHeight) || 600,
+                    panels: t.panels.filter(p => ['x', 'y', 'width', 'height'].every(k => Number.isFinite(Number(p[k]))))
+                })),
+            panel: panel
+                .filter(t => t && typeof t === 'object')
+                .map(t => ({
+                    ...TemplateLibrary.extractPanelStyle(t),
+                    id: t.id || PanelModel.createId('user_panel'),
+                    name: String(t.name || 'Untitled Style'),
+                    createdDate: t.createdDate || Date.now()
+                }))
+        };
+    }
+
+    /**
+     * <summary>Render an SVG thumbnail of a layout template</summary>
+     * @param {Object} template - Layout template
+     * @param {Object} baseSize - Fallback { width, height } for templates without a base size
+     * @returns {string} SVG markup
+     */
+    static renderLayoutThumbnail(template, baseSize = { width: 800, height: 600 }) {
+        const geometry = (slot) => slot.style?.geometry !== undefined
+            ? slot.style.geometry
+            : PanelGeometry.createForShape(slot.style?.shape);
+
+        const width = template.baseWidth || baseSize.width;
+        const height = template.baseHeight || baseSize.height;
+        const stroke = Math.max(width, height) / 100;
+
+        const shapes = template.panels.map(slot => {
+            const points = PanelGeometry.getPagePoints({ ...slot, geometry: geometry(slot) });
+            return `<polygon points="${points.map(([x, y]) => `${x},${y}`).join(' ')}" />`;
+        }).join('');
+
+        return `
+            <svg class="template-thumbnail" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(template.name)} preview">
+                <rect width="${width}" height="${height}" fill="#ffffff" />
+                <g fill="#eeeeee" stroke="#333333" stroke-width="${stroke}">${shapes}</g>
+            </svg>
+        `;
+    }
+
+    /**
+     * <summary>Render a swatch previewing a panel style template</summary>
+     */
+    static renderPanelThumbnail(template) {
+        const clipPath = PanelGeometry.getClipPath({ geometry: template.geometry ?? PanelGeometry.createForShape(template.shape) });
+        const radius = template.shape === 'circle' ? '50%' : `${template.borderRadius || 0}px`;
+        return `
+            <span class="template-swatch" style="border: ${Math.min(template.borderWidth ?? 2, 6)}px ${template.borderStyle || 'solid'} ${template.borderColor || '#000000'};
+                  background: ${template.backgroundColor || '#ffffff'}; border-radius: ${radius};
+                  ${clipPath ? `clip-path: ${clipPath}; background: ${template.borderColor || '#000000'};` : ''}
+                  ${template.dropShadow ? 'box-shadow: 2px 2px 4px rgba(0,0,0,0.4);' : ''}"></span>
+        `;
+    }
+}
+
+window.TemplateLibrary = TemplateLibrary;
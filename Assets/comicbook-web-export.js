@@ -0,0 +1,279 @@
+/**
+ * <summary>Comic Book Generator - Web Comic Export</summary>
+ * Builds a single self-contained HTML file: page images are embedded as data URLs and a small
+ * reader script is inlined, so the comic works offline straight from a file:// URL.
+ *
+ * The reader supports the Publication reading modes (single page, double page, continuous
+ * scroll, panel by panel), keyboard and swipe navigation, and right-to-left reading.
+ */
+
+class WebComicExport {
+    static READING_MODES = {
+        'single-page': 'Single page',
+        'double-page': 'Double page',
+        'continuous-scroll': 'Continuous',
+        'panel-by-panel': 'Panel by panel'
+    };
+
+    /**
+     * <summary>Build the HTML document</summary>
+     * @param {Object} comic - { title, subtitle, credits: [{ role, name }], publisher, copyright,
+     *   readingDirection, defaultMode, pages: [{ src, width, height, alt, cover, panels: [{ x, y, width, height }] }] }
+     *   Panel rectangles are 0-1 fractions of the page image, in reading order. cover is 'front' or
+     *   'back' on cover pages, which stand alone in double-page spreads.
+     * @returns {string} HTML
+     */
+    static buildHtml(comic) {
+        const escape = PublicationManager.escapeXml;
+        const title = comic.title || 'Untitled Comic';
+        // Keep "</script>" and friends inside strings from ending the inline script
+        const data = JSON.stringify(comic).replace(/</g, '\\u003c');
+
+        return `<!DOCTYPE html>
+<html lang="${escape(comic.language || 'en')}" dir="${comic.readingDirection === 'rtl' ? 'rtl' : 'ltr'}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="Comic Book Generator">
+<title>${escape(title)}</title>
+<style>${WebComicExport.STYLES}</style>
+</head>
+<body>
+<header class="toolbar">
+    <button type="button" data-action="previous" aria-label="Previous">&#9664;</button>
+    <span class="position" aria-live="polite"></span>
+    <button type="button" data-action="next" aria-label="Next">&#9654;</button>
+    <label>Mode
+        <select class="mode">
+            ${Object.entries(WebComicExport.READING_MODES).map(([value, label]) =>
+                `<option value="${value}"${value === comic.defaultMode ? ' selected' : ''}>${label}</option>`).join('')}
+        </select>
+    </label>
+</header>
+<main class="stage" tabindex="0" aria-label="${escape(title)}"></main>
+<template id="title-page">
+    <section class="title-page">
+        <h1>${escape(title)}</h1>
+        ${comic.subtitle ? `<p class="subtitle">${escape(comic.subtitle)}</p>` : ''}
+        <ul class="credits">
+            ${(comic.credits || []).map(credit => `<li><span>${escape(credit.role)}</span> ${escape(credit.name)}</li>`).join('')}
+        </ul>
+        ${comic.publisher ? `<p class="publisher">${escape(comic.publisher)}</p>` : ''}
+        ${comic.copyright ? `<p class="copyright">${escape(comic.copyright)}</p>` : ''}
+    </section>
+</template>
+<script>
+(${WebComicExport.readerScript.toString()})(${data});
+</script>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * <summary>The reader embedded in exported files</summary>
+     * Serialized with toString(), so it must not reference anything outside its own body.
+     */
+    static readerScript = function (comic) {
+        const stage = document.querySelector('.stage');
+        const position = document.querySelector('.position');
+        const modeSelect = document.querySelector('.mode');
+        const rtl = comic.readingDirection === 'rtl';
+        // Slide 0 is the title page; comic pages follow
+        const slides = [{ title: true }].concat(comic.pages);
+        const state = { mode: modeSelect.value, slide: 0, spread: 0, panel: 0 };
+
+        function pageElement(slide) {
+            if (slide.title) {
+                return document.getElementById('title-page').content.firstElementChild.cloneNode(true);
+            }
+            const image = document.createElement('img');
+            image.src = slide.src;
+            image.alt = slide.alt || '';
+            image.width = slide.width;
+            image.height = slide.height;
+            image.className = 'page';
+            return image;
+        }
+
+        function spreads() {
+            // The same rule as CoverDesign.getSpreads: the title page and covers stand alone,
+            // interior pages pair up between them
+            const result = [];
+            let open = null;
+            slides.forEach((slide, index) => {
+                if (slide.title || slide.cover) {
+                    result.push([index]);
+                    open = null;
+                } else if (open) {
+                    open.push(index);
+                    open = null;
+                } else {
+                    open = [index];
+                    result.push(open);
+                }
+            });
+            return result;
+        }
+
+        function panelSteps() {
+            const steps = [{ slide: 0, panel: -1 }];
+            slides.forEach((slide, index) => {
+                if (slide.title) return;
+                if (!slide.panels || !slide.panels.length) {
+                    steps.push({ slide: index, panel: -1 });
+                } else {
+                    slide.panels.forEach((_, panel) => steps.push({ slide: index, panel }));
+                }
+            });
+            return steps;
+        }
+
+        function render() {
+            stage.className = 'stage mode-' + state.mode;
+            stage.innerHTML = '';
+
+            if (state.mode === 'continuous-scroll') {
+                slides.forEach(slide => stage.appendChild(pageElement(slide)));
+                position.textContent = comic.pages.length + ' pages';
+                return;
+            }
+
+            if (state.mode === 'double-page') {
+                const spread = spreads()[state.spread];
+                const row = document.createElement('div');
+                row.className = 'spread';
+                spread.forEach(index => row.appendChild(pageElement(slides[index])));
+                stage.appendChild(row);
+                position.textContent = spread[0] === 0 ? 'Title' : 'Pages ' + spread.join('-');
+                return;
+            }
+
+            if (state.mode === 'panel-by-panel') {
+                const step = panelSteps()[state.panel];
+                const slide = slides[step.slide];
+                const element = pageElement(slide);
+                stage.appendChild(element);
+                if (step.panel >= 0) zoomToPanel(element, slide, slide.panels[step.panel]);
+                position.textContent = step.slide === 0 ? 'Title'
+                    : 'Page ' + step.slide + (step.panel >= 0 ? ', panel ' + (step.panel + 1) + ' of ' + slide.panels.length : '');
+                return;
+            }
+
+            stage.appendChild(pageElement(slides[state.slide]));
+            position.textContent = state.slide === 0 ? 'Title' : 'Page ' + state.slide + ' of ' + comic.pages.length;
+        }
+
+        function zoomToPanel(image, slide, panel) {
+            const viewWidth = stage.clientWidth;
+            const viewHeight = stage.clientHeight;
+            const panelWidth = panel.width * slide.width;
+            const panelHeight = panel.height * slide.height;
+            const scale = Math.min(viewWidth / panelWidth, viewHeight / panelHeight) * 0.95;
+            const left = (viewWidth - panelWidth * scale) / 2 - panel.x * slide.width * scale;
+            const top = (viewHeight - panelHeight * scale) / 2 - panel.y * slide.height * scale;
+
+            image.classList.add('zoomed');
+            image.style.width = slide.width * scale + 'px';
+            image.style.height = slide.height * scale + 'px';
+            image.style.transform = 'translate(' + left + 'px, ' + top + 'px)';
+        }
+
+        function go(delta) {
+            if (state.mode === 'continuous-scroll') {
+                if (Number.isFinite(delta)) {
+                    stage.scrollBy({ top: delta * stage.clientHeight * 0.9, behavior: 'smooth' });
+                } else {
+                    stage.scrollTo({ top: delta > 0 ? stage.scrollHeight : 0, behavior: 'smooth' });
+                }
+                return;
+            }
+            const limits = { 'double-page': ['spread', spreads().length], 'panel-by-panel': ['panel', panelSteps().length] };
+            const [key, count] = limits[state.mode] || ['slide', slides.length];
+            state[key] = Math.max(0, Math.min(count - 1, state[key] + delta));
+            render();
+        }
+
+        function setMode(mode) {
+            // Keep roughly the same place in the comic when switching modes
+            const slide = state.mode === 'double-page' ? spreads()[state.spread][0]
+                : state.mode === 'panel-by-panel' ? panelSteps()[state.panel].slide
+                    : state.slide;
+            state.mode = mode;
+            state.slide = slide;
+            state.spread = Math.max(0, spreads().findIndex(spread => spread.indexOf(slide) >= 0));
+            state.panel = Math.max(0, panelSteps().findIndex(step => step.slide === slide));
+            render();
+        }
+
+        document.querySelector('[data-action="previous"]').addEventListener('click', () => go(-1));
+        document.querySelector('[data-action="next"]').addEventListener('click', () => go(1));
+        modeSelect.addEventListener('change', () => setMode(modeSelect.value));
+
+        document.addEventListener('keydown', (event) => {
+            if (event.target === modeSelect) return;
+            const forward = rtl ? 'ArrowLeft' : 'ArrowRight';
+            const back = rtl ? 'ArrowRight' : 'ArrowLeft';
+            if (event.key === forward || event.key === 'PageDown' || (event.key === ' ' && !event.shiftKey)) {
+                event.preventDefault();
+                go(1);
+            } else if (event.key === back || event.key === 'PageUp' || (event.key === ' ' && event.shiftKey)) {
+                event.preventDefault();
+                go(-1);
+            } else if (event.key === 'Home' || event.key === 'End') {
+                event.preventDefault();
+                go(event.key === 'Home' ? -Infinity : Infinity);
+            }
+        });
+
+        // Swipe: towards the reading direction moves forward
+        let touchStart = null;
+        stage.addEventListener('touchstart', (event) => {
+            touchStart = { x: event.touches[0].clientX, y: event.touches[0].clientY };
+        }, { passive: true });
+        stage.addEventListener('touchend', (event) => {
+            if (!touchStart || state.mode === 'continuous-scroll') return;
+            const dx = event.changedTouches[0].clientX - touchStart.x;
+            const dy = event.changedTouches[0].clientY - touchStart.y;
+            touchStart = null;
+            if (Math.abs(dx) < 50 || Math.abs(dx) < Math.abs(dy)) return;
+            go((dx < 0) !== rtl ? 1 : -1);
+        });
+
+        window.addEventListener('resize', () => {
+            if (state.mode === 'panel-by-panel') render();
+        });
+
+        render();
+        stage.focus();
+    };
+
+    static STYLES = `
+        * { box-sizing: border-box; }
+        html, body { margin: 0; height: 100%; background: #1e1e1e; color: #f0f0f0; font-family: Helvetica, Arial, sans-serif; }
+        body { display: flex; flex-direction: column; }
+        .toolbar { display: flex; gap: 0.75rem; align-items: center; justify-content: center; padding: 0.5rem; background: #111; direction: ltr; }
+        .toolbar button, .toolbar select { background: #333; color: inherit; border: 1px solid #555; border-radius: 4px; padding: 0.25rem 0.75rem; font-size: 1rem; }
+        .position { min-width: 10rem; text-align: center; }
+        .stage { flex: 1; overflow: hidden; position: relative; display: flex; align-items: center; justify-content: center; outline: none; touch-action: pan-y; }
+        .stage .page { max-width: 100%; max-height: 100%; width: auto; height: auto; object-fit: contain; box-shadow: 0 4px 16px rgba(0,0,0,0.5); }
+        .stage .spread { display: flex; height: 100%; max-width: 100%; align-items: center; justify-content: center; }
+        .stage .spread .page, .stage .spread .title-page { max-width: 50%; }
+        [dir="rtl"] .stage .spread { flex-direction: row-reverse; }
+        .mode-continuous-scroll { flex-direction: column; justify-content: flex-start; overflow-y: auto; gap: 1rem; padding: 1rem 0; }
+        .mode-continuous-scroll .page { max-height: none; width: min(100%, 900px); }
+        .mode-panel-by-panel { display: block; }
+        .mode-panel-by-panel .page:not(.zoomed) { display: block; margin: 0 auto; }
+        .stage .page.zoomed { position: absolute; left: 0; top: 0; max-width: none; max-height: none; transform-origin: 0 0; transition: transform 0.3s ease, width 0.3s ease, height 0.3s ease; }
+        .title-page { background: #fff; color: #111; aspect-ratio: 2 / 3; height: min(100%, 90vh); max-width: 100%; padding: 3rem 2rem; display: flex; flex-direction: column; align-items: center; justify-content: center; text-align: center; }
+        .mode-continuous-scroll .title-page { height: auto; width: min(100%, 900px); }
+        .mode-panel-by-panel .title-page { margin: 0 auto; }
+        .title-page h1 { font-size: 2.5rem; margin: 0 0 0.5rem; }
+        .title-page .subtitle { font-size: 1.25rem; margin: 0 0 2rem; color: #444; }
+        .title-page .credits { list-style: none; padding: 0; margin: 0 0 2rem; line-height: 1.8; }
+        .title-page .credits span { color: #666; }
+        .title-page .copyright { font-size: 0.8rem; color: #666; }
+    `;
+}
+
+window.WebComicExport = WebComicExport;
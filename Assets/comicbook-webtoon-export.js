@@ -0,0 +1,183 @@
+/**
+ * <summary>Comic Book Generator - Webtoon Strip Export</summary>
+ * Stacks pages (or panels in reading order) into one vertical strip and slices it into
+ * image segments for scroll-format platforms. Cuts are moved so they never pass through
+ * a balloon, caption or sound effect.
+ *
+ * The strip is planned from layout data alone, so the reader can preview slice positions
+ * without rendering; segments are only rasterized while their slices are being encoded.
+ */
+
+class WebtoonStrip {
+    /** Clearance kept between a cut and any lettering, in strip pixels */
+    static LETTERING_CLEARANCE = 8;
+
+    /**
+     * <summary>Plan the strip: where each page or panel goes and where the slices are cut</summary>
+     * @param {Array} pages - Pages in reading order
+     * @param {Object} options - { width, sliceHeight, gap, source: 'pages' | 'panels', getPanelsInReadingOrder(page) }
+     * @returns {Object} { width, height, segments: [{ page, crop, lettering, scale, x, y, width, height }], zones, cuts }
+     *   crop is in layout pixels; everything else is in strip pixels. cuts includes 0 and the strip height.
+     *   A panel segment's page holds just that panel, so it is drawn with its own lettering only and
+     *   every balloon drawn in the strip has a zone.
+     */
+    static plan(pages, options) {
+        const width = Math.max(1, Math.round(options.width));
+        const gap = Math.max(0, Math.round(options.gap || 0));
+        const segments = [];
+        const zones = [];
+        let y = 0;
+
+        pages.forEach(page => {
+            const trim = PageRenderer.getRegion(page, false);
+            const scale = width / trim.width;
+
+            const crops = options.source === 'panels' && page.panels.length
+                ? options.getPanelsInReadingOrder(page).map(panel => ({ panel, rect: WebtoonStrip.intersect(panel, trim) })).filter(crop => crop.rect)
+                : [{ panel: null, rect: trim }];
+
+            crops.forEach(({ panel, rect }) => {
+                if (segments.length) y += gap;
+
+                // Like panel image exports: neighbouring panels' balloons would spill into the crop
+                const source = panel ? { ...page, cover: null, panels: [panel] } : page;
+                const segment = {
+                    page: source,
+                    crop: rect,
+                    lettering: PageRenderer.layoutLettering(source),
+                    scale,
+                    x: Math.round((rect.x - trim.x) * scale), // Panels keep their place across the page
+                    y,
+                    width: Math.round(rect.width * scale),
+                    height: Math.round(rect.height * scale)
+                };
+                segments.push(segment);
+
+                segment.lettering.forEach(item => {
+                    const extra = item.type === 'speech' ? PageRenderer.TAIL_SIZE : 0;
+                    const top = y + (item.box.y - extra - rect.y) * scale;
+                    const bottom = y + (item.box.y + item.box.height + extra - rect.y) * scale;
+                    // Only the part of the balloon inside this segment appears in the strip
+                    const clippedTop = Math.max(top, y);
+                    const clippedBottom = Math.min(bottom, y + segment.height);
+                    if (clippedBottom > clippedTop) zones.push({ top: clippedTop, bottom: clippedBottom });
+                });
+
+                y += segment.height;
+            });
+        });
+
+        const height = y;
+        const merged = WebtoonStrip.mergeZones(zones, WebtoonStrip.LETTERING_CLEARANCE);
+        return { width, height, segments, zones: merged, cuts: WebtoonStrip.planCuts(height, options.sliceHeight, merged) };
+    }
+
+    /**
+     * <summary>Intersect a panel with the trimmed page, or null if it lies outside</summary>
+     */
+    static intersect(panel, trim) {
+        const x = Math.max(panel.x, trim.x);
+        const y = Math.max(panel.y, trim.y);
+        const right = Math.min(panel.x + panel.width, trim.x + trim.width);
+        const bottom = Math.min(panel.y + panel.height, trim.y + trim.height);
+        return right > x && bottom > y ? { x, y, width: right - x, height: bottom - y } : null;
+    }
+
+    /**
+     * <summary>Pad lettering zones by the clearance and merge overlapping ones</summary>
+     */
+    static mergeZones(zones, clearance) {
+        const sorted = zones
+            .map(zone => ({ top: zone.top - clearance, bottom: zone.bottom + clearance }))
+            .sort((a, b) => a.top - b.top);
+
+        return sorted.reduce((merged, zone) => {
+            const last = merged[merged.length - 1];
+            if (last && zone.top <= last.bottom) {
+                last.bottom = Math.max(last.bottom, zone.bottom);
+            } else {
+                merged.push({ ...zone });
+            }
+            return merged;
+        }, []);
+    }
+
+    /**
+     * <summary>Choose cut positions</summary>
+     * Each slice is at most sliceHeight tall, except when lettering taller than a slice
+     * starts at the top of it: then the slice grows to include the whole balloon.
+     * @returns {Array} Cut positions including 0 and the strip height
+     */
+    static planCuts(height, sliceHeight, zones) {
+        const cuts = [0];
+        const limit = Math.max(1, Math.round(sliceHeight));
+        let start = 0;
+
+        while (height - start > limit) {
+            let cut = start + limit;
+            const zone = zones.find(z => cut > z.top && cut < z.bottom);
+            if (zone) {
+                cut = zone.top > start ? zone.top : zone.bottom;
+            }
+            cut = Math.round(Math.min(cut, height));
+            if (cut <= start) cut = start + limit; // Cannot happen with valid zones; never loop forever
+            if (cut >= height) break;
+
+            cuts.push(cut);
+            start = cut;
+        }
+
+        cuts.push(height);
+        return cuts;
+    }
+
+    /**
+     * <summary>Render the slices of a planned strip</summary>
+     * Segments are rasterized once and released as soon as no later slice needs them.
+     * @param {Object} plan - Result of plan()
+     * @param {Function} encode - async (canvas, index) => void, called for each slice in order
+     * @param {Object} options - { background, onProgress(index, count) }
+     */
+    static async renderSlices(plan, encode, options = {}) {
+        const rendered = new Map();
+        const count = plan.cuts.length - 1;
+
+        for (let index = 0; index < count; index++) {
+            if (options.onProgress) options.onProgress(index, count);
+
+            const top = plan.cuts[index];
+            const bottom = plan.cuts[index + 1];
+            const canvas = document.createElement('canvas');
+            canvas.width = plan.width;
+            canvas.height = bottom - top;
+
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = options.background || '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+            for (const segment of plan.segments) {
+                if (segment.y >= bottom || segment.y + segment.height <= top) continue;
+                if (!rendered.has(segment)) {
+                    rendered.set(segment, await PageRenderer.renderPage(segment.page, {
+                        scale: segment.scale,
+                        region: segment.crop,
+                        lettering: segment.lettering
+                    }));
+                }
+                ctx.drawImage(rendered.get(segment), segment.x, segment.y - top);
+            }
+
+            await encode(canvas, index);
+            canvas.width = canvas.height = 0;
+
+            for (const [segment, image] of rendered) {
+                if (segment.y + segment.height <= bottom) {
+                    image.width = image.height = 0;
+                    rendered.delete(segment);
+                }
+            }
+        }
+    }
+}
+
+window.WebtoonStrip = WebtoonStrip;
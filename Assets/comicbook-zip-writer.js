@@ -0,0 +1,123 @@
+/**
+ * <summary>Comic Book Generator - ZIP Writer</summary>
+ * Minimal ZIP archive writer for comic exports (CBZ, EPUB, image bundles).
+ * Entries are stored uncompressed: page images are already compressed, and EPUB requires
+ * its mimetype entry to be stored. Entries are written in the order they are added.
+ */
+
+class ZipWriter {
+    static CRC_TABLE = null;
+
+    constructor() {
+        this.entries = [];
+    }
+
+    /**
+     * <summary>Add a file to the archive</summary>
+     * @param {string} name - Path inside the archive, using forward slashes
+     * @param {string|Uint8Array|ArrayBuffer} data - File contents; strings are written as UTF-8
+     * @param {Date} date - Modification date
+     */
+    addFile(name, data, date = new Date()) {
+        const bytes = typeof data === 'string'
+            ? new TextEncoder().encode(data)
+            : data instanceof Uint8Array ? data : new Uint8Array(data);
+        this.entries.push({ name, nameBytes: new TextEncoder().encode(name), bytes, crc: ZipWriter.crc32(bytes), date });
+    }
+
+    /**
+     * <summary>Add a Blob, e.g. an encoded page image</summary>
+     */
+    async addBlob(name, blob, date = new Date()) {
+        this.addFile(name, new Uint8Array(await blob.arrayBuffer()), date);
+    }
+
+    /**
+     * <summary>Build the archive</summary>
+     * @param {string} type - MIME type of the result
+     * @returns {Blob} ZIP file
+     */
+    toBlob(type = 'application/zip') {
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+
+        this.entries.forEach(entry => {
+            const { time, day } = ZipWriter.toDosDate(entry.date);
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true); // Version needed: 2.0
+            local.setUint16(6, 0x0800, true); // UTF-8 file names
+            local.setUint16(8, 0, true); // Stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, day, true);
+            local.setUint32(14, entry.crc, true);
+            local.setUint32(18, entry.bytes.length, true);
+            local.setUint32(22, entry.bytes.length, true);
+            local.setUint16(26, entry.nameBytes.length, true);
+            local.setUint16(28, 0, true);
+
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014b50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 20, true);
+            header.setUint16(8, 0x0800, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, time, true);
+            header.setUint16(14, day, true);
+            header.setUint32(16, entry.crc, true);
+            header.setUint32(20, entry.bytes.length, true);
+            header.setUint32(24, entry.bytes.length, true);
+            header.setUint16(28, entry.nameBytes.length, true);
+            header.setUint32(42, offset, true); // Remaining fields (extra, comment, disk, attributes) are zero
+            central.push(new Uint8Array(header.buffer), entry.nameBytes);
+
+            chunks.push(new Uint8Array(local.buffer), entry.nameBytes, entry.bytes);
+            offset += 30 + entry.nameBytes.length + entry.bytes.length;
+        });
+
+        const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...chunks, ...central, new Uint8Array(end.buffer)], { type });
+    }
+
+    /**
+     * <summary>CRC-32 of a byte array, as ZIP requires</summary>
+     */
+    static crc32(bytes) {
+        if (!ZipWriter.CRC_TABLE) {
+            ZipWriter.CRC_TABLE = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipWriter.CRC_TABLE[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipWriter.CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * <summary>Convert a date to MS-DOS time and date fields</summary>
+     */
+    static toDosDate(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            day: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+}
+
+window.ZipWriter = ZipWriter;
@@ -10,6 +10,28 @@ public class ComicBookGeneratorExtension : Extension
     {
         // Register JS/CSS assets
         ScriptFiles.Add("Assets/comicbook-main.js");
+        ScriptFiles.Add("Assets/comicbook-panel-model.js");
+        ScriptFiles.Add("Assets/comicbook-panel-geometry.js");
+        ScriptFiles.Add("Assets/comicbook-template-library.js");
+        ScriptFiles.Add("Assets/comicbook-gutter-layout.js");
+        ScriptFiles.Add("Assets/comicbook-reading-flow.js");
+        ScriptFiles.Add("Assets/comicbook-review-annotations.js");
+        ScriptFiles.Add("Assets/comicbook-quality-rules.js");
+        ScriptFiles.Add("Assets/comicbook-publication-meta.js");
+        ScriptFiles.Add("Assets/comicbook-page-format.js");
+        ScriptFiles.Add("Assets/comicbook-page-renderer.js");
+        ScriptFiles.Add("Assets/comicbook-cover-design.js");
+        ScriptFiles.Add("Assets/comicbook-imposition.js");
+        ScriptFiles.Add("Assets/comicbook-preflight.js");
+        ScriptFiles.Add("Assets/comicbook-image-export.js");
+        ScriptFiles.Add("Assets/comicbook-pdf-writer.js");
+        ScriptFiles.Add("Assets/comicbook-zip-writer.js");
+        ScriptFiles.Add("Assets/comicbook-web-export.js");
+        ScriptFiles.Add("Assets/comicbook-epub-export.js");
+        ScriptFiles.Add("Assets/comicbook-webtoon-export.js");
+        ScriptFiles.Add("Assets/comicbook-serializer.js");
+        ScriptFiles.Add("Assets/comicbook-project-schema.js");
+        ScriptFiles.Add("Assets/comicbook-storage.js");
         ScriptFiles.Add("Assets/comicbook-data.js");
         ScriptFiles.Add("Assets/comicbook-characters.js");
         ScriptFiles.Add("Assets/comicbook-story.js");
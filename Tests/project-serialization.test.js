@@ -0,0 +1,224 @@
+/**
+ * Save/load round trip of a full sample project through Serializer, ProjectSchema and ProjectStore.
+ * The extension's scripts are browser globals, so they are loaded into this context as SwarmUI would.
+ *
+ * Run with: node --test Tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const memory = new Map();
+global.window = global;
+global.localStorage = {
+    getItem: key => memory.has(key) ? memory.get(key) : null,
+    setItem: (key, value) => memory.set(key, String(value)),
+    removeItem: key => memory.delete(key)
+};
+
+[
+    'panel-model', 'panel-geometry', 'gutter-layout', 'review-annotations', 'cover-design',
+    'serializer', 'project-schema', 'storage'
+].forEach(name => {
+    const file = path.join(__dirname, '..', 'Assets', `comicbook-${name}.js`);
+    vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+});
+
+/**
+ * Storage that keeps projects as JSON text, the way the server and exported files hold them
+ */
+class JsonStorage extends StorageAdapter {
+    constructor() {
+        super('JSON');
+        this.files = new Map();
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    async saveProject(project) {
+        this.files.set(project.projectInfo.id, JSON.stringify(project));
+    }
+
+    async loadProject(projectId) {
+        const text = this.files.get(projectId);
+        return text ? JSON.parse(text) : null;
+    }
+
+    async loadLastProject() {
+        return null;
+    }
+}
+
+const offline = { isAvailable: () => false };
+
+function createPage(number, overrides = {}) {
+    return {
+        id: `page_${number}`,
+        number,
+        title: `Page ${number}`,
+        width: 660,
+        height: 1020,
+        format: { presetId: 'us_comic', unit: 'in', trimWidth: 6.625, trimHeight: 10.25, bleed: 0.125, safeMargin: 0.375, dpi: 300 },
+        backgroundColor: '#ffffff',
+        backgroundImage: null,
+        layoutMode: 'free',
+        layoutTree: null,
+        gutterSize: GutterLayout.DEFAULT_GUTTER,
+        margins: { ...GutterLayout.DEFAULT_MARGINS },
+        panels: [],
+        readingFlow: [],
+        notes: '',
+        createdDate: 1700000000000,
+        lastModified: 1700000000000,
+        ...overrides
+    };
+}
+
+function createSampleProject() {
+    const meta = { title: 'Night Shift', subtitle: 'Part One', issueNumber: 3 };
+
+    const frontCover = createPage(1, { title: 'Front cover', cover: CoverDesign.create('front', meta) });
+    frontCover.cover.art = 'View/local/raw/cover.png';
+
+    const gutterPage = createPage(2, { layoutMode: 'gutter', gutterSize: 16 });
+    gutterPage.panels = [
+        PanelModel.createPanel({ id: 'panel_a', x: 30, y: 30, width: 600, height: 300, sceneImage: 'View/local/raw/a.png' }),
+        PanelModel.createPanel({ id: 'panel_b', x: 30, y: 350, width: 290, height: 640, shape: 'splash', geometry: PanelGeometry.createForShape('splash') }),
+        PanelModel.createPanel({ id: 'panel_c', x: 340, y: 350, width: 290, height: 640, shape: 'slant', geometry: PanelGeometry.createForShape('slant') })
+    ];
+    gutterPage.panels[0].dialogues.push(PanelModel.normalizeDialogue({ id: 'dlg_1', characterId: 'char_mara', text: 'Who is there?' }));
+    gutterPage.panels[1].effects.push(PanelModel.normalizeEffect({ id: 'fx_1', type: 'text-sfx', text: 'KRAK!' }));
+    gutterPage.layoutTree = GutterLayout.buildTree(gutterPage);
+    GutterLayout.applyLayout(gutterPage);
+    gutterPage.readingFlow = ['panel_a', 'panel_c', 'panel_b'];
+
+    const backCover = createPage(3, { title: 'Back cover', cover: CoverDesign.create('back', meta) });
+
+    const pin = ReviewAnnotations.createPin({ pageId: 'page_2', panelId: 'panel_b', x: 0.4, y: 0.6, category: 'art', author: 'Editor', text: 'Sharpen the splash' });
+
+    return {
+        projectInfo: {
+            id: 'project_sample',
+            title: 'Night Shift',
+            author: 'Sam',
+            description: '',
+            schemaVersion: ProjectSchema.CURRENT_VERSION,
+            created: 1700000000000,
+            lastModified: 1700000500000,
+            pageCount: 3,
+            thumbnail: 'View/local/raw/cover.png'
+        },
+        data: {},
+        characters: [
+            { id: 'char_mara', name: 'Mara', role: 'Protagonist', firstSeen: new Date('2024-03-01T10:00:00Z'), tags: new Set(['lead', 'detective']) }
+        ],
+        story: {
+            title: 'Night Shift',
+            themes: ['trust'],
+            setting: { timeframe: 'Now', locations: ['Precinct'] },
+            characterArcs: new Map([['char_mara', { start: 'alone', end: 'trusting', beats: new Set([1, 4, 9]) }]]),
+            characterScreenTime: new Map([['char_mara', 12]]),
+            draftedAt: new Date('2024-02-14T08:30:00Z'),
+            plugin: { $type: 'user data that looks like a tag', keys: new Map([[1, 'numeric key']]) }
+        },
+        layout: {
+            pages: [frontCover, gutterPage, backCover],
+            currentPage: 1,
+            templates: { layout: [], panel: [] }
+        },
+        assets: {},
+        publication: {
+            readingDirection: 'ltr',
+            reviewStatus: { story: true, art: false, dialogue: false, continuity: false, technical: false },
+            exportSettings: { format: 'pdf', resolution: 300, pageRange: '' },
+            publicationMeta: { ...meta, creators: [{ name: 'Sam', role: 'writer' }], language: 'en' },
+            qualityChecks: new Map([
+                ['page_2', { pageId: 'page_2', score: 92, issues: [{ ruleId: 'missing-art', severity: 'warning', message: 'Panel has no art yet', pageId: 'page_2', pageIndex: 1, panelId: 'panel_c' }] }]
+            ]),
+            annotations: new Map([['page_2', [pin]]])
+        }
+    };
+}
+
+test('Serializer round trip is identity for a full sample project', () => {
+    const project = createSampleProject();
+
+    assert.deepStrictEqual(Serializer.decode(Serializer.encode(project)), project);
+    assert.deepStrictEqual(Serializer.parse(Serializer.stringify(project)), project);
+});
+
+test('invalid dates stay invalid', () => {
+    const decoded = Serializer.parse(Serializer.stringify({ date: new Date(NaN) }));
+
+    assert.ok(decoded.date instanceof Date);
+    assert.ok(Number.isNaN(decoded.date.getTime()));
+});
+
+test('encoded projects are plain JSON data', () => {
+    const encoded = Serializer.encode(createSampleProject());
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(encoded)), encoded);
+    assert.deepStrictEqual(encoded.publication.annotations.$type, 'Map');
+    assert.deepStrictEqual(encoded.story.plugin.$type, 'Object');
+});
+
+test('a current project passes migration and validation unchanged', () => {
+    const project = createSampleProject();
+    const loaded = Serializer.parse(Serializer.stringify(project));
+
+    const migration = ProjectSchema.migrate(loaded);
+    const report = ProjectSchema.validate(loaded);
+
+    assert.deepStrictEqual(migration.migrations, []);
+    assert.deepStrictEqual(report.errors, []);
+    assert.deepStrictEqual(report.warnings, []);
+    assert.deepStrictEqual(loaded, project);
+});
+
+test('ProjectStore write and load is identity for a full sample project', async () => {
+    const project = createSampleProject();
+    const server = new JsonStorage();
+
+    await new ProjectStore(offline, server).write(project);
+    const found = await new ProjectStore(offline, server).fetch(project.projectInfo.id);
+
+    assert.ok(found, 'the project is found');
+    assert.equal(found.synced, true);
+    ProjectSchema.migrate(found.project);
+    assert.deepStrictEqual(found.project, project);
+});
+
+test('ProjectStore save and load keeps the project through the recovery copy', async () => {
+    const project = createSampleProject();
+    const store = new ProjectStore(offline, new JsonStorage());
+    await store.save(project);
+
+    project.story.characterArcs.get('char_mara').beats.add(12);
+    store.saveRecovery(project);
+    const loaded = await new ProjectStore(offline, offline).load(project.projectInfo.id);
+
+    assert.deepStrictEqual(loaded, project);
+});
+
+test('older projects are migrated to Maps', () => {
+    const legacy = {
+        projectInfo: { id: 'project_old', schemaVersion: 2, lastModified: 1 },
+        characters: [],
+        story: { characterArcs: { char_mara: { start: 'alone' } }, characterScreenTime: { char_mara: 3 } },
+        layout: { pages: [] },
+        publication: { qualityChecks: [['page_1', { score: 80 }]], annotations: [] }
+    };
+
+    const migration = ProjectSchema.migrate(legacy);
+
+    assert.equal(migration.toVersion, ProjectSchema.CURRENT_VERSION);
+    assert.deepStrictEqual(legacy.story.characterArcs, new Map([['char_mara', { start: 'alone' }]]));
+    assert.deepStrictEqual(legacy.story.characterScreenTime, new Map([['char_mara', 3]]));
+    assert.deepStrictEqual(legacy.publication.qualityChecks, new Map([['page_1', { score: 80 }]]));
+    assert.deepStrictEqual(legacy.publication.annotations, new Map());
+});
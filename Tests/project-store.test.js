@@ -0,0 +1,94 @@
+/**
+ * ProjectStore choosing the project to reopen: archived projects and other projects' recovery copies are skipped.
+ * The extension's scripts are browser globals, so they are loaded into this context as SwarmUI would.
+ *
+ * Run with: node --test Tests/
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const memory = new Map();
+global.window = global;
+global.localStorage = {
+    getItem: key => memory.has(key) ? memory.get(key) : null,
+    setItem: (key, value) => memory.set(key, String(value)),
+    removeItem: key => memory.delete(key)
+};
+
+['serializer', 'storage'].forEach(name => {
+    const file = path.join(__dirname, '..', 'Assets', `comicbook-${name}.js`);
+    vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+});
+
+/**
+ * Server storage keeping projects in memory; the last project is chosen like GetLastProject
+ */
+class MemoryServer extends StorageAdapter {
+    constructor(projects) {
+        super('Memory');
+        this.projects = projects;
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    async loadProject(projectId) {
+        return this.projects.find(project => project.projectInfo.id === projectId) || null;
+    }
+
+    async loadLastProject() {
+        return this.projects
+            .filter(project => !project.projectInfo.archived)
+            .sort((a, b) => b.projectInfo.lastModified - a.projectInfo.lastModified)[0] || null;
+    }
+}
+
+const offline = { isAvailable: () => false };
+
+function createProject(id, lastModified, archived = false) {
+    return { projectInfo: { id, title: id, lastModified, archived }, story: {} };
+}
+
+beforeEach(() => memory.clear());
+
+test('the last project skips archived projects', async () => {
+    const server = new MemoryServer([createProject('project_old', 100), createProject('project_archived', 300, true)]);
+
+    const project = await new ProjectStore(offline, server).loadLast();
+
+    assert.equal(project.projectInfo.id, 'project_old');
+});
+
+test('an archived project returned as the last one is not opened', async () => {
+    const server = new MemoryServer([createProject('project_archived', 300, true)]);
+    server.loadLastProject = async () => server.projects[0];
+
+    assert.equal(await new ProjectStore(offline, server).loadLast(), null);
+});
+
+test('the recovery copy of another project is not opened as the last project', async () => {
+    localStorage.setItem(ProjectStore.RECOVERY_KEY, Serializer.stringify(createProject('project_other', 900)));
+    const server = new MemoryServer([createProject('project_last', 100)]);
+
+    const project = await new ProjectStore(offline, server).loadLast();
+
+    assert.equal(project.projectInfo.id, 'project_last');
+    assert.ok(localStorage.getItem(ProjectStore.RECOVERY_KEY), 'the other project keeps its recovery copy');
+});
+
+test('the recovery copy of the chosen project wins when it is newer', async () => {
+    const recovered = createProject('project_last', 900);
+    recovered.story.note = 'unsaved edit';
+    localStorage.setItem(ProjectStore.RECOVERY_KEY, Serializer.stringify(recovered));
+    const server = new MemoryServer([createProject('project_last', 100)]);
+
+    const project = await new ProjectStore(offline, server).loadLast();
+
+    assert.equal(project.story.note, 'unsaved edit');
+    assert.equal(localStorage.getItem(ProjectStore.RECOVERY_KEY), null);
+});
@@ -0,0 +1,128 @@
+/**
+ * Webtoon strip planning: slices never cut through lettering that is drawn in the strip.
+ * The extension's scripts are browser globals, so they are loaded into this context as SwarmUI would.
+ *
+ * Run with: node --test Tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// Text is measured at a fixed width per character; nothing is drawn
+const context = new Proxy({ measureText: text => ({ width: String(text).length * 7 }) }, {
+    get: (target, key) => key in target ? target[key] : () => {},
+    set: () => true
+});
+global.window = global;
+global.document = { createElement: () => ({ width: 0, height: 0, getContext: () => context }) };
+
+[
+    'panel-model', 'panel-geometry', 'page-format', 'page-renderer', 'webtoon-export'
+].forEach(name => {
+    const file = path.join(__dirname, '..', 'Assets', `comicbook-${name}.js`);
+    vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+});
+
+/**
+ * A page whose top panel has a balloon hanging over the panel below it
+ */
+function createPage() {
+    const top = PanelModel.createPanel({ id: 'panel_top', x: 30, y: 30, width: 600, height: 300 });
+    top.dialogues.push(PanelModel.normalizeDialogue({
+        id: 'dlg_spill',
+        text: 'This balloon is long enough to wrap over several lines and hang past the bottom of its panel',
+        x: 10,
+        y: 85,
+        width: 40
+    }));
+    const bottom = PanelModel.createPanel({ id: 'panel_bottom', x: 30, y: 350, width: 600, height: 640 });
+    bottom.dialogues.push(PanelModel.normalizeDialogue({ id: 'dlg_own', text: 'Below', x: 60, y: 40 }));
+
+    return {
+        id: 'page_1',
+        number: 1,
+        width: 660,
+        height: 1020,
+        format: { presetId: 'us_comic', unit: 'in', trimWidth: 6.625, trimHeight: 10.25, bleed: 0.125, safeMargin: 0.375, dpi: 300 },
+        backgroundColor: '#ffffff',
+        panels: [top, bottom],
+        readingFlow: []
+    };
+}
+
+function planStrip(page, sliceHeight) {
+    return WebtoonStrip.plan([page], {
+        width: 800,
+        sliceHeight,
+        gap: 40,
+        source: 'panels',
+        getPanelsInReadingOrder: (item) => item.panels
+    });
+}
+
+/**
+ * Strip extents of the lettering renderSlices draws for a segment, clipped to the segment
+ */
+function drawnLettering(segment) {
+    const lettering = segment.lettering || PageRenderer.layoutLettering(segment.page);
+    return lettering.map(item => {
+        const extra = item.type === 'speech' ? PageRenderer.TAIL_SIZE : 0;
+        const top = segment.y + (item.box.y - extra - segment.crop.y) * segment.scale;
+        const bottom = segment.y + (item.box.y + item.box.height + extra - segment.crop.y) * segment.scale;
+        return { id: item.dialogueId, top: Math.max(top, segment.y), bottom: Math.min(bottom, segment.y + segment.height) };
+    }).filter(item => item.bottom > item.top);
+}
+
+test('the sample balloon crosses into the next panel', () => {
+    const page = createPage();
+    const balloon = PageRenderer.layoutLettering(page).find(item => item.dialogueId === 'dlg_spill');
+
+    assert.ok(balloon.box.y + balloon.box.height > page.panels[1].y);
+});
+
+test('panel segments only hold their own panel and its lettering', () => {
+    const plan = planStrip(createPage(), 400);
+
+    assert.deepStrictEqual(plan.segments.map(segment => segment.page.panels.map(panel => panel.id)), [['panel_top'], ['panel_bottom']]);
+    assert.deepStrictEqual(plan.segments.map(segment => segment.lettering.map(item => item.dialogueId)), [['dlg_spill'], ['dlg_own']]);
+    assert.ok(plan.segments.every(segment => segment.page.cover === null));
+});
+
+test('no slice cuts through lettering drawn in any segment', () => {
+    for (let sliceHeight = 60; sliceHeight <= 900; sliceHeight += 7) {
+        const plan = planStrip(createPage(), sliceHeight);
+        const cuts = plan.cuts.slice(1, -1);
+
+        plan.segments.flatMap(drawnLettering).forEach(item => {
+            const crossing = cuts.find(cut => cut > item.top && cut < item.bottom);
+            assert.equal(crossing, undefined, `slice height ${sliceHeight} cuts ${item.id} at ${crossing}`);
+        });
+    }
+});
+
+test('renderSlices draws each segment with its planned lettering', async () => {
+    const plan = planStrip(createPage(), 300);
+    const calls = [];
+    const renderPage = PageRenderer.renderPage;
+    PageRenderer.renderPage = async (page, options) => {
+        calls.push({ page, options });
+        return { width: 1, height: 1 };
+    };
+
+    try {
+        await WebtoonStrip.renderSlices(plan, async () => {});
+    } finally {
+        PageRenderer.renderPage = renderPage;
+    }
+
+    assert.equal(calls.length, plan.segments.length);
+    calls.forEach(({ page, options }) => {
+        const segment = plan.segments.find(item => item.page === page);
+        assert.ok(segment, 'the segment page is rendered');
+        assert.equal(options.lettering, segment.lettering);
+        assert.equal(options.region, segment.crop);
+    });
+});
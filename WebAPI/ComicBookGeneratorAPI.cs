@@ -1,5 +1,8 @@
+using System.Text.RegularExpressions;
+using Newtonsoft.Json;
 using Newtonsoft.Json.Linq;
 using SwarmUI.Accounts;
+using SwarmUI.Core;
 using SwarmUI.WebAPI;
 
 namespace Hartsy.Extensions.ComicBookGenerator.WebAPI;
@@ -15,63 +18,231 @@ public static class ComicBookGeneratorAPI
     }
 
     /// <summary>
-    /// TODO: Register API routes used by the Comic Book Generator front-end
+    /// Register API routes used by the Comic Book Generator front-end
     /// </summary>
     public static void Register()
     {
-        // Register minimal stub routes so the extension can load without 404s.
-        SwarmUI.Utils.Logs.Info("[ComicBookGeneratorAPI] Registering API routes: GetLastProject, SaveComicProject, UpdateLayout");
+        SwarmUI.Utils.Logs.Info("[ComicBookGeneratorAPI] Registering API routes: GetLastProject, ListComicProjects, SaveComicProject, LoadComicProject, DeleteComicProject, UpdateLayout");
         API.RegisterAPICall(GetLastProject, false, ComicBookPermissions.PermComicProject);
         API.RegisterAPICall(SaveComicProject, false, ComicBookPermissions.PermComicProject);
+        API.RegisterAPICall(LoadComicProject, false, ComicBookPermissions.PermComicProject);
+        API.RegisterAPICall(ListComicProjects, false, ComicBookPermissions.PermComicProject);
+        API.RegisterAPICall(DeleteComicProject, false, ComicBookPermissions.PermComicProject);
         API.RegisterAPICall(UpdateLayout, false, ComicBookPermissions.PermLayout);
         SwarmUI.Utils.Logs.Info("[ComicBookGeneratorAPI] API route registration completed");
     }
 
-    /// <summary>Stub: Load the most recent comic project for the current user.</summary>
-    [API.APIDescription("Returns the most recent comic project for the user (stub).", "{ success: bool, data: object }")]
-    public static Task<JObject> GetLastProject()
+    /// <summary>Folder holding a user's projects, one JSON file per project id.</summary>
+    public static string GetProjectFolder(Session session)
     {
-        // Stubbed empty project shell for UI to bind against
-        var project = new JObject
+        string folder = Path.Combine(Program.DataDir, "ComicBookGenerator", "Projects", SafeFileName(session.User.UserID));
+        Directory.CreateDirectory(folder);
+        return folder;
+    }
+
+    /// <summary>Project ids are used as file names unchanged, so only ids made of these characters are accepted.</summary>
+    public static readonly Regex ProjectIdPattern = new("^[a-zA-Z0-9_-]{1,100}$");
+
+    /// <summary>Path of a project's file, or null when the id is not usable as a file name.</summary>
+    /// <remarks>Ids are rejected rather than rewritten, so two different ids never share a file.</remarks>
+    public static string GetProjectPath(Session session, string projectId)
+    {
+        return projectId is not null && ProjectIdPattern.IsMatch(projectId) ? Path.Combine(GetProjectFolder(session), $"{projectId}.json") : null;
+    }
+
+    /// <summary>Reduce an id to characters that are safe in a file name.</summary>
+    public static string SafeFileName(string name)
+    {
+        string safe = Regex.Replace(name ?? "", "[^a-zA-Z0-9_-]", "_");
+        return safe.Length > 100 ? safe[..100] : safe;
+    }
+
+    /// <summary>Load the most recently modified comic project for the current user that is not archived.</summary>
+    [API.APIDescription("Returns the most recently modified comic project of the user that is not archived, or null when there is none.", "{ success: bool, data: object }")]
+    public static async Task<JObject> GetLastProject(Session session)
+    {
+        // Save sets each file's write time to the project's lastModified, so the newest file is the newest project
+        FileInfo latest = null;
+        foreach (FileInfo file in new DirectoryInfo(GetProjectFolder(session)).GetFiles("*.json").OrderByDescending(file => file.LastWriteTimeUtc))
         {
-            ["projectInfo"] = new JObject
+            try
             {
-                ["title"] = "Untitled Comic",
-                ["author"] = "",
-                ["description"] = "",
-                ["version"] = "1.0",
-                ["created"] = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds(),
-                ["lastModified"] = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds(),
-                ["id"] = $"project_{DateTimeOffset.UtcNow.ToUnixTimeMilliseconds()}"
-            },
-            ["data"] = new JObject(),
-            ["characters"] = new JArray(),
-            ["story"] = new JObject(),
-            ["layout"] = new JObject(),
-            ["assets"] = new JObject(),
-            ["publication"] = new JObject()
+                JObject info = await ReadProjectInfo(file.FullName);
+                if (info?["archived"]?.Type == JTokenType.Boolean && info["archived"].Value<bool>())
+                {
+                    continue;
+                }
+                latest = file;
+                break;
+            }
+            catch (Exception ex)
+            {
+                SwarmUI.Utils.Logs.Warning($"[ComicBookGenerator] Skipping unreadable project file {file.Name}: {ex.Message}");
+            }
+        }
+
+        return new JObject
+        {
+            ["success"] = true,
+            ["data"] = latest is null ? JValue.CreateNull() : JObject.Parse(await File.ReadAllTextAsync(latest.FullName))
         };
+    }
 
-        return Task.FromResult(new JObject
+    /// <summary>List the comic projects of the current user for the project browser.</summary>
+    [API.APIDescription("Returns a summary of every comic project of the user, newest first.", "{ success: bool, projects: [{ id, title, lastModified, archived, pageCount, thumbnail }] }")]
+    public static async Task<JObject> ListComicProjects(Session session)
+    {
+        JArray projects = new();
+        foreach (FileInfo file in new DirectoryInfo(GetProjectFolder(session)).GetFiles("*.json").OrderByDescending(file => file.LastWriteTimeUtc))
+        {
+            try
+            {
+                JObject info = await ReadProjectInfo(file.FullName);
+                if (info?["id"] is null)
+                {
+                    continue;
+                }
+                projects.Add(new JObject
+                {
+                    ["id"] = info["id"],
+                    ["title"] = info["title"] ?? "",
+                    ["lastModified"] = info["lastModified"] ?? new DateTimeOffset(file.LastWriteTimeUtc).ToUnixTimeMilliseconds(),
+                    ["archived"] = info["archived"] ?? false,
+                    ["pageCount"] = info["pageCount"] ?? 0,
+                    ["thumbnail"] = info["thumbnail"] ?? JValue.CreateNull()
+                });
+            }
+            catch (Exception ex)
+            {
+                SwarmUI.Utils.Logs.Warning($"[ComicBookGenerator] Skipping unreadable project file {file.Name}: {ex.Message}");
+            }
+        }
+
+        return new JObject
         {
             ["success"] = true,
-            ["data"] = project
-        });
+            ["projects"] = projects
+        };
     }
 
-    /// <summary>Stub: Save the comic project payload.</summary>
-    [API.APIDescription("Saves the comic project payload (stub - no persistence).", "{ success: bool }")]
-    public static Task<JObject> SaveComicProject(
+    /// <summary>Read only the projectInfo object of a project file, without parsing the whole project.</summary>
+    public static async Task<JObject> ReadProjectInfo(string path)
+    {
+        using StreamReader stream = File.OpenText(path);
+        using JsonTextReader reader = new(stream);
+        while (await reader.ReadAsync())
+        {
+            if (reader.TokenType == JsonToken.PropertyName && reader.Depth == 1 && (string)reader.Value == "projectInfo")
+            {
+                await reader.ReadAsync();
+                return reader.TokenType == JsonToken.StartObject ? await JObject.LoadAsync(reader) : null;
+            }
+            // Skip the content of other top-level properties
+            if (reader.Depth == 1 && (reader.TokenType == JsonToken.StartObject || reader.TokenType == JsonToken.StartArray))
+            {
+                await reader.SkipAsync();
+            }
+        }
+        return null;
+    }
+
+    /// <summary>Load one comic project of the current user.</summary>
+    [API.APIDescription("Returns a comic project by id.", "{ success: bool, data: object }")]
+    public static async Task<JObject> LoadComicProject(Session session,
+        [API.APIParameter("Id of the project (projectInfo.id)")] string projectId)
+    {
+        string path = GetProjectPath(session, projectId);
+        if (path is null || !File.Exists(path))
+        {
+            return ErrorHandler.Fail($"Comic project '{projectId}' was not found");
+        }
+
+        return new JObject
+        {
+            ["success"] = true,
+            ["data"] = JObject.Parse(await File.ReadAllTextAsync(path))
+        };
+    }
+
+    /// <summary>Save a comic project for the current user, replacing any earlier save of it.</summary>
+    /// <remarks>A save older than the stored copy (e.g. from a tab left open) is refused, so it cannot replace newer work.</remarks>
+    [API.APIDescription("Saves a comic project under its projectInfo.id. A project older than the stored copy is not saved; the response then has stale: true and the stored lastModified.", "{ success: bool, auto: bool, savedAt: number, stale: bool, lastModified: number }")]
+    public static async Task<JObject> SaveComicProject(Session session,
         [API.APIParameter("Project data object as sent from frontend")] JObject projectData,
         [API.APIParameter("Whether this was an auto-save operation (optional). ")] bool isAutoSave = false)
     {
-        // Stub: accept and claim success without persistence for now
-        var res = new JObject
+        string projectId = projectData?["projectInfo"]?["id"]?.ToString();
+        if (string.IsNullOrWhiteSpace(projectId))
+        {
+            return ErrorHandler.Fail("Comic project has no projectInfo.id");
+        }
+        string path = GetProjectPath(session, projectId);
+        if (path is null)
+        {
+            return ErrorHandler.Fail($"Comic project id '{projectId}' may only contain letters, digits, '_' and '-'");
+        }
+
+        long now = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds();
+        bool hasTime = projectData["projectInfo"]?["lastModified"]?.Type == JTokenType.Integer;
+        long lastModified = hasTime ? projectData["projectInfo"]["lastModified"].Value<long>() : now;
+
+        if (hasTime && File.Exists(path))
+        {
+            JObject stored = null;
+            try
+            {
+                stored = await ReadProjectInfo(path);
+            }
+            catch (Exception ex)
+            {
+                SwarmUI.Utils.Logs.Warning($"[ComicBookGenerator] Replacing unreadable project file {Path.GetFileName(path)}: {ex.Message}");
+            }
+            if (stored?["lastModified"]?.Type == JTokenType.Integer && stored["lastModified"].Value<long>() > lastModified)
+            {
+                SwarmUI.Utils.Logs.Warning($"[ComicBookGenerator] Refused an outdated save of comic project '{projectId}'");
+                return new JObject
+                {
+                    ["success"] = false,
+                    ["stale"] = true,
+                    ["lastModified"] = stored["lastModified"]
+                };
+            }
+        }
+
+        // Write to a temporary file first so a failed write never leaves a half-written project
+        string temp = $"{path}.{Guid.NewGuid():N}.tmp";
+        await File.WriteAllTextAsync(temp, projectData.ToString(Formatting.None));
+        File.Move(temp, path, true);
+        File.SetLastWriteTimeUtc(path, DateTimeOffset.FromUnixTimeMilliseconds(lastModified).UtcDateTime);
+
+        return new JObject
         {
             ["success"] = true,
-            ["auto"] = isAutoSave
+            ["auto"] = isAutoSave,
+            ["savedAt"] = now
         };
-        return Task.FromResult(res);
+    }
+
+    /// <summary>Delete a comic project of the current user.</summary>
+    [API.APIDescription("Deletes a comic project by id. Deleting a project that does not exist succeeds, so retried deletions do no harm.", "{ success: bool }")]
+    public static Task<JObject> DeleteComicProject(Session session,
+        [API.APIParameter("Id of the project (projectInfo.id)")] string projectId)
+    {
+        string path = GetProjectPath(session, projectId);
+        if (path is null)
+        {
+            return Task.FromResult(ErrorHandler.Fail($"Comic project id '{projectId}' is not valid"));
+        }
+
+        if (File.Exists(path))
+        {
+            File.Delete(path);
+        }
+
+        return Task.FromResult(new JObject
+        {
+            ["success"] = true
+        });
     }
 
     /// <summary>Stub: Update layout state (e.g., pages/panels) for the project.</summary>
@@ -1,10 +1,20 @@
+using Newtonsoft.Json.Linq;
+using SwarmUI.Utils;
+
 namespace Hartsy.Extensions.ComicBookGenerator.WebAPI;
 
 /// <summary>
-/// TODO: Optional error handling utilities for ComicBookGenerator WebAPI calls.
-/// Keep this minimal for now; flesh out if/when external API usage is added.
+/// Error helpers for ComicBookGenerator WebAPI calls.
 /// </summary>
 public static class ErrorHandler
 {
-    // TODO: Add helpers to format/normalize error messages
+    /// <summary>Log a failed request and build the error response the SwarmUI front-end shows to the user.</summary>
+    public static JObject Fail(string message)
+    {
+        Logs.Warning($"[ComicBookGeneratorAPI] {message}");
+        return new JObject
+        {
+            ["error"] = message
+        };
+    }
 }